@@ -1,19 +1,38 @@
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from './context/AuthContext';
 import LoginPage from './components/auth/LoginPage';
+import Layout from './components/Layout';
+import Home from './pages/Home';
+import Dashboard from './pages/Dashboard';
+import ProjectDetail from './pages/ProjectDetail';
+import Board from './pages/Board';
+import Users from './pages/Users';
+import Team from './pages/Team';
+import Timeline from './pages/Timeline';
+import Calendar from './pages/Calendar';
+import Categories from './pages/Categories';
+import Tags from './pages/Tags';
+import { Permissions } from './utils/permissions';
 
 // Protected route component that redirects to login if not authenticated
-function ProtectedRoute({ children }) {
-  const { isAuthenticated, loading } = useAuth();
+// and, when a permission is given, requires the user's role to grant it
+function ProtectedRoute({ children, permission }) {
+  const { isAuthenticated, loading, roleLoading, hasPermission } = useAuth();
+  const location = useLocation();
   
   // Show loading indicator while checking authentication
-  if (loading) {
+  if (loading || (permission && roleLoading)) {
     return <div className="flex justify-center items-center h-screen">Loading...</div>;
   }
   
-  // Redirect to login if not authenticated
+  // Redirect to login if not authenticated, remembering where the user was going
   if (!isAuthenticated()) {
-    return <Navigate to="/login" replace />;
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+  
+  // Send users without the required permission back to the dashboard
+  if (permission && !hasPermission(permission)) {
+    return <Navigate to="/dashboard" replace />;
   }
   
   // Render the children if authenticated
@@ -30,7 +49,81 @@ function App() {
         {/* Protected routes */}
         <Route path="/dashboard" element={
           <ProtectedRoute>
-            <div className="p-4">Dashboard (protected route)</div>
+            <Layout>
+              <Dashboard />
+            </Layout>
+          </ProtectedRoute>
+        } />
+        
+        <Route path="/tasks" element={
+          <ProtectedRoute>
+            <Layout>
+              <Home />
+            </Layout>
+          </ProtectedRoute>
+        } />
+        
+        <Route path="/projects/:id" element={
+          <ProtectedRoute>
+            <Layout>
+              <ProjectDetail />
+            </Layout>
+          </ProtectedRoute>
+        } />
+        
+        <Route path="/board" element={
+          <ProtectedRoute>
+            <Layout>
+              <Board />
+            </Layout>
+          </ProtectedRoute>
+        } />
+        
+        <Route path="/timeline" element={
+          <ProtectedRoute>
+            <Layout>
+              <Timeline />
+            </Layout>
+          </ProtectedRoute>
+        } />
+        
+        <Route path="/calendar" element={
+          <ProtectedRoute>
+            <Layout>
+              <Calendar />
+            </Layout>
+          </ProtectedRoute>
+        } />
+        
+        <Route path="/categories" element={
+          <ProtectedRoute>
+            <Layout>
+              <Categories />
+            </Layout>
+          </ProtectedRoute>
+        } />
+        
+        <Route path="/tags" element={
+          <ProtectedRoute>
+            <Layout>
+              <Tags />
+            </Layout>
+          </ProtectedRoute>
+        } />
+        
+        <Route path="/team" element={
+          <ProtectedRoute>
+            <Layout>
+              <Team />
+            </Layout>
+          </ProtectedRoute>
+        } />
+        
+        <Route path="/users" element={
+          <ProtectedRoute permission={Permissions.MANAGE_ROLES}>
+            <Layout>
+              <Users />
+            </Layout>
           </ProtectedRoute>
         } />
         
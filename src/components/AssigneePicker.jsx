@@ -0,0 +1,52 @@
+import { useEffect } from 'react';
+import { useUsers } from '../context/UserContext';
+import { FieldNames, getLookupId } from '../utils/apperClient';
+
+/**
+ * Select for choosing which user a task is assigned to
+ * @param {Object} props - Component props
+ * @param {number|Object|null} props.value - The assigned user's Id, or the assigned_to lookup value
+ * @param {Function} props.onChange - Called with the chosen user's Id, or null for unassigned
+ * @param {boolean} props.disabled - Whether the picker can be changed
+ * @param {string} props.className - Extra classes for the select
+ * @param {string} props.id - The select's id, for a matching label
+ * @returns {JSX.Element} The AssigneePicker component
+ */
+function AssigneePicker({ value, onChange, disabled = false, className = '', id }) {
+  const { users, ensureUsersLoaded } = useUsers();
+  const selectedId = getLookupId(value);
+
+  useEffect(() => {
+    ensureUsersLoaded();
+  }, [ensureUsersLoaded]);
+
+  const handleChange = (e) => {
+    onChange(e.target.value ? Number(e.target.value) : null);
+  };
+
+  // Keep the current assignee visible even before the user list has loaded
+  const hasSelected = selectedId === null || users.some(user => user.Id === selectedId);
+
+  return (
+    <select
+      id={id}
+      value={selectedId ?? ''}
+      onChange={handleChange}
+      disabled={disabled}
+      aria-label="Assignee"
+      className={className}
+    >
+      <option value="">Unassigned</option>
+      {!hasSelected && (
+        <option value={selectedId}>{value?.Name || `User ${selectedId}`}</option>
+      )}
+      {users.map(user => (
+        <option key={user.Id} value={user.Id}>
+          {user[FieldNames.USER.NAME]}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default AssigneePicker;
@@ -0,0 +1,53 @@
+import { useEffect } from 'react';
+import { useCategories } from '../context/CategoryContext';
+import { FieldNames, getLookupId } from '../utils/apperClient';
+
+/**
+ * Select for choosing a task's category, tinted with the category's color
+ * @param {Object} props - Component props
+ * @param {number|Object|null} props.value - The category's Id, or the category lookup value
+ * @param {Function} props.onChange - Called with the chosen category's Id, or null for none
+ * @param {boolean} props.disabled - Whether the picker can be changed
+ * @param {string} props.className - Extra classes for the select
+ * @returns {JSX.Element} The CategoryPicker component
+ */
+function CategoryPicker({ value, onChange, disabled = false, className = '' }) {
+  const { categories, ensureCategoriesLoaded } = useCategories();
+  const selectedId = getLookupId(value);
+  const selected = categories.find(category => category.Id === selectedId);
+  const color = selected ? selected[FieldNames.CATEGORY.COLOR] : null;
+
+  useEffect(() => {
+    ensureCategoriesLoaded();
+  }, [ensureCategoriesLoaded]);
+
+  const handleChange = (e) => {
+    onChange(e.target.value ? Number(e.target.value) : null);
+  };
+
+  // Keep the current category visible even before the list has loaded
+  const hasSelected = selectedId === null || !!selected;
+
+  return (
+    <select
+      value={selectedId ?? ''}
+      onChange={handleChange}
+      disabled={disabled}
+      aria-label="Category"
+      className={`rounded-full ${className}`}
+      style={color ? { backgroundColor: `${color}20`, color } : {}}
+    >
+      <option value="">No category</option>
+      {!hasSelected && (
+        <option value={selectedId}>{value?.Name || `Category ${selectedId}`}</option>
+      )}
+      {categories.map(category => (
+        <option key={category.Id} value={category.Id}>
+          {category[FieldNames.CATEGORY.NAME]}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default CategoryPicker;
@@ -0,0 +1,329 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Search, Plus, FolderOpen, CheckCircle2, ListTodo, User, AlertCircle } from 'lucide-react';
+import { useTask } from '../context/TaskContext';
+import { useAuth } from '../context/AuthContext';
+import * as searchService from '../services/searchService';
+import { FieldNames } from '../utils/apperClient';
+import { isTaskCompleted, buildTaskListUrl, TaskFilterParams } from '../utils/taskFilters';
+import { fuzzyMatch, splitHighlights, getSnippet } from '../utils/fuzzySearch';
+
+// Most results listed at once
+const MAX_RESULTS = 30;
+
+// Descriptions count for less than titles when ranking tasks
+const DESCRIPTION_WEIGHT = 0.6;
+
+// What the palette is searching
+const Modes = {
+  ALL: 'all',
+  PROJECTS: 'projects'
+};
+
+/**
+ * Text with its matched characters highlighted
+ * @param {Object} props - Component props
+ * @param {string} props.text - The text
+ * @param {Array<number>} props.indices - The matched positions
+ * @returns {JSX.Element} The Highlighted component
+ */
+function Highlighted({ text, indices }) {
+  return splitHighlights(text, indices).map((part, index) => (
+    part.highlighted
+      ? <mark key={index} className="bg-yellow-100 text-inherit rounded-sm">{part.text}</mark>
+      : <span key={index}>{part.text}</span>
+  ));
+}
+
+/**
+ * Finds the best match of a query among several fields of a record
+ * @param {string} query - The typed query
+ * @param {Array<Object>} fields - { text, weight } for each searchable field
+ * @returns {Object|null} { score, field, indices } for the best field, or null if none match
+ */
+const matchFields = (query, fields) => {
+  return fields.reduce((best, field, fieldIndex) => {
+    const match = fuzzyMatch(query, field.text);
+    if (!match) return best;
+    const score = match.score * (field.weight ?? 1);
+    return !best || score > best.score ? { score, field: fieldIndex, indices: match.indices } : best;
+  }, null);
+};
+
+/**
+ * Ranks candidates against the query, keeping the matched text for highlighting
+ * @param {Array<Object>} candidates - Results with searchable fields
+ * @param {string} query - The typed query
+ * @returns {Array<Object>} The matching results, best first
+ */
+const rank = (candidates, query) => {
+  return candidates
+    .map(candidate => {
+      const match = matchFields(query, candidate.fields);
+      if (!match) return null;
+      const [primary] = candidate.fields;
+      const matchedPrimary = match.field === 0;
+      const detail = matchedPrimary ? null : getSnippet(candidate.fields[match.field].text, match.indices);
+      return {
+        ...candidate,
+        score: match.score,
+        label: primary.text,
+        labelIndices: matchedPrimary ? match.indices : [],
+        detail: detail ? detail.text : candidate.detail,
+        detailIndices: detail?.indices
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Ctrl/Cmd+K palette for searching tasks, projects and users and running actions
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the palette is shown
+ * @param {Function} props.setIsOpen - State setter for isOpen
+ * @returns {JSX.Element} The CommandPalette component
+ */
+function CommandPalette({ isOpen, setIsOpen }) {
+  const navigate = useNavigate();
+  const { currentTask, fetchTaskById, updateTask } = useTask();
+  const { canEditTask } = useAuth();
+  const [mode, setMode] = useState(Modes.ALL);
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [index, setIndex] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const listRef = useRef(null);
+
+  // Ctrl+K, or Cmd+K on macOS, opens and closes the palette from anywhere
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setIsOpen(open => !open);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [setIsOpen]);
+
+  // Reload the records on every open so new tasks can be found
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setMode(Modes.ALL);
+    setQuery('');
+    setActiveIndex(0);
+    setLoading(true);
+    setError(null);
+    searchService.fetchSearchIndex()
+      .then(setIndex)
+      .catch(err => setError(err.message || 'Failed to load search results'))
+      .finally(() => setLoading(false));
+  }, [isOpen]);
+
+  const close = () => setIsOpen(false);
+
+  const selectedTask = currentTask && !isTaskCompleted(currentTask) && canEditTask(currentTask) ? currentTask : null;
+
+  const actions = [
+    {
+      key: 'action-new-task',
+      icon: Plus,
+      label: 'New task',
+      run: () => navigate('/tasks', { state: { newTask: true } })
+    },
+    {
+      key: 'action-go-to-project',
+      icon: FolderOpen,
+      label: 'Go to project…',
+      keepOpen: true,
+      run: () => {
+        setMode(Modes.PROJECTS);
+        setQuery('');
+        setActiveIndex(0);
+      }
+    },
+    ...(selectedTask ? [{
+      key: 'action-complete-selected',
+      icon: CheckCircle2,
+      label: 'Mark selected complete',
+      detail: selectedTask[FieldNames.TASK.TITLE],
+      run: () => updateTask(selectedTask.Id, { [FieldNames.TASK.STATUS]: 'Completed' })
+    }] : [])
+  ];
+
+  // Building and ranking thousands of records is only redone when the records or the query change
+  const projectResults = useMemo(() => (index?.projects || []).map(project => ({
+    key: `project-${project.Id}`,
+    icon: FolderOpen,
+    type: 'Project',
+    fields: [{ text: project[FieldNames.PROJECT.NAME] }],
+    run: () => navigate(`/projects/${project.Id}`)
+  })), [index, navigate]);
+
+  const recordResults = useMemo(() => [
+    ...(index?.tasks || []).map(task => ({
+      key: `task-${task.Id}`,
+      icon: ListTodo,
+      type: isTaskCompleted(task) ? 'Completed task' : 'Task',
+      fields: [
+        { text: task[FieldNames.TASK.TITLE] },
+        { text: task[FieldNames.TASK.DESCRIPTION], weight: DESCRIPTION_WEIGHT }
+      ],
+      // Selecting a task makes it the current task, shown at the top of the task list
+      run: () => {
+        fetchTaskById(task.Id);
+        navigate('/tasks');
+      }
+    })),
+    ...projectResults,
+    ...(index?.users || []).map(user => ({
+      key: `user-${user.Id}`,
+      icon: User,
+      type: 'User',
+      fields: [{ text: user[FieldNames.USER.NAME] }, { text: user[FieldNames.USER.EMAIL] }],
+      run: () => navigate(buildTaskListUrl({ [TaskFilterParams.ASSIGNEE]: user.Id }))
+    }))
+  ], [index, projectResults, navigate, fetchTaskById]);
+
+  // Only the best records can make the list, so the rest are dropped before actions are merged in
+  const rankedRecords = useMemo(() => {
+    if (!query.trim()) return [];
+    return rank(mode === Modes.PROJECTS ? projectResults : recordResults, query).slice(0, MAX_RESULTS);
+  }, [projectResults, recordResults, query, mode]);
+
+  const asResult = (candidate) => ({ ...candidate, label: candidate.fields[0].text, labelIndices: [] });
+
+  let results;
+  if (mode === Modes.PROJECTS) {
+    results = query.trim() ? rankedRecords : projectResults.map(asResult);
+  } else if (!query.trim()) {
+    results = actions;
+  } else {
+    const actionResults = actions.map(action => ({ ...action, fields: [{ text: action.label }] }));
+    // Actions stay ahead of records with the same score, as the sort is stable
+    results = [...rank(actionResults, query), ...rankedRecords].sort((a, b) => b.score - a.score);
+  }
+  results = results.slice(0, MAX_RESULTS);
+
+  // Keep the highlighted result in view while moving through the list
+  useEffect(() => {
+    listRef.current?.children[activeIndex]?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const runResult = (result) => {
+    if (!result) return;
+    if (!result.keepOpen) close();
+    result.run();
+  };
+
+  const handleQueryChange = (e) => {
+    setQuery(e.target.value);
+    setActiveIndex(0);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(results.length > 0 ? (activeIndex + 1) % results.length : 0);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(results.length > 0 ? (activeIndex - 1 + results.length) % results.length : 0);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      runResult(results[activeIndex]);
+    } else if (e.key === 'Escape') {
+      close();
+    } else if (e.key === 'Backspace' && !query && mode !== Modes.ALL) {
+      setMode(Modes.ALL);
+      setActiveIndex(0);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-start justify-center bg-black/40 p-4 pt-[15vh]"
+      onMouseDown={close}
+    >
+      <div
+        className="card max-w-lg w-full p-0 overflow-hidden"
+        onMouseDown={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Command palette"
+      >
+        <div className="flex items-center gap-2 px-4 py-3 border-b border-surface-200">
+          <Search size={18} className="text-surface-400 shrink-0" />
+          {mode === Modes.PROJECTS && (
+            <span className="badge badge-blue shrink-0">Projects</span>
+          )}
+          <input
+            type="text"
+            value={query}
+            onChange={handleQueryChange}
+            onKeyDown={handleKeyDown}
+            placeholder={mode === Modes.PROJECTS ? 'Go to project…' : 'Search tasks, projects and people, or run a command'}
+            aria-label="Search"
+            autoFocus
+            className="flex-1 border-none bg-transparent p-0 focus:ring-0"
+          />
+        </div>
+
+        {error && (
+          <div className="m-3 p-3 rounded-md bg-red-50 text-sm text-red-600 flex items-center gap-2">
+            <AlertCircle size={16} />
+            {error}
+          </div>
+        )}
+
+        <ul ref={listRef} className="max-h-80 overflow-y-auto py-1" role="listbox">
+          {results.map((result, resultIndex) => {
+            const Icon = result.icon;
+            return (
+              <li
+                key={result.key}
+                role="option"
+                aria-selected={resultIndex === activeIndex}
+                onMouseMove={() => setActiveIndex(resultIndex)}
+                onClick={() => runResult(result)}
+                className={`flex items-center gap-3 px-4 py-2 cursor-pointer ${resultIndex === activeIndex ? 'bg-surface-100' : ''}`}
+              >
+                <Icon size={16} className="text-surface-500 shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm truncate">
+                    <Highlighted text={result.label} indices={result.labelIndices} />
+                  </p>
+                  {result.detail && (
+                    <p className="text-xs text-surface-500 truncate">
+                      <Highlighted text={result.detail} indices={result.detailIndices} />
+                    </p>
+                  )}
+                </div>
+                {result.type && (
+                  <span className="text-xs text-surface-400 shrink-0">{result.type}</span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+
+        {results.length === 0 && (
+          <p className="px-4 py-6 text-center text-sm text-surface-500">
+            {loading ? 'Loading…' : 'No matches'}
+          </p>
+        )}
+
+        <div className="flex items-center gap-4 px-4 py-2 border-t border-surface-200 text-xs text-surface-400">
+          <span>↑↓ to move</span>
+          <span>Enter to open</span>
+          <span>Esc to close</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CommandPalette;
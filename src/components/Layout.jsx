@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import { NavLink, useNavigate } from 'react-router-dom';
+import { Search, LayoutDashboard, ListTodo, Columns3, CalendarDays, GanttChart, Tags, Hash, UsersRound, Users, LogOut } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import SyncStatus from './SyncStatus';
+import MutationErrorToasts from './MutationErrorToasts';
+import SessionWarning from './SessionWarning';
+import CommandPalette from './CommandPalette';
+import { Permissions } from '../utils/permissions';
+
+// Primary navigation entries shown in the header
+const navItems = [
+  { to: '/dashboard', label: 'Dashboard', icon: LayoutDashboard },
+  { to: '/tasks', label: 'Tasks', icon: ListTodo },
+  { to: '/board', label: 'Board', icon: Columns3 },
+  { to: '/calendar', label: 'Calendar', icon: CalendarDays },
+  { to: '/timeline', label: 'Timeline', icon: GanttChart },
+  { to: '/categories', label: 'Categories', icon: Tags },
+  { to: '/tags', label: 'Tags', icon: Hash },
+  { to: '/team', label: 'Team', icon: UsersRound },
+  { to: '/users', label: 'Users', icon: Users, permission: Permissions.MANAGE_ROLES }
+];
+
+// Choices for signing out after inactivity, in minutes
+const idleTimeoutOptions = [
+  { value: 15, label: 'Sign out after 15 min idle' },
+  { value: 30, label: 'Sign out after 30 min idle' },
+  { value: 60, label: 'Sign out after 1 hour idle' },
+  { value: 240, label: 'Sign out after 4 hours idle' },
+  { value: 0, label: 'Never sign out when idle' }
+];
+
+/**
+ * Application shell with the main navigation for signed-in pages
+ * @param {Object} props - Component props
+ * @returns {JSX.Element} The Layout component
+ */
+function Layout({ children }) {
+  const { user, role, logout, hasPermission, idleTimeoutMinutes, setIdleTimeout } = useAuth();
+  const navigate = useNavigate();
+  const [paletteOpen, setPaletteOpen] = useState(false);
+
+  const handleLogout = () => {
+    logout();
+    navigate('/login');
+  };
+
+  return (
+    <div className="min-h-screen">
+      <header className="bg-white shadow-sm">
+        <div className="container mx-auto px-4 py-3 flex items-center justify-between">
+          <div className="flex items-center gap-6">
+            <span className="text-lg font-bold text-primary">TaskFlow</span>
+            <nav className="flex items-center gap-1">
+              {navItems.filter(item => !item.permission || hasPermission(item.permission)).map(({ to, label, icon: Icon }) => (
+                <NavLink
+                  key={to}
+                  to={to}
+                  className={({ isActive }) => `flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm font-medium ${
+                    isActive ? 'bg-primary/10 text-primary' : 'text-surface-600 hover:bg-surface-100'
+                  }`}
+                >
+                  <Icon size={16} />
+                  {label}
+                </NavLink>
+              ))}
+            </nav>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => setPaletteOpen(true)}
+              title="Search and commands (Ctrl+K)"
+              className="btn-secondary text-sm gap-1.5 text-surface-500"
+            >
+              <Search size={16} />
+              Search
+              <kbd className="text-xs text-surface-400">Ctrl K</kbd>
+            </button>
+            <SyncStatus />
+            <select
+              value={idleTimeoutMinutes}
+              onChange={(e) => setIdleTimeout(Number(e.target.value))}
+              aria-label="Idle timeout"
+              className="text-xs py-1"
+            >
+              {idleTimeoutOptions.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            {user && (
+              <span className="text-sm text-surface-600">
+                {user.firstName || user.emailAddress}
+                <span className="ml-1.5 text-xs text-surface-400">{role}</span>
+              </span>
+            )}
+            <button onClick={handleLogout} className="btn-secondary text-sm gap-1.5">
+              <LogOut size={16} />
+              Log out
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main>{children}</main>
+      
+      <MutationErrorToasts />
+      <SessionWarning />
+      <CommandPalette isOpen={paletteOpen} setIsOpen={setPaletteOpen} />
+    </div>
+  );
+}
+
+export default Layout;
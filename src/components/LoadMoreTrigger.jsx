@@ -0,0 +1,43 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Loads the next page when scrolled into view, with a button as fallback
+ * @param {Object} props - Component props
+ * @param {boolean} props.hasMore - Whether more records can be loaded
+ * @param {boolean} props.loading - Whether a page is currently loading
+ * @param {Function} props.onLoadMore - Loads the next page
+ * @returns {JSX.Element|null} The LoadMoreTrigger component
+ */
+function LoadMoreTrigger({ hasMore, loading, onLoadMore }) {
+  const sentinelRef = useRef(null);
+  
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || loading || typeof IntersectionObserver === 'undefined') return;
+    
+    const observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        onLoadMore();
+      }
+    }, { rootMargin: '200px' });
+    
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loading, onLoadMore]);
+  
+  if (!hasMore) return null;
+  
+  return (
+    <div ref={sentinelRef} className="flex justify-center py-4">
+      <button
+        onClick={onLoadMore}
+        disabled={loading}
+        className="btn-secondary text-sm disabled:opacity-60"
+      >
+        {loading ? 'Loading...' : 'Load more'}
+      </button>
+    </div>
+  );
+}
+
+export default LoadMoreTrigger;
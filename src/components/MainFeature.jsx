@@ -1,28 +1,75 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { PlusCircle, X, Calendar, Tag, AlertCircle } from 'lucide-react';
+import { FieldNames } from '../utils/apperClient';
+import AssigneePicker from './AssigneePicker';
+import RecurrenceEditor from './RecurrenceEditor';
+import QuickAdd from './QuickAdd';
+import TagInput from './TagInput';
+import { useTask } from '../context/TaskContext';
+import { useCategories } from '../context/CategoryContext';
+import { serializeRecurrence, validateRecurrence } from '../utils/recurrence';
+import { serializeTags } from '../utils/tags';
 
-function MainFeature({ onAddTask }) {
-  const [isFormOpen, setIsFormOpen] = useState(false);
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    dueDate: '',
-    priority: 'Medium',
-    category: '',
-    categoryColor: '#6366f1'
-  });
+const priorityOptions = ['High', 'Medium', 'Low'];
+
+// Values of a blank task form
+const emptyFormData = {
+  title: '',
+  description: '',
+  dueDate: '',
+  priority: 'Medium',
+  assignedTo: null,
+  recurrence: null,
+  categoryId: null,
+  tags: []
+};
+
+/**
+ * Converts form values to the fields of a new task
+ * @param {Object} formData - The form values
+ * @returns {Object} The task fields
+ */
+const buildTask = (formData) => ({
+  [FieldNames.TASK.NAME]: formData.title.trim(),
+  [FieldNames.TASK.TITLE]: formData.title.trim(),
+  [FieldNames.TASK.DESCRIPTION]: formData.description,
+  [FieldNames.TASK.DUE_DATE]: formData.dueDate || null,
+  [FieldNames.TASK.PRIORITY]: formData.priority,
+  [FieldNames.TASK.STATUS]: 'Todo',
+  [FieldNames.TASK.ASSIGNED_TO]: formData.assignedTo,
+  [FieldNames.TASK.RECURRENCE]: serializeRecurrence(formData.recurrence),
+  [FieldNames.TASK.CATEGORY]: formData.categoryId,
+  [FieldNames.TASK.TAGS]: serializeTags(formData.tags)
+});
+
+/**
+ * Quick-add line and collapsible form for adding a task
+ * @param {Object} props - Component props
+ * @param {Function} props.onAddTask - Called with the new task's fields; returns the created task
+ * @param {Object} props.initialValues - Form values to start from, e.g. { dueDate: '2024-05-01' }
+ * @param {boolean} props.defaultOpen - Whether the form starts expanded
+ * @param {Function} props.onCancel - Called when the user closes the form without adding a task
+ * @param {number} props.projectId - Project that onAddTask already adds new tasks to, if any
+ * @returns {JSX.Element} The MainFeature component
+ */
+function MainFeature({ onAddTask, initialValues = {}, defaultOpen = false, onCancel, projectId }) {
+  const { associateWithProject, knownTags, ensureTagUsageLoaded } = useTask();
+  const { categories, ensureCategoriesLoaded } = useCategories();
+  const [isFormOpen, setIsFormOpen] = useState(defaultOpen);
+  const [formData, setFormData] = useState(() => ({ ...emptyFormData, ...initialValues }));
   const [errors, setErrors] = useState({});
   
-  const categoryOptions = [
-    { name: 'Work', color: '#6366f1' },
-    { name: 'Personal', color: '#ec4899' },
-    { name: 'Health', color: '#10b981' },
-    { name: 'Education', color: '#f59e0b' },
-    { name: 'Finance', color: '#06b6d4' }
-  ];
+  useEffect(() => {
+    ensureCategoriesLoaded();
+  }, [ensureCategoriesLoaded]);
   
-  const priorityOptions = ['High', 'Medium', 'Low'];
+  // Tag suggestions are only needed once the full form is open
+  useEffect(() => {
+    if (isFormOpen) {
+      ensureTagUsageLoaded();
+    }
+  }, [isFormOpen, ensureTagUsageLoaded]);
   
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -34,11 +81,11 @@ function MainFeature({ onAddTask }) {
     }
   };
   
+  // Picking the selected category again clears it
   const handleCategorySelect = (category) => {
     setFormData({ 
       ...formData, 
-      category: category.name,
-      categoryColor: category.color
+      categoryId: formData.categoryId === category.Id ? null : category.Id
     });
   };
   
@@ -53,6 +100,11 @@ function MainFeature({ onAddTask }) {
       newErrors.dueDate = "Due date cannot be in the past";
     }
     
+    const recurrenceError = validateRecurrence(formData.recurrence);
+    if (recurrenceError) {
+      newErrors.recurrence = recurrenceError;
+    }
+    
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -62,29 +114,36 @@ function MainFeature({ onAddTask }) {
     
     if (!validateForm()) return;
     
-    const newTask = {
-      id: Date.now().toString(),
-      ...formData,
-      createdAt: new Date().toISOString(),
-      isCompleted: false,
-      completedAt: null
-    };
-    
-    onAddTask(newTask);
+    onAddTask(buildTask(formData));
     
     // Reset form
-    setFormData({
-      title: '',
-      description: '',
-      dueDate: '',
-      priority: 'Medium',
-      category: '',
-      categoryColor: '#6366f1'
-    });
+    setFormData({ ...emptyFormData, ...initialValues });
     
     setIsFormOpen(false);
   };
   
+  const handleQuickAdd = async (parsed) => {
+    const newTask = await onAddTask(buildTask({
+      ...emptyFormData,
+      ...initialValues,
+      title: parsed.title,
+      dueDate: parsed.dueDate || initialValues.dueDate || '',
+      priority: parsed.priority || initialValues.priority || emptyFormData.priority,
+      assignedTo: parsed.assignee ? parsed.assignee.Id : initialValues.assignedTo ?? null,
+      categoryId: parsed.category ? parsed.category.Id : initialValues.categoryId ?? null
+    }));
+    
+    // Tasks saved only locally are linked once they sync
+    if (newTask && parsed.project && parsed.project.Id !== projectId) {
+      await associateWithProject(newTask.Id, parsed.project.Id);
+    }
+  };
+  
+  const closeForm = () => {
+    setIsFormOpen(false);
+    if (onCancel) onCancel();
+  };
+  
   return (
     <div className="relative">
       <AnimatePresence>
@@ -99,7 +158,7 @@ function MainFeature({ onAddTask }) {
               <div className="flex items-center justify-between mb-4">
                 <h2 className="text-lg font-semibold">Add New Task</h2>
                 <button 
-                  onClick={() => setIsFormOpen(false)}
+                  onClick={closeForm}
                   className="p-1 rounded-full hover:bg-surface-100 dark:hover:bg-surface-700 transition-colors"
                 >
                   <X size={18} />
@@ -195,42 +254,90 @@ function MainFeature({ onAddTask }) {
                     </div>
                   </div>
                   
+                  <div>
+                    <label htmlFor="recurrence" className="block text-sm font-medium mb-1">
+                      Repeat
+                    </label>
+                    <RecurrenceEditor
+                      id="recurrence"
+                      value={formData.recurrence}
+                      onChange={(recurrence) => {
+                        setFormData({ ...formData, recurrence });
+                        setErrors({ ...errors, recurrence: null });
+                      }}
+                      referenceDate={formData.dueDate ? new Date(`${formData.dueDate}T00:00:00`) : new Date()}
+                    />
+                    {errors.recurrence && (
+                      <p className="mt-1 text-sm text-red-500 flex items-center gap-1">
+                        <AlertCircle size={14} />
+                        {errors.recurrence}
+                      </p>
+                    )}
+                  </div>
+                  
+                  <div>
+                    <label htmlFor="assignedTo" className="block text-sm font-medium mb-1">
+                      Assignee
+                    </label>
+                    <AssigneePicker
+                      id="assignedTo"
+                      value={formData.assignedTo}
+                      onChange={(assignedTo) => setFormData({ ...formData, assignedTo })}
+                      className="input"
+                    />
+                  </div>
+                  
                   <div>
                     <label className="block text-sm font-medium mb-1">
                       Category
                     </label>
                     <div className="relative">
                       <div className="flex flex-wrap gap-2">
-                        {categoryOptions.map(category => (
+                        {categories.map(category => (
                           <button
-                            key={category.name}
+                            key={category.Id}
                             type="button"
                             onClick={() => handleCategorySelect(category)}
                             className={`inline-flex items-center gap-1.5 py-1.5 px-3 rounded-full text-sm transition-all ${
-                              formData.category === category.name
+                              formData.categoryId === category.Id
                                 ? 'bg-opacity-20 font-medium'
                                 : 'bg-surface-100 dark:bg-surface-800 text-surface-600 dark:text-surface-400 hover:bg-surface-200 dark:hover:bg-surface-700'
                             }`}
-                            style={formData.category === category.name ? {
-                              backgroundColor: `${category.color}20`,
-                              color: category.color
+                            style={formData.categoryId === category.Id ? {
+                              backgroundColor: `${category[FieldNames.CATEGORY.COLOR]}20`,
+                              color: category[FieldNames.CATEGORY.COLOR]
                             } : {}}
                           >
                             <span 
                               className="w-2 h-2 rounded-full" 
-                              style={{ backgroundColor: category.color }}
+                              style={{ backgroundColor: category[FieldNames.CATEGORY.COLOR] }}
                             ></span>
-                            {category.name}
+                            {category[FieldNames.CATEGORY.NAME]}
                           </button>
                         ))}
+                        {categories.length === 0 && (
+                          <p className="text-sm text-surface-500">No categories yet.</p>
+                        )}
                       </div>
                     </div>
                   </div>
                   
+                  <div>
+                    <label htmlFor="tags" className="block text-sm font-medium mb-1">
+                      Tags
+                    </label>
+                    <TagInput
+                      id="tags"
+                      value={formData.tags}
+                      onChange={(tags) => setFormData({ ...formData, tags })}
+                      suggestions={knownTags}
+                    />
+                  </div>
+                  
                   <div className="flex justify-end gap-3 pt-2">
                     <button
                       type="button"
-                      onClick={() => setIsFormOpen(false)}
+                      onClick={closeForm}
                       className="btn btn-outline"
                     >
                       Cancel
@@ -249,18 +356,27 @@ function MainFeature({ onAddTask }) {
             </div>
           </motion.div>
         ) : (
-          <motion.button
+          <motion.div
             initial={{ opacity: 0, y: 10 }}
             animate={{ opacity: 1, y: 0 }}
             exit={{ opacity: 0, y: -10 }}
-            whileHover={{ scale: 1.03 }}
-            whileTap={{ scale: 0.97 }}
-            onClick={() => setIsFormOpen(true)}
-            className="w-full py-3 px-4 rounded-xl border-2 border-dashed border-surface-300 dark:border-surface-700 hover:border-primary dark:hover:border-primary flex items-center justify-center gap-2 text-surface-600 dark:text-surface-400 hover:text-primary dark:hover:text-primary transition-all duration-200"
+            className="space-y-3"
           >
-            <PlusCircle size={20} />
-            <span className="font-medium">Add New Task</span>
-          </motion.button>
+            <QuickAdd
+              priorityOptions={priorityOptions}
+              categoryOptions={categories}
+              onSubmit={handleQuickAdd}
+            />
+            <motion.button
+              whileHover={{ scale: 1.03 }}
+              whileTap={{ scale: 0.97 }}
+              onClick={() => setIsFormOpen(true)}
+              className="w-full py-3 px-4 rounded-xl border-2 border-dashed border-surface-300 dark:border-surface-700 hover:border-primary dark:hover:border-primary flex items-center justify-center gap-2 text-surface-600 dark:text-surface-400 hover:text-primary dark:hover:text-primary transition-all duration-200"
+            >
+              <PlusCircle size={20} />
+              <span className="font-medium">Add New Task</span>
+            </motion.button>
+          </motion.div>
         )}
       </AnimatePresence>
     </div>
@@ -0,0 +1,53 @@
+import { AnimatePresence, motion } from 'framer-motion';
+import { AlertCircle, RotateCcw, X } from 'lucide-react';
+import { useTask } from '../context/TaskContext';
+import { useProject } from '../context/ProjectContext';
+
+/**
+ * Toasts for failed task and project changes, each with a retry action
+ * @returns {JSX.Element} The MutationErrorToasts component
+ */
+function MutationErrorToasts() {
+  const taskContext = useTask();
+  const projectContext = useProject();
+  
+  const toasts = [
+    ...taskContext.mutationErrors.map(mutationError => ({ ...mutationError, source: taskContext, key: `task-${mutationError.id}` })),
+    ...projectContext.mutationErrors.map(mutationError => ({ ...mutationError, source: projectContext, key: `project-${mutationError.id}` }))
+  ];
+  
+  return (
+    <div className="fixed bottom-4 right-4 z-50 space-y-2 w-96 max-w-[calc(100vw-2rem)]">
+      <AnimatePresence>
+        {toasts.map(({ key, id, message, source }) => (
+          <motion.div
+            key={key}
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, x: 20 }}
+            className="bg-white shadow-lg rounded-lg border border-red-200 p-3 flex items-start gap-2"
+          >
+            <AlertCircle size={18} className="text-red-500 mt-0.5 shrink-0" />
+            <p className="flex-1 text-sm">{message}</p>
+            <button
+              onClick={() => source.retryMutation(id)}
+              className="px-2 py-1 text-sm gap-1 text-primary hover:bg-surface-100"
+            >
+              <RotateCcw size={14} />
+              Retry
+            </button>
+            <button
+              onClick={() => source.dismissMutationError(id)}
+              title="Dismiss"
+              className="p-1 text-surface-400 hover:text-surface-700"
+            >
+              <X size={14} />
+            </button>
+          </motion.div>
+        ))}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export default MutationErrorToasts;
@@ -0,0 +1,43 @@
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+
+/**
+ * Previous/next page controls for a paginated list
+ * @param {Object} props - Component props
+ * @param {Object} props.paging - The paging state ({ total, limit, offset, hasMore })
+ * @param {Function} props.onPageChange - Called with the offset of the requested page
+ * @returns {JSX.Element|null} The Pagination component
+ */
+function Pagination({ paging, onPageChange }) {
+  const { total, limit, offset, hasMore } = paging;
+  const page = Math.floor(offset / limit) + 1;
+  const pageCount = total !== null ? Math.max(1, Math.ceil(total / limit)) : null;
+  
+  if (page === 1 && !hasMore) return null;
+  
+  return (
+    <div className="flex items-center justify-between pt-3 text-sm text-surface-500">
+      <button
+        onClick={() => onPageChange(Math.max(0, offset - limit))}
+        disabled={page === 1}
+        title="Previous page"
+        className="p-1 disabled:opacity-40"
+      >
+        <ChevronLeft size={16} />
+      </button>
+      <span>
+        Page {page}{pageCount ? ` of ${pageCount}` : ''}
+        {total !== null && ` · ${total} total`}
+      </span>
+      <button
+        onClick={() => onPageChange(offset + limit)}
+        disabled={!hasMore}
+        title="Next page"
+        className="p-1 disabled:opacity-40"
+      >
+        <ChevronRight size={16} />
+      </button>
+    </div>
+  );
+}
+
+export default Pagination;
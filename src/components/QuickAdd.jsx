@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import { format, parseISO, startOfDay } from 'date-fns';
+import { Zap, Calendar, Flag, Tag, User, FolderOpen, AlertCircle } from 'lucide-react';
+import { useUsers } from '../context/UserContext';
+import { useProject } from '../context/ProjectContext';
+import { FieldNames } from '../utils/apperClient';
+import { parseQuickAdd } from '../utils/quickAdd';
+
+/**
+ * Chip showing one parsed field in the quick-add preview
+ * @param {Object} props - Component props
+ * @returns {JSX.Element} The PreviewChip component
+ */
+function PreviewChip({ icon: Icon, label, children, tone = 'bg-surface-100 text-surface-700' }) {
+  return (
+    <span className={`inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-xs ${tone}`} title={label}>
+      <Icon size={12} />
+      {children}
+    </span>
+  );
+}
+
+/**
+ * Single-line task entry that reads the due date, priority, category,
+ * assignee and project out of the typed text, with a live preview
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.priorityOptions - Priorities that !markers can pick
+ * @param {Array<Object>} props.categoryOptions - category1 records that #markers can pick
+ * @param {Function} props.onSubmit - Called with the parsed fields; may return a promise
+ * @returns {JSX.Element} The QuickAdd component
+ */
+function QuickAdd({ priorityOptions, categoryOptions, onSubmit }) {
+  const { users, ensureUsersLoaded } = useUsers();
+  const { projectOptions, ensureProjectOptionsLoaded } = useProject();
+  const [text, setText] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const parsed = parseQuickAdd(text, {
+    priorities: priorityOptions,
+    categories: categoryOptions,
+    users,
+    projects: projectOptions
+  });
+  const dueDate = parsed.dueDate ? parseISO(parsed.dueDate) : null;
+  const error = !parsed.title
+    ? 'Add a title'
+    : dueDate && dueDate < startOfDay(new Date())
+      ? 'Due date cannot be in the past'
+      : null;
+
+  // Load what @ and + can refer to the first time the field is used
+  const handleFocus = () => {
+    ensureUsersLoaded();
+    ensureProjectOptionsLoaded();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (error || submitting) return;
+
+    setSubmitting(true);
+    try {
+      await onSubmit(parsed);
+      setText('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="card p-3">
+      <div className="flex items-center gap-2">
+        <Zap size={18} className="text-primary shrink-0" />
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onFocus={handleFocus}
+          placeholder='Quick add, e.g. "Pay rent next Friday !high #Finance @alex +Website"'
+          aria-label="Quick add task"
+          className="flex-1 border-none bg-transparent focus:ring-0"
+        />
+        <button type="submit" disabled={!text.trim() || !!error || submitting} className="btn-primary text-sm disabled:opacity-50">
+          Add
+        </button>
+      </div>
+
+      {text.trim() && (
+        <div className="mt-2 flex flex-wrap items-center gap-1.5 pl-7">
+          <span className="text-sm font-medium mr-1">{parsed.title || <span className="italic text-surface-400">No title</span>}</span>
+          {dueDate && (
+            <PreviewChip icon={Calendar} label="Due date">{format(dueDate, 'EEE, MMM d')}</PreviewChip>
+          )}
+          {parsed.priority && (
+            <PreviewChip icon={Flag} label="Priority">{parsed.priority}</PreviewChip>
+          )}
+          {parsed.category && (
+            <span
+              className="inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-xs"
+              style={{ backgroundColor: `${parsed.category[FieldNames.CATEGORY.COLOR]}20`, color: parsed.category[FieldNames.CATEGORY.COLOR] }}
+              title="Category"
+            >
+              <Tag size={12} />
+              {parsed.category[FieldNames.CATEGORY.NAME]}
+            </span>
+          )}
+          {parsed.assignee && (
+            <PreviewChip icon={User} label="Assignee">{parsed.assignee[FieldNames.USER.NAME]}</PreviewChip>
+          )}
+          {parsed.project && (
+            <PreviewChip icon={FolderOpen} label="Project">{parsed.project[FieldNames.PROJECT.NAME]}</PreviewChip>
+          )}
+          {parsed.unmatched.map((token, index) => (
+            <PreviewChip key={`${token}-${index}`} icon={AlertCircle} label="Not recognized" tone="bg-amber-50 text-amber-700">
+              {token}?
+            </PreviewChip>
+          ))}
+          {error && (
+            <span className="text-xs text-red-500">{error}</span>
+          )}
+        </div>
+      )}
+    </form>
+  );
+}
+
+export default QuickAdd;
@@ -0,0 +1,113 @@
+import { getDate, getDay } from 'date-fns';
+import { RecurrenceFrequencies, WEEKDAY_NAMES } from '../utils/recurrence';
+
+// Options of the frequency select; an empty value means the task does not repeat
+const frequencyOptions = [
+  { value: '', label: 'Does not repeat' },
+  { value: RecurrenceFrequencies.DAILY, label: 'Daily' },
+  { value: RecurrenceFrequencies.WEEKDAYS, label: 'Every weekday' },
+  { value: RecurrenceFrequencies.WEEKLY, label: 'Weekly on...' },
+  { value: RecurrenceFrequencies.MONTHLY, label: 'Monthly on day...' },
+  { value: RecurrenceFrequencies.INTERVAL, label: 'Every N days' }
+];
+
+/**
+ * Builds a rule with sensible defaults for a newly chosen frequency
+ * @param {string} frequency - One of RecurrenceFrequencies, or '' for none
+ * @param {Date} referenceDate - Date the defaults are taken from, usually the due date
+ * @returns {Object|null} The new rule
+ */
+const defaultRule = (frequency, referenceDate) => {
+  switch (frequency) {
+    case '':
+      return null;
+    case RecurrenceFrequencies.WEEKLY:
+      return { frequency, days: [getDay(referenceDate)] };
+    case RecurrenceFrequencies.MONTHLY:
+      return { frequency, dayOfMonth: getDate(referenceDate) };
+    case RecurrenceFrequencies.INTERVAL:
+      return { frequency, interval: 2 };
+    default:
+      return { frequency };
+  }
+};
+
+/**
+ * Form controls for editing a recurrence rule
+ * @param {Object} props - Component props
+ * @param {Object|null} props.value - The current rule
+ * @param {Function} props.onChange - Called with the new rule, or null for no repetition
+ * @param {Date} props.referenceDate - Date used to prefill the weekday or day of month
+ * @param {string} props.id - The select's id, for a matching label
+ * @returns {JSX.Element} The RecurrenceEditor component
+ */
+function RecurrenceEditor({ value, onChange, referenceDate = new Date(), id }) {
+  const frequency = value?.frequency || '';
+
+  const toggleDay = (day) => {
+    const days = value.days.includes(day)
+      ? value.days.filter(existing => existing !== day)
+      : [...value.days, day].sort();
+    onChange({ ...value, days });
+  };
+
+  return (
+    <div className="space-y-2">
+      <select
+        id={id}
+        value={frequency}
+        onChange={(e) => onChange(defaultRule(e.target.value, referenceDate))}
+        className="input"
+      >
+        {frequencyOptions.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+
+      {frequency === RecurrenceFrequencies.WEEKLY && (
+        <div className="flex flex-wrap gap-1">
+          {WEEKDAY_NAMES.map((name, day) => (
+            <button
+              key={name}
+              type="button"
+              onClick={() => toggleDay(day)}
+              className={`px-2 py-1 rounded-md text-xs font-medium ${
+                value.days.includes(day) ? 'bg-primary text-white' : 'bg-surface-100 text-surface-600 hover:bg-surface-200'
+              }`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {frequency === RecurrenceFrequencies.MONTHLY && (
+        <input
+          type="number"
+          min="1"
+          max="31"
+          value={value.dayOfMonth}
+          onChange={(e) => onChange({ ...value, dayOfMonth: Number(e.target.value) })}
+          aria-label="Day of the month"
+          className="input w-24"
+        />
+      )}
+
+      {frequency === RecurrenceFrequencies.INTERVAL && (
+        <label className="flex items-center gap-2 text-sm">
+          Every
+          <input
+            type="number"
+            min="1"
+            value={value.interval}
+            onChange={(e) => onChange({ ...value, interval: Number(e.target.value) })}
+            className="input w-20"
+          />
+          days
+        </label>
+      )}
+    </div>
+  );
+}
+
+export default RecurrenceEditor;
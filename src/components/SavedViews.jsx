@@ -0,0 +1,143 @@
+import { useEffect, useState } from 'react';
+import { Bookmark, Plus, X, AlertCircle } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import * as savedViewService from '../services/savedViewService';
+import { FieldNames } from '../utils/apperClient';
+
+/**
+ * The signed-in user's saved task list views
+ * Saving under an existing name replaces that view's filters.
+ * @param {Object} props - Component props
+ * @param {string} props.query - The task list's current query string, from serializeTaskListQuery
+ * @param {Function} props.onApply - Called with a view's query string when it is picked
+ * @returns {JSX.Element} The SavedViews component
+ */
+function SavedViews({ query, onApply }) {
+  const { userRecord } = useAuth();
+  const ownerId = userRecord?.Id ?? null;
+  const [views, setViews] = useState([]);
+  const [draftName, setDraftName] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (ownerId === null) return;
+
+    savedViewService.fetchSavedViews(ownerId)
+      .then(setViews)
+      .catch(err => setError(err.message || 'Failed to load saved views'));
+  }, [ownerId]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const name = draftName.trim();
+    if (!name) return;
+
+    setError(null);
+    const existing = views.find(view => (view[FieldNames.SAVED_VIEW.NAME] || '').toLowerCase() === name.toLowerCase());
+
+    try {
+      if (existing) {
+        const updated = await savedViewService.updateSavedView(existing.Id, { [FieldNames.SAVED_VIEW.QUERY]: query });
+        setViews(prevViews => prevViews.map(view => view.Id === existing.Id ? updated : view));
+      } else {
+        const created = await savedViewService.createSavedView({
+          [FieldNames.SAVED_VIEW.NAME]: name,
+          [FieldNames.SAVED_VIEW.QUERY]: query,
+          [FieldNames.SAVED_VIEW.OWNER]: ownerId
+        });
+        setViews(prevViews => [...prevViews, created].sort((a, b) =>
+          (a[FieldNames.SAVED_VIEW.NAME] || '').localeCompare(b[FieldNames.SAVED_VIEW.NAME] || '')
+        ));
+      }
+      setDraftName(null);
+    } catch (err) {
+      setError(err.message || 'Failed to save view');
+    }
+  };
+
+  const handleDelete = async (viewId) => {
+    setError(null);
+
+    try {
+      await savedViewService.deleteSavedView(viewId);
+      setViews(prevViews => prevViews.filter(view => view.Id !== viewId));
+    } catch (err) {
+      setError(err.message || 'Failed to delete view');
+    }
+  };
+
+  // Views belong to a User1 record, which users without one do not have
+  if (ownerId === null) return null;
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <Bookmark size={16} className="text-surface-500" />
+        {views.map(view => {
+          const active = (view[FieldNames.SAVED_VIEW.QUERY] || '') === query;
+          return (
+            <span
+              key={view.Id}
+              className={`inline-flex items-center rounded-full text-sm ${
+                active ? 'bg-primary text-white' : 'bg-surface-100 text-surface-700'
+              }`}
+            >
+              <button
+                onClick={() => onApply(view[FieldNames.SAVED_VIEW.QUERY] || '')}
+                className="pl-3 pr-1 py-1 font-normal"
+              >
+                {view[FieldNames.SAVED_VIEW.NAME]}
+              </button>
+              <button
+                onClick={() => handleDelete(view.Id)}
+                aria-label={`Delete view ${view[FieldNames.SAVED_VIEW.NAME]}`}
+                className="pl-1 pr-2 py-1 opacity-60 hover:opacity-100"
+              >
+                <X size={12} />
+              </button>
+            </span>
+          );
+        })}
+
+        {draftName !== null ? (
+          <form onSubmit={handleSave} className="flex items-center gap-2">
+            <input
+              type="text"
+              value={draftName}
+              onChange={(e) => setDraftName(e.target.value)}
+              placeholder='e.g. "My high-priority overdue"'
+              aria-label="View name"
+              autoFocus
+              className="text-sm"
+            />
+            <button type="submit" disabled={!draftName.trim()} className="btn-primary text-sm disabled:opacity-50">
+              Save
+            </button>
+            <button type="button" onClick={() => setDraftName(null)} className="btn-secondary text-sm">
+              Cancel
+            </button>
+          </form>
+        ) : (
+          <button
+            onClick={() => setDraftName('')}
+            disabled={!query}
+            title={query ? 'Save the current filters and sort order' : 'Set a filter to save a view'}
+            className="px-2 py-1 text-sm text-surface-600 hover:bg-surface-100 gap-1 disabled:opacity-50"
+          >
+            <Plus size={14} />
+            Save view
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mt-2 p-3 rounded-md bg-red-50 text-sm text-red-600 flex items-center gap-2">
+          <AlertCircle size={16} />
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SavedViews;
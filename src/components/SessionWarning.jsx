@@ -0,0 +1,55 @@
+import { useEffect, useState } from 'react';
+import { Clock } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { SessionEndReasons } from '../services/authService';
+
+/**
+ * Prompt shown shortly before the session ends, with a countdown
+ * @returns {JSX.Element|null} The SessionWarning component
+ */
+function SessionWarning() {
+  const { sessionWarning, extendSession, logout } = useAuth();
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!sessionWarning) return;
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [sessionWarning]);
+
+  if (!sessionWarning) {
+    return null;
+  }
+
+  const seconds = Math.max(0, Math.ceil((sessionWarning.endsAt - now) / 1000));
+  const isIdle = sessionWarning.reason === SessionEndReasons.IDLE;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <div className="card max-w-md w-full">
+        <h2 className="text-lg font-semibold flex items-center gap-2 mb-2">
+          <Clock size={20} className="text-amber-500" />
+          {isIdle ? 'Are you still there?' : 'Your session is ending'}
+        </h2>
+        <p className="text-sm text-surface-600 mb-4">
+          {isIdle
+            ? `You will be signed out in ${seconds} seconds because of inactivity.`
+            : `Your session expires in ${seconds} seconds. Sign in again to keep working.`}
+        </p>
+        <div className="flex justify-end gap-2">
+          <button onClick={logout} className="btn-secondary">
+            Log out now
+          </button>
+          {isIdle && (
+            <button onClick={extendSession} className="btn-primary">
+              Stay signed in
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SessionWarning;
@@ -0,0 +1,26 @@
+// Badge classes for project and task statuses
+const statusBadges = {
+  'Not Started': 'badge-yellow',
+  'Todo': 'badge-yellow',
+  'In Progress': 'badge-blue',
+  'Completed': 'badge-green'
+};
+
+/**
+ * Colored badge for a task or project status
+ * @param {Object} props - Component props
+ * @param {string} props.status - The status value
+ * @param {string} props.fallback - Label shown when the status is empty
+ * @returns {JSX.Element} The StatusBadge component
+ */
+function StatusBadge({ status, fallback = 'Todo' }) {
+  const label = status || fallback;
+  
+  return (
+    <span className={`badge ${statusBadges[label] || 'badge-blue'}`}>
+      {label}
+    </span>
+  );
+}
+
+export default StatusBadge;
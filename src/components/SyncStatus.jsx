@@ -0,0 +1,129 @@
+import { useEffect, useState } from 'react';
+import { AlertTriangle, CloudOff, RefreshCw } from 'lucide-react';
+import { useTask } from '../context/TaskContext';
+import { FieldNames } from '../utils/apperClient';
+
+/**
+ * Formats a task field value for the conflict comparison
+ * @param {*} value - The field value
+ * @returns {string} A readable value
+ */
+const displayValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return value.Name || String(value.Id);
+  return String(value);
+};
+
+/**
+ * Prompt shown when a queued change collides with a newer server version
+ * @param {Object} props - Component props
+ * @returns {JSX.Element} The SyncConflictDialog component
+ */
+function SyncConflictDialog({ conflict, onResolve }) {
+  const { mutation, serverRecord, changedFields, localTask } = conflict;
+  const isDelete = mutation.type === 'delete';
+  
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <div className="card max-w-lg w-full">
+        <h2 className="text-lg font-semibold flex items-center gap-2 mb-2">
+          <AlertTriangle size={20} className="text-amber-500" />
+          Sync conflict
+        </h2>
+        <p className="text-sm text-surface-600 mb-4">
+          &ldquo;{serverRecord[FieldNames.TASK.TITLE]}&rdquo; was changed by someone else while you were offline.
+          {isDelete ? ' You deleted this task.' : ' Choose which version to keep.'}
+        </p>
+        
+        <table className="mb-4 text-sm">
+          <thead>
+            <tr>
+              <th className="px-2 py-1">Field</th>
+              <th className="px-2 py-1">Server</th>
+              {!isDelete && <th className="px-2 py-1">Yours</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {changedFields.map(field => (
+              <tr key={field}>
+                <td className="px-2 py-1 font-medium">{field}</td>
+                <td className="px-2 py-1">{displayValue(serverRecord[field])}</td>
+                {!isDelete && (
+                  <td className="px-2 py-1">
+                    {displayValue(field in mutation.data ? mutation.data[field] : localTask?.[field])}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        
+        <div className="flex justify-end gap-2">
+          <button onClick={() => onResolve('server')} className="btn-secondary">
+            Keep server version
+          </button>
+          <button onClick={() => onResolve('local')} className="btn-primary">
+            {isDelete ? 'Delete anyway' : 'Keep my changes'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Header indicator for offline state and changes waiting to sync
+ * @returns {JSX.Element|null} The SyncStatus component
+ */
+function SyncStatus() {
+  const { pendingTaskIds, syncConflict, syncing, syncPendingMutations, resolveSyncConflict } = useTask();
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+  
+  const pendingCount = pendingTaskIds.size;
+  
+  if (isOnline && pendingCount === 0 && !syncConflict) {
+    return null;
+  }
+  
+  return (
+    <>
+      <div className="flex items-center gap-2 text-sm text-surface-600">
+        {!isOnline && (
+          <span className="flex items-center gap-1 text-amber-600">
+            <CloudOff size={16} />
+            Offline
+          </span>
+        )}
+        {pendingCount > 0 && (
+          <button
+            onClick={() => syncPendingMutations()}
+            disabled={!isOnline || syncing}
+            title="Sync now"
+            className="px-2 py-1 text-sm font-normal gap-1 hover:bg-surface-100 disabled:opacity-60"
+          >
+            <RefreshCw size={14} className={syncing ? 'animate-spin' : ''} />
+            {pendingCount} pending sync
+          </button>
+        )}
+      </div>
+      
+      {syncConflict && (
+        <SyncConflictDialog conflict={syncConflict} onResolve={resolveSyncConflict} />
+      )}
+    </>
+  );
+}
+
+export default SyncStatus;
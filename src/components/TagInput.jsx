@@ -0,0 +1,130 @@
+import { useState } from 'react';
+import { X } from 'lucide-react';
+import { normalizeTag, tagKey, uniqueTags } from '../utils/tags';
+
+// Most suggestions shown under the input
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Chip input for a list of tags, suggesting tags that already exist
+ * Enter, Tab or a comma adds the typed tag; Backspace in an empty input removes the last one.
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.value - The current tags
+ * @param {Function} props.onChange - Called with the new list of tags
+ * @param {Array<string>} props.suggestions - Existing tags to offer while typing
+ * @param {string} props.placeholder - Placeholder for the text input
+ * @param {string} props.id - The text input's id, for a matching label
+ * @param {boolean} props.autoFocus - Whether to focus the input on mount
+ * @returns {JSX.Element} The TagInput component
+ */
+function TagInput({ value, onChange, suggestions = [], placeholder = 'Add tags', id, autoFocus = false }) {
+  const [text, setText] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [focused, setFocused] = useState(false);
+
+  const typed = tagKey(text);
+  const selected = new Set(value.map(tagKey));
+  const matches = uniqueTags(suggestions)
+    .filter(tag => !selected.has(tagKey(tag)) && tagKey(tag).includes(typed))
+    // Tags starting with the typed text come first
+    .sort((a, b) => Number(!tagKey(a).startsWith(typed)) - Number(!tagKey(b).startsWith(typed)))
+    .slice(0, MAX_SUGGESTIONS);
+  const showSuggestions = focused && matches.length > 0;
+
+  const addTag = (tag) => {
+    const next = normalizeTag(tag);
+    if (next) {
+      onChange(uniqueTags([...value, next]));
+    }
+    setText('');
+    setActiveIndex(0);
+  };
+
+  const removeTag = (tag) => {
+    onChange(value.filter(existing => tagKey(existing) !== tagKey(tag)));
+  };
+
+  const handleChange = (e) => {
+    // Pasting "a, b, c" adds each complete tag
+    const parts = e.target.value.split(',');
+    if (parts.length > 1) {
+      onChange(uniqueTags([...value, ...parts.slice(0, -1)]));
+    }
+    setText(parts[parts.length - 1]);
+    setActiveIndex(0);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && showSuggestions) {
+      e.preventDefault();
+      setActiveIndex((activeIndex + 1) % matches.length);
+    } else if (e.key === 'ArrowUp' && showSuggestions) {
+      e.preventDefault();
+      setActiveIndex((activeIndex - 1 + matches.length) % matches.length);
+    } else if (e.key === 'Enter' || (e.key === 'Tab' && text.trim())) {
+      // Keep Enter from submitting the surrounding form
+      e.preventDefault();
+      // Only pick a suggestion the user has started typing towards
+      addTag(showSuggestions && typed ? matches[activeIndex] : text);
+    } else if (e.key === 'Escape') {
+      setText('');
+    } else if (e.key === 'Backspace' && !text && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex flex-wrap items-center gap-1.5 rounded-md border border-surface-200 px-2 py-1.5">
+        {value.map(tag => (
+          <span key={tagKey(tag)} className="inline-flex items-center gap-1 rounded-full bg-surface-100 px-2 py-0.5 text-xs text-surface-700">
+            {tag}
+            <button
+              type="button"
+              onClick={() => removeTag(tag)}
+              aria-label={`Remove tag ${tag}`}
+              className="p-0 text-surface-400 hover:text-surface-700"
+            >
+              <X size={12} />
+            </button>
+          </span>
+        ))}
+        <input
+          id={id}
+          type="text"
+          value={text}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setFocused(true)}
+          onBlur={() => setFocused(false)}
+          placeholder={value.length === 0 ? placeholder : ''}
+          autoFocus={autoFocus}
+          aria-label="Tags"
+          className="flex-1 min-w-[6rem] border-none bg-transparent p-0 text-sm focus:ring-0"
+        />
+      </div>
+
+      {showSuggestions && (
+        <ul className="absolute z-10 mt-1 w-full rounded-md border border-surface-200 bg-white py-1 shadow-lg">
+          {matches.map((tag, index) => (
+            <li key={tagKey(tag)}>
+              <button
+                type="button"
+                // Keep focus in the input so the list stays open for the click
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => addTag(tag)}
+                className={`w-full justify-start rounded-none px-3 py-1 text-sm font-normal ${
+                  index === activeIndex && typed ? 'bg-surface-100' : 'hover:bg-surface-50'
+                }`}
+              >
+                {tag}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TagInput;
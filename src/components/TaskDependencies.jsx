@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import { Lock, Link2, X } from 'lucide-react';
+import { useTask } from '../context/TaskContext';
+import { FieldNames } from '../utils/apperClient';
+import { isTaskCompleted } from '../utils/taskFilters';
+import { getBlockerIds, getOpenBlockers } from '../utils/dependencies';
+
+/**
+ * Flags a blocked task and lets the user choose the tasks it waits for
+ * @param {Object} props - Component props
+ * @param {Object} props.task - The task record
+ * @param {boolean} props.disabled - Whether the blockers can be changed
+ * @returns {JSX.Element} The TaskDependencies component
+ */
+function TaskDependencies({ task, disabled = false }) {
+  const { tasks, blockerTasks, addDependency, removeDependency } = useTask();
+  const [isEditing, setIsEditing] = useState(false);
+  const [selectedId, setSelectedId] = useState('');
+
+  const tasksById = new Map([...blockerTasks, ...tasks].map(loaded => [loaded.Id, loaded]));
+  const blockerIds = getBlockerIds(task);
+  const openBlockers = getOpenBlockers(task, tasksById);
+  // Unsaved tasks have no server Id to depend on
+  const candidates = tasks.filter(other => other.Id > 0 && other.Id !== task.Id && !blockerIds.includes(other.Id));
+
+  const titleOf = (id) => tasksById.get(id)?.[FieldNames.TASK.TITLE] || `Task #${id}`;
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!selectedId) return;
+
+    const updatedTask = await addDependency(task.Id, Number(selectedId));
+    if (updatedTask) setSelectedId('');
+  };
+
+  return (
+    <>
+      {openBlockers.length > 0 && (
+        <span
+          className="badge badge-red gap-1"
+          title={`Waiting for ${openBlockers.map(blocker => titleOf(blocker.Id)).join(', ')}`}
+        >
+          <Lock size={12} />
+          Blocked
+        </span>
+      )}
+
+      {task.Id > 0 && (
+        <button
+          type="button"
+          onClick={() => setIsEditing(!isEditing)}
+          title="Tasks this one waits for"
+          className={`px-1 py-0.5 text-xs font-normal gap-1 ${blockerIds.length > 0 ? 'text-primary' : 'text-surface-400'} hover:bg-surface-100`}
+        >
+          <Link2 size={12} />
+          {blockerIds.length > 0 ? `Blocked by ${blockerIds.length}` : 'Dependencies'}
+        </button>
+      )}
+
+      {isEditing && (
+        <div className="w-full mt-2 p-3 rounded-md bg-surface-50 space-y-2">
+          {blockerIds.length === 0 ? (
+            <p className="text-xs text-surface-500">This task does not wait for any other task.</p>
+          ) : (
+            <ul className="space-y-1">
+              {blockerIds.map(id => (
+                <li key={id} className="flex items-center justify-between text-sm">
+                  <span className={tasksById.has(id) && isTaskCompleted(tasksById.get(id)) ? 'line-through text-surface-400' : ''}>
+                    {titleOf(id)}
+                  </span>
+                  {!disabled && (
+                    <button
+                      type="button"
+                      onClick={() => removeDependency(task.Id, id)}
+                      title="Remove dependency"
+                      className="p-1 text-surface-400 hover:text-red-500"
+                    >
+                      <X size={14} />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {!disabled && (
+            <form onSubmit={handleAdd} className="flex items-center gap-2">
+              <select
+                value={selectedId}
+                onChange={(e) => setSelectedId(e.target.value)}
+                aria-label="Task to wait for"
+                className="input flex-1 text-sm"
+              >
+                <option value="">Wait for task...</option>
+                {candidates.map(candidate => (
+                  <option key={candidate.Id} value={candidate.Id}>{candidate[FieldNames.TASK.TITLE]}</option>
+                ))}
+              </select>
+              <button type="submit" disabled={!selectedId} className="btn-primary text-xs disabled:opacity-50">
+                Add
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default TaskDependencies;
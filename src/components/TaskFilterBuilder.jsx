@@ -0,0 +1,207 @@
+import { useEffect, useState } from 'react';
+import { Filter, Search, ChevronDown, ChevronUp, X } from 'lucide-react';
+import TagInput from './TagInput';
+import { useUsers } from '../context/UserContext';
+import { useProject } from '../context/ProjectContext';
+import { useCategories } from '../context/CategoryContext';
+import { useTask } from '../context/TaskContext';
+import { FieldNames, PicklistValues } from '../utils/apperClient';
+import { TaskFilterParams, StatusFilters, AssigneeFilters, DueFilters } from '../utils/taskFilters';
+import { TagMatchModes, parseTagFilter, serializeTags } from '../utils/tags';
+
+/**
+ * Labeled select for one filter
+ * @param {Object} props - Component props
+ * @returns {JSX.Element} The FilterSelect component
+ */
+function FilterSelect({ label, value, onChange, children }) {
+  return (
+    <label className="block">
+      <span className="block text-xs font-medium text-surface-500 mb-1">{label}</span>
+      <select value={value || ''} onChange={(e) => onChange(e.target.value)} className="w-full text-sm">
+        {children}
+      </select>
+    </label>
+  );
+}
+
+/**
+ * Filter builder for the task list
+ * Every value lives in the filters object, which the page keeps in the URL.
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - Active filters keyed by TaskFilterParams values
+ * @param {Function} props.onChange - Called with the next filters object
+ * @returns {JSX.Element} The TaskFilterBuilder component
+ */
+function TaskFilterBuilder({ filters, onChange }) {
+  const { users, ensureUsersLoaded } = useUsers();
+  const { projectOptions, ensureProjectOptionsLoaded } = useProject();
+  const { categories, ensureCategoriesLoaded } = useCategories();
+  const { knownTags, ensureTagUsageLoaded } = useTask();
+  const activeCount = Object.keys(filters).filter(param => param !== TaskFilterParams.TAG_MODE).length;
+  const [isOpen, setIsOpen] = useState(activeCount > 0);
+  const tags = parseTagFilter(filters[TaskFilterParams.TAGS]);
+  const tagMode = filters[TaskFilterParams.TAG_MODE] === TagMatchModes.ALL ? TagMatchModes.ALL : TagMatchModes.ANY;
+
+  // Options are only needed once the builder is open
+  useEffect(() => {
+    if (!isOpen) return;
+    ensureUsersLoaded();
+    ensureCategoriesLoaded();
+    ensureTagUsageLoaded();
+    ensureProjectOptionsLoaded();
+  }, [isOpen, ensureUsersLoaded, ensureCategoriesLoaded, ensureTagUsageLoaded, ensureProjectOptionsLoaded]);
+
+  const setFilters = (changes) => {
+    const next = { ...filters, ...changes };
+    Object.keys(next).forEach(param => {
+      if (next[param] === undefined || next[param] === null || next[param] === '') {
+        delete next[param];
+      }
+    });
+    // The tag mode only matters once two tags are combined
+    if (parseTagFilter(next[TaskFilterParams.TAGS]).length < 2 || next[TaskFilterParams.TAG_MODE] !== TagMatchModes.ALL) {
+      delete next[TaskFilterParams.TAG_MODE];
+    }
+    onChange(next);
+  };
+
+  const setFilter = (param) => (value) => setFilters({ [param]: value });
+
+  return (
+    <div className="mb-6 card p-4">
+      <div className="flex items-center gap-2">
+        <Search size={16} className="text-surface-400 shrink-0" />
+        <input
+          type="search"
+          value={filters[TaskFilterParams.TEXT] || ''}
+          onChange={(e) => setFilter(TaskFilterParams.TEXT)(e.target.value)}
+          placeholder="Search titles and descriptions"
+          aria-label="Search tasks"
+          className="flex-1 border-none bg-transparent p-0 text-sm focus:ring-0"
+        />
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          aria-expanded={isOpen}
+          className="px-2 py-1 text-sm text-surface-600 hover:bg-surface-100 gap-1"
+        >
+          <Filter size={14} />
+          Filters{activeCount > 0 && ` (${activeCount})`}
+          {isOpen ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+        </button>
+        {activeCount > 0 && (
+          <button
+            onClick={() => onChange({})}
+            className="px-2 py-1 text-sm text-surface-600 hover:text-surface-900 gap-1"
+          >
+            <X size={14} />
+            Clear
+          </button>
+        )}
+      </div>
+
+      {isOpen && (
+        <div className="mt-4 space-y-3">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <FilterSelect label="Status" value={filters[TaskFilterParams.STATUS]} onChange={setFilter(TaskFilterParams.STATUS)}>
+              <option value="">Any status</option>
+              <option value={StatusFilters.OPEN}>Open</option>
+              {PicklistValues.TASK_STATUS.map(status => (
+                <option key={status} value={status}>{status}</option>
+              ))}
+            </FilterSelect>
+
+            <FilterSelect label="Priority" value={filters[TaskFilterParams.PRIORITY]} onChange={setFilter(TaskFilterParams.PRIORITY)}>
+              <option value="">Any priority</option>
+              {PicklistValues.TASK_PRIORITY.map(priority => (
+                <option key={priority} value={priority}>{priority}</option>
+              ))}
+            </FilterSelect>
+
+            <FilterSelect label="Assignee" value={filters[TaskFilterParams.ASSIGNEE]} onChange={setFilter(TaskFilterParams.ASSIGNEE)}>
+              <option value="">Anyone</option>
+              <option value={AssigneeFilters.ME}>Me</option>
+              {users.map(user => (
+                <option key={user.Id} value={user.Id}>{user[FieldNames.USER.NAME]}</option>
+              ))}
+            </FilterSelect>
+
+            <FilterSelect label="Project" value={filters[TaskFilterParams.PROJECT]} onChange={setFilter(TaskFilterParams.PROJECT)}>
+              <option value="">Any project</option>
+              {projectOptions.map(project => (
+                <option key={project.Id} value={project.Id}>{project[FieldNames.PROJECT.NAME]}</option>
+              ))}
+            </FilterSelect>
+
+            <FilterSelect label="Category" value={filters[TaskFilterParams.CATEGORY]} onChange={setFilter(TaskFilterParams.CATEGORY)}>
+              <option value="">Any category</option>
+              {categories.map(category => (
+                <option key={category.Id} value={category.Id}>{category[FieldNames.CATEGORY.NAME]}</option>
+              ))}
+            </FilterSelect>
+
+            <FilterSelect label="Due" value={filters[TaskFilterParams.DUE]} onChange={setFilter(TaskFilterParams.DUE)}>
+              <option value="">Any time</option>
+              <option value={DueFilters.OVERDUE}>Overdue</option>
+              <option value={DueFilters.THIS_WEEK}>This week</option>
+            </FilterSelect>
+
+            <label className="block">
+              <span className="block text-xs font-medium text-surface-500 mb-1">Due from</span>
+              <input
+                type="date"
+                value={filters[TaskFilterParams.DUE_FROM] || ''}
+                max={filters[TaskFilterParams.DUE_TO] || undefined}
+                onChange={(e) => setFilter(TaskFilterParams.DUE_FROM)(e.target.value)}
+                className="w-full text-sm"
+              />
+            </label>
+
+            <label className="block">
+              <span className="block text-xs font-medium text-surface-500 mb-1">Due to</span>
+              <input
+                type="date"
+                value={filters[TaskFilterParams.DUE_TO] || ''}
+                min={filters[TaskFilterParams.DUE_FROM] || undefined}
+                onChange={(e) => setFilter(TaskFilterParams.DUE_TO)(e.target.value)}
+                className="w-full text-sm"
+              />
+            </label>
+          </div>
+
+          <div>
+            <span className="block text-xs font-medium text-surface-500 mb-1">Tags</span>
+            <div className="flex items-start gap-2">
+              <div className="flex-1">
+                <TagInput
+                  value={tags}
+                  onChange={(nextTags) => setFilters({ [TaskFilterParams.TAGS]: serializeTags(nextTags) })}
+                  suggestions={knownTags}
+                  placeholder="Filter by tags"
+                />
+              </div>
+              {tags.length > 1 && (
+                <div className="flex rounded-md border border-surface-200 overflow-hidden">
+                  {[TagMatchModes.ANY, TagMatchModes.ALL].map(mode => (
+                    <button
+                      key={mode}
+                      onClick={() => setFilters({ [TaskFilterParams.TAG_MODE]: mode })}
+                      title={mode === TagMatchModes.ALL ? 'Tasks with every tag' : 'Tasks with any of the tags'}
+                      className={`rounded-none px-3 py-1.5 text-sm ${
+                        tagMode === mode ? 'bg-primary text-white' : 'bg-white text-surface-600 hover:bg-surface-100'
+                      }`}
+                    >
+                      {mode === TagMatchModes.ALL ? 'All' : 'Any'}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TaskFilterBuilder;
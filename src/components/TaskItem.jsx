@@ -0,0 +1,213 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ListTree, Plus } from 'lucide-react';
+import AssigneePicker from './AssigneePicker';
+import CategoryPicker from './CategoryPicker';
+import TaskRecurrence from './TaskRecurrence';
+import TaskDependencies from './TaskDependencies';
+import TaskTags from './TaskTags';
+import { useTask } from '../context/TaskContext';
+import { useAuth } from '../context/AuthContext';
+import { FieldNames } from '../utils/apperClient';
+import { isTaskCompleted } from '../utils/taskFilters';
+import { serializeRecurrence } from '../utils/recurrence';
+import { getRollup } from '../utils/subtasks';
+
+/**
+ * Task card for the task list, with its subtasks nested underneath
+ * @param {Object} props - Component props
+ * @param {Object} props.task - The task record
+ * @param {Map} props.childrenByParent - Visible subtasks keyed by parent Id
+ * @param {number} props.depth - Nesting level, 0 for top-level tasks
+ * @param {Function} props.onTagClick - Called with a tag when one of the task's tag chips is clicked
+ * @param {Array<string>} props.activeTags - Tags to highlight on the card
+ * @returns {JSX.Element} The TaskItem component
+ */
+function TaskItem({ task, childrenByParent = new Map(), depth = 0, onTagClick, activeTags }) {
+  const { subtasksByParent, pendingTaskIds, createTask, updateTask, deleteTask } = useTask();
+  const { canEditTask } = useAuth();
+  const [isAddingSubtask, setIsAddingSubtask] = useState(false);
+  const [subtaskTitle, setSubtaskTitle] = useState('');
+
+  const completed = isTaskCompleted(task);
+  const editable = canEditTask(task);
+  const subtasks = childrenByParent.get(task.Id) || [];
+  // Count every subtask, including ones hidden by the current filter or not loaded
+  const rollup = getRollup(subtasksByParent.get(task.Id));
+
+  const toggleCompletion = () => {
+    if (!editable) return;
+    updateTask(task.Id, {
+      [FieldNames.TASK.STATUS]: completed ? 'Todo' : 'Completed'
+    });
+  };
+
+  const handleAddSubtask = async (e) => {
+    e.preventDefault();
+    const title = subtaskTitle.trim();
+    if (!title) return;
+
+    const subtask = await createTask({
+      [FieldNames.TASK.NAME]: title,
+      [FieldNames.TASK.TITLE]: title,
+      [FieldNames.TASK.STATUS]: 'Todo',
+      [FieldNames.TASK.PRIORITY]: task[FieldNames.TASK.PRIORITY] || 'Medium',
+      [FieldNames.TASK.PARENT_TASK]: task.Id
+    });
+    if (subtask) {
+      setSubtaskTitle('');
+      setIsAddingSubtask(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, height: 0, marginBottom: 0 }}
+      className={depth === 0
+        ? `card p-0 overflow-hidden ${completed ? 'border-green-200 dark:border-green-900' : ''}`
+        : 'border-t border-surface-100 dark:border-surface-700'}
+    >
+      <div className="task-item">
+        <div
+          className={`task-checkbox ${completed ? 'task-checkbox-checked' : ''} ${editable ? '' : 'cursor-not-allowed opacity-50'}`}
+          onClick={toggleCompletion}
+          title={editable ? undefined : 'Only tasks assigned to you can be changed'}
+        >
+          {completed && (
+            <svg className="w-3 h-3 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={3} d="M5 13l4 4L19 7" />
+            </svg>
+          )}
+        </div>
+
+        <div className="flex-1">
+          <div className="flex items-start justify-between">
+            <h3 className={`font-medium ${completed ? 'line-through text-surface-400 dark:text-surface-500' : ''}`}>
+              {task[FieldNames.TASK.TITLE]}
+            </h3>
+            <div className="flex items-center gap-2">
+              {rollup.total > 0 && (
+                <span className={`badge ${rollup.done === rollup.total ? 'badge-green' : 'badge-blue'}`}>
+                  {rollup.done}/{rollup.total} done
+                </span>
+              )}
+
+              <div className={`priority-badge priority-${(task[FieldNames.TASK.PRIORITY] || 'Medium').toLowerCase()}`}>
+                {task[FieldNames.TASK.PRIORITY]}
+              </div>
+
+              {editable && (
+                <button
+                  onClick={() => deleteTask(task.Id)}
+                  className="text-surface-400 hover:text-red-500 dark:hover:text-red-400"
+                >
+                  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                  </svg>
+                </button>
+              )}
+            </div>
+          </div>
+
+          {task[FieldNames.TASK.DESCRIPTION] && (
+            <p className={`mt-1 text-sm text-surface-600 dark:text-surface-400 ${completed ? 'line-through text-surface-400 dark:text-surface-500' : ''}`}>
+              {task[FieldNames.TASK.DESCRIPTION]}
+            </p>
+          )}
+
+          <div className="mt-2 flex flex-wrap items-center gap-3">
+            {pendingTaskIds.has(task.Id) && (
+              <span className="badge badge-yellow">Pending sync</span>
+            )}
+
+            {task[FieldNames.TASK.DUE_DATE] && (
+              <span className="text-xs text-surface-500">
+                Due: {new Date(task[FieldNames.TASK.DUE_DATE]).toLocaleDateString()}
+              </span>
+            )}
+
+            <TaskRecurrence
+              task={task}
+              onSave={(rule) => updateTask(task.Id, { [FieldNames.TASK.RECURRENCE]: serializeRecurrence(rule) })}
+              disabled={!editable}
+            />
+
+            <TaskDependencies task={task} disabled={!editable} />
+
+            <TaskTags
+              task={task}
+              onSave={(tags) => updateTask(task.Id, { [FieldNames.TASK.TAGS]: tags })}
+              onTagClick={onTagClick}
+              activeTags={activeTags}
+              disabled={!editable}
+            />
+
+            {/* Tasks saved only locally have no server Id to hang subtasks on yet */}
+            {task.Id > 0 && (
+              <button
+                type="button"
+                onClick={() => setIsAddingSubtask(!isAddingSubtask)}
+                className="px-1 py-0.5 text-xs font-normal gap-1 text-surface-400 hover:bg-surface-100"
+              >
+                <ListTree size={12} />
+                Add subtask
+              </button>
+            )}
+
+            <CategoryPicker
+              value={task[FieldNames.TASK.CATEGORY]}
+              onChange={(categoryId) => updateTask(task.Id, { [FieldNames.TASK.CATEGORY]: categoryId })}
+              disabled={!editable}
+              className="ml-auto text-xs px-2 py-0.5 border-none bg-surface-100 focus:ring-0"
+            />
+
+            <AssigneePicker
+              value={task[FieldNames.TASK.ASSIGNED_TO]}
+              onChange={(assigneeId) => updateTask(task.Id, { [FieldNames.TASK.ASSIGNED_TO]: assigneeId })}
+              disabled={!editable}
+              className="text-xs py-0.5 border-none bg-transparent focus:ring-0"
+            />
+          </div>
+
+          {isAddingSubtask && (
+            <form onSubmit={handleAddSubtask} className="mt-2 flex items-center gap-2">
+              <input
+                type="text"
+                value={subtaskTitle}
+                onChange={(e) => setSubtaskTitle(e.target.value)}
+                placeholder="Subtask title"
+                autoFocus
+                className="flex-1 text-sm"
+              />
+              <button type="submit" disabled={!subtaskTitle.trim()} className="btn-primary text-sm gap-1 disabled:opacity-50">
+                <Plus size={14} />
+                Add
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+
+      {subtasks.length > 0 && (
+        <div className="ml-8">
+          <AnimatePresence>
+            {subtasks.map(subtask => (
+              <TaskItem
+                key={subtask.Id}
+                task={subtask}
+                childrenByParent={childrenByParent}
+                depth={depth + 1}
+                onTagClick={onTagClick}
+                activeTags={activeTags}
+              />
+            ))}
+          </AnimatePresence>
+        </div>
+      )}
+    </motion.div>
+  );
+}
+
+export default TaskItem;
@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { Repeat } from 'lucide-react';
+import RecurrenceEditor from './RecurrenceEditor';
+import { getDueDate } from '../utils/taskFilters';
+import { getTaskRecurrence, describeRecurrence, validateRecurrence } from '../utils/recurrence';
+
+/**
+ * Shows a task's repeat rule and lets the user change or stop it
+ * @param {Object} props - Component props
+ * @param {Object} props.task - The task record
+ * @param {Function} props.onSave - Called with the new rule, or null to stop repeating
+ * @param {boolean} props.disabled - Whether the rule can be changed
+ * @returns {JSX.Element} The TaskRecurrence component
+ */
+function TaskRecurrence({ task, onSave, disabled = false }) {
+  const rule = getTaskRecurrence(task);
+  const [draft, setDraft] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const draftError = validateRecurrence(draft);
+
+  const startEditing = () => {
+    setDraft(rule);
+    setIsEditing(true);
+  };
+
+  const save = (nextRule) => {
+    onSave(nextRule);
+    setIsEditing(false);
+  };
+
+  if (!isEditing) {
+    // Only repeating tasks show the label; others get it on hover through the title
+    return (
+      <button
+        type="button"
+        onClick={startEditing}
+        disabled={disabled}
+        title={rule ? 'Change how this task repeats' : 'Make this task repeat'}
+        className={`px-1 py-0.5 text-xs font-normal gap-1 ${rule ? 'text-primary' : 'text-surface-400'} hover:bg-surface-100 disabled:hover:bg-transparent`}
+      >
+        <Repeat size={12} />
+        {rule && describeRecurrence(rule)}
+      </button>
+    );
+  }
+
+  return (
+    <div className="w-full mt-2 p-3 rounded-md bg-surface-50 space-y-2">
+      <RecurrenceEditor value={draft} onChange={setDraft} referenceDate={getDueDate(task) || new Date()} />
+      {draftError && <p className="text-xs text-red-500">{draftError}</p>}
+      <div className="flex justify-end gap-2">
+        {rule && (
+          <button type="button" onClick={() => save(null)} className="btn-secondary text-xs mr-auto">
+            Stop repeating
+          </button>
+        )}
+        <button type="button" onClick={() => setIsEditing(false)} className="btn-secondary text-xs">
+          Cancel
+        </button>
+        <button type="button" onClick={() => save(draft)} disabled={!!draftError} className="btn-primary text-xs disabled:opacity-50">
+          Save
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TaskRecurrence;
@@ -0,0 +1,112 @@
+import { SortAsc, SortDesc, Plus, X, Layers } from 'lucide-react';
+import {
+  SortKeys,
+  SortKeyLabels,
+  SortDirections,
+  DefaultSortDirections,
+  GroupKeyLabels
+} from '../utils/taskSort';
+
+// Most sort keys combined at once
+const MAX_SORT_KEYS = 3;
+
+/**
+ * Sort keys and grouping of the task list
+ * The first sort key decides the order; later keys break its ties.
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.sort - { key, direction } entries, most significant first
+ * @param {Function} props.onSortChange - Called with the next sort entries
+ * @param {string} props.groupBy - The GroupKeys value the list is grouped by, or empty
+ * @param {Function} props.onGroupByChange - Called with the next GroupKeys value, or empty for no grouping
+ * @returns {JSX.Element} The TaskSortControls component
+ */
+function TaskSortControls({ sort, onSortChange, groupBy, onGroupByChange }) {
+  const unusedKeys = Object.values(SortKeys).filter(key => !sort.some(entry => entry.key === key));
+
+  const updateEntry = (index, changes) => {
+    onSortChange(sort.map((entry, entryIndex) => entryIndex === index ? { ...entry, ...changes } : entry));
+  };
+
+  const changeKey = (index, key) => {
+    updateEntry(index, { key, direction: DefaultSortDirections[key] });
+  };
+
+  const toggleDirection = (index) => {
+    const { direction } = sort[index];
+    updateEntry(index, { direction: direction === SortDirections.ASC ? SortDirections.DESC : SortDirections.ASC });
+  };
+
+  const addKey = () => {
+    const [key] = unusedKeys;
+    onSortChange([...sort, { key, direction: DefaultSortDirections[key] }]);
+  };
+
+  const removeKey = (index) => {
+    onSortChange(sort.filter((entry, entryIndex) => entryIndex !== index));
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm text-surface-600">
+      {sort.map((entry, index) => (
+        <div key={entry.key} className="flex items-center gap-1">
+          <span>{index === 0 ? 'Sort by' : 'then'}</span>
+          <select
+            value={entry.key}
+            onChange={(e) => changeKey(index, e.target.value)}
+            aria-label={index === 0 ? 'Sort by' : `Sort key ${index + 1}`}
+            className="text-sm py-1"
+          >
+            {[entry.key, ...unusedKeys].map(key => (
+              <option key={key} value={key}>{SortKeyLabels[key]}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => toggleDirection(index)}
+            title={entry.direction === SortDirections.ASC ? 'Ascending' : 'Descending'}
+            aria-label={`${SortKeyLabels[entry.key]} ${entry.direction === SortDirections.ASC ? 'ascending' : 'descending'}`}
+            className="p-1 text-surface-600 hover:bg-surface-100"
+          >
+            {entry.direction === SortDirections.ASC ? <SortAsc size={16} /> : <SortDesc size={16} />}
+          </button>
+          {sort.length > 1 && (
+            <button
+              onClick={() => removeKey(index)}
+              aria-label={`Stop sorting by ${SortKeyLabels[entry.key]}`}
+              className="p-1 text-surface-400 hover:text-surface-700"
+            >
+              <X size={14} />
+            </button>
+          )}
+        </div>
+      ))}
+
+      {sort.length < MAX_SORT_KEYS && unusedKeys.length > 0 && (
+        <button
+          onClick={addKey}
+          title="Add a key to break ties"
+          className="px-2 py-1 text-sm text-surface-600 hover:bg-surface-100 gap-1"
+        >
+          <Plus size={14} />
+          Then by
+        </button>
+      )}
+
+      <label className="flex items-center gap-1">
+        <Layers size={16} className="text-surface-500" />
+        <span className="sr-only">Group by</span>
+        <select
+          value={groupBy || ''}
+          onChange={(e) => onGroupByChange(e.target.value)}
+          className="text-sm py-1"
+        >
+          <option value="">No grouping</option>
+          {Object.entries(GroupKeyLabels).map(([key, label]) => (
+            <option key={key} value={key}>Group by {label.toLowerCase()}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+export default TaskSortControls;
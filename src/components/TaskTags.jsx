@@ -0,0 +1,80 @@
+import { useState } from 'react';
+import { Hash } from 'lucide-react';
+import TagInput from './TagInput';
+import { useTask } from '../context/TaskContext';
+import { getTaskTags, serializeTags, tagKey } from '../utils/tags';
+
+/**
+ * Shows a task's tags as chips and lets the user edit them
+ * @param {Object} props - Component props
+ * @param {Object} props.task - The task record
+ * @param {Function} props.onSave - Called with the new stored Tags value
+ * @param {Function} props.onTagClick - Called with a tag when its chip is clicked, if chips are clickable
+ * @param {Array<string>} props.activeTags - Tags to highlight, e.g. the ones being filtered by
+ * @param {boolean} props.disabled - Whether the tags can be changed
+ * @returns {JSX.Element} The TaskTags component
+ */
+function TaskTags({ task, onSave, onTagClick, activeTags = [], disabled = false }) {
+  const { knownTags, ensureTagUsageLoaded } = useTask();
+  const tags = getTaskTags(task);
+  const [draft, setDraft] = useState(null);
+  const active = new Set(activeTags.map(tagKey));
+
+  const startEditing = () => {
+    ensureTagUsageLoaded();
+    setDraft(tags);
+  };
+
+  const save = () => {
+    onSave(serializeTags(draft));
+    setDraft(null);
+  };
+
+  if (draft !== null) {
+    return (
+      <div className="w-full mt-2 p-3 rounded-md bg-surface-50 space-y-2">
+        <TagInput value={draft} onChange={setDraft} suggestions={knownTags} autoFocus />
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={() => setDraft(null)} className="btn-secondary text-xs">
+            Cancel
+          </button>
+          <button type="button" onClick={save} className="btn-primary text-xs">
+            Save
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {tags.map(tag => (
+        <button
+          key={tagKey(tag)}
+          type="button"
+          onClick={() => onTagClick && onTagClick(tag)}
+          disabled={!onTagClick}
+          title={onTagClick ? `Filter by ${tag}` : tag}
+          className={`rounded-full px-2 py-0.5 text-xs font-normal disabled:cursor-default ${
+            active.has(tagKey(tag)) ? 'bg-primary text-white' : 'bg-surface-100 text-surface-600 hover:bg-surface-200'
+          }`}
+        >
+          #{tag}
+        </button>
+      ))}
+      {!disabled && (
+        <button
+          type="button"
+          onClick={startEditing}
+          title={tags.length > 0 ? 'Edit tags' : 'Add tags'}
+          className="px-1 py-0.5 text-xs font-normal gap-1 text-surface-400 hover:bg-surface-100"
+        >
+          <Hash size={12} />
+          {tags.length === 0 && 'Tags'}
+        </button>
+      )}
+    </>
+  );
+}
+
+export default TaskTags;
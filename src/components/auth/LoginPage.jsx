@@ -1,26 +1,101 @@
-import { useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { isLocalMode } from '../../utils/apperClient';
+import { SessionEndReasons } from '../../services/authService';
+
+// Notices explaining why the user was signed out
+const sessionEndMessages = {
+  [SessionEndReasons.IDLE]: 'You were signed out after a period of inactivity.',
+  [SessionEndReasons.EXPIRED]: 'Your session expired. Please sign in again.'
+};
+
+/**
+ * Sign-in form used when the app runs against the local data store
+ * @returns {JSX.Element} The LocalSignIn component
+ */
+function LocalSignIn() {
+  const { signInLocally } = useAuth();
+  const [formData, setFormData] = useState({ firstName: '', emailAddress: '' });
+  
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({ ...formData, [name]: value });
+  };
+  
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    
+    if (!formData.firstName.trim() || !formData.emailAddress.trim()) return;
+    
+    signInLocally({
+      firstName: formData.firstName.trim(),
+      emailAddress: formData.emailAddress.trim().toLowerCase()
+    });
+  };
+  
+  return (
+    <form onSubmit={handleSubmit} className="w-full space-y-4">
+      <p className="text-sm text-gray-600">
+        The Apper SDK is not available. You are working with local data stored in this browser.
+      </p>
+      <div>
+        <label htmlFor="firstName" className="block text-sm font-medium mb-1">Name</label>
+        <input
+          type="text"
+          id="firstName"
+          name="firstName"
+          value={formData.firstName}
+          onChange={handleChange}
+          placeholder="Your name"
+        />
+      </div>
+      <div>
+        <label htmlFor="emailAddress" className="block text-sm font-medium mb-1">Email</label>
+        <input
+          type="email"
+          id="emailAddress"
+          name="emailAddress"
+          value={formData.emailAddress}
+          onChange={handleChange}
+          placeholder="you@example.com"
+        />
+      </div>
+      <button type="submit" className="btn-primary w-full">
+        Continue offline
+      </button>
+    </form>
+  );
+}
 
 /**
  * Login page component that integrates with ApperUI for authentication
  * @returns {JSX.Element} The LoginPage component
  */
 function LoginPage() {
-  const { setupAuth, isAuthenticated } = useAuth();
+  const { setupAuth, isAuthenticated, sessionEndReason } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  const localMode = isLocalMode();
+  
+  // Page the user asked for before being sent to log in
+  const from = location.state?.from;
+  const returnTo = from ? `${from.pathname}${from.search || ''}${from.hash || ''}` : '/dashboard';
   
   // Set up authentication UI when component mounts
   useEffect(() => {
-    // If the user is already authenticated, redirect to dashboard
+    // If the user is already authenticated, send them where they were going
     if (isAuthenticated()) {
-      navigate('/dashboard');
+      navigate(returnTo, { replace: true });
       return;
     }
     
+    // The local data store has no ApperUI to mount
+    if (localMode) return;
+    
     // Set up authentication UI with ApperUI
     setupAuth('#authentication');
-  }, [setupAuth, isAuthenticated, navigate]);
+  }, [setupAuth, isAuthenticated, navigate, localMode, returnTo]);
   
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50">
@@ -34,14 +109,22 @@ function LoginPage() {
           </p>
         </div>
         
+        {sessionEndReason && (
+          <p className="p-3 rounded-md bg-amber-50 text-sm text-amber-700">
+            {sessionEndMessages[sessionEndReason]}
+          </p>
+        )}
+        
         {/* This div will be populated by ApperUI */}
         <div 
           id="authentication" 
           className="min-h-[400px] flex items-center justify-center"
-        ></div>
+        >
+          {localMode && <LocalSignIn />}
+        </div>
       </div>
     </div>
   );
 }
 
-export default LoginPage;
\ No newline at end of file
+export default LoginPage;
@@ -0,0 +1,61 @@
+import { format } from 'date-fns';
+import { Lock } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { FieldNames } from '../../utils/apperClient';
+import { getDueDate, isOverdue } from '../../utils/taskFilters';
+
+// Left border colors per task priority
+const priorityBorders = {
+  High: 'border-l-red-500',
+  Medium: 'border-l-amber-500',
+  Low: 'border-l-green-500'
+};
+
+/**
+ * Draggable task card on the kanban board
+ * Cards the user may not edit stay in place.
+ * @param {Object} props - Component props
+ * @param {Object} props.task - The task record
+ * @param {boolean} props.blocked - Whether the task waits for open blockers
+ * @returns {JSX.Element} The BoardCard component
+ */
+function BoardCard({ task, blocked = false }) {
+  const { canEditTask } = useAuth();
+  const editable = canEditTask(task);
+  const dueDate = getDueDate(task);
+  
+  const handleDragStart = (e) => {
+    e.dataTransfer.setData('text/plain', String(task.Id));
+    e.dataTransfer.effectAllowed = 'move';
+  };
+  
+  return (
+    <div
+      draggable={editable}
+      onDragStart={handleDragStart}
+      title={editable ? undefined : 'Only tasks assigned to you can be moved'}
+      className={`bg-white rounded-md shadow-sm border border-gray-200 border-l-4 p-3 ${
+        editable ? 'cursor-grab active:cursor-grabbing' : 'cursor-not-allowed opacity-75'
+      } ${
+        priorityBorders[task[FieldNames.TASK.PRIORITY]] || 'border-l-gray-300'
+      }`}
+    >
+      <div className="flex items-start justify-between gap-2">
+        <div className="text-sm font-medium">{task[FieldNames.TASK.TITLE]}</div>
+        {blocked && (
+          <span className="badge badge-red gap-1 shrink-0" title="Waiting for other tasks to be completed">
+            <Lock size={12} />
+            Blocked
+          </span>
+        )}
+      </div>
+      {dueDate && (
+        <div className={`mt-1 text-xs ${isOverdue(task) ? 'text-red-600' : 'text-surface-500'}`}>
+          Due: {format(dueDate, 'MMM d')}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BoardCard;
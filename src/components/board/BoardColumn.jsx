@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import BoardCard from './BoardCard';
+
+/**
+ * Kanban column holding the tasks of a single status
+ * @param {Object} props - Component props
+ * @param {string} props.status - The status this column represents
+ * @param {Array} props.tasks - The tasks in this column
+ * @param {number|null} props.wipLimit - Optional work-in-progress limit
+ * @param {Function} props.onWipLimitChange - Called with the new limit, or null to clear it
+ * @param {Function} props.onDropTask - Called with the dropped task's ID and this column's status
+ * @param {Set} props.blockedTaskIds - IDs of tasks waiting for open blockers
+ * @returns {JSX.Element} The BoardColumn component
+ */
+function BoardColumn({ status, tasks, wipLimit, onWipLimitChange, onDropTask, blockedTaskIds = new Set() }) {
+  const [isDragOver, setIsDragOver] = useState(false);
+  const overLimit = wipLimit && tasks.length > wipLimit;
+  const atLimit = wipLimit && tasks.length >= wipLimit;
+  
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setIsDragOver(true);
+  };
+  
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragOver(false);
+    
+    const taskId = Number(e.dataTransfer.getData('text/plain'));
+    if (taskId) {
+      onDropTask(taskId, status);
+    }
+  };
+  
+  const handleLimitChange = (e) => {
+    const value = parseInt(e.target.value, 10);
+    onWipLimitChange(value > 0 ? value : null);
+  };
+  
+  return (
+    <div
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDragOver(false)}
+      onDrop={handleDrop}
+      className={`flex-1 min-w-[260px] rounded-lg p-3 transition-colors ${
+        isDragOver ? 'bg-primary/10' : 'bg-surface-100'
+      }`}
+    >
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-sm font-semibold uppercase tracking-wide text-surface-600">
+          {status}
+          <span className={`ml-2 badge ${overLimit ? 'badge-red' : atLimit ? 'badge-yellow' : 'badge-blue'}`}>
+            {wipLimit ? `${tasks.length}/${wipLimit}` : tasks.length}
+          </span>
+        </h2>
+        <label className="flex items-center gap-1 text-xs text-surface-500">
+          WIP
+          <input
+            type="number"
+            min="0"
+            value={wipLimit || ''}
+            onChange={handleLimitChange}
+            placeholder="–"
+            className="w-14 p-1 text-xs"
+          />
+        </label>
+      </div>
+      
+      <div className="space-y-2 min-h-[120px]">
+        {tasks.map(task => (
+          <BoardCard key={task.Id} task={task} blocked={blockedTaskIds.has(task.Id)} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default BoardColumn;
@@ -0,0 +1,60 @@
+import { useState } from 'react';
+import { format, isToday } from 'date-fns';
+import CalendarTask from './CalendarTask';
+
+/**
+ * Day cell of the calendar that accepts dropped tasks
+ * @param {Object} props - Component props
+ * @param {Date} props.day - The day shown
+ * @param {Array} props.tasks - Tasks due that day
+ * @param {boolean} props.muted - Whether the day lies outside the month shown
+ * @param {string} props.minHeight - Tailwind min-height class of the cell
+ * @param {Function} props.onDropTask - Called with the dropped task's ID and this day
+ * @param {Function} props.onCreateTask - Called with this day when its empty space is clicked, if tasks may be added here
+ * @returns {JSX.Element} The CalendarDay component
+ */
+function CalendarDay({ day, tasks, muted = false, minHeight = 'min-h-[110px]', onDropTask, onCreateTask }) {
+  const [isDragOver, setIsDragOver] = useState(false);
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setIsDragOver(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragOver(false);
+
+    const taskId = Number(e.dataTransfer.getData('text/plain'));
+    if (taskId) {
+      onDropTask(taskId, day);
+    }
+  };
+
+  return (
+    <div
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDragOver(false)}
+      onDrop={handleDrop}
+      onClick={onCreateTask ? () => onCreateTask(day) : undefined}
+      title={onCreateTask ? `Add a task due ${format(day, 'MMM d')}` : undefined}
+      className={`${minHeight} p-1.5 border-b border-r border-surface-200 transition-colors ${
+        isDragOver ? 'bg-primary/10' : muted ? 'bg-surface-50' : 'bg-white'
+      } ${onCreateTask ? 'cursor-pointer hover:bg-surface-50' : ''}`}
+    >
+      <div className={`mb-1 text-xs font-medium ${muted ? 'text-surface-400' : 'text-surface-600'}`}>
+        <span className={isToday(day) ? 'inline-flex items-center justify-center w-5 h-5 rounded-full bg-primary text-white' : ''}>
+          {format(day, 'd')}
+        </span>
+      </div>
+      <div className="space-y-1">
+        {tasks.map(task => (
+          <CalendarTask key={task.Id} task={task} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default CalendarDay;
@@ -0,0 +1,42 @@
+import { useAuth } from '../../context/AuthContext';
+import { FieldNames } from '../../utils/apperClient';
+import { isOverdue, isTaskCompleted } from '../../utils/taskFilters';
+
+/**
+ * Task chip on the calendar that can be dragged to another day
+ * Completed tasks are struck through and overdue ones are shown in red.
+ * @param {Object} props - Component props
+ * @param {Object} props.task - The task record
+ * @returns {JSX.Element} The CalendarTask component
+ */
+function CalendarTask({ task }) {
+  const { canEditTask } = useAuth();
+  const editable = canEditTask(task);
+  const completed = isTaskCompleted(task);
+  const overdue = !completed && isOverdue(task);
+
+  const handleDragStart = (e) => {
+    e.dataTransfer.setData('text/plain', String(task.Id));
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  return (
+    <div
+      draggable={editable}
+      onDragStart={handleDragStart}
+      onClick={(e) => e.stopPropagation()}
+      title={editable ? task[FieldNames.TASK.TITLE] : 'Only tasks assigned to you can be rescheduled'}
+      className={`truncate rounded px-1.5 py-0.5 text-xs border-l-2 ${
+        completed
+          ? 'border-l-green-500 bg-green-50 text-surface-400 line-through'
+          : overdue
+            ? 'border-l-red-500 bg-red-50 text-red-700 font-medium'
+            : 'border-l-primary bg-primary/10 text-surface-800'
+      } ${editable ? 'cursor-grab active:cursor-grabbing' : 'cursor-default'}`}
+    >
+      {task[FieldNames.TASK.TITLE]}
+    </div>
+  );
+}
+
+export default CalendarTask;
@@ -0,0 +1,152 @@
+import { useEffect, useState } from 'react';
+import { AlertTriangle, CheckCircle } from 'lucide-react';
+import { useProject } from '../../context/ProjectContext';
+import { DeletionStrategies } from '../../services/projectService';
+import { FieldNames } from '../../utils/apperClient';
+
+// Choices offered for the project's tasks
+const strategyOptions = [
+  { value: DeletionStrategies.UNLINK, label: 'Keep the tasks, just remove them from this project' },
+  { value: DeletionStrategies.MOVE, label: 'Move the tasks to another project' },
+  { value: DeletionStrategies.DELETE_TASKS, label: 'Delete tasks that belong to no other project' }
+];
+
+/**
+ * Confirmation dialog for deleting a project, with a preview of the affected
+ * tasks and a summary of what was removed
+ * @param {Object} props - Component props
+ * @returns {JSX.Element} The DeleteProjectDialog component
+ */
+function DeleteProjectDialog({ project, onClose, onDeleted }) {
+  const { projects, fetchProjects, previewProjectDeletion, deleteProject } = useProject();
+  const [preview, setPreview] = useState(null);
+  const [strategy, setStrategy] = useState(DeletionStrategies.UNLINK);
+  const [targetProjectId, setTargetProjectId] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [summary, setSummary] = useState(null);
+
+  useEffect(() => {
+    previewProjectDeletion(project.Id).then(setPreview);
+    fetchProjects();
+  }, [project.Id, previewProjectDeletion, fetchProjects]);
+
+  const otherProjects = projects.filter(other => other.Id !== project.Id);
+  const taskCount = preview ? preview.exclusiveTasks.length + preview.sharedTasks.length : 0;
+  const canDelete = preview && !deleting &&
+    (strategy !== DeletionStrategies.MOVE || taskCount === 0 || targetProjectId);
+
+  const handleDelete = async () => {
+    setDeleting(true);
+    const result = await deleteProject(project.Id, {
+      strategy,
+      targetProjectId: targetProjectId ? Number(targetProjectId) : null
+    });
+    setDeleting(false);
+
+    if (result) {
+      setSummary(result);
+    } else {
+      onClose();
+    }
+  };
+
+  if (summary) {
+    return (
+      <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+        <div className="card max-w-lg w-full">
+          <h2 className="text-lg font-semibold flex items-center gap-2 mb-2">
+            <CheckCircle size={20} className="text-green-500" />
+            Project deleted
+          </h2>
+          <ul className="mb-4 text-sm text-surface-600 list-disc pl-5">
+            <li>{summary.removedAssociations} task link(s) removed</li>
+            {summary.movedTaskIds.length > 0 && <li>{summary.movedTaskIds.length} task(s) moved</li>}
+            {summary.unlinkedTaskIds.length > 0 && <li>{summary.unlinkedTaskIds.length} task(s) kept without this project</li>}
+            {summary.deletedTaskIds.length > 0 && <li>{summary.deletedTaskIds.length} task(s) deleted</li>}
+          </ul>
+          <div className="flex justify-end">
+            <button onClick={() => onDeleted(summary)} className="btn-primary">
+              Done
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <div className="card max-w-lg w-full">
+        <h2 className="text-lg font-semibold flex items-center gap-2 mb-2">
+          <AlertTriangle size={20} className="text-amber-500" />
+          Delete &ldquo;{project[FieldNames.PROJECT.NAME]}&rdquo;?
+        </h2>
+
+        {!preview ? (
+          <p className="text-sm text-surface-500 mb-4">Checking affected tasks...</p>
+        ) : (
+          <>
+            <p className="text-sm text-surface-600 mb-4">
+              {taskCount === 0
+                ? 'This project has no tasks.'
+                : `This project has ${taskCount} task(s); ${preview.sharedTasks.length} also belong to other projects.`}
+            </p>
+
+            {taskCount > 0 && (
+              <div className="mb-4 space-y-2 text-sm">
+                {strategyOptions.map(option => (
+                  <label key={option.value} className="flex items-center gap-2">
+                    <input
+                      type="radio"
+                      name="deletion-strategy"
+                      value={option.value}
+                      checked={strategy === option.value}
+                      onChange={() => setStrategy(option.value)}
+                    />
+                    {option.label}
+                  </label>
+                ))}
+
+                {strategy === DeletionStrategies.MOVE && (
+                  <select
+                    value={targetProjectId}
+                    onChange={(e) => setTargetProjectId(e.target.value)}
+                    className="w-full"
+                  >
+                    <option value="">Choose a project...</option>
+                    {otherProjects.map(other => (
+                      <option key={other.Id} value={other.Id}>
+                        {other[FieldNames.PROJECT.NAME]}
+                      </option>
+                    ))}
+                  </select>
+                )}
+
+                {strategy === DeletionStrategies.DELETE_TASKS && (
+                  <p className="text-red-600">
+                    {preview.exclusiveTasks.length} task(s) will be permanently deleted.
+                  </p>
+                )}
+              </div>
+            )}
+          </>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} disabled={deleting} className="btn-secondary">
+            Cancel
+          </button>
+          <button
+            onClick={handleDelete}
+            disabled={!canDelete}
+            className="btn-primary bg-red-600 hover:bg-red-700 disabled:opacity-50"
+          >
+            {deleting ? 'Deleting...' : 'Delete project'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DeleteProjectDialog;
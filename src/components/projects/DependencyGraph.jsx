@@ -0,0 +1,107 @@
+import { FieldNames } from '../../utils/apperClient';
+import { isTaskCompleted } from '../../utils/taskFilters';
+import { buildDependencyGraph, getOpenBlockers } from '../../utils/dependencies';
+
+// Node and spacing sizes of the layout, in pixels
+const NODE_WIDTH = 180;
+const NODE_HEIGHT = 48;
+const COLUMN_GAP = 56;
+const ROW_GAP = 16;
+
+/**
+ * Diagram of the dependencies between a project's tasks
+ * Tasks are placed in columns so each one sits to the right of everything it
+ * waits for; arrows point from a blocker to the task it blocks.
+ * @param {Object} props - Component props
+ * @param {Array} props.tasks - The project's tasks
+ * @param {Array} props.knownTasks - Tasks used to look up blockers outside the project
+ * @returns {JSX.Element} The DependencyGraph component
+ */
+function DependencyGraph({ tasks, knownTasks = [] }) {
+  const { levels, edges } = buildDependencyGraph(tasks);
+  const tasksById = new Map([...knownTasks, ...tasks].map(task => [task.Id, task]));
+
+  if (edges.length === 0) {
+    return (
+      <p className="text-sm text-surface-500">
+        None of this project&rsquo;s tasks wait for each other yet.
+      </p>
+    );
+  }
+
+  const positions = new Map();
+  levels.forEach((levelTasks, column) => {
+    levelTasks.forEach((task, row) => {
+      positions.set(task.Id, {
+        x: column * (NODE_WIDTH + COLUMN_GAP),
+        y: row * (NODE_HEIGHT + ROW_GAP)
+      });
+    });
+  });
+
+  const width = levels.length * (NODE_WIDTH + COLUMN_GAP) - COLUMN_GAP;
+  const height = Math.max(...levels.map(levelTasks => levelTasks.length)) * (NODE_HEIGHT + ROW_GAP) - ROW_GAP;
+
+  return (
+    <div className="overflow-x-auto card p-4">
+      <svg width={width} height={height} role="img" aria-label="Task dependency graph">
+        <defs>
+          <marker id="dependency-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+            <path d="M0,0 L10,5 L0,10 z" fill="#94a3b8" />
+          </marker>
+        </defs>
+
+        {edges.map(({ from, to }) => {
+          const start = positions.get(from);
+          const end = positions.get(to);
+          const x1 = start.x + NODE_WIDTH;
+          const y1 = start.y + NODE_HEIGHT / 2;
+          const x2 = end.x;
+          const y2 = end.y + NODE_HEIGHT / 2;
+          const bend = (x2 - x1) / 2;
+
+          return (
+            <path
+              key={`${from}-${to}`}
+              d={`M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}`}
+              fill="none"
+              stroke={isTaskCompleted(tasksById.get(from)) ? '#cbd5e1' : '#94a3b8'}
+              strokeWidth="1.5"
+              markerEnd="url(#dependency-arrow)"
+            />
+          );
+        })}
+
+        {tasks.map(task => {
+          const { x, y } = positions.get(task.Id);
+          const completed = isTaskCompleted(task);
+          const blocked = !completed && getOpenBlockers(task, tasksById).length > 0;
+
+          return (
+            <foreignObject key={task.Id} x={x} y={y} width={NODE_WIDTH} height={NODE_HEIGHT}>
+              <div
+                title={task[FieldNames.TASK.TITLE]}
+                className={`h-full px-2 py-1 rounded-md border text-xs flex flex-col justify-center ${
+                  completed
+                    ? 'border-green-300 bg-green-50 text-surface-500'
+                    : blocked
+                      ? 'border-red-300 bg-red-50'
+                      : 'border-surface-200 bg-white'
+                }`}
+              >
+                <span className={`font-medium truncate ${completed ? 'line-through' : ''}`}>
+                  {task[FieldNames.TASK.TITLE]}
+                </span>
+                <span className="text-surface-500">
+                  {blocked ? 'Blocked' : task[FieldNames.TASK.STATUS] || 'Todo'}
+                </span>
+              </div>
+            </foreignObject>
+          );
+        })}
+      </svg>
+    </div>
+  );
+}
+
+export default DependencyGraph;
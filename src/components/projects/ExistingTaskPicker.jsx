@@ -0,0 +1,148 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link2, Search } from 'lucide-react';
+import LoadMoreTrigger from '../LoadMoreTrigger';
+import * as taskService from '../../services/taskService';
+import { FieldNames } from '../../utils/apperClient';
+import { createQuery } from '../../utils/queryBuilder';
+import { appendPage } from '../../utils/pagination';
+
+// Tasks listed per page of search results
+const PAGE_SIZE = 20;
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY = 300;
+
+/**
+ * Fetches a page of tasks whose title contains a search term
+ * @param {string} term - The search term
+ * @param {number} offset - Number of tasks to skip
+ * @returns {Promise<Object>} The paginated result
+ */
+const searchTasks = (term, offset) => {
+  const query = createQuery('TASK')
+    .select([FieldNames.TASK.ID, FieldNames.TASK.TITLE])
+    .contains(FieldNames.TASK.TITLE, term)
+    .orderBy([
+      { field: FieldNames.TASK.TITLE, direction: 'asc' },
+      { field: FieldNames.TASK.ID, direction: 'asc' }
+    ]);
+  return taskService.fetchTasks({ query, limit: PAGE_SIZE, offset });
+};
+
+/**
+ * Searches every task by title and offers the ones not in a project yet
+ * @param {Object} props - Component props
+ * @param {Set<number>} props.excludeIds - IDs of the tasks already in the project
+ * @param {Function} props.onAdd - Called with the chosen task's ID
+ * @returns {JSX.Element} The ExistingTaskPicker component
+ */
+function ExistingTaskPicker({ excludeIds, onAdd }) {
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Counts searches, so results for an older term cannot replace newer ones
+  const searchRequest = useRef(0);
+
+  const term = search.trim();
+
+  useEffect(() => {
+    const request = ++searchRequest.current;
+    if (!term) {
+      setResults([]);
+      setHasMore(false);
+      setLoading(false);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const result = await searchTasks(term, 0);
+        if (request !== searchRequest.current) return;
+        setResults(result.data);
+        setHasMore(result.hasMore);
+      } catch (err) {
+        if (request === searchRequest.current) {
+          setError(err.message || 'Failed to search tasks');
+        }
+      } finally {
+        if (request === searchRequest.current) {
+          setLoading(false);
+        }
+      }
+    }, SEARCH_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [term]);
+
+  const loadMore = async () => {
+    const request = searchRequest.current;
+    setLoading(true);
+
+    try {
+      const result = await searchTasks(term, results.length);
+      if (request !== searchRequest.current) return;
+      setResults(prevResults => appendPage(prevResults, result.data));
+      setHasMore(result.hasMore);
+    } catch (err) {
+      if (request === searchRequest.current) {
+        setError(err.message || 'Failed to search tasks');
+      }
+    } finally {
+      if (request === searchRequest.current) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const availableTasks = results.filter(task => !excludeIds.has(task.Id));
+
+  return (
+    <div className="mt-4">
+      <label className="flex items-center gap-2">
+        <Search size={16} className="text-surface-400 shrink-0" />
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Add an existing task..."
+          aria-label="Search tasks to add"
+          className="flex-1"
+        />
+      </label>
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+      {term && (
+        <div className="mt-2 max-h-64 overflow-y-auto rounded-md border border-surface-200">
+          {availableTasks.length === 0 && !loading ? (
+            <p className="px-3 py-2 text-sm text-surface-500">No matching tasks outside this project.</p>
+          ) : (
+            <ul className="divide-y divide-surface-100">
+              {availableTasks.map(task => (
+                <li key={task.Id} className="flex items-center justify-between gap-2 px-3 py-2 text-sm">
+                  <span className="truncate">{task[FieldNames.TASK.TITLE]}</span>
+                  <button
+                    type="button"
+                    onClick={() => onAdd(task.Id)}
+                    className="btn-primary gap-1.5 text-xs"
+                  >
+                    <Link2 size={14} />
+                    Add
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <LoadMoreTrigger hasMore={hasMore} loading={loading} onLoadMore={loadMore} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExistingTaskPicker;
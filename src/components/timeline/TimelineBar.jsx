@@ -0,0 +1,84 @@
+import { useRef, useState } from 'react';
+import { parseISO } from 'date-fns';
+import { FieldNames } from '../../utils/apperClient';
+import { getDateOffset, getDayWidth, shiftProjectRange } from '../../utils/timeline';
+
+/**
+ * Project bar on the timeline that can be dragged to change the project's dates
+ * Dragging the middle moves the project; dragging either end changes one date.
+ * @param {Object} props - Component props
+ * @param {Object} props.project - The project record
+ * @param {Object} props.range - The project's date range ({ start, end })
+ * @param {Date} props.timelineStart - The first day of the timeline
+ * @param {string} props.scale - One of TimelineScales
+ * @param {Function} props.onChangeDates - Called with the new START_DATE and END_DATE fields; without it the bar cannot be dragged
+ * @returns {JSX.Element} The TimelineBar component
+ */
+function TimelineBar({ project, range, timelineStart, scale, onChangeDates }) {
+  const barRef = useRef(null);
+  const [drag, setDrag] = useState(null);
+  const dayWidth = getDayWidth(scale);
+
+  // While dragging, show where the bar will land
+  let shown = range;
+  if (drag && drag.days !== 0) {
+    const fields = shiftProjectRange(range, drag.mode, drag.days);
+    shown = {
+      start: parseISO(fields[FieldNames.PROJECT.START_DATE]),
+      end: parseISO(fields[FieldNames.PROJECT.END_DATE])
+    };
+  }
+
+  const left = getDateOffset(shown.start, timelineStart, scale);
+  const width = getDateOffset(shown.end, shown.start, scale) + dayWidth;
+
+  const startDrag = (mode) => (e) => {
+    if (!onChangeDates) return;
+    e.stopPropagation();
+    barRef.current.setPointerCapture(e.pointerId);
+    setDrag({ mode, startX: e.clientX, days: 0 });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drag) return;
+    const days = Math.round((e.clientX - drag.startX) / dayWidth);
+    if (days !== drag.days) {
+      setDrag({ ...drag, days });
+    }
+  };
+
+  const handlePointerUp = () => {
+    if (!drag) return;
+    if (drag.days !== 0) {
+      onChangeDates(shiftProjectRange(range, drag.mode, drag.days));
+    }
+    setDrag(null);
+  };
+
+  return (
+    <div
+      ref={barRef}
+      onPointerDown={startDrag('move')}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={() => setDrag(null)}
+      title={project[FieldNames.PROJECT.NAME]}
+      style={{ left, width }}
+      className={`absolute top-1 h-5 rounded-md bg-primary/80 text-white text-xs flex items-center select-none touch-none ${
+        drag ? 'cursor-grabbing ring-2 ring-primary/40' : onChangeDates ? 'cursor-grab' : ''
+      }`}
+    >
+      <span
+        onPointerDown={startDrag('start')}
+        className={`h-full w-2 shrink-0 rounded-l-md ${onChangeDates ? 'cursor-ew-resize hover:bg-white/30' : ''}`}
+      />
+      <span className="flex-1 truncate px-1">{project[FieldNames.PROJECT.NAME]}</span>
+      <span
+        onPointerDown={startDrag('end')}
+        className={`h-full w-2 shrink-0 rounded-r-md ${onChangeDates ? 'cursor-ew-resize hover:bg-white/30' : ''}`}
+      />
+    </div>
+  );
+}
+
+export default TimelineBar;
@@ -1,5 +1,16 @@
-import { createContext, useState, useEffect, useContext } from 'react';
+import { createContext, useState, useEffect, useContext, useCallback } from 'react';
 import * as authService from '../services/authService';
+import * as userService from '../services/userService';
+import * as migrationService from '../services/migrationService';
+import { FieldNames } from '../utils/apperClient';
+import * as permissions from '../utils/permissions';
+import { setPreference, PreferenceKeys } from '../utils/preferences';
+
+// Browser events that count as user activity for the idle timeout
+const ACTIVITY_EVENTS = ['mousedown', 'keydown', 'scroll', 'touchstart'];
+
+// How often the session is checked for expiry
+const SESSION_CHECK_INTERVAL_MS = 5 * 1000;
 
 // Create the auth context
 const AuthContext = createContext();
@@ -13,6 +24,11 @@ export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [userRecord, setUserRecord] = useState(null);
+  const [roleLoading, setRoleLoading] = useState(true);
+  const [sessionWarning, setSessionWarning] = useState(null);
+  const [sessionEndReason, setSessionEndReason] = useState(null);
+  const [idleTimeoutMinutes, setIdleTimeoutMinutes] = useState(() => authService.getIdleTimeoutMinutes());
 
   // Load user data from localStorage on component mount
   useEffect(() => {
@@ -20,6 +36,8 @@ export function AuthProvider({ children }) {
       try {
         const userData = authService.getUserData();
         if (userData) {
+          // Tasks left by the legacy page belong to whoever was already signed in
+          migrationService.recordLegacyOwner();
           setUser(userData);
         }
       } catch (err) {
@@ -32,6 +50,138 @@ export function AuthProvider({ children }) {
     loadUserData();
   }, []);
 
+  // Follow sign-ins and sign-outs made in other tabs
+  useEffect(() => {
+    const handleStorage = (event) => {
+      // A null key means the whole localStorage was cleared
+      if (event.key !== null && event.key !== authService.USER_KEY) return;
+      
+      setUser(authService.getUserData());
+      setSessionWarning(null);
+    };
+    
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  /**
+   * End the session without an explicit logout
+   * @param {string} reason - One of SessionEndReasons
+   */
+  const endSession = useCallback((reason) => {
+    authService.logout();
+    setUser(null);
+    setUserRecord(null);
+    setSessionWarning(null);
+    setSessionEndReason(reason);
+  }, []);
+
+  // Record activity and sign out once the session expires or the user goes idle
+  useEffect(() => {
+    if (!user) return;
+    
+    const handleActivity = () => authService.touchSession();
+    ACTIVITY_EVENTS.forEach(eventName => window.addEventListener(eventName, handleActivity, { passive: true }));
+    
+    const checkSession = () => {
+      const sessionEnd = authService.getSessionEnd();
+      
+      // Another tab logged out
+      if (!sessionEnd) {
+        setUser(null);
+        setSessionWarning(null);
+        return;
+      }
+      
+      if (sessionEnd.remainingMs <= 0) {
+        endSession(sessionEnd.reason);
+      } else if (sessionEnd.remainingMs <= authService.SessionSettings.WARNING_MS) {
+        setSessionWarning(sessionEnd);
+      } else {
+        setSessionWarning(null);
+      }
+    };
+    
+    checkSession();
+    const interval = setInterval(checkSession, SESSION_CHECK_INTERVAL_MS);
+    
+    return () => {
+      ACTIVITY_EVENTS.forEach(eventName => window.removeEventListener(eventName, handleActivity));
+      clearInterval(interval);
+    };
+  }, [user, endSession]);
+
+  /**
+   * Keep the session alive after an idle warning
+   */
+  const extendSession = () => {
+    authService.touchSession(true);
+    setSessionWarning(null);
+  };
+
+  /**
+   * Change how long the user may be idle before being signed out
+   * @param {number} minutes - Idle minutes, 0 to never sign out for inactivity
+   */
+  const setIdleTimeout = (minutes) => {
+    setPreference(PreferenceKeys.SESSION_IDLE_MINUTES, minutes);
+    setIdleTimeoutMinutes(minutes);
+    authService.touchSession(true);
+  };
+
+  /**
+   * Create or update the signed-in user's User1 record, which holds their role
+   * and is what tasks are assigned to
+   * @returns {Promise<Object|null>} The user record
+   */
+  const refreshUserRecord = useCallback(async () => {
+    if (!user?.emailAddress) {
+      setUserRecord(null);
+      setRoleLoading(false);
+      return null;
+    }
+    
+    setRoleLoading(true);
+    
+    try {
+      const record = await userService.syncUserRecord(user);
+      setUserRecord(record);
+      return record;
+    } catch (err) {
+      // Fall back to the default role rather than blocking sign-in
+      console.error('Error resolving user role:', err);
+      setUserRecord(null);
+      return null;
+    } finally {
+      setRoleLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    refreshUserRecord();
+  }, [refreshUserRecord]);
+
+  const role = userRecord?.[FieldNames.USER.ROLE] || permissions.DEFAULT_ROLE;
+  const userRecordId = userRecord?.Id ?? null;
+
+  /**
+   * Check if the current user's role grants a permission
+   * @param {string} permission - One of Permissions
+   * @returns {boolean} True if allowed, false otherwise
+   */
+  const hasPermission = useCallback((permission) => {
+    return permissions.hasPermission(role, permission);
+  }, [role]);
+
+  /**
+   * Check if the current user may edit or delete a task
+   * @param {Object} task - The task record
+   * @returns {boolean} True if allowed, false otherwise
+   */
+  const canEditTask = useCallback((task) => {
+    return permissions.canEditTask(role, userRecordId, task);
+  }, [role, userRecordId]);
+
   /**
    * Handle successful authentication
    * @param {Object} userData - The authenticated user data
@@ -40,6 +190,7 @@ export function AuthProvider({ children }) {
   const handleAuthSuccess = (userData, accountData) => {
     setUser(userData.data);
     setError(null);
+    setSessionEndReason(null);
   };
 
   /**
@@ -63,6 +214,17 @@ export function AuthProvider({ children }) {
     );
   };
 
+  /**
+   * Sign in a local demo user when the Apper SDK is unavailable
+   * @param {Object} profile - The local user's profile
+   */
+  const signInLocally = (profile) => {
+    const userData = authService.signInLocally(profile);
+    setUser(userData);
+    setError(null);
+    setSessionEndReason(null);
+  };
+
   /**
    * Show the login UI
    * @param {string} containerId - The ID of the container element
@@ -85,6 +247,9 @@ export function AuthProvider({ children }) {
   const logout = () => {
     authService.logout();
     setUser(null);
+    setUserRecord(null);
+    setSessionWarning(null);
+    setSessionEndReason(null);
   };
 
   /**
@@ -100,7 +265,20 @@ export function AuthProvider({ children }) {
     user,
     loading,
     error,
+    userRecord,
+    userRecordId,
+    role,
+    roleLoading,
+    hasPermission,
+    canEditTask,
+    refreshUserRecord,
+    sessionWarning,
+    sessionEndReason,
+    idleTimeoutMinutes,
+    extendSession,
+    setIdleTimeout,
     setupAuth,
+    signInLocally,
     showLogin,
     showSignup,
     logout,
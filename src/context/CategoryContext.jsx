@@ -0,0 +1,256 @@
+import { createContext, useState, useContext, useCallback, useRef } from 'react';
+import * as categoryService from '../services/categoryService';
+import { useAuth } from './AuthContext';
+import { FieldNames } from '../utils/apperClient';
+import { Permissions } from '../utils/permissions';
+
+// Create the category context
+const CategoryContext = createContext();
+
+/**
+ * Provider component for the team's task categories
+ * @param {Object} props - Component props
+ * @returns {JSX.Element} The CategoryProvider component
+ */
+export function CategoryProvider({ children }) {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const { user, hasPermission } = useAuth();
+  
+  // Latest categories for checking names against
+  const categoriesRef = useRef(categories);
+  categoriesRef.current = categories;
+  
+  // First load for the signed-in user, shared by every component that shows categories
+  const categoriesRequest = useRef(null);
+
+  /**
+   * Fetch all categories
+   * @returns {Promise<Array>} The categories
+   */
+  const fetchCategories = useCallback(async () => {
+    if (!user) return;
+    
+    setLoading(true);
+    setError(null);
+    
+    try {
+      const data = await categoryService.fetchCategories();
+      setCategories(data);
+      return data;
+    } catch (err) {
+      setError(err.message || 'Failed to fetch categories');
+      console.error('Error fetching categories:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  /**
+   * Load the categories once, for components that only need the list to exist
+   * @returns {Promise<Array>} The categories
+   */
+  const ensureCategoriesLoaded = useCallback(() => {
+    if (categoriesRequest.current?.user !== user) {
+      categoriesRequest.current = { user, promise: fetchCategories() };
+    }
+    return categoriesRequest.current.promise;
+  }, [user, fetchCategories]);
+
+  /**
+   * Check that the user may manage categories and that a name is usable
+   * @param {string} name - The proposed name, or undefined when it is not changing
+   * @param {number} categoryId - The category being renamed, if any
+   * @returns {string|null} An error message, or null if the change is allowed
+   */
+  const validateChange = useCallback((name, categoryId = null) => {
+    if (!hasPermission(Permissions.MANAGE_CATEGORIES)) {
+      return 'Only admins and managers can manage categories';
+    }
+    if (name === undefined) return null;
+    
+    const trimmed = name.trim().toLowerCase();
+    if (!trimmed) {
+      return 'Category name is required';
+    }
+    const duplicate = categoriesRef.current.some(category =>
+      category.Id !== categoryId && (category[FieldNames.CATEGORY.NAME] || '').trim().toLowerCase() === trimmed
+    );
+    return duplicate ? `A category named "${name.trim()}" already exists` : null;
+  }, [hasPermission]);
+
+  /**
+   * Create a category
+   * @param {Object} categoryData - The category's name and color fields
+   * @returns {Promise<Object>} The created category, or null on failure
+   */
+  const createCategory = useCallback(async (categoryData) => {
+    if (!user) return null;
+    
+    const validationError = validateChange(categoryData[FieldNames.CATEGORY.NAME] || '');
+    if (validationError) {
+      setError(validationError);
+      return null;
+    }
+    
+    setError(null);
+    
+    try {
+      const category = await categoryService.createCategory({
+        ...categoryData,
+        [FieldNames.CATEGORY.NAME]: categoryData[FieldNames.CATEGORY.NAME].trim()
+      });
+      setCategories(prevCategories => [...prevCategories, category]);
+      return category;
+    } catch (err) {
+      setError(err.message || 'Failed to create category');
+      console.error('Error creating category:', err);
+      return null;
+    }
+  }, [user, validateChange]);
+
+  /**
+   * Rename or recolor a category
+   * @param {number} categoryId - The ID of the category
+   * @param {Object} categoryData - The changed name and/or color fields
+   * @returns {Promise<Object>} The updated category, or null on failure
+   */
+  const updateCategory = useCallback(async (categoryId, categoryData) => {
+    if (!user) return null;
+    
+    const name = categoryData[FieldNames.CATEGORY.NAME];
+    const validationError = validateChange(name, categoryId);
+    if (validationError) {
+      setError(validationError);
+      return null;
+    }
+    
+    setError(null);
+    
+    try {
+      const category = await categoryService.updateCategory(categoryId, name === undefined
+        ? categoryData
+        : { ...categoryData, [FieldNames.CATEGORY.NAME]: name.trim() });
+      setCategories(prevCategories =>
+        prevCategories.map(existing => existing.Id === categoryId ? category : existing)
+      );
+      return category;
+    } catch (err) {
+      setError(err.message || `Failed to update category ${categoryId}`);
+      console.error(`Error updating category ${categoryId}:`, err);
+      return null;
+    }
+  }, [user, validateChange]);
+
+  /**
+   * Delete a category, leaving its tasks uncategorized
+   * @param {number} categoryId - The ID of the category
+   * @returns {Promise<Array<number>|null>} The IDs of the affected tasks, or null on failure
+   */
+  const deleteCategory = useCallback(async (categoryId) => {
+    if (!user) return null;
+    
+    const validationError = validateChange();
+    if (validationError) {
+      setError(validationError);
+      return null;
+    }
+    
+    setError(null);
+    
+    try {
+      const taskIds = await categoryService.deleteCategory(categoryId);
+      setCategories(prevCategories => prevCategories.filter(category => category.Id !== categoryId));
+      return taskIds;
+    } catch (err) {
+      setError(err.message || `Failed to delete category ${categoryId}`);
+      console.error(`Error deleting category ${categoryId}:`, err);
+      return null;
+    }
+  }, [user, validateChange]);
+
+  /**
+   * Move one category's tasks into another and delete the first
+   * @param {number} sourceId - The ID of the category to merge away
+   * @param {number} targetId - The ID of the category to keep
+   * @returns {Promise<Array<number>|null>} The IDs of the moved tasks, or null on failure
+   */
+  const mergeCategories = useCallback(async (sourceId, targetId) => {
+    if (!user) return null;
+    
+    const validationError = validateChange();
+    if (validationError) {
+      setError(validationError);
+      return null;
+    }
+    
+    setError(null);
+    
+    try {
+      const taskIds = await categoryService.mergeCategories(sourceId, targetId);
+      setCategories(prevCategories => prevCategories.filter(category => category.Id !== sourceId));
+      return taskIds;
+    } catch (err) {
+      setError(err.message || `Failed to merge category ${sourceId}`);
+      console.error(`Error merging category ${sourceId} into ${targetId}:`, err);
+      return null;
+    }
+  }, [user, validateChange]);
+
+  /**
+   * Create the default categories that are not defined yet
+   * @returns {Promise<Array>} The created categories
+   */
+  const addDefaultCategories = useCallback(async () => {
+    const created = [];
+    for (const { name, color } of categoryService.DEFAULT_CATEGORIES) {
+      const exists = categoriesRef.current.some(category =>
+        (category[FieldNames.CATEGORY.NAME] || '').toLowerCase() === name.toLowerCase()
+      );
+      if (exists) continue;
+      
+      const category = await createCategory({
+        [FieldNames.CATEGORY.NAME]: name,
+        [FieldNames.CATEGORY.COLOR]: color
+      });
+      if (!category) break;
+      created.push(category);
+    }
+    return created;
+  }, [createCategory]);
+
+  // Create the context value object with state and methods
+  const value = {
+    categories,
+    loading,
+    error,
+    fetchCategories,
+    ensureCategoriesLoaded,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    mergeCategories,
+    addDefaultCategories
+  };
+
+  return (
+    <CategoryContext.Provider value={value}>
+      {children}
+    </CategoryContext.Provider>
+  );
+}
+
+/**
+ * Custom hook to use the category context
+ * @returns {Object} The category context value
+ */
+export function useCategories() {
+  const context = useContext(CategoryContext);
+  if (context === undefined) {
+    throw new Error('useCategories must be used within a CategoryProvider');
+  }
+  return context;
+}
+
+export default CategoryContext;
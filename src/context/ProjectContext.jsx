@@ -1,6 +1,18 @@
-import { createContext, useState, useContext, useCallback } from 'react';
+import { createContext, useState, useContext, useCallback, useRef } from 'react';
 import * as projectService from '../services/projectService';
+import { createTempId } from '../services/syncQueueService';
 import { useAuth } from './AuthContext';
+import { useTask } from './TaskContext';
+import { useOptimisticMutations } from '../hooks/useOptimisticMutations';
+import { FieldNames } from '../utils/apperClient';
+import { Permissions } from '../utils/permissions';
+import { appendPage } from '../utils/pagination';
+
+// Paging state before anything has been fetched
+const initialPaging = { total: null, limit: 50, offset: 0, hasMore: false };
+
+// Most projects offered by pickers that list every project
+const PROJECT_OPTION_LIMIT = 1000;
 
 // Create the project context
 const ProjectContext = createContext();
@@ -15,22 +27,53 @@ export function ProjectProvider({ children }) {
   const [currentProject, setCurrentProject] = useState(null);
   const [projectTasks, setProjectTasks] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [projectPaging, setProjectPaging] = useState(initialPaging);
+  const [projectOptions, setProjectOptions] = useState([]);
   const [error, setError] = useState(null);
-  const { user } = useAuth();
+  const { user, hasPermission } = useAuth();
+  const { forgetDeletedTasks } = useTask();
+  const {
+    mutationErrors,
+    beginMutation,
+    isLatestMutation,
+    reportMutationError,
+    dismissMutationError,
+    retryMutation
+  } = useOptimisticMutations();
+  
+  // Latest state for callbacks that need the pre-change version of a project
+  const projectsRef = useRef(projects);
+  projectsRef.current = projects;
+  const currentProjectRef = useRef(currentProject);
+  currentProjectRef.current = currentProject;
+  
+  // Options of the last list fetch, reused when loading further pages
+  const lastFetchOptions = useRef({});
+  const pagingRef = useRef(projectPaging);
+  pagingRef.current = projectPaging;
+  
+  // Load of every project for the signed-in user, dropped whenever a project changes
+  const projectOptionsRequest = useRef(null);
 
   /**
-   * Fetch all projects with optional filtering
-   * @param {Object} options - Fetch options
+   * Fetch a page of projects with optional filtering, replacing the loaded projects
+   * @param {Object} options - Fetch options (filters, query, limit, offset, orderBy)
+   * @returns {Promise<Object>} The paginated result
    */
   const fetchProjects = useCallback(async (options = {}) => {
     if (!user) return;
     
+    lastFetchOptions.current = options;
     setLoading(true);
     setError(null);
     
     try {
-      const fetchedProjects = await projectService.fetchProjects(options);
-      setProjects(fetchedProjects);
+      const result = await projectService.fetchProjects(options);
+      const { data, ...paging } = result;
+      setProjects(data);
+      setProjectPaging(paging);
+      return result;
     } catch (err) {
       setError(err.message || 'Failed to fetch projects');
       console.error('Error fetching projects:', err);
@@ -39,6 +82,60 @@ export function ProjectProvider({ children }) {
     }
   }, [user]);
 
+  /**
+   * Fetch the next page of projects and append it to the loaded projects
+   * @returns {Promise<Object>} The paginated result
+   */
+  const fetchMoreProjects = useCallback(async () => {
+    const paging = pagingRef.current;
+    if (!user || !paging.hasMore) return;
+    
+    setLoadingMore(true);
+    setError(null);
+    
+    try {
+      const result = await projectService.fetchProjects({
+        ...lastFetchOptions.current,
+        limit: paging.limit,
+        offset: paging.offset + paging.limit
+      });
+      const { data, ...nextPaging } = result;
+      setProjects(prevProjects => appendPage(prevProjects, data));
+      setProjectPaging(nextPaging);
+      return result;
+    } catch (err) {
+      setError(err.message || 'Failed to fetch more projects');
+      console.error('Error fetching more projects:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [user]);
+
+  /**
+   * Load every project once, by name, for pickers that must offer all of them
+   * Kept apart from the paged projects list, so loading more pages does not change it.
+   * @returns {Promise<Array>} The projects
+   */
+  const ensureProjectOptionsLoaded = useCallback(() => {
+    if (!user) return Promise.resolve([]);
+    
+    if (projectOptionsRequest.current?.user !== user) {
+      const promise = projectService.fetchProjects({
+        limit: PROJECT_OPTION_LIMIT,
+        orderBy: [{ field: FieldNames.PROJECT.NAME, direction: 'asc' }]
+      }).then(({ data }) => {
+        setProjectOptions(data);
+        return data;
+      }).catch(err => {
+        projectOptionsRequest.current = null;
+        console.error('Error fetching project options:', err);
+        return [];
+      });
+      projectOptionsRequest.current = { user, promise };
+    }
+    return projectOptionsRequest.current.promise;
+  }, [user]);
+
   /**
    * Fetch a single project by ID
    * @param {number} projectId - The ID of the project to fetch
@@ -64,98 +161,162 @@ export function ProjectProvider({ children }) {
 
   /**
    * Create a new project
+   * The project is shown immediately under a temporary ID and replaced by the
+   * server record once it is saved.
    * @param {Object} projectData - The project data to create
    * @returns {Promise<Object>} The created project
    */
   const createProject = useCallback(async (projectData) => {
     if (!user) return null;
+    if (!hasPermission(Permissions.CREATE_PROJECT)) {
+      setError('Only admins and managers can create projects');
+      return null;
+    }
     
-    setLoading(true);
-    setError(null);
+    const tempId = createTempId();
+    setProjects(prevProjects => [...prevProjects, { ...projectData, Id: tempId }]);
     
     try {
       const newProject = await projectService.createProject(projectData);
-      setProjects(prevProjects => [...prevProjects, newProject]);
+      projectOptionsRequest.current = null;
+      setProjects(prevProjects => 
+        prevProjects.map(project => project.Id === tempId ? newProject : project)
+      );
       return newProject;
     } catch (err) {
-      setError(err.message || 'Failed to create project');
+      setProjects(prevProjects => prevProjects.filter(project => project.Id !== tempId));
+      reportMutationError(
+        `Couldn't create project "${projectData[FieldNames.PROJECT.NAME]}": ${err.message || 'Failed to create project'}`,
+        () => createProject(projectData)
+      );
       console.error('Error creating project:', err);
       return null;
-    } finally {
-      setLoading(false);
     }
-  }, [user]);
+  }, [user, hasPermission, reportMutationError]);
 
   /**
    * Update an existing project
+   * Changes are applied locally first and rolled back if the server rejects them.
    * @param {number} projectId - The ID of the project to update
    * @param {Object} projectData - The updated project data
    * @returns {Promise<Object>} The updated project
    */
   const updateProject = useCallback(async (projectId, projectData) => {
     if (!user) return null;
+    if (!hasPermission(Permissions.EDIT_PROJECT)) {
+      setError('Only admins and managers can edit projects');
+      return null;
+    }
     
-    setLoading(true);
-    setError(null);
+    const previousProject = projectsRef.current.find(project => project.Id === projectId) ||
+      (currentProjectRef.current?.Id === projectId ? currentProjectRef.current : null);
+    const version = beginMutation(projectId);
     
-    try {
-      const updatedProject = await projectService.updateProject(projectId, projectData);
-      
-      // Update the projects array with the updated project
+    const replaceProject = (replacement) => {
       setProjects(prevProjects => 
-        prevProjects.map(project => 
-          project.Id === projectId ? updatedProject : project
-        )
+        prevProjects.map(project => project.Id === projectId ? replacement : project)
       );
       
       // Update currentProject if it's the one being edited
-      if (currentProject && currentProject.Id === projectId) {
-        setCurrentProject(updatedProject);
+      setCurrentProject(prevProject => prevProject && prevProject.Id === projectId ? replacement : prevProject);
+    };
+    
+    replaceProject({ ...previousProject, ...projectData, Id: projectId });
+    
+    try {
+      const updatedProject = await projectService.updateProject(projectId, projectData);
+      projectOptionsRequest.current = null;
+      
+      // A newer edit of the same project owns the local state now
+      if (isLatestMutation(projectId, version)) {
+        replaceProject(updatedProject);
       }
       
       return updatedProject;
     } catch (err) {
-      setError(err.message || `Failed to update project with ID ${projectId}`);
+      if (previousProject && isLatestMutation(projectId, version)) {
+        replaceProject(previousProject);
+      }
+      reportMutationError(
+        `Couldn't update project "${previousProject?.[FieldNames.PROJECT.NAME] || projectId}": ${err.message || 'Failed to update project'}`,
+        () => updateProject(projectId, projectData)
+      );
       console.error(`Error updating project ${projectId}:`, err);
       return null;
-    } finally {
-      setLoading(false);
     }
-  }, [user, currentProject]);
+  }, [user, hasPermission, beginMutation, isLatestMutation, reportMutationError]);
+
+  /**
+   * Preview which associations and tasks deleting a project would affect
+   * @param {number} projectId - The ID of the project
+   * @returns {Promise<Object>} The preview, or null on failure
+   */
+  const previewProjectDeletion = useCallback(async (projectId) => {
+    if (!user) return null;
+    
+    setError(null);
+    
+    try {
+      return await projectService.previewProjectDeletion(projectId);
+    } catch (err) {
+      setError(err.message || `Failed to preview deletion of project ${projectId}`);
+      console.error(`Error previewing deletion of project ${projectId}:`, err);
+      return null;
+    }
+  }, [user]);
 
   /**
-   * Delete a project
+   * Delete a project and its task associations
+   * The project is removed locally first and restored if the server rejects the deletion.
    * @param {number} projectId - The ID of the project to delete
-   * @returns {Promise<boolean>} True if successful, false otherwise
+   * @param {Object} options - Deletion options ({ strategy, targetProjectId })
+   * @returns {Promise<Object|boolean>} The deletion summary if successful, false otherwise
    */
-  const deleteProject = useCallback(async (projectId) => {
+  const deleteProject = useCallback(async (projectId, options = {}) => {
     if (!user) return false;
+    if (!hasPermission(Permissions.DELETE_PROJECT)) {
+      setError('Only admins and managers can delete projects');
+      return false;
+    }
     
-    setLoading(true);
-    setError(null);
+    const previousIndex = projectsRef.current.findIndex(project => project.Id === projectId);
+    const previousProject = projectsRef.current[previousIndex];
+    const previousCurrentProject = currentProjectRef.current;
+    const version = beginMutation(projectId);
+    
+    setProjects(prevProjects => 
+      prevProjects.filter(project => project.Id !== projectId)
+    );
+    setCurrentProject(prevProject => prevProject && prevProject.Id === projectId ? null : prevProject);
     
     try {
-      await projectService.deleteProject(projectId);
-      
-      // Remove the deleted project from the projects array
-      setProjects(prevProjects => 
-        prevProjects.filter(project => project.Id !== projectId)
-      );
-      
-      // Clear currentProject if it's the one being deleted
-      if (currentProject && currentProject.Id === projectId) {
-        setCurrentProject(null);
-      }
-      
-      return true;
+      const summary = await projectService.deleteProject(projectId, options);
+      projectOptionsRequest.current = null;
+      forgetDeletedTasks(summary.deletedTaskIds);
+      return summary;
     } catch (err) {
-      setError(err.message || `Failed to delete project with ID ${projectId}`);
+      // Put the project back where it was
+      if (isLatestMutation(projectId, version)) {
+        if (previousProject) {
+          setProjects(prevProjects => {
+            if (prevProjects.some(project => project.Id === projectId)) return prevProjects;
+            const restored = [...prevProjects];
+            restored.splice(Math.min(previousIndex, restored.length), 0, previousProject);
+            return restored;
+          });
+        }
+        if (previousCurrentProject?.Id === projectId) {
+          setCurrentProject(prevProject => prevProject || previousCurrentProject);
+        }
+      }
+      reportMutationError(
+        `Couldn't delete project "${(previousProject || previousCurrentProject)?.[FieldNames.PROJECT.NAME] || projectId}": ${err.message || 'Failed to delete project'}`,
+        () => deleteProject(projectId, options)
+      );
       console.error(`Error deleting project ${projectId}:`, err);
       return false;
-    } finally {
-      setLoading(false);
     }
-  }, [user, currentProject]);
+  }, [user, hasPermission, beginMutation, isLatestMutation, reportMutationError, forgetDeletedTasks]);
 
   /**
    * Fetch tasks associated with a project
@@ -180,19 +341,91 @@ export function ProjectProvider({ children }) {
     }
   }, [user]);
 
+  /**
+   * Fetch the tasks of several projects without replacing projectTasks
+   * @param {Array<number>} projectIds - The IDs of the projects
+   * @returns {Promise<Object>} Task arrays keyed by project ID
+   */
+  const fetchTasksForProjects = useCallback(async (projectIds) => {
+    if (!user) return {};
+    
+    setError(null);
+    
+    try {
+      return await projectService.fetchTasksForProjects(projectIds);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch project tasks');
+      console.error('Error fetching tasks for projects:', err);
+      return {};
+    }
+  }, [user]);
+
+  /**
+   * Fetch the projects of several tasks, e.g. to group a task list by project
+   * @param {Array<number>} taskIds - The IDs of the tasks
+   * @returns {Promise<Object>} Project arrays keyed by task ID
+   */
+  const fetchProjectsForTasks = useCallback(async (taskIds) => {
+    if (!user) return {};
+    
+    setError(null);
+    
+    try {
+      return await projectService.fetchProjectsForTasks(taskIds);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch task projects');
+      console.error('Error fetching projects for tasks:', err);
+      return {};
+    }
+  }, [user]);
+
+  /**
+   * Remove task associations pointing at deleted projects or tasks
+   * @returns {Promise<number|null>} The number of rows removed, or null on failure
+   */
+  const cleanupOrphanedAssociations = useCallback(async () => {
+    if (!user) return null;
+    if (!hasPermission(Permissions.DELETE_PROJECT)) {
+      setError('Only admins and managers can clean up task links');
+      return null;
+    }
+    
+    setError(null);
+    
+    try {
+      return await projectService.cleanupOrphanedAssociations();
+    } catch (err) {
+      setError(err.message || 'Failed to clean up task associations');
+      console.error('Error cleaning up task associations:', err);
+      return null;
+    }
+  }, [user, hasPermission]);
+
   // Create the context value object with state and methods
   const value = {
     projects,
     currentProject,
     projectTasks,
     loading,
+    loadingMore,
+    projectPaging,
+    projectOptions,
     error,
+    mutationErrors,
     fetchProjects,
+    fetchMoreProjects,
+    ensureProjectOptionsLoaded,
     fetchProjectById,
     createProject,
     updateProject,
     deleteProject,
+    previewProjectDeletion,
+    cleanupOrphanedAssociations,
     fetchTasksByProject,
+    fetchTasksForProjects,
+    fetchProjectsForTasks,
+    dismissMutationError,
+    retryMutation,
     setCurrentProject
   };
 
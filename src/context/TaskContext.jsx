@@ -1,10 +1,43 @@
-import { createContext, useState, useContext, useCallback } from 'react';
+import { createContext, useState, useContext, useCallback, useEffect, useMemo, useRef } from 'react';
 import * as taskService from '../services/taskService';
+import * as syncQueueService from '../services/syncQueueService';
 import { useAuth } from './AuthContext';
+import { useOptimisticMutations } from '../hooks/useOptimisticMutations';
+import { FieldNames } from '../utils/apperClient';
+import { Permissions } from '../utils/permissions';
+import { getTaskRecurrence } from '../utils/recurrence';
+import { getParentId } from '../utils/subtasks';
+import { BLOCKED_STATUSES, getBlockerIds, getOpenBlockers, serializeBlockerIds } from '../utils/dependencies';
+import { isTaskCompleted } from '../utils/taskFilters';
+import { getTaskTags, serializeTags, tagKey, normalizeTag, uniqueTags } from '../utils/tags';
+import { getPreference, PreferenceKeys } from '../utils/preferences';
+import { appendPage } from '../utils/pagination';
+
+// Paging state before anything has been fetched
+const initialPaging = { total: null, limit: 50, offset: 0, hasMore: false };
 
 // Create the task context
 const TaskContext = createContext();
 
+/**
+ * Drops a task's parent and blocker references to deleted tasks, as the task service does on the server
+ * @param {Object} task - The task record
+ * @param {Set<number>} deletedIds - The IDs of the deleted tasks
+ * @returns {Object} The task, or an updated copy if it referenced a deleted task
+ */
+const withoutDeletedReferences = (task, deletedIds) => {
+  const blockerIds = getBlockerIds(task);
+  const orphaned = deletedIds.has(getParentId(task));
+  const unblocked = blockerIds.some(id => deletedIds.has(id));
+  if (!orphaned && !unblocked) return task;
+  
+  return {
+    ...task,
+    ...(orphaned ? { [FieldNames.TASK.PARENT_TASK]: null } : {}),
+    ...(unblocked ? { [FieldNames.TASK.BLOCKED_BY]: serializeBlockerIds(blockerIds.filter(id => !deletedIds.has(id))) } : {})
+  };
+};
+
 /**
  * Provider component for task data and operations
  * @param {Object} props - Component props
@@ -14,27 +47,128 @@ export function TaskProvider({ children }) {
   const [tasks, setTasks] = useState([]);
   const [currentTask, setCurrentTask] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [taskPaging, setTaskPaging] = useState(initialPaging);
   const [error, setError] = useState(null);
-  const { user } = useAuth();
+  const [pendingTaskIds, setPendingTaskIds] = useState(() => syncQueueService.getPendingTaskIds());
+  const [syncConflict, setSyncConflict] = useState(null);
+  const [syncing, setSyncing] = useState(false);
+  const [tagUsage, setTagUsage] = useState([]);
+  // Blockers of shown tasks that are not among the loaded tasks
+  const [blockerTasks, setBlockerTasks] = useState([]);
+  // Subtasks of shown tasks as stored on the server, including ones not loaded
+  const [subtaskRecords, setSubtaskRecords] = useState([]);
+  const { user, userRecord, hasPermission, canEditTask } = useAuth();
+  const {
+    mutationErrors,
+    beginMutation,
+    isLatestMutation,
+    reportMutationError,
+    dismissMutationError,
+    retryMutation
+  } = useOptimisticMutations();
+  
+  // Latest tasks for callbacks that need the pre-change version of a task
+  const tasksRef = useRef(tasks);
+  tasksRef.current = tasks;
+  const currentTaskRef = useRef(currentTask);
+  currentTaskRef.current = currentTask;
+  
+  // Options of the last list fetch, reused when loading further pages
+  const lastFetchOptions = useRef({});
+  const pagingRef = useRef(taskPaging);
+  pagingRef.current = taskPaging;
+  
+  // Counts list fetches, so a slower earlier response cannot replace a newer list
+  const fetchRequest = useRef(0);
+  
+  // First tag count for the signed-in user, shared by every tag input
+  const tagUsageRequest = useRef(null);
+  
+  const refreshPendingTaskIds = useCallback(() => {
+    setPendingTaskIds(syncQueueService.getPendingTaskIds());
+  }, []);
 
   /**
-   * Fetch all tasks with optional filtering
-   * @param {Object} options - Fetch options
+   * Fetch a page of tasks with optional filtering, replacing the loaded tasks
+   * @param {Object} options - Fetch options (filters, query, limit, offset, orderBy)
+   * @returns {Promise<Object>} The paginated result
    */
   const fetchTasks = useCallback(async (options = {}) => {
     if (!user) return;
     
+    const request = ++fetchRequest.current;
+    lastFetchOptions.current = options;
     setLoading(true);
     setError(null);
     
     try {
-      const fetchedTasks = await taskService.fetchTasks(options);
-      setTasks(fetchedTasks);
+      const result = await taskService.fetchTasks(options);
+      if (request !== fetchRequest.current) return result;
+      
+      const { data, ...paging } = result;
+      setTasks(syncQueueService.applyPendingMutations(data));
+      setTaskPaging(paging);
+      return result;
     } catch (err) {
+      if (request !== fetchRequest.current) return;
+      
       setError(err.message || 'Failed to fetch tasks');
       console.error('Error fetching tasks:', err);
     } finally {
-      setLoading(false);
+      if (request === fetchRequest.current) {
+        setLoading(false);
+      }
+    }
+  }, [user]);
+
+  /**
+   * Fetch the next page of tasks and append it to the loaded tasks
+   * @returns {Promise<Object>} The paginated result
+   */
+  const fetchMoreTasks = useCallback(async () => {
+    const paging = pagingRef.current;
+    if (!user || !paging.hasMore) return;
+    
+    const request = fetchRequest.current;
+    setLoadingMore(true);
+    setError(null);
+    
+    try {
+      const result = await taskService.fetchTasks({
+        ...lastFetchOptions.current,
+        limit: paging.limit,
+        offset: paging.offset + paging.limit
+      });
+      // The list was refetched meanwhile, so this page belongs to an older query
+      if (request !== fetchRequest.current) return result;
+      
+      const { data, ...nextPaging } = result;
+      const page = syncQueueService.applyPendingMutations(data, { includeCreates: false });
+      setTasks(prevTasks => appendPage(prevTasks, page));
+      setTaskPaging(nextPaging);
+      return result;
+    } catch (err) {
+      setError(err.message || 'Failed to fetch more tasks');
+      console.error('Error fetching more tasks:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [user]);
+
+  /**
+   * Count the tasks matching a query without loading them
+   * @param {Object} query - A task query builder
+   * @returns {Promise<number|null>} The number of matching tasks, or null if it is unknown
+   */
+  const countTasks = useCallback(async (query) => {
+    if (!user) return null;
+    
+    try {
+      return await taskService.countTasks(query);
+    } catch (err) {
+      console.error('Error counting tasks:', err);
+      return null;
     }
   }, [user]);
 
@@ -63,30 +197,199 @@ export function TaskProvider({ children }) {
 
   /**
    * Create a new task
-   * @param {Object} taskData - The task data to create
+   * The task is shown immediately under a temporary ID and replaced by the
+   * server record once it is saved. Members' unassigned tasks are assigned to
+   * them so they can keep editing them.
+   * @param {Object} newTaskData - The task data to create
    * @returns {Promise<Object>} The created task
    */
-  const createTask = useCallback(async (taskData) => {
+  const createTask = useCallback(async (newTaskData) => {
     if (!user) return null;
     
-    setLoading(true);
-    setError(null);
+    const taskData = !hasPermission(Permissions.EDIT_ANY_TASK) && userRecord && !newTaskData[FieldNames.TASK.ASSIGNED_TO]
+      ? { ...newTaskData, [FieldNames.TASK.ASSIGNED_TO]: userRecord.Id }
+      : newTaskData;
+    const tempId = syncQueueService.createTempId();
+    const optimisticTask = { ...taskData, Id: tempId };
+    setTasks(prevTasks => [...prevTasks, optimisticTask]);
     
     try {
       const newTask = await taskService.createTask(taskData);
-      setTasks(prevTasks => [...prevTasks, newTask]);
+      setTasks(prevTasks => 
+        prevTasks.map(task => task.Id === tempId ? newTask : task)
+      );
       return newTask;
     } catch (err) {
-      setError(err.message || 'Failed to create task');
+      if (syncQueueService.isOfflineError(err)) {
+        // Keep the task locally and create it once the backend is reachable
+        syncQueueService.enqueueMutation({
+          type: syncQueueService.MutationTypes.CREATE,
+          taskId: tempId,
+          data: taskData
+        });
+        refreshPendingTaskIds();
+        return optimisticTask;
+      }
+      
+      setTasks(prevTasks => prevTasks.filter(task => task.Id !== tempId));
+      reportMutationError(
+        `Couldn't create "${taskData[FieldNames.TASK.TITLE]}": ${err.message || 'Failed to create task'}`,
+        () => createTask(taskData)
+      );
       console.error('Error creating task:', err);
       return null;
-    } finally {
-      setLoading(false);
+    }
+  }, [user, userRecord, hasPermission, refreshPendingTaskIds, reportMutationError]);
+
+  /**
+   * Create the next instance of a recurring task that was just completed
+   * @param {Object} completedTask - The task as saved with its Completed status
+   * @returns {Promise<Object|null>} The new task, or null on failure
+   */
+  const createNextOccurrence = useCallback(async (completedTask) => {
+    try {
+      const result = await taskService.createNextOccurrence(completedTask);
+      if (!result) return null;
+      
+      setTasks(prevTasks => [
+        ...prevTasks.map(task => task.Id === completedTask.Id ? result.completedTask : task),
+        result.nextTask
+      ]);
+      return result.nextTask;
+    } catch (err) {
+      reportMutationError(
+        `Couldn't schedule the next "${completedTask[FieldNames.TASK.TITLE]}": ${err.message || 'Failed to create task'}`,
+        () => createNextOccurrence(completedTask)
+      );
+      console.error(`Error creating next occurrence of task ${completedTask.Id}:`, err);
+      return null;
+    }
+  }, [reportMutationError]);
+
+  /**
+   * Complete a parent task once all of its subtasks are completed
+   * @param {number} parentId - The ID of the parent task
+   * @param {Function} update - The updateTask function used to complete it
+   */
+  const completeParentIfDone = useCallback(async (parentId, update) => {
+    try {
+      const subtasks = await taskService.fetchSubtasks(parentId);
+      if (subtasks.length === 0 || !subtasks.every(isTaskCompleted)) return;
+      
+      const parent = tasksRef.current.find(task => task.Id === parentId) ||
+        await taskService.fetchTaskById(parentId);
+      
+      // Leave parents the user may not change to whoever owns them
+      if (parent && !isTaskCompleted(parent) && canEditTask(parent)) {
+        await update(parentId, { [FieldNames.TASK.STATUS]: 'Completed' });
+      }
+    } catch (err) {
+      console.error(`Error completing parent task ${parentId}:`, err);
+    }
+  }, [canEditTask]);
+
+  /**
+   * Find the blockers that keep a task from starting or being completed
+   * Falls back to the loaded tasks when the backend cannot be reached.
+   * @param {Object} task - The task record
+   * @returns {Promise<Array>} The open blockers
+   */
+  const findOpenBlockers = useCallback(async (task) => {
+    try {
+      return await taskService.fetchOpenBlockers(task);
+    } catch (err) {
+      console.error(`Error checking blockers of task ${task.Id}:`, err);
+      return getOpenBlockers(task, new Map(tasksRef.current.map(loaded => [loaded.Id, loaded])));
+    }
+  }, []);
+
+  /**
+   * Fetch the blockers of the given tasks that are not loaded, so their status is known
+   * @param {Array} taskList - The tasks whose blockers are shown
+   * @returns {Promise<void>}
+   */
+  const loadBlockers = useCallback(async (taskList) => {
+    if (!user) return;
+    
+    const loadedIds = new Set(tasksRef.current.map(task => task.Id));
+    const missingIds = [...new Set(taskList.flatMap(getBlockerIds))].filter(id => !loadedIds.has(id));
+    if (missingIds.length === 0) return;
+    
+    try {
+      const fetched = await taskService.fetchTasksByIds(missingIds);
+      setBlockerTasks(prevBlockers => {
+        const blockersById = new Map(prevBlockers.map(blocker => [blocker.Id, blocker]));
+        fetched.forEach(blocker => blockersById.set(blocker.Id, blocker));
+        return [...blockersById.values()];
+      });
+    } catch (err) {
+      console.error('Error loading blockers:', err);
+    }
+  }, [user]);
+
+  /**
+   * Fetch every subtask of the given tasks, so rollups do not depend on what is loaded
+   * @param {Array} taskList - The tasks whose subtasks are counted
+   * @returns {Promise<void>}
+   */
+  const loadSubtasks = useCallback(async (taskList) => {
+    if (!user) return;
+    
+    const parentIds = [...new Set(taskList.map(task => task.Id).filter(id => id > 0))];
+    if (parentIds.length === 0) return;
+    
+    try {
+      const fetched = await taskService.fetchSubtasksForTasks(parentIds);
+      const parents = new Set(parentIds);
+      setSubtaskRecords(prevSubtasks => [
+        ...prevSubtasks.filter(subtask => !parents.has(getParentId(subtask))),
+        ...fetched
+      ]);
+    } catch (err) {
+      console.error('Error loading subtasks:', err);
     }
   }, [user]);
 
+  // Loaded tasks are newer than the fetched subtasks, since they include unsynced changes
+  const subtasksByParent = useMemo(() => {
+    const byId = new Map(subtaskRecords.map(subtask => [subtask.Id, subtask]));
+    tasks.forEach(task => byId.set(task.Id, task));
+    
+    const byParent = new Map();
+    byId.forEach(task => {
+      const parentId = getParentId(task);
+      if (parentId === null) return;
+      byParent.set(parentId, [...(byParent.get(parentId) || []), task]);
+    });
+    return byParent;
+  }, [subtaskRecords, tasks]);
+
+  /**
+   * Find a task to check permissions on before changing it
+   * The current task may be one picked from search that is not in the loaded page,
+   * and a task opened from a link may not be loaded at all.
+   * @param {number} taskId - The ID of the task
+   * @returns {Promise<Object|undefined>} The task, or undefined if it cannot be found
+   */
+  const findTask = useCallback(async (taskId) => {
+    const loadedTask = tasksRef.current.find(task => task.Id === taskId) ||
+      (currentTaskRef.current?.Id === taskId ? currentTaskRef.current : undefined);
+    if (loadedTask || taskId < 0) return loadedTask;
+    
+    try {
+      return await taskService.fetchTaskById(taskId) || undefined;
+    } catch (err) {
+      console.error(`Error fetching task ${taskId}:`, err);
+      return undefined;
+    }
+  }, []);
+
   /**
    * Update an existing task
+   * Changes are applied locally first and rolled back if the server rejects them.
+   * Tasks cannot move to In Progress or Completed while they are blocked.
+   * Completing a recurring task creates its next instance, and completing the
+   * last open subtask completes the parent when that preference is on.
    * @param {number} taskId - The ID of the task to update
    * @param {Object} taskData - The updated task data
    * @returns {Promise<Object>} The updated task
@@ -94,104 +397,510 @@ export function TaskProvider({ children }) {
   const updateTask = useCallback(async (taskId, taskData) => {
     if (!user) return null;
     
-    setLoading(true);
-    setError(null);
+    const previousTask = await findTask(taskId);
+    if (!canEditTask(previousTask)) {
+      setError('You can only edit tasks assigned to you');
+      return null;
+    }
     
-    try {
-      const updatedTask = await taskService.updateTask(taskId, taskData);
-      
-      // Update the tasks array with the updated task
+    const nextStatus = taskData[FieldNames.TASK.STATUS];
+    if (previousTask && BLOCKED_STATUSES.includes(nextStatus) &&
+        previousTask[FieldNames.TASK.STATUS] !== nextStatus && getBlockerIds(previousTask).length > 0) {
+      const openBlockers = await findOpenBlockers(previousTask);
+      if (openBlockers.length > 0) {
+        const titles = openBlockers.map(blocker => `"${blocker[FieldNames.TASK.TITLE] || `task ${blocker.Id}`}"`);
+        setError(`"${previousTask[FieldNames.TASK.TITLE]}" is blocked by ${titles.join(', ')}`);
+        return null;
+      }
+    }
+    
+    const optimisticTask = { ...previousTask, ...taskData, Id: taskId };
+    const version = beginMutation(taskId);
+    
+    const replaceTask = (replacement) => {
       setTasks(prevTasks => 
-        prevTasks.map(task => 
-          task.Id === taskId ? updatedTask : task
-        )
+        prevTasks.map(task => task.Id === taskId ? replacement : task)
       );
       
       // Update currentTask if it's the one being edited
-      if (currentTask && currentTask.Id === taskId) {
-        setCurrentTask(updatedTask);
+      setCurrentTask(prevTask => prevTask && prevTask.Id === taskId ? replacement : prevTask);
+    };
+    
+    replaceTask(optimisticTask);
+    
+    // Only the save itself may be queued or rolled back; the follow-ups below report their own errors
+    let updatedTask;
+    try {
+      updatedTask = await taskService.updateTask(taskId, taskData);
+    } catch (err) {
+      if (syncQueueService.isOfflineError(err)) {
+        syncQueueService.enqueueMutation({
+          type: syncQueueService.MutationTypes.UPDATE,
+          taskId,
+          data: taskData,
+          // Tasks created offline have no server version to conflict with
+          baseline: taskId > 0 ? previousTask : null
+        });
+        refreshPendingTaskIds();
+        return optimisticTask;
       }
       
+      if (previousTask && isLatestMutation(taskId, version)) {
+        replaceTask(previousTask);
+      }
+      reportMutationError(
+        `Couldn't update "${previousTask?.[FieldNames.TASK.TITLE] || `task ${taskId}`}": ${err.message || 'Failed to update task'}`,
+        () => updateTask(taskId, taskData)
+      );
+      console.error(`Error updating task ${taskId}:`, err);
+      return null;
+    }
+    
+    // A newer edit of the same task owns the local state now
+    if (isLatestMutation(taskId, version)) {
+      replaceTask(updatedTask);
+    }
+    
+    const completedNow = taskData[FieldNames.TASK.STATUS] === 'Completed' &&
+      previousTask?.[FieldNames.TASK.STATUS] !== 'Completed';
+    if (completedNow && getTaskRecurrence(updatedTask)) {
+      await createNextOccurrence(updatedTask);
+    }
+    if (completedNow && getParentId(updatedTask) !== null && getPreference(PreferenceKeys.AUTO_COMPLETE_PARENTS, false)) {
+      await completeParentIfDone(getParentId(updatedTask), updateTask);
+    }
+    
+    return updatedTask;
+  }, [user, canEditTask, findTask, refreshPendingTaskIds, beginMutation, isLatestMutation, reportMutationError, createNextOccurrence, completeParentIfDone, findOpenBlockers]);
+
+  /**
+   * Make a task wait for another one
+   * Dependencies that would create a cycle are rejected.
+   * @param {number} taskId - The ID of the task to block
+   * @param {number} blockerId - The ID of the task it waits for
+   * @returns {Promise<Object>} The updated task, or null if rejected
+   */
+  const addDependency = useCallback(async (taskId, blockerId) => {
+    if (!user) return null;
+    
+    const task = await findTask(taskId);
+    if (!canEditTask(task)) {
+      setError('You can only edit tasks assigned to you');
+      return null;
+    }
+    
+    setError(null);
+    
+    try {
+      const updatedTask = await taskService.addTaskDependency(taskId, blockerId);
+      setTasks(prevTasks => prevTasks.map(existing => existing.Id === taskId ? updatedTask : existing));
       return updatedTask;
     } catch (err) {
-      setError(err.message || `Failed to update task with ID ${taskId}`);
-      console.error(`Error updating task ${taskId}:`, err);
+      setError(err.message || 'Failed to add dependency');
+      console.error(`Error adding dependency of task ${taskId} on task ${blockerId}:`, err);
+      return null;
+    }
+  }, [user, canEditTask, findTask]);
+
+  /**
+   * Stop a task from waiting for another one
+   * @param {number} taskId - The ID of the blocked task
+   * @param {number} blockerId - The ID of the blocker to remove
+   * @returns {Promise<Object>} The updated task, or null on failure
+   */
+  const removeDependency = useCallback(async (taskId, blockerId) => {
+    if (!user) return null;
+    
+    const task = await findTask(taskId);
+    if (!canEditTask(task)) {
+      setError('You can only edit tasks assigned to you');
+      return null;
+    }
+    
+    setError(null);
+    
+    try {
+      const updatedTask = await taskService.removeTaskDependency(taskId, blockerId);
+      setTasks(prevTasks => prevTasks.map(existing => existing.Id === taskId ? updatedTask : existing));
+      return updatedTask;
+    } catch (err) {
+      setError(err.message || 'Failed to remove dependency');
+      console.error(`Error removing dependency of task ${taskId} on task ${blockerId}:`, err);
+      return null;
+    }
+  }, [user, canEditTask, findTask]);
+
+  /**
+   * Count how many tasks use each tag, across the whole team
+   * @returns {Promise<Array<Object>>} { name, count } for each tag
+   */
+  const fetchTagUsage = useCallback(async () => {
+    if (!user) return;
+    
+    try {
+      const usage = await taskService.fetchTagUsage();
+      setTagUsage(usage);
+      return usage;
+    } catch (err) {
+      setError(err.message || 'Failed to fetch tags');
+      console.error('Error fetching tag usage:', err);
+    }
+  }, [user]);
+
+  /**
+   * Count tag usage once, for components that only need the tags to exist
+   * @returns {Promise<Array<Object>>} { name, count } for each tag
+   */
+  const ensureTagUsageLoaded = useCallback(() => {
+    if (tagUsageRequest.current?.user !== user) {
+      tagUsageRequest.current = { user, promise: fetchTagUsage() };
+    }
+    return tagUsageRequest.current.promise;
+  }, [user, fetchTagUsage]);
+
+  /**
+   * Rename or remove a tag on every task that has it
+   * This changes tasks assigned to anyone, so it needs the edit-any-task permission.
+   * @param {string} tag - The tag to change
+   * @param {string|null} newTag - The new tag, or null to remove it
+   * @returns {Promise<Array<number>|null>} The IDs of the changed tasks, or null on failure
+   */
+  const replaceTag = useCallback(async (tag, newTag) => {
+    if (!user) return null;
+    
+    if (!hasPermission(Permissions.EDIT_ANY_TASK)) {
+      setError('Only admins and managers can rename or delete tags');
+      return null;
+    }
+    
+    setError(null);
+    
+    try {
+      const taskIds = newTag === null
+        ? await taskService.deleteTag(tag)
+        : await taskService.renameTag(tag, newTag);
+      
+      const changed = new Set(taskIds);
+      setTasks(prevTasks => prevTasks.map(task => {
+        if (!changed.has(task.Id)) return task;
+        const tags = getTaskTags(task).flatMap(existing => {
+          if (tagKey(existing) !== tagKey(tag)) return [existing];
+          return newTag === null ? [] : [normalizeTag(newTag)];
+        });
+        return { ...task, [FieldNames.TASK.TAGS]: serializeTags(tags) };
+      }));
+      await fetchTagUsage();
+      return taskIds;
+    } catch (err) {
+      setError(err.message || `Failed to change tag "${tag}"`);
+      console.error(`Error changing tag "${tag}":`, err);
       return null;
-    } finally {
-      setLoading(false);
     }
-  }, [user, currentTask]);
+  }, [user, hasPermission, fetchTagUsage]);
+
+  /**
+   * Rename a tag on every task that has it
+   * @param {string} tag - The current tag
+   * @param {string} newTag - The new tag
+   * @returns {Promise<Array<number>|null>} The IDs of the changed tasks, or null on failure
+   */
+  const renameTag = useCallback((tag, newTag) => replaceTag(tag, newTag), [replaceTag]);
+
+  /**
+   * Remove a tag from every task that has it
+   * @param {string} tag - The tag to remove
+   * @returns {Promise<Array<number>|null>} The IDs of the changed tasks, or null on failure
+   */
+  const deleteTag = useCallback((tag) => replaceTag(tag, null), [replaceTag]);
+
+  /**
+   * Remove tasks deleted elsewhere, e.g. with their project, from the local state
+   * @param {Array<number>} taskIds - The IDs of the deleted tasks
+   */
+  const forgetDeletedTasks = useCallback((taskIds) => {
+    if (taskIds.length === 0) return;
+    
+    const deletedIds = new Set(taskIds);
+    setTasks(prevTasks => prevTasks
+      .filter(task => !deletedIds.has(task.Id))
+      .map(task => withoutDeletedReferences(task, deletedIds))
+    );
+    setCurrentTask(prevTask => {
+      if (!prevTask) return prevTask;
+      return deletedIds.has(prevTask.Id) ? null : withoutDeletedReferences(prevTask, deletedIds);
+    });
+  }, []);
 
   /**
    * Delete a task
+   * The task is removed locally first and restored if the server rejects the deletion.
    * @param {number} taskId - The ID of the task to delete
    * @returns {Promise<boolean>} True if successful, false otherwise
    */
   const deleteTask = useCallback(async (taskId) => {
     if (!user) return false;
     
-    setLoading(true);
-    setError(null);
+    const previousIndex = tasksRef.current.findIndex(task => task.Id === taskId);
+    const previousTask = previousIndex >= 0 ? tasksRef.current[previousIndex] : await findTask(taskId);
+    if (!canEditTask(previousTask)) {
+      setError('You can only delete tasks assigned to you');
+      return false;
+    }
+    
+    const version = beginMutation(taskId);
+    
+    setTasks(prevTasks => prevTasks.filter(task => task.Id !== taskId));
+    setCurrentTask(prevTask => prevTask && prevTask.Id === taskId ? null : prevTask);
     
     try {
       await taskService.deleteTask(taskId);
-      
-      // Remove the deleted task from the tasks array
-      setTasks(prevTasks => 
-        prevTasks.filter(task => task.Id !== taskId)
-      );
-      
-      // Clear currentTask if it's the one being deleted
-      if (currentTask && currentTask.Id === taskId) {
-        setCurrentTask(null);
+    } catch (err) {
+      if (syncQueueService.isOfflineError(err)) {
+        syncQueueService.enqueueMutation({
+          type: syncQueueService.MutationTypes.DELETE,
+          taskId,
+          baseline: taskId > 0 ? previousTask : null
+        });
+        refreshPendingTaskIds();
+        return true;
       }
       
-      return true;
-    } catch (err) {
-      setError(err.message || `Failed to delete task with ID ${taskId}`);
+      // Put the task back where it was, unless it was never in the list
+      if (previousIndex >= 0 && isLatestMutation(taskId, version)) {
+        setTasks(prevTasks => {
+          if (prevTasks.some(task => task.Id === taskId)) return prevTasks;
+          const restored = [...prevTasks];
+          restored.splice(Math.min(previousIndex, restored.length), 0, previousTask);
+          return restored;
+        });
+      }
+      reportMutationError(
+        `Couldn't delete "${previousTask?.[FieldNames.TASK.TITLE] || `task ${taskId}`}": ${err.message || 'Failed to delete task'}`,
+        () => deleteTask(taskId)
+      );
       console.error(`Error deleting task ${taskId}:`, err);
       return false;
-    } finally {
-      setLoading(false);
     }
-  }, [user, currentTask]);
+    
+    forgetDeletedTasks([taskId]);
+    return true;
+  }, [user, canEditTask, findTask, refreshPendingTaskIds, beginMutation, isLatestMutation, reportMutationError, forgetDeletedTasks]);
 
   /**
    * Associate a task with a project
+   * Tasks created offline, and links made while offline, are linked once the backend is reachable.
    * @param {number} taskId - The ID of the task
    * @param {number} projectId - The ID of the project
-   * @returns {Promise<Object>} The association data
+   * @returns {Promise<Object>} The association data, or the queued mutation
    */
   const associateWithProject = useCallback(async (taskId, projectId) => {
     if (!user) return null;
     
-    setLoading(true);
-    setError(null);
+    if (!canEditTask(await findTask(taskId))) {
+      setError('You can only edit tasks assigned to you');
+      return null;
+    }
+    
+    const queueAssociation = () => {
+      const mutation = syncQueueService.enqueueMutation({
+        type: syncQueueService.MutationTypes.ASSOCIATE,
+        taskId,
+        data: { projectId }
+      });
+      refreshPendingTaskIds();
+      return mutation;
+    };
+    
+    // A temporary ID means the task itself is still queued
+    if (taskId < 0) {
+      return queueAssociation();
+    }
     
     try {
       const association = await taskService.associateTaskWithProject(taskId, projectId);
       return association;
     } catch (err) {
-      setError(err.message || `Failed to associate task ${taskId} with project ${projectId}`);
+      if (syncQueueService.isOfflineError(err)) {
+        return queueAssociation();
+      }
+      
+      reportMutationError(
+        `Couldn't add task ${taskId} to project ${projectId}: ${err.message || 'Failed to associate task'}`,
+        () => associateWithProject(taskId, projectId)
+      );
       console.error(`Error associating task ${taskId} with project ${projectId}:`, err);
       return null;
+    }
+  }, [user, canEditTask, findTask, refreshPendingTaskIds, reportMutationError]);
+
+  /**
+   * Remove a task from a project
+   * @param {number} taskId - The ID of the task
+   * @param {number} projectId - The ID of the project
+   * @returns {Promise<boolean>} True if successful, false otherwise
+   */
+  const dissociateFromProject = useCallback(async (taskId, projectId) => {
+    if (!user) return false;
+    
+    if (!canEditTask(await findTask(taskId))) {
+      setError('You can only edit tasks assigned to you');
+      return false;
+    }
+    
+    try {
+      await taskService.dissociateTaskFromProject(taskId, projectId);
+      return true;
+    } catch (err) {
+      reportMutationError(
+        `Couldn't remove task ${taskId} from project ${projectId}: ${err.message || 'Failed to remove task'}`,
+        () => dissociateFromProject(taskId, projectId)
+      );
+      console.error(`Error removing task ${taskId} from project ${projectId}:`, err);
+      return false;
+    }
+  }, [user, canEditTask, findTask, reportMutationError]);
+
+  /**
+   * Replay mutations queued while the backend was unreachable
+   * @param {Object} options - Replay options passed to the sync queue
+   */
+  const syncPendingMutations = useCallback(async (options = {}) => {
+    if (!user || syncQueueService.getQueue().length === 0) return;
+    
+    setSyncing(true);
+    
+    try {
+      const { synced, conflict } = await syncQueueService.replayQueue(options);
+      
+      for (const { mutation, record, error: syncError } of synced) {
+        if (syncError) {
+          setError(`Could not sync a change to task ${mutation.taskId}: ${syncError}`);
+          continue;
+        }
+        
+        if (!record) continue;
+        
+        setTasks(prevTasks => 
+          prevTasks.map(task => task.Id === mutation.taskId ? record : task)
+        );
+        
+        // Completions saved offline get the same follow-ups as ones saved online
+        const completedNow = mutation.type === syncQueueService.MutationTypes.UPDATE &&
+          mutation.data?.[FieldNames.TASK.STATUS] === 'Completed' &&
+          mutation.baseline?.[FieldNames.TASK.STATUS] !== 'Completed';
+        if (completedNow && getTaskRecurrence(record)) {
+          await createNextOccurrence(record);
+        }
+        if (completedNow && getParentId(record) !== null && getPreference(PreferenceKeys.AUTO_COMPLETE_PARENTS, false)) {
+          await completeParentIfDone(getParentId(record), updateTask);
+        }
+      }
+      
+      if (conflict) {
+        const localTask = tasksRef.current.find(task => task.Id === conflict.mutation.taskId);
+        setSyncConflict({ ...conflict, localTask });
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to sync pending changes');
+      console.error('Error syncing pending changes:', err);
     } finally {
-      setLoading(false);
+      refreshPendingTaskIds();
+      setSyncing(false);
     }
+  }, [user, refreshPendingTaskIds, createNextOccurrence, completeParentIfDone, updateTask]);
+
+  /**
+   * Resolve the current sync conflict and continue replaying the queue
+   * @param {string} resolution - "local" to keep the queued change, "server" to keep the server version
+   */
+  const resolveSyncConflict = useCallback(async (resolution) => {
+    if (!syncConflict) return;
+    
+    const { mutation, serverRecord } = syncConflict;
+    setSyncConflict(null);
+    
+    if (resolution === 'local') {
+      await syncPendingMutations({ forceMutationId: mutation.id });
+      return;
+    }
+    
+    syncQueueService.discardMutation(mutation.id);
+    setTasks(prevTasks => {
+      const exists = prevTasks.some(task => task.Id === serverRecord.Id);
+      return exists
+        ? prevTasks.map(task => task.Id === serverRecord.Id ? serverRecord : task)
+        : [...prevTasks, serverRecord];
+    });
+    refreshPendingTaskIds();
+    await syncPendingMutations();
+  }, [syncConflict, syncPendingMutations, refreshPendingTaskIds]);
+
+  // The previous user's blockers and subtasks are not theirs to see
+  useEffect(() => {
+    setBlockerTasks([]);
+    setSubtaskRecords([]);
   }, [user]);
+  
+  useEffect(() => {
+    loadBlockers(tasks);
+  }, [tasks, loadBlockers]);
+  
+  // Status changes are covered by the loaded tasks, so refetch only when the list itself changes
+  const loadedTaskKey = tasks.map(task => task.Id).join(',');
+  useEffect(() => {
+    loadSubtasks(tasksRef.current);
+  }, [loadedTaskKey, loadSubtasks]);
+
+  // Replay queued changes after sign-in and whenever connectivity returns
+  useEffect(() => {
+    // Each user has their own queue, so show the signed-in user's pending changes
+    refreshPendingTaskIds();
+    syncPendingMutations();
+    
+    const handleOnline = () => syncPendingMutations();
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [syncPendingMutations, refreshPendingTaskIds]);
 
   // Create the context value object with state and methods
   const value = {
     tasks,
     currentTask,
     loading,
+    loadingMore,
+    taskPaging,
     error,
+    pendingTaskIds,
+    syncConflict,
+    syncing,
+    mutationErrors,
+    tagUsage,
+    blockerTasks,
+    subtasksByParent,
+    // Tags for autocomplete, including ones added since usage was counted
+    knownTags: uniqueTags([...tagUsage.map(usage => usage.name), ...tasks.flatMap(getTaskTags)]),
     fetchTasks,
+    fetchMoreTasks,
+    countTasks,
     fetchTaskById,
     createTask,
     updateTask,
     deleteTask,
+    forgetDeletedTasks,
+    addDependency,
+    removeDependency,
+    loadBlockers,
+    loadSubtasks,
+    fetchTagUsage,
+    ensureTagUsageLoaded,
+    renameTag,
+    deleteTag,
     associateWithProject,
+    dissociateFromProject,
+    syncPendingMutations,
+    resolveSyncConflict,
+    dismissMutationError,
+    retryMutation,
     setCurrentTask
   };
 
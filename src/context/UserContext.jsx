@@ -0,0 +1,150 @@
+import { createContext, useState, useContext, useCallback, useRef } from 'react';
+import * as userService from '../services/userService';
+import { useAuth } from './AuthContext';
+import { PicklistValues } from '../utils/apperClient';
+import { Permissions } from '../utils/permissions';
+
+// Create the user context
+const UserContext = createContext();
+
+/**
+ * Provider component for the team's user records and role management
+ * @param {Object} props - Component props
+ * @returns {JSX.Element} The UserProvider component
+ */
+export function UserProvider({ children }) {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [workload, setWorkload] = useState([]);
+  const { user, userRecord, hasPermission, refreshUserRecord } = useAuth();
+  
+  // First load for the signed-in user, shared by every assignee picker on a page
+  const usersRequest = useRef(null);
+
+  /**
+   * Fetch users with optional filtering
+   * @param {Object} options - Fetch options (filters, query, limit, offset, orderBy)
+   * @returns {Promise<Array>} The fetched users
+   */
+  const fetchUsers = useCallback(async (options = {}) => {
+    if (!user) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await userService.fetchUsers(options);
+      setUsers(data || []);
+      return data;
+    } catch (err) {
+      setError(err.message || 'Failed to fetch users');
+      console.error('Error fetching users:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  /**
+   * Load the users once, for components that only need the list to exist
+   * @returns {Promise<Array>} The users
+   */
+  const ensureUsersLoaded = useCallback(() => {
+    if (usersRequest.current?.user !== user) {
+      usersRequest.current = { user, promise: fetchUsers() };
+    }
+    return usersRequest.current.promise;
+  }, [user, fetchUsers]);
+
+  /**
+   * Fetch open, overdue and due-this-week task counts per user
+   * @returns {Promise<Array>} Entries of { user, open, overdue, dueThisWeek }
+   */
+  const fetchWorkload = useCallback(async () => {
+    if (!user) return;
+    
+    setLoading(true);
+    setError(null);
+    
+    try {
+      const data = await userService.fetchTeamWorkload();
+      setWorkload(data);
+      return data;
+    } catch (err) {
+      setError(err.message || 'Failed to fetch team workload');
+      console.error('Error fetching team workload:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  /**
+   * Change a user's role
+   * @param {number} userId - The ID of the User1 record
+   * @param {string} role - One of PicklistValues.USER_ROLE
+   * @returns {Promise<Object>} The updated user, or null on failure
+   */
+  const updateUserRole = useCallback(async (userId, role) => {
+    if (!user) return null;
+    if (!hasPermission(Permissions.MANAGE_ROLES)) {
+      setError('Only admins can change roles');
+      return null;
+    }
+    if (!PicklistValues.USER_ROLE.includes(role)) {
+      setError(`Unknown role "${role}"`);
+      return null;
+    }
+
+    setError(null);
+
+    try {
+      const updatedUser = await userService.updateUserRole(userId, role);
+      setUsers(prevUsers =>
+        prevUsers.map(existing => existing.Id === userId ? updatedUser : existing)
+      );
+
+      // Changing your own role changes what you may do right away
+      if (userRecord?.Id === userId) {
+        await refreshUserRecord();
+      }
+
+      return updatedUser;
+    } catch (err) {
+      setError(err.message || `Failed to update role of user ${userId}`);
+      console.error(`Error updating role of user ${userId}:`, err);
+      return null;
+    }
+  }, [user, userRecord, hasPermission, refreshUserRecord]);
+
+  // Create the context value object with state and methods
+  const value = {
+    users,
+    loading,
+    error,
+    workload,
+    fetchUsers,
+    ensureUsersLoaded,
+    fetchWorkload,
+    updateUserRole
+  };
+
+  return (
+    <UserContext.Provider value={value}>
+      {children}
+    </UserContext.Provider>
+  );
+}
+
+/**
+ * Custom hook to use the user context
+ * @returns {Object} The user context value
+ */
+export function useUsers() {
+  const context = useContext(UserContext);
+  if (context === undefined) {
+    throw new Error('useUsers must be used within a UserProvider');
+  }
+  return context;
+}
+
+export default UserContext;
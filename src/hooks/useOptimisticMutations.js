@@ -0,0 +1,77 @@
+import { useState, useCallback, useRef } from 'react';
+
+/**
+ * Bookkeeping for optimistic mutations in the data contexts
+ * Tracks the latest mutation per record so a failing older mutation does not
+ * roll back the result of a newer one, and collects failures with a retry action.
+ * @returns {Object} Mutation helpers and the current mutation errors
+ */
+export function useOptimisticMutations() {
+  const [mutationErrors, setMutationErrors] = useState([]);
+  const mutationErrorsRef = useRef(mutationErrors);
+  mutationErrorsRef.current = mutationErrors;
+  const versionsRef = useRef({});
+  const nextErrorId = useRef(0);
+
+  /**
+   * Register a new mutation for a record
+   * @param {string|number} recordKey - Key identifying the record
+   * @returns {number} The version of this mutation
+   */
+  const beginMutation = useCallback((recordKey) => {
+    const version = (versionsRef.current[recordKey] || 0) + 1;
+    versionsRef.current[recordKey] = version;
+    return version;
+  }, []);
+
+  /**
+   * Check whether a mutation is still the latest one for its record
+   * @param {string|number} recordKey - Key identifying the record
+   * @param {number} version - The version returned by beginMutation
+   * @returns {boolean} True if no newer mutation of the record has started
+   */
+  const isLatestMutation = useCallback((recordKey, version) => {
+    return versionsRef.current[recordKey] === version;
+  }, []);
+
+  /**
+   * Record a failed mutation so the user can retry it
+   * @param {string} message - The message shown to the user
+   * @param {Function} retry - Re-runs the mutation
+   */
+  const reportMutationError = useCallback((message, retry) => {
+    nextErrorId.current += 1;
+    const id = nextErrorId.current;
+    setMutationErrors(prevErrors => [...prevErrors, { id, message, retry }]);
+  }, []);
+
+  /**
+   * Dismiss a mutation error
+   * @param {number} errorId - The ID of the error
+   */
+  const dismissMutationError = useCallback((errorId) => {
+    setMutationErrors(prevErrors => prevErrors.filter(mutationError => mutationError.id !== errorId));
+  }, []);
+
+  /**
+   * Dismiss a mutation error and run its retry action
+   * @param {number} errorId - The ID of the error
+   * @returns {Promise<*>} The result of the retried mutation
+   */
+  const retryMutation = useCallback((errorId) => {
+    const mutationError = mutationErrorsRef.current.find(entry => entry.id === errorId);
+    dismissMutationError(errorId);
+    return mutationError ? mutationError.retry() : Promise.resolve(null);
+  }, [dismissMutationError]);
+
+  return {
+    mutationErrors,
+    beginMutation,
+    isLatestMutation,
+    reportMutationError,
+    dismissMutationError,
+    retryMutation
+  };
+}
+
+export default useOptimisticMutations;
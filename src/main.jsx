@@ -5,12 +5,18 @@ import './index.css';
 import { AuthProvider } from './context/AuthContext';
 import { TaskProvider } from './context/TaskContext';
 import { ProjectProvider } from './context/ProjectContext';
+import { UserProvider } from './context/UserContext';
+import { CategoryProvider } from './context/CategoryContext';
 
 ReactDOM.createRoot(document.getElementById('root')).render(
     <AuthProvider>
       <TaskProvider>
         <ProjectProvider>
-          <App />
+          <UserProvider>
+            <CategoryProvider>
+              <App />
+            </CategoryProvider>
+          </UserProvider>
         </ProjectProvider>
       </TaskProvider>
     </AuthProvider>
@@ -0,0 +1,170 @@
+import { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { AlertCircle } from 'lucide-react';
+import BoardColumn from '../components/board/BoardColumn';
+import LoadMoreTrigger from '../components/LoadMoreTrigger';
+import { useTask } from '../context/TaskContext';
+import { useProject } from '../context/ProjectContext';
+import { FieldNames, PicklistValues } from '../utils/apperClient';
+import { getPreference, setPreference, PreferenceKeys } from '../utils/preferences';
+import { BLOCKED_STATUSES, getOpenBlockers } from '../utils/dependencies';
+
+// Tasks loaded per page, so columns and WIP limits count the whole board in one go
+const BOARD_TASK_LIMIT = 1000;
+
+/**
+ * Kanban board with one column per task status
+ * @returns {JSX.Element} The Board component
+ */
+function Board() {
+  const {
+    tasks,
+    blockerTasks,
+    loadingMore,
+    taskPaging,
+    error: taskError,
+    fetchTasks,
+    fetchMoreTasks,
+    updateTask,
+    loadBlockers
+  } = useTask();
+  const { projectOptions, ensureProjectOptionsLoaded, fetchTasksByProject } = useProject();
+  const [projectId, setProjectId] = useState('');
+  const [projectTasks, setProjectTasks] = useState([]);
+  const [wipLimits, setWipLimits] = useState(() => getPreference(PreferenceKeys.BOARD_WIP_LIMITS, {}));
+  const [boardError, setBoardError] = useState(null);
+  
+  useEffect(() => {
+    fetchTasks({ limit: BOARD_TASK_LIMIT });
+    ensureProjectOptionsLoaded();
+  }, [fetchTasks, ensureProjectOptionsLoaded]);
+  
+  // Load the selected project's tasks through the task_project associations
+  useEffect(() => {
+    if (!projectId) {
+      setProjectTasks([]);
+      return;
+    }
+    
+    fetchTasksByProject(Number(projectId)).then(result => setProjectTasks(result || []));
+  }, [projectId, fetchTasksByProject]);
+  
+  // Blockers may live outside the selected project, so fetch the ones not loaded
+  useEffect(() => {
+    loadBlockers(projectTasks);
+  }, [projectTasks, loadBlockers]);
+  
+  const boardTasks = projectId ? projectTasks : tasks;
+  
+  const tasksById = new Map([...blockerTasks, ...tasks, ...boardTasks].map(task => [task.Id, task]));
+  const blockedTaskIds = new Set(
+    boardTasks.filter(task => getOpenBlockers(task, tasksById).length > 0).map(task => task.Id)
+  );
+  
+  const tasksByStatus = PicklistValues.TASK_STATUS.reduce((columns, status) => {
+    columns[status] = boardTasks.filter(task => (task[FieldNames.TASK.STATUS] || 'Todo') === status);
+    return columns;
+  }, {});
+  
+  const handleWipLimitChange = (status, limit) => {
+    const nextLimits = { ...wipLimits, [status]: limit };
+    setWipLimits(nextLimits);
+    setPreference(PreferenceKeys.BOARD_WIP_LIMITS, nextLimits);
+  };
+  
+  const handleDropTask = async (taskId, status) => {
+    const task = boardTasks.find(boardTask => boardTask.Id === taskId);
+    if (!task || (task[FieldNames.TASK.STATUS] || 'Todo') === status) return;
+    
+    const limit = wipLimits[status];
+    if (limit && tasksByStatus[status].length >= limit) {
+      setBoardError(`"${status}" has reached its WIP limit of ${limit}.`);
+      return;
+    }
+    
+    if (BLOCKED_STATUSES.includes(status) && blockedTaskIds.has(taskId)) {
+      const titles = getOpenBlockers(task, tasksById)
+        .map(blocker => `"${blocker[FieldNames.TASK.TITLE] || `task ${blocker.Id}`}"`);
+      setBoardError(`"${task[FieldNames.TASK.TITLE]}" is blocked by ${titles.join(', ')}.`);
+      return;
+    }
+    
+    setBoardError(null);
+    
+    // The project view keeps its own copy of the tasks, so move the card there too
+    const replaceProjectTask = (replacement) => {
+      setProjectTasks(prevTasks =>
+        prevTasks.map(projectTask => projectTask.Id === taskId ? replacement : projectTask)
+      );
+    };
+    if (projectId) {
+      replaceProjectTask({ ...task, [FieldNames.TASK.STATUS]: status });
+    }
+    
+    const updatedTask = await updateTask(taskId, { [FieldNames.TASK.STATUS]: status });
+    
+    if (projectId) {
+      replaceProjectTask(updatedTask || task);
+    }
+  };
+  
+  const error = boardError || taskError;
+  
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="mb-6 flex flex-wrap items-end justify-between gap-4"
+      >
+        <div>
+          <h1 className="text-3xl font-bold mb-2">Board</h1>
+          <p className="text-surface-600">Drag cards between columns to change their status</p>
+        </div>
+        <select
+          value={projectId}
+          onChange={(e) => setProjectId(e.target.value)}
+          className="w-64"
+        >
+          <option value="">All tasks</option>
+          {projectOptions.map(project => (
+            <option key={project.Id} value={project.Id}>
+              {project[FieldNames.PROJECT.NAME]}
+            </option>
+          ))}
+        </select>
+      </motion.div>
+      
+      {error && (
+        <div className="mb-6 p-3 rounded-md bg-red-50 text-sm text-red-600 flex items-center gap-2">
+          <AlertCircle size={16} />
+          {error}
+        </div>
+      )}
+      
+      <div className="flex gap-4 overflow-x-auto pb-4">
+        {PicklistValues.TASK_STATUS.map(status => (
+          <BoardColumn
+            key={status}
+            status={status}
+            tasks={tasksByStatus[status]}
+            wipLimit={wipLimits[status] || null}
+            onWipLimitChange={(limit) => handleWipLimitChange(status, limit)}
+            onDropTask={handleDropTask}
+            blockedTaskIds={blockedTaskIds}
+          />
+        ))}
+      </div>
+      
+      {!projectId && (
+        <LoadMoreTrigger
+          hasMore={taskPaging.hasMore}
+          loading={loadingMore}
+          onLoadMore={fetchMoreTasks}
+        />
+      )}
+    </div>
+  );
+}
+
+export default Board;
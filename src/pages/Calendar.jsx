@@ -0,0 +1,162 @@
+import { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { AlertCircle, ChevronLeft, ChevronRight } from 'lucide-react';
+import { isBefore, isSameMonth, startOfDay } from 'date-fns';
+import CalendarDay from '../components/calendar/CalendarDay';
+import MainFeature from '../components/MainFeature';
+import { useTask } from '../context/TaskContext';
+import { FieldNames } from '../utils/apperClient';
+import { createQuery } from '../utils/queryBuilder';
+import { getPreference, setPreference, PreferenceKeys } from '../utils/preferences';
+import { WEEKDAY_NAMES } from '../utils/recurrence';
+import {
+  CalendarViews,
+  getCalendarDays,
+  getCalendarTitle,
+  groupTasksByDay,
+  shiftCalendar,
+  toDayKey
+} from '../utils/calendar';
+
+// Most tasks loaded for one period
+const TASK_LIMIT = 500;
+
+// Column headings, Monday first
+const weekdayHeadings = [...WEEKDAY_NAMES.slice(1), WEEKDAY_NAMES[0]];
+
+/**
+ * Month and week calendar placing tasks on their due dates
+ * Tasks can be dragged to another day, and clicking a day adds a task due then.
+ * @returns {JSX.Element} The Calendar component
+ */
+function Calendar() {
+  const { tasks, taskPaging, loading, error, fetchTasks, createTask, updateTask } = useTask();
+  const [view, setView] = useState(() => getPreference(PreferenceKeys.CALENDAR_VIEW, CalendarViews.MONTH));
+  const [anchorDate, setAnchorDate] = useState(() => new Date());
+  const [newTaskDate, setNewTaskDate] = useState(null);
+
+  const days = getCalendarDays(view, anchorDate);
+  const firstDayKey = toDayKey(days[0]);
+  const lastDayKey = toDayKey(days[days.length - 1]);
+  const tasksByDay = groupTasksByDay(tasks);
+  const today = startOfDay(new Date());
+
+  // Load only the tasks due in the visible days
+  useEffect(() => {
+    fetchTasks({
+      query: createQuery('TASK').between(FieldNames.TASK.DUE_DATE, firstDayKey, lastDayKey),
+      limit: TASK_LIMIT
+    });
+  }, [fetchTasks, firstDayKey, lastDayKey]);
+
+  const handleViewChange = (nextView) => {
+    setView(nextView);
+    setPreference(PreferenceKeys.CALENDAR_VIEW, nextView);
+  };
+
+  const handleDropTask = (taskId, day) => {
+    const task = tasks.find(existing => existing.Id === taskId);
+    const dueDate = toDayKey(day);
+    if (!task || task[FieldNames.TASK.DUE_DATE] === dueDate) return;
+
+    updateTask(taskId, { [FieldNames.TASK.DUE_DATE]: dueDate });
+  };
+
+  const handleAddTask = async (taskData) => {
+    setNewTaskDate(null);
+    return createTask(taskData);
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="mb-6 flex flex-wrap items-end justify-between gap-4"
+      >
+        <div>
+          <h1 className="text-3xl font-bold mb-2">Calendar</h1>
+          <p className="text-surface-600">Drag a task to another day to reschedule it, or click a day to add one</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button onClick={() => setAnchorDate(shiftCalendar(view, anchorDate, -1))} title="Previous" className="btn-secondary p-2">
+            <ChevronLeft size={16} />
+          </button>
+          <button onClick={() => setAnchorDate(new Date())} className="btn-secondary text-sm">
+            Today
+          </button>
+          <button onClick={() => setAnchorDate(shiftCalendar(view, anchorDate, 1))} title="Next" className="btn-secondary p-2">
+            <ChevronRight size={16} />
+          </button>
+          <div className="flex rounded-md border border-surface-200 overflow-hidden">
+            {[CalendarViews.MONTH, CalendarViews.WEEK].map(option => (
+              <button
+                key={option}
+                onClick={() => handleViewChange(option)}
+                className={`rounded-none px-3 py-1.5 text-sm capitalize ${
+                  view === option ? 'bg-primary text-white' : 'bg-white text-surface-600 hover:bg-surface-100'
+                }`}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+        </div>
+      </motion.div>
+
+      {error && (
+        <div className="mb-6 p-3 rounded-md bg-red-50 text-sm text-red-600 flex items-center gap-2">
+          <AlertCircle size={16} />
+          {error}
+        </div>
+      )}
+
+      <h2 className="mb-3 text-lg font-semibold">
+        {getCalendarTitle(view, anchorDate)}
+        {loading && <span className="ml-2 text-sm font-normal text-surface-500">Loading...</span>}
+      </h2>
+
+      <div className="card p-0 overflow-hidden">
+        <div className="grid grid-cols-7 border-b border-surface-200 bg-surface-50 text-xs font-medium text-surface-500">
+          {weekdayHeadings.map(name => (
+            <div key={name} className="px-2 py-1.5">{name}</div>
+          ))}
+        </div>
+        <div className="grid grid-cols-7">
+          {days.map(day => (
+            <CalendarDay
+              key={toDayKey(day)}
+              day={day}
+              tasks={tasksByDay.get(toDayKey(day)) || []}
+              muted={view === CalendarViews.MONTH && !isSameMonth(day, anchorDate)}
+              minHeight={view === CalendarViews.WEEK ? 'min-h-[360px]' : 'min-h-[110px]'}
+              onDropTask={handleDropTask}
+              // New tasks cannot be due in the past
+              onCreateTask={isBefore(day, today) ? undefined : setNewTaskDate}
+            />
+          ))}
+        </div>
+      </div>
+
+      {taskPaging.hasMore && (
+        <p className="mt-3 text-xs text-surface-500">Only the first {TASK_LIMIT} tasks of this period are shown.</p>
+      )}
+
+      {newTaskDate && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+          <div className="max-w-lg w-full">
+            <MainFeature
+              key={toDayKey(newTaskDate)}
+              initialValues={{ dueDate: toDayKey(newTaskDate) }}
+              defaultOpen
+              onAddTask={handleAddTask}
+              onCancel={() => setNewTaskDate(null)}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Calendar;
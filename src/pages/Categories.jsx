@@ -0,0 +1,257 @@
+import { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { AlertCircle, Check, GitMerge, Pencil, Plus, Trash2, X } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { useCategories } from '../context/CategoryContext';
+import { FieldNames } from '../utils/apperClient';
+import { Permissions } from '../utils/permissions';
+
+// Color given to new categories until the user picks one
+const DEFAULT_COLOR = '#6366f1';
+
+/**
+ * Category row with inline rename, recolor, merge and delete
+ * @param {Object} props - Component props
+ * @param {Object} props.category - The category record
+ * @param {Array} props.others - The other categories, as merge targets
+ * @param {boolean} props.editable - Whether the user may change categories
+ * @returns {JSX.Element} The CategoryRow component
+ */
+function CategoryRow({ category, others, editable }) {
+  const { updateCategory, deleteCategory, mergeCategories } = useCategories();
+  const name = category[FieldNames.CATEGORY.NAME];
+  const color = category[FieldNames.CATEGORY.COLOR] || DEFAULT_COLOR;
+  const [draftName, setDraftName] = useState(null);
+  const [draftColor, setDraftColor] = useState(color);
+  // Pending destructive action: null, 'delete' or 'merge'
+  const [action, setAction] = useState(null);
+  const [mergeTargetId, setMergeTargetId] = useState('');
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    setDraftColor(color);
+  }, [color]);
+
+  const saveName = async (e) => {
+    e.preventDefault();
+    const updated = await updateCategory(category.Id, { [FieldNames.CATEGORY.NAME]: draftName });
+    if (updated) setDraftName(null);
+  };
+
+  // Color inputs report every step while the picker is open, so save once it closes
+  const saveColor = () => {
+    if (draftColor !== color) {
+      updateCategory(category.Id, { [FieldNames.CATEGORY.COLOR]: draftColor });
+    }
+  };
+
+  const confirmDelete = async () => {
+    const taskIds = await deleteCategory(category.Id);
+    if (!taskIds) setAction(null);
+  };
+
+  const confirmMerge = async () => {
+    const target = others.find(other => other.Id === Number(mergeTargetId));
+    const taskIds = await mergeCategories(category.Id, target.Id);
+    if (taskIds) {
+      setResult(`Moved ${taskIds.length} task(s) to "${target[FieldNames.CATEGORY.NAME]}"`);
+    } else {
+      setAction(null);
+    }
+  };
+
+  if (result) {
+    return <li className="p-4 text-sm text-surface-500">{result}</li>;
+  }
+
+  return (
+    <li className="p-4 space-y-2">
+      <div className="flex items-center gap-3">
+        <input
+          type="color"
+          value={draftColor}
+          onChange={(e) => setDraftColor(e.target.value)}
+          onBlur={saveColor}
+          disabled={!editable}
+          aria-label={`Color of ${name}`}
+          className="w-8 h-8 p-0 border-none bg-transparent cursor-pointer disabled:cursor-default"
+        />
+
+        {draftName !== null ? (
+          <form onSubmit={saveName} className="flex-1 flex items-center gap-2">
+            <input
+              type="text"
+              value={draftName}
+              onChange={(e) => setDraftName(e.target.value)}
+              autoFocus
+              aria-label="Category name"
+              className="flex-1 text-sm"
+            />
+            <button type="submit" disabled={!draftName.trim()} title="Save" className="p-1 text-green-600 disabled:opacity-50">
+              <Check size={16} />
+            </button>
+            <button type="button" onClick={() => setDraftName(null)} title="Cancel" className="p-1 text-surface-400">
+              <X size={16} />
+            </button>
+          </form>
+        ) : (
+          <span className="flex-1 font-medium truncate">{name}</span>
+        )}
+
+        {editable && draftName === null && (
+          <div className="flex items-center gap-1">
+            <button onClick={() => setDraftName(name)} title="Rename" className="p-1 text-surface-400 hover:text-surface-700">
+              <Pencil size={16} />
+            </button>
+            <button
+              onClick={() => setAction(action === 'merge' ? null : 'merge')}
+              disabled={others.length === 0}
+              title="Merge into another category"
+              className="p-1 text-surface-400 hover:text-surface-700 disabled:opacity-50"
+            >
+              <GitMerge size={16} />
+            </button>
+            <button
+              onClick={() => setAction(action === 'delete' ? null : 'delete')}
+              title="Delete"
+              className="p-1 text-surface-400 hover:text-red-500"
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {action === 'delete' && (
+        <div className="flex items-center justify-end gap-2 text-sm">
+          <span className="text-surface-600">Delete &ldquo;{name}&rdquo;? Its tasks will have no category.</span>
+          <button onClick={() => setAction(null)} className="btn-secondary text-xs">Cancel</button>
+          <button onClick={confirmDelete} className="btn-danger text-xs">Delete</button>
+        </div>
+      )}
+
+      {action === 'merge' && (
+        <div className="flex items-center justify-end gap-2 text-sm">
+          <span className="text-surface-600">Move its tasks to</span>
+          <select
+            value={mergeTargetId}
+            onChange={(e) => setMergeTargetId(e.target.value)}
+            aria-label="Category to merge into"
+            className="text-sm"
+          >
+            <option value="">Choose a category...</option>
+            {others.map(other => (
+              <option key={other.Id} value={other.Id}>{other[FieldNames.CATEGORY.NAME]}</option>
+            ))}
+          </select>
+          <button onClick={() => setAction(null)} className="btn-secondary text-xs">Cancel</button>
+          <button onClick={confirmMerge} disabled={!mergeTargetId} className="btn-primary text-xs disabled:opacity-50">
+            Merge
+          </button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Page for managing the team's task categories
+ * @returns {JSX.Element} The Categories component
+ */
+function Categories() {
+  const { hasPermission } = useAuth();
+  const { categories, loading, error, fetchCategories, createCategory, addDefaultCategories } = useCategories();
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState(DEFAULT_COLOR);
+  const editable = hasPermission(Permissions.MANAGE_CATEGORIES);
+
+  useEffect(() => {
+    fetchCategories();
+  }, [fetchCategories]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const category = await createCategory({
+      [FieldNames.CATEGORY.NAME]: newName,
+      [FieldNames.CATEGORY.COLOR]: newColor
+    });
+    if (category) {
+      setNewName('');
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-3xl mx-auto">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8"
+        >
+          <h1 className="text-3xl font-bold mb-2">Categories</h1>
+          <p className="text-surface-600">
+            {editable
+              ? 'Categories are shared by everyone on the team.'
+              : 'Categories are shared by everyone on the team. Admins and managers can change them.'}
+          </p>
+        </motion.div>
+
+        {error && (
+          <div className="mb-6 p-3 rounded-md bg-red-50 text-sm text-red-600 flex items-center gap-2">
+            <AlertCircle size={16} />
+            {error}
+          </div>
+        )}
+
+        {editable && (
+          <form onSubmit={handleCreate} className="mb-6 flex items-center gap-2">
+            <input
+              type="color"
+              value={newColor}
+              onChange={(e) => setNewColor(e.target.value)}
+              aria-label="New category color"
+              className="w-10 h-10 p-0 border-none bg-transparent cursor-pointer"
+            />
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New category name"
+              className="flex-1"
+            />
+            <button type="submit" disabled={!newName.trim()} className="btn-primary gap-1.5 disabled:opacity-50">
+              <Plus size={16} />
+              Add
+            </button>
+          </form>
+        )}
+
+        {loading && categories.length === 0 ? (
+          <p className="text-sm text-surface-500">Loading categories...</p>
+        ) : categories.length === 0 ? (
+          <div className="text-sm text-surface-500">
+            <p>No categories yet.</p>
+            {editable && (
+              <button onClick={addDefaultCategories} className="mt-2 btn-secondary text-sm">
+                Add Work, Personal, Health, Education and Finance
+              </button>
+            )}
+          </div>
+        ) : (
+          <ul className="card p-0 divide-y divide-gray-100">
+            {categories.map(category => (
+              <CategoryRow
+                key={category.Id}
+                category={category}
+                others={categories.filter(other => other.Id !== category.Id)}
+                editable={editable}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Categories;
@@ -0,0 +1,349 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { AlertCircle, CalendarClock, Eraser, FolderKanban, Plus, UserCheck } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { useTask } from '../context/TaskContext';
+import { useProject } from '../context/ProjectContext';
+import StatusBadge from '../components/StatusBadge';
+import Pagination from '../components/Pagination';
+import { FieldNames, PicklistValues } from '../utils/apperClient';
+import { createQuery } from '../utils/queryBuilder';
+import { Permissions } from '../utils/permissions';
+import {
+  TaskFilterParams,
+  StatusFilters,
+  AssigneeFilters,
+  DueFilters,
+  getAssigneeId,
+  isTaskCompleted,
+  isOverdue,
+  buildTaskQuery,
+  buildTaskListUrl
+} from '../utils/taskFilters';
+
+// Number of active projects shown per page
+const ACTIVE_PROJECTS_PAGE_SIZE = 10;
+
+// The viewer's open tasks, as counted, listed and linked to by the "Assigned to me" card
+const MY_OPEN_TASK_FILTERS = {
+  [TaskFilterParams.ASSIGNEE]: AssigneeFilters.ME,
+  [TaskFilterParams.STATUS]: StatusFilters.OPEN
+};
+
+// Bar colors for the priority breakdown
+const priorityColors = {
+  High: 'bg-red-500',
+  Medium: 'bg-amber-500',
+  Low: 'bg-green-500'
+};
+
+/**
+ * Clickable summary card linking to a filtered task list
+ * @param {Object} props - Component props
+ * @returns {JSX.Element} The StatCard component
+ */
+function StatCard({ icon: Icon, label, value, tone, onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      className="card p-4 flex items-center gap-4 text-left w-full justify-start hover:shadow-lg transition-shadow"
+    >
+      <div className={`p-3 rounded-full ${tone}`}>
+        <Icon size={20} />
+      </div>
+      <div>
+        <div className="text-2xl font-bold">{value}</div>
+        <div className="text-sm text-surface-500">{label}</div>
+      </div>
+    </button>
+  );
+}
+
+/**
+ * Horizontal bar breakdown of task counts per picklist value
+ * @param {Object} props - Component props
+ * @returns {JSX.Element} The Breakdown component
+ */
+function Breakdown({ title, values, counts, total, colorFor, onSelect }) {
+  return (
+    <div className="card p-4">
+      <h2 className="text-base font-semibold mb-3">{title}</h2>
+      <div className="space-y-2">
+        {values.map(value => {
+          const count = counts[value] || 0;
+          const percentage = total > 0 ? Math.round((count / total) * 100) : 0;
+
+          return (
+            <button
+              key={value}
+              onClick={() => onSelect(value)}
+              className="w-full block p-1 text-left font-normal hover:bg-surface-50"
+            >
+              <div className="flex justify-between text-sm mb-1">
+                <span>{value}</span>
+                <span className="text-surface-500">{count}</span>
+              </div>
+              <div className="h-2 bg-surface-200 rounded-full overflow-hidden">
+                <div className={`h-full ${colorFor(value)}`} style={{ width: `${percentage}%` }} />
+              </div>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Landing page after login summarizing projects and tasks
+ * @returns {JSX.Element} The Dashboard component
+ */
+function Dashboard() {
+  const { user, userRecordId, hasPermission } = useAuth();
+  const { tasks, loading: tasksLoading, error: tasksError, fetchTasks, countTasks } = useTask();
+  const {
+    projects,
+    projectPaging,
+    loading: projectsLoading,
+    error: projectsError,
+    fetchProjects,
+    createProject,
+    cleanupOrphanedAssociations
+  } = useProject();
+  const [newProjectName, setNewProjectName] = useState('');
+  const [cleanupMessage, setCleanupMessage] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const navigate = useNavigate();
+
+  /**
+   * Load a page of projects that are not completed yet
+   * @param {number} offset - Offset of the page to load
+   */
+  const fetchActiveProjects = useCallback((offset = 0) => {
+    return fetchProjects({
+      query: createQuery('PROJECT').whereNot(FieldNames.PROJECT.STATUS, 'Completed'),
+      limit: ACTIVE_PROJECTS_PAGE_SIZE,
+      offset
+    });
+  }, [fetchProjects]);
+
+  useEffect(() => {
+    fetchActiveProjects();
+  }, [fetchActiveProjects]);
+
+  // Only the viewer's open tasks are listed
+  useEffect(() => {
+    if (userRecordId === null) return;
+
+    fetchTasks({
+      query: buildTaskQuery(MY_OPEN_TASK_FILTERS, { currentUserId: userRecordId })
+    });
+  }, [fetchTasks, userRecordId]);
+
+  // Counts come from the backend, using the same filters as the task lists they link to
+  useEffect(() => {
+    const count = (filters) => countTasks(buildTaskQuery(filters, { currentUserId: userRecordId }));
+    const countEach = (param, values) => Promise.all(values.map(value => count({ [param]: value })))
+      .then(totals => Object.fromEntries(values.map((value, index) => [value, totals[index] || 0])));
+
+    Promise.all([
+      count({}),
+      count({ [TaskFilterParams.DUE]: DueFilters.OVERDUE }),
+      count({ [TaskFilterParams.DUE]: DueFilters.THIS_WEEK }),
+      userRecordId !== null
+        ? count(MY_OPEN_TASK_FILTERS)
+        : null,
+      countEach(TaskFilterParams.STATUS, PicklistValues.TASK_STATUS),
+      countEach(TaskFilterParams.PRIORITY, PicklistValues.TASK_PRIORITY)
+    ]).then(([total, overdue, dueThisWeek, assignedToMe, statusCounts, priorityCounts]) => {
+      setSummary({ total, overdue, dueThisWeek, assignedToMe, statusCounts, priorityCounts });
+    });
+  }, [countTasks, userRecordId]);
+
+  const activeProjects = projects.filter(
+    project => project[FieldNames.PROJECT.STATUS] !== 'Completed'
+  );
+  const myTasks = userRecordId !== null
+    ? tasks.filter(task => getAssigneeId(task) === userRecordId && !isTaskCompleted(task))
+    : [];
+  // Counts the backend could not give show as a dash
+  const formatCount = (value) => value ?? '-';
+
+  const openTaskList = (filters) => navigate(buildTaskListUrl(filters));
+
+  const handleCreateProject = async (e) => {
+    e.preventDefault();
+    if (!newProjectName.trim()) return;
+
+    const project = await createProject({
+      [FieldNames.PROJECT.NAME]: newProjectName.trim(),
+      [FieldNames.PROJECT.STATUS]: 'Not Started'
+    });
+    if (project) {
+      setNewProjectName('');
+    }
+  };
+
+  const handleCleanup = async () => {
+    const removed = await cleanupOrphanedAssociations();
+    if (removed !== null) {
+      setCleanupMessage(removed === 0 ? 'No orphaned task links found.' : `Removed ${removed} orphaned task link(s).`);
+    }
+  };
+  const error = tasksError || projectsError;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="mb-8"
+      >
+        <h1 className="text-3xl font-bold mb-2">Dashboard</h1>
+        <p className="text-surface-600">
+          {user?.firstName ? `Welcome back, ${user.firstName}.` : 'Welcome back.'}
+        </p>
+      </motion.div>
+
+      {error && (
+        <div className="mb-6 p-3 rounded-md bg-red-50 text-sm text-red-600 flex items-center gap-2">
+          <AlertCircle size={16} />
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
+        <StatCard
+          icon={AlertCircle}
+          label="Overdue tasks"
+          value={formatCount(summary?.overdue)}
+          tone="bg-red-100 text-red-600"
+          onClick={() => openTaskList({ [TaskFilterParams.DUE]: DueFilters.OVERDUE })}
+        />
+        <StatCard
+          icon={CalendarClock}
+          label="Due this week"
+          value={formatCount(summary?.dueThisWeek)}
+          tone="bg-amber-100 text-amber-600"
+          onClick={() => openTaskList({ [TaskFilterParams.DUE]: DueFilters.THIS_WEEK })}
+        />
+        <StatCard
+          icon={UserCheck}
+          label="Assigned to me"
+          value={formatCount(summary?.assignedToMe)}
+          tone="bg-blue-100 text-blue-600"
+          onClick={() => userRecordId !== null && openTaskList(MY_OPEN_TASK_FILTERS)}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+        <div className="card p-4">
+          <div className="mb-3 flex items-center justify-between gap-2">
+            <h2 className="text-base font-semibold flex items-center gap-2">
+              <FolderKanban size={18} />
+              Active projects
+            </h2>
+            {hasPermission(Permissions.DELETE_PROJECT) && (
+              <button
+                onClick={handleCleanup}
+                title="Remove task links to deleted projects or tasks"
+                className="px-2 py-1 text-xs font-normal gap-1 text-surface-500 hover:bg-surface-100"
+              >
+                <Eraser size={14} />
+                Clean up links
+              </button>
+            )}
+          </div>
+          {cleanupMessage && (
+            <p className="mb-2 text-xs text-surface-500">{cleanupMessage}</p>
+          )}
+          {hasPermission(Permissions.CREATE_PROJECT) && (
+            <form onSubmit={handleCreateProject} className="mb-3 flex items-center gap-2">
+              <input
+                type="text"
+                value={newProjectName}
+                onChange={(e) => setNewProjectName(e.target.value)}
+                placeholder="New project name"
+                className="flex-1"
+              />
+              <button type="submit" disabled={!newProjectName.trim()} className="btn-primary gap-1 disabled:opacity-50">
+                <Plus size={16} />
+                Add
+              </button>
+            </form>
+          )}
+          {projectsLoading && activeProjects.length === 0 ? (
+            <p className="text-sm text-surface-500">Loading projects...</p>
+          ) : activeProjects.length === 0 ? (
+            <p className="text-sm text-surface-500">No active projects.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {activeProjects.map(project => (
+                <li key={project.Id}>
+                  <button
+                    onClick={() => navigate(`/projects/${project.Id}`)}
+                    className="w-full justify-between px-1 py-2 font-normal hover:bg-surface-50"
+                  >
+                    <span className="truncate">{project[FieldNames.PROJECT.NAME]}</span>
+                    <StatusBadge status={project[FieldNames.PROJECT.STATUS]} fallback="Not Started" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <Pagination paging={projectPaging} onPageChange={fetchActiveProjects} />
+        </div>
+
+        <div className="card p-4">
+          <h2 className="text-base font-semibold mb-3 flex items-center gap-2">
+            <UserCheck size={18} />
+            My assigned tasks
+          </h2>
+          {tasksLoading && myTasks.length === 0 ? (
+            <p className="text-sm text-surface-500">Loading tasks...</p>
+          ) : myTasks.length === 0 ? (
+            <p className="text-sm text-surface-500">Nothing assigned to you right now.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {myTasks.map(task => (
+                <li key={task.Id}>
+                  <button
+                    onClick={() => openTaskList(MY_OPEN_TASK_FILTERS)}
+                    className="w-full justify-between px-1 py-2 font-normal hover:bg-surface-50"
+                  >
+                    <span className={`truncate ${isOverdue(task) ? 'text-red-600' : ''}`}>
+                      {task[FieldNames.TASK.TITLE]}
+                    </span>
+                    <StatusBadge status={task[FieldNames.TASK.STATUS]} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <Breakdown
+          title="Tasks by status"
+          values={PicklistValues.TASK_STATUS}
+          counts={summary?.statusCounts || {}}
+          total={summary?.total || 0}
+          colorFor={() => 'bg-primary'}
+          onSelect={(status) => openTaskList({ [TaskFilterParams.STATUS]: status })}
+        />
+        <Breakdown
+          title="Tasks by priority"
+          values={PicklistValues.TASK_PRIORITY}
+          counts={summary?.priorityCounts || {}}
+          total={summary?.total || 0}
+          colorFor={(priority) => priorityColors[priority]}
+          onSelect={(priority) => openTaskList({ [TaskFilterParams.PRIORITY]: priority })}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default Dashboard;
@@ -1,52 +1,277 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useSearchParams, useLocation } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
-import { PlusCircle, Filter, SortAsc, SortDesc } from 'lucide-react';
+import { PlusCircle, AlertCircle, Upload, X, ChevronDown, ChevronRight } from 'lucide-react';
 import MainFeature from '../components/MainFeature';
+import LoadMoreTrigger from '../components/LoadMoreTrigger';
+import TaskItem from '../components/TaskItem';
+import TaskFilterBuilder from '../components/TaskFilterBuilder';
+import SavedViews from '../components/SavedViews';
+import TaskSortControls from '../components/TaskSortControls';
+import { useTask } from '../context/TaskContext';
+import { useAuth } from '../context/AuthContext';
+import { useProject } from '../context/ProjectContext';
+import { useUsers } from '../context/UserContext';
+import { FieldNames } from '../utils/apperClient';
+import { Permissions } from '../utils/permissions';
+import { createQuery } from '../utils/queryBuilder';
+import { groupSubtasks } from '../utils/subtasks';
+import { getPreference, setPreference, PreferenceKeys } from '../utils/preferences';
+import * as migrationService from '../services/migrationService';
+import {
+  TaskFilterParams,
+  SORT_PARAM,
+  GROUP_PARAM,
+  getAssigneeId,
+  readTaskFilters,
+  buildTaskQuery,
+  applyTaskFilters,
+  serializeTaskListQuery
+} from '../utils/taskFilters';
+import { parseTagFilter, serializeTags, tagKey } from '../utils/tags';
+import {
+  SortKeys,
+  GroupKeys,
+  parseTaskSort,
+  serializeTaskSort,
+  toTaskOrderBy,
+  sortTasks,
+  parseTaskGroup,
+  groupTasks
+} from '../utils/taskSort';
+
+// Most tasks loaded at once when sorting or grouping has to happen in the browser
+const FULL_LIST_LIMIT = 1000;
 
 function Home() {
-  const [tasks, setTasks] = useState(() => {
-    const savedTasks = localStorage.getItem('tasks');
-    return savedTasks ? JSON.parse(savedTasks) : [];
-  });
+  const {
+    tasks,
+    loading,
+    loadingMore,
+    taskPaging,
+    error,
+    fetchTasks,
+    fetchMoreTasks,
+    countTasks,
+    createTask,
+    currentTask,
+    setCurrentTask
+  } = useTask();
+  const location = useLocation();
+  const { user, userRecordId, hasPermission } = useAuth();
+  const { fetchTasksByProject, fetchProjectsForTasks } = useProject();
+  const { users, ensureUsersLoaded } = useUsers();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const urlFilters = readTaskFilters(searchParams);
+  const hasFilters = Object.keys(urlFilters).length > 0;
+  const listQuery = serializeTaskListQuery(searchParams);
+  const projectFilter = urlFilters[TaskFilterParams.PROJECT];
+  const tagFilter = parseTagFilter(urlFilters[TaskFilterParams.TAGS]);
+  const sort = parseTaskSort(searchParams.get(SORT_PARAM));
+  const groupBy = parseTaskGroup(searchParams.get(GROUP_PARAM));
+  // Sorting the backend cannot do, and grouping, need every matching task in the browser
+  const sortsInBrowser = !!groupBy || !toTaskOrderBy(sort);
+  // Task Ids of the project in the URL filter, with the project they were resolved for
+  const [projectTasks, setProjectTasks] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [taskCounts, setTaskCounts] = useState(null);
+  const [projectsByTask, setProjectsByTask] = useState(null);
+  const [collapsedGroups, setCollapsedGroups] = useState(() => new Set());
+  
+  const [legacyCount, setLegacyCount] = useState(() => migrationService.getLegacyTasks().length);
+  const [migrationResult, setMigrationResult] = useState(null);
+  const [migrating, setMigrating] = useState(false);
+  const [autoCompleteParents, setAutoCompleteParents] = useState(() => getPreference(PreferenceKeys.AUTO_COMPLETE_PARENTS, false));
+  const migrationStarted = useRef(false);
+  
+  // Resolve which tasks belong to the project in the URL filter
+  useEffect(() => {
+    if (!projectFilter) {
+      setProjectTasks(null);
+      return;
+    }
+    
+    fetchTasksByProject(Number(projectFilter)).then(tasksInProject => {
+      setProjectTasks({
+        projectId: projectFilter,
+        taskIds: new Set((tasksInProject || []).map(task => task.Id))
+      });
+    });
+  }, [projectFilter, fetchTasksByProject]);
+  
+  const projectTaskIds = projectFilter && projectTasks?.projectId === projectFilter ? projectTasks.taskIds : null;
+  
+  // Let the backend filter and sort every task, not just the loaded page
+  useEffect(() => {
+    const params = new URLSearchParams(listQuery);
+    const filters = readTaskFilters(params);
+    // Wait until the project's tasks are known rather than listing every task
+    if (filters[TaskFilterParams.PROJECT] && !projectTaskIds) return;
+    
+    const orderBy = toTaskOrderBy(parseTaskSort(params.get(SORT_PARAM)));
+    const inBrowser = !!parseTaskGroup(params.get(GROUP_PARAM)) || !orderBy;
+    fetchTasks({
+      query: buildTaskQuery(filters, { currentUserId: userRecordId, projectTaskIds }),
+      ...(orderBy ? { orderBy } : {}),
+      ...(inBrowser ? { limit: FULL_LIST_LIMIT } : {})
+    });
+  }, [fetchTasks, listQuery, userRecordId, projectTaskIds, reloadKey]);
+  
+  // Progress covers every task, recounted whenever a loaded task changes status
+  const loadedStatuses = tasks.map(task => `${task.Id}:${task[FieldNames.TASK.STATUS]}`).join(',');
+  useEffect(() => {
+    Promise.all([
+      countTasks(createQuery('TASK')),
+      countTasks(createQuery('TASK').where(FieldNames.TASK.STATUS, 'Completed'))
+    ]).then(([total, completed]) => {
+      setTaskCounts(total === null || completed === null ? null : { total, completed });
+    });
+  }, [countTasks, loadedStatuses]);
+  
+  // Assignee names are only needed to sort or group by assignee
+  const usesAssignee = groupBy === GroupKeys.ASSIGNEE || sort.some(entry => entry.key === SortKeys.ASSIGNEE);
+  useEffect(() => {
+    if (usesAssignee) {
+      ensureUsersLoaded();
+    }
+  }, [usesAssignee, ensureUsersLoaded]);
+  
+  // Grouping by project needs the task_project table, reloaded when other tasks are loaded
+  const loadedTaskIds = tasks.map(task => task.Id).join(',');
+  useEffect(() => {
+    if (groupBy !== GroupKeys.PROJECT) {
+      setProjectsByTask(null);
+      return;
+    }
+    
+    const taskIds = loadedTaskIds ? loadedTaskIds.split(',').map(Number) : [];
+    fetchProjectsForTasks(taskIds).then(setProjectsByTask);
+  }, [groupBy, loadedTaskIds, fetchProjectsForTasks]);
+  
+  const canCreateCategories = hasPermission(Permissions.MANAGE_CATEGORIES);
   
-  const [filter, setFilter] = useState('all');
-  const [sortDirection, setSortDirection] = useState('desc');
+  /**
+   * Import tasks left in localStorage by the previous version of this page, assigned to the importing user
+   */
+  const runMigration = useCallback(async () => {
+    setMigrating(true);
+    
+    try {
+      const result = await migrationService.migrateLegacyTasks({ assigneeId: userRecordId, canCreateCategories });
+      setMigrationResult(result);
+      setLegacyCount(result.failed.length);
+      
+      if (result.imported.length > 0) {
+        setReloadKey(key => key + 1);
+      }
+    } finally {
+      setMigrating(false);
+    }
+  }, [userRecordId, canCreateCategories]);
   
+  // Legacy tasks are only offered to the user they were saved by, or to anyone when that is unknown
+  const legacyOwnership = user ? migrationService.getLegacyOwnership() : migrationService.LegacyOwnership.OTHER;
+  const showLegacyImport = legacyCount > 0 && legacyOwnership !== migrationService.LegacyOwnership.OTHER;
+  
+  // Run the one-time import as soon as the owner is signed in and their user record is known
   useEffect(() => {
-    localStorage.setItem('tasks', JSON.stringify(tasks));
-  }, [tasks]);
+    if (legacyOwnership !== migrationService.LegacyOwnership.OWNER || legacyCount === 0 || migrationStarted.current) return;
+    if (!userRecordId) return;
+    
+    migrationStarted.current = true;
+    runMigration();
+  }, [legacyOwnership, legacyCount, userRecordId, runMigration]);
+  
+  const isCompleted = (task) => task[FieldNames.TASK.STATUS] === 'Completed';
   
   const addTask = (newTask) => {
-    setTasks([...tasks, newTask]);
+    return createTask(newTask);
   };
   
-  const toggleTaskCompletion = (taskId) => {
-    setTasks(tasks.map(task => 
-      task.id === taskId 
-        ? { ...task, isCompleted: !task.isCompleted, completedAt: !task.isCompleted ? new Date().toISOString() : null } 
-        : task
-    ));
+  /**
+   * Replace the filters in the URL, keeping the sort order and grouping
+   * @param {Object} nextFilters - Filters keyed by TaskFilterParams values
+   */
+  const updateFilters = (nextFilters) => {
+    const next = new URLSearchParams();
+    Object.entries(nextFilters).forEach(([param, value]) => next.set(param, value));
+    [SORT_PARAM, GROUP_PARAM].forEach(param => {
+      if (searchParams.get(param)) {
+        next.set(param, searchParams.get(param));
+      }
+    });
+    // Typing in the search box should not leave a history entry per keystroke
+    setSearchParams(next, { replace: nextFilters[TaskFilterParams.TEXT] !== urlFilters[TaskFilterParams.TEXT] });
   };
   
-  const deleteTask = (taskId) => {
-    setTasks(tasks.filter(task => task.id !== taskId));
+  // Clicking a tag on a card adds it to the filter, or takes it out again
+  const toggleTagFilter = (tag) => {
+    const selected = tagFilter.some(existing => tagKey(existing) === tagKey(tag));
+    const tags = selected ? tagFilter.filter(existing => tagKey(existing) !== tagKey(tag)) : [...tagFilter, tag];
+    const nextFilters = { ...urlFilters, [TaskFilterParams.TAGS]: serializeTags(tags) };
+    if (!nextFilters[TaskFilterParams.TAGS]) {
+      delete nextFilters[TaskFilterParams.TAGS];
+      delete nextFilters[TaskFilterParams.TAG_MODE];
+    }
+    updateFilters(nextFilters);
   };
   
-  const filteredTasks = tasks.filter(task => {
-    if (filter === 'all') return true;
-    if (filter === 'active') return !task.isCompleted;
-    if (filter === 'completed') return task.isCompleted;
-    return true;
-  });
-  
-  const sortedTasks = [...filteredTasks].sort((a, b) => {
-    const dateA = new Date(a.createdAt);
-    const dateB = new Date(b.createdAt);
-    return sortDirection === 'desc' ? dateB - dateA : dateA - dateB;
-  });
-  
-  const completedCount = tasks.filter(task => task.isCompleted).length;
-  const totalCount = tasks.length;
+  /**
+   * Set one view parameter in the URL, dropping it when empty
+   * @param {string} param - SORT_PARAM or GROUP_PARAM
+   * @param {string} value - The new value
+   */
+  const updateViewParam = (param, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) {
+      next.set(param, value);
+    } else {
+      next.delete(param);
+    }
+    setSearchParams(next);
+  };
+  
+  const toggleGroup = (key) => {
+    setCollapsedGroups(prevGroups => {
+      const nextGroups = new Set(prevGroups);
+      if (nextGroups.has(key)) {
+        nextGroups.delete(key);
+      } else {
+        nextGroups.add(key);
+      }
+      return nextGroups;
+    });
+  };
+  
+  const toggleAutoCompleteParents = () => {
+    setPreference(PreferenceKeys.AUTO_COMPLETE_PARENTS, !autoCompleteParents);
+    setAutoCompleteParents(!autoCompleteParents);
+  };
+  
+  // The backend already filtered; this keeps whole-tag matching and drops tasks edited out of the filters
+  const filteredTasks = applyTaskFilters(tasks, urlFilters, { currentUserId: userRecordId }).filter(task =>
+    !projectTaskIds || projectTaskIds.has(task.Id)
+  );
+  
+  const usersById = new Map(users.map(listedUser => [listedUser.Id, listedUser]));
+  const getAssigneeName = (task) => {
+    const assignee = task[FieldNames.TASK.ASSIGNED_TO];
+    return usersById.get(getAssigneeId(task))?.[FieldNames.USER.NAME] || assignee?.Name || null;
+  };
+  
+  const sortedTasks = sortTasks(filteredTasks, sort, { getAssigneeName });
+  
+  // Subtasks render inside their parent's card
+  const { topLevel: topLevelTasks, childrenByParent } = groupSubtasks(sortedTasks);
+  
+  // Without grouping the list is one untitled group
+  const taskGroups = groupBy
+    ? groupTasks(topLevelTasks, groupBy, { getAssigneeName, projectsByTask })
+    : [{ key: '', label: null, tasks: topLevelTasks }];
+  
+  // Loaded tasks stand in when the backend reports no totals
+  const completedCount = taskCounts ? taskCounts.completed : tasks.filter(isCompleted).length;
+  const totalCount = taskCounts ? taskCounts.total : tasks.length;
   const completionPercentage = totalCount > 0 ? Math.round((completedCount / totalCount) * 100) : 0;
   
   return (
@@ -63,6 +288,54 @@ function Home() {
           </p>
         </motion.div>
         
+        {(showLegacyImport || migrationResult) && (
+          <div className="mb-6 card p-4">
+            <div className="flex items-start gap-3">
+              <Upload size={18} className="mt-1 text-surface-500" />
+              <div className="flex-1">
+                {migrating ? (
+                  <p className="text-sm">Importing tasks saved in this browser...</p>
+                ) : (
+                  <>
+                    {migrationResult && (
+                      <p className="text-sm">
+                        Imported {migrationResult.imported.length} task(s) saved in this browser.
+                      </p>
+                    )}
+                    {migrationResult?.failed.length > 0 && (
+                      <ul className="mt-2 space-y-1">
+                        {migrationResult.failed.map(({ task, error: importError }, index) => (
+                          <li key={task.id || index} className="text-sm text-red-500 flex items-center gap-1">
+                            <AlertCircle size={14} />
+                            {task.title || 'Untitled task'}: {importError}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {showLegacyImport && !migrationResult && legacyOwnership === migrationService.LegacyOwnership.UNKNOWN && (
+                      <p className="text-sm">
+                        An earlier version of this app saved {legacyCount} task(s) in this browser. Import them only if they are yours.
+                      </p>
+                    )}
+                    {showLegacyImport && (
+                      <button onClick={runMigration} disabled={!userRecordId} className="mt-2 btn-secondary text-sm disabled:opacity-60">
+                        {migrationResult ? `Retry ${legacyCount} failed task(s)` : `Import ${legacyCount} local task(s)`}
+                      </button>
+                    )}
+                  </>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+        
+        {error && (
+          <div className="mb-6 p-3 rounded-md bg-red-50 text-sm text-red-600 flex items-center gap-2">
+            <AlertCircle size={16} />
+            {error}
+          </div>
+        )}
+        
         {totalCount > 0 && (
           <motion.div 
             initial={{ opacity: 0, scale: 0.95 }}
@@ -86,128 +359,123 @@ function Home() {
           </motion.div>
         )}
         
-        <MainFeature onAddTask={addTask} />
+        {currentTask && (
+          <div className="mb-6">
+            <div className="flex items-center justify-between mb-2">
+              <h2 className="font-semibold">Selected task</h2>
+              <button
+                onClick={() => setCurrentTask(null)}
+                className="px-2 py-1 text-sm text-surface-600 hover:text-surface-900 gap-1"
+              >
+                <X size={14} />
+                Clear
+              </button>
+            </div>
+            <TaskItem task={currentTask} onTagClick={toggleTagFilter} activeTags={tagFilter} />
+          </div>
+        )}
+        
+        {/* The command palette's "New task" opens the form, even when already on this page */}
+        <MainFeature key={location.key} onAddTask={addTask} defaultOpen={!!location.state?.newTask} />
         
-        {tasks.length > 0 && (
+        {(tasks.length > 0 || hasFilters) && (
           <motion.div 
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
             transition={{ delay: 0.2 }}
             className="mt-8"
           >
-            <div className="flex items-center justify-between mb-4">
-              <div className="flex items-center gap-2">
-                <Filter size={18} className="text-surface-500" />
-                <select 
-                  value={filter}
-                  onChange={(e) => setFilter(e.target.value)}
-                  className="text-sm bg-transparent border-none focus:ring-0 cursor-pointer"
-                >
-                  <option value="all">All Tasks</option>
-                  <option value="active">Active</option>
-                  <option value="completed">Completed</option>
-                </select>
-              </div>
+            <SavedViews
+              query={listQuery}
+              onApply={(query) => setSearchParams(new URLSearchParams(query))}
+            />
+            
+            <TaskFilterBuilder filters={urlFilters} onChange={updateFilters} />
+            
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+              <TaskSortControls
+                sort={sort}
+                onSortChange={(nextSort) => updateViewParam(SORT_PARAM, serializeTaskSort(nextSort))}
+                groupBy={groupBy}
+                onGroupByChange={(nextGroupBy) => updateViewParam(GROUP_PARAM, nextGroupBy)}
+              />
               
-              <button 
-                onClick={() => setSortDirection(sortDirection === 'desc' ? 'asc' : 'desc')}
-                className="flex items-center gap-1 text-sm text-surface-600 dark:text-surface-400 hover:text-surface-900 dark:hover:text-surface-100"
-              >
-                {sortDirection === 'desc' ? (
-                  <>
-                    <SortDesc size={16} />
-                    <span>Newest</span>
-                  </>
-                ) : (
-                  <>
-                    <SortAsc size={16} />
-                    <span>Oldest</span>
-                  </>
-                )}
-              </button>
+              <label className="flex items-center gap-1.5 text-sm text-surface-600 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={autoCompleteParents}
+                  onChange={toggleAutoCompleteParents}
+                />
+                Complete parents when all subtasks are done
+              </label>
             </div>
             
             <div className="space-y-3">
-              <AnimatePresence>
-                {sortedTasks.map(task => (
-                  <motion.div
-                    key={task.id}
-                    initial={{ opacity: 0, y: 10 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    exit={{ opacity: 0, height: 0, marginBottom: 0 }}
-                    className={`card p-0 overflow-hidden ${task.isCompleted ? 'border-green-200 dark:border-green-900' : ''}`}
-                  >
-                    <div className="task-item">
-                      <div 
-                        className={`task-checkbox ${task.isCompleted ? 'task-checkbox-checked' : ''}`}
-                        onClick={() => toggleTaskCompletion(task.id)}
+              {taskGroups.map(group => {
+                // Collapsed groups are remembered per grouping, so switching back restores them
+                const collapseKey = `${groupBy}:${group.key}`;
+                const collapsed = collapsedGroups.has(collapseKey);
+                return (
+                  <section key={collapseKey} className="space-y-3">
+                    {group.label !== null && (
+                      <button
+                        onClick={() => toggleGroup(collapseKey)}
+                        aria-expanded={!collapsed}
+                        className="w-full justify-start px-0 py-1 gap-2 text-sm font-semibold text-surface-700 hover:text-surface-900"
                       >
-                        {task.isCompleted && (
-                          <svg className="w-3 h-3 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={3} d="M5 13l4 4L19 7" />
-                          </svg>
-                        )}
-                      </div>
-                      
-                      <div className="flex-1">
-                        <div className="flex items-start justify-between">
-                          <h3 className={`font-medium ${task.isCompleted ? 'line-through text-surface-400 dark:text-surface-500' : ''}`}>
-                            {task.title}
-                          </h3>
-                          <div className="flex items-center gap-2">
-                            <div className={`priority-badge priority-${task.priority.toLowerCase()}`}>
-                              {task.priority}
-                            </div>
-                            
-                            <button 
-                              onClick={() => deleteTask(task.id)}
-                              className="text-surface-400 hover:text-red-500 dark:hover:text-red-400"
-                            >
-                              <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                              </svg>
-                            </button>
-                          </div>
-                        </div>
-                        
-                        {task.description && (
-                          <p className={`mt-1 text-sm text-surface-600 dark:text-surface-400 ${task.isCompleted ? 'line-through text-surface-400 dark:text-surface-500' : ''}`}>
-                            {task.description}
-                          </p>
-                        )}
-                        
-                        <div className="mt-2 flex items-center gap-3">
-                          {task.category && (
-                            <span 
-                              className="category-pill" 
-                              style={{ 
-                                backgroundColor: `${task.categoryColor}20`, 
-                                color: task.categoryColor 
-                              }}
-                            >
-                              {task.category}
-                            </span>
-                          )}
-                          
-                          {task.dueDate && (
-                            <span className="text-xs text-surface-500">
-                              Due: {new Date(task.dueDate).toLocaleDateString()}
-                            </span>
-                          )}
-                        </div>
-                      </div>
-                    </div>
-                  </motion.div>
-                ))}
-              </AnimatePresence>
+                        {collapsed ? <ChevronRight size={16} /> : <ChevronDown size={16} />}
+                        {group.label}
+                        <span className="px-2 rounded-full bg-surface-100 text-xs font-medium text-surface-500">
+                          {group.tasks.length}
+                        </span>
+                      </button>
+                    )}
+                    {!collapsed && (
+                      <AnimatePresence>
+                        {group.tasks.map(task => (
+                          <TaskItem
+                            key={task.Id}
+                            task={task}
+                            childrenByParent={childrenByParent}
+                            onTagClick={toggleTagFilter}
+                            activeTags={tagFilter}
+                          />
+                        ))}
+                      </AnimatePresence>
+                    )}
+                  </section>
+                );
+              })}
+              
+              <LoadMoreTrigger
+                hasMore={taskPaging.hasMore}
+                loading={loadingMore}
+                onLoadMore={fetchMoreTasks}
+              />
+              
+              {taskPaging.total !== null && (
+                <p className="text-center text-xs text-surface-500">
+                  {tasks.length} of {taskPaging.total} tasks loaded
+                  {sortsInBrowser && taskPaging.hasMore && ' - sorting and group counts cover the loaded tasks only'}
+                </p>
+              )}
               
-              {sortedTasks.length === 0 && (
+              {sortedTasks.length === 0 && !loading && (
                 <motion.div 
                   initial={{ opacity: 0 }}
                   animate={{ opacity: 1 }}
                   className="text-center py-8 text-surface-500"
                 >
-                  <p>No tasks found. Add some tasks to get started!</p>
+                  {hasFilters ? (
+                    <>
+                      <p>No tasks match these filters.</p>
+                      <button onClick={() => updateFilters({})} className="mt-2 btn-secondary text-sm">
+                        Clear filters
+                      </button>
+                    </>
+                  ) : (
+                    <p>No tasks found. Add some tasks to get started!</p>
+                  )}
                 </motion.div>
               )}
             </div>
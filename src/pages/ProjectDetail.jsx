@@ -0,0 +1,246 @@
+import { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { AlertCircle, ArrowLeft, Calendar, Trash2 } from 'lucide-react';
+import { format } from 'date-fns';
+import MainFeature from '../components/MainFeature';
+import { useTask } from '../context/TaskContext';
+import { useProject } from '../context/ProjectContext';
+import { useAuth } from '../context/AuthContext';
+import StatusBadge from '../components/StatusBadge';
+import DeleteProjectDialog from '../components/projects/DeleteProjectDialog';
+import DependencyGraph from '../components/projects/DependencyGraph';
+import ExistingTaskPicker from '../components/projects/ExistingTaskPicker';
+import { FieldNames } from '../utils/apperClient';
+import { getDueDate, isOverdue } from '../utils/taskFilters';
+import { Permissions } from '../utils/permissions';
+import { getParentId, getRollup, groupSubtasks } from '../utils/subtasks';
+
+/**
+ * Formats an ISO date string for display
+ * @param {string} value - The date value
+ * @returns {string} The formatted date, or a dash if not set
+ */
+const formatDate = (value) => {
+  return value ? format(new Date(value), 'MMM d, yyyy') : '—';
+};
+
+/**
+ * Project detail page listing a project's tasks and managing task associations
+ * @returns {JSX.Element} The ProjectDetail component
+ */
+function ProjectDetail() {
+  const { id } = useParams();
+  const projectId = Number(id);
+  const {
+    currentProject,
+    projectTasks,
+    loading: projectLoading,
+    error: projectError,
+    fetchProjectById,
+    fetchTasksByProject
+  } = useProject();
+  const {
+    tasks,
+    subtasksByParent,
+    error: taskError,
+    fetchTasks,
+    loadSubtasks,
+    createTask,
+    associateWithProject,
+    dissociateFromProject
+  } = useTask();
+  const [projectToDelete, setProjectToDelete] = useState(null);
+  const { hasPermission } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetchProjectById(projectId);
+    fetchTasksByProject(projectId);
+    fetchTasks();
+  }, [projectId, fetchProjectById, fetchTasksByProject, fetchTasks]);
+
+  useEffect(() => {
+    loadSubtasks(projectTasks);
+  }, [projectTasks, loadSubtasks]);
+
+  const projectTaskIds = new Set(projectTasks.map(task => task.Id));
+  const { topLevel: topLevelProjectTasks } = groupSubtasks(projectTasks);
+
+  // Subtasks belong with their parent even when they are not linked to the project themselves
+  const getSubtasks = (parentId) => {
+    const byId = new Map(
+      [...projectTasks.filter(task => getParentId(task) === parentId), ...(subtasksByParent.get(parentId) || [])]
+        .map(task => [task.Id, task])
+    );
+    return [...byId.values()];
+  };
+
+  const handleAddExisting = async (taskId) => {
+    const association = await associateWithProject(taskId, projectId);
+    if (association) {
+      fetchTasksByProject(projectId);
+    }
+  };
+
+  const handleCreateTask = async (taskData) => {
+    const newTask = await createTask(taskData);
+    if (!newTask) return null;
+
+    await associateWithProject(newTask.Id, projectId);
+    fetchTasksByProject(projectId);
+    return newTask;
+  };
+
+  const handleRemove = async (taskId) => {
+    const removed = await dissociateFromProject(taskId, projectId);
+    if (removed) {
+      fetchTasksByProject(projectId);
+    }
+  };
+
+  const handleProjectDeleted = () => {
+    setProjectToDelete(null);
+    navigate('/dashboard');
+  };
+
+  const error = projectError || taskError;
+
+  // Kept outside the project view, which unmounts once the project is removed
+  const deleteDialog = projectToDelete && (
+    <DeleteProjectDialog
+      project={projectToDelete}
+      onClose={() => setProjectToDelete(null)}
+      onDeleted={handleProjectDeleted}
+    />
+  );
+
+  if (!currentProject || currentProject.Id !== projectId) {
+    return (
+      <div className="container mx-auto px-4 py-8 text-surface-500">
+        {projectLoading ? 'Loading project...' : error || 'Project not found.'}
+        {deleteDialog}
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-3xl mx-auto">
+        <Link to="/dashboard" className="inline-flex items-center gap-1 text-sm text-surface-500 hover:text-surface-900 mb-4">
+          <ArrowLeft size={16} />
+          Back to dashboard
+        </Link>
+
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="card p-5 mb-8"
+        >
+          <div className="flex items-start justify-between gap-4">
+            <h1 className="text-3xl font-bold">{currentProject[FieldNames.PROJECT.NAME]}</h1>
+            <div className="flex items-center gap-2">
+              <StatusBadge status={currentProject[FieldNames.PROJECT.STATUS]} fallback="Not Started" />
+              {hasPermission(Permissions.DELETE_PROJECT) && (
+                <button
+                  onClick={() => setProjectToDelete(currentProject)}
+                  title="Delete project"
+                  className="p-1 text-surface-400 hover:text-red-500"
+                >
+                  <Trash2 size={18} />
+                </button>
+              )}
+            </div>
+          </div>
+          {currentProject[FieldNames.PROJECT.DESCRIPTION] && (
+            <p className="mt-2 text-surface-600">{currentProject[FieldNames.PROJECT.DESCRIPTION]}</p>
+          )}
+          <div className="mt-4 flex items-center gap-2 text-sm text-surface-500">
+            <Calendar size={16} />
+            {formatDate(currentProject[FieldNames.PROJECT.START_DATE])}
+            {' – '}
+            {formatDate(currentProject[FieldNames.PROJECT.END_DATE])}
+          </div>
+        </motion.div>
+
+        {error && (
+          <div className="mb-6 p-3 rounded-md bg-red-50 text-sm text-red-600 flex items-center gap-2">
+            <AlertCircle size={16} />
+            {error}
+          </div>
+        )}
+
+        <MainFeature onAddTask={handleCreateTask} projectId={projectId} />
+
+        <ExistingTaskPicker excludeIds={projectTaskIds} onAdd={handleAddExisting} />
+
+        <h2 className="mt-8 mb-3 text-lg font-semibold">
+          Tasks <span className="text-surface-500 font-normal">({projectTasks.length})</span>
+        </h2>
+
+        {projectTasks.length === 0 ? (
+          <p className="text-sm text-surface-500">No tasks in this project yet.</p>
+        ) : (
+          <ul className="space-y-3">
+            {topLevelProjectTasks.map(task => {
+              const subtasks = getSubtasks(task.Id);
+              const rollup = getRollup(subtasks);
+
+              return (
+                <li key={task.Id} className="card p-4">
+                  <div className="flex items-center gap-3">
+                    <div className="flex-1 min-w-0">
+                      <div className="font-medium truncate">{task[FieldNames.TASK.TITLE]}</div>
+                      {getDueDate(task) && (
+                        <div className={`text-xs ${isOverdue(task) ? 'text-red-600' : 'text-surface-500'}`}>
+                          Due: {format(getDueDate(task), 'MMM d, yyyy')}
+                        </div>
+                      )}
+                    </div>
+                    {rollup.total > 0 && (
+                      <span className="text-xs text-surface-500">{rollup.done}/{rollup.total} done</span>
+                    )}
+                    <StatusBadge status={task[FieldNames.TASK.STATUS]} />
+                    <button
+                      onClick={() => handleRemove(task.Id)}
+                      title="Remove from project"
+                      className="p-1 text-surface-400 hover:text-red-500"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                  {subtasks.length > 0 && (
+                    <ul className="mt-3 ml-4 pl-3 border-l border-surface-200 space-y-1">
+                      {subtasks.map(subtask => (
+                        <li key={subtask.Id} className="flex items-center gap-3 text-sm">
+                          <span className="flex-1 truncate">{subtask[FieldNames.TASK.TITLE]}</span>
+                          {getDueDate(subtask) && (
+                            <span className={`text-xs ${isOverdue(subtask) ? 'text-red-600' : 'text-surface-500'}`}>
+                              {format(getDueDate(subtask), 'MMM d')}
+                            </span>
+                          )}
+                          <StatusBadge status={subtask[FieldNames.TASK.STATUS]} />
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        {projectTasks.length > 0 && (
+          <>
+            <h2 className="mt-8 mb-3 text-lg font-semibold">Dependencies</h2>
+            <DependencyGraph tasks={projectTasks} knownTasks={tasks} />
+          </>
+        )}
+      </div>
+
+      {deleteDialog}
+    </div>
+  );
+}
+
+export default ProjectDetail;
@@ -0,0 +1,147 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { AlertCircle, Check, Pencil, Trash2, X } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { useTask } from '../context/TaskContext';
+import { Permissions } from '../utils/permissions';
+import { TaskFilterParams, buildTaskListUrl } from '../utils/taskFilters';
+
+/**
+ * Tag row with its usage count and inline rename and delete
+ * @param {Object} props - Component props
+ * @param {Object} props.usage - { name, count } for the tag
+ * @param {boolean} props.editable - Whether the user may change tags
+ * @returns {JSX.Element} The TagRow component
+ */
+function TagRow({ usage, editable }) {
+  const { renameTag, deleteTag } = useTask();
+  const [draftName, setDraftName] = useState(null);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+
+  const saveName = async (e) => {
+    e.preventDefault();
+    const taskIds = await renameTag(usage.name, draftName);
+    if (taskIds) setDraftName(null);
+  };
+
+  const confirmDelete = async () => {
+    const taskIds = await deleteTag(usage.name);
+    if (!taskIds) setConfirmingDelete(false);
+  };
+
+  return (
+    <li className="p-4 space-y-2">
+      <div className="flex items-center gap-3">
+        {draftName !== null ? (
+          <form onSubmit={saveName} className="flex-1 flex items-center gap-2">
+            <input
+              type="text"
+              value={draftName}
+              onChange={(e) => setDraftName(e.target.value)}
+              autoFocus
+              aria-label="Tag name"
+              className="flex-1 text-sm"
+            />
+            <button type="submit" disabled={!draftName.trim()} title="Save" className="p-1 text-green-600 disabled:opacity-50">
+              <Check size={16} />
+            </button>
+            <button type="button" onClick={() => setDraftName(null)} title="Cancel" className="p-1 text-surface-400">
+              <X size={16} />
+            </button>
+          </form>
+        ) : (
+          <Link
+            to={buildTaskListUrl({ [TaskFilterParams.TAGS]: usage.name })}
+            className="flex-1 font-medium truncate hover:underline"
+          >
+            #{usage.name}
+          </Link>
+        )}
+
+        <span className="badge badge-blue">
+          {usage.count} {usage.count === 1 ? 'task' : 'tasks'}
+        </span>
+
+        {editable && draftName === null && (
+          <div className="flex items-center gap-1">
+            <button onClick={() => setDraftName(usage.name)} title="Rename" className="p-1 text-surface-400 hover:text-surface-700">
+              <Pencil size={16} />
+            </button>
+            <button
+              onClick={() => setConfirmingDelete(!confirmingDelete)}
+              title="Delete"
+              className="p-1 text-surface-400 hover:text-red-500"
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {confirmingDelete && (
+        <div className="flex items-center justify-end gap-2 text-sm">
+          <span className="text-surface-600">Remove &ldquo;{usage.name}&rdquo; from {usage.count} task(s)?</span>
+          <button onClick={() => setConfirmingDelete(false)} className="btn-secondary text-xs">Cancel</button>
+          <button onClick={confirmDelete} className="btn-danger text-xs">Delete</button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Page listing every tag in use, with how many tasks carry it
+ * @returns {JSX.Element} The Tags component
+ */
+function Tags() {
+  const { hasPermission } = useAuth();
+  const { tagUsage, error, fetchTagUsage } = useTask();
+  const [loading, setLoading] = useState(true);
+  const editable = hasPermission(Permissions.EDIT_ANY_TASK);
+
+  // Always recount here; the shared count may be from before recent edits
+  useEffect(() => {
+    fetchTagUsage().finally(() => setLoading(false));
+  }, [fetchTagUsage]);
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-3xl mx-auto">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8"
+        >
+          <h1 className="text-3xl font-bold mb-2">Tags</h1>
+          <p className="text-surface-600">
+            {editable
+              ? 'Renaming or deleting a tag changes every task that has it.'
+              : 'Tags used across the team. Admins and managers can rename and delete them.'}
+          </p>
+        </motion.div>
+
+        {error && (
+          <div className="mb-6 p-3 rounded-md bg-red-50 text-sm text-red-600 flex items-center gap-2">
+            <AlertCircle size={16} />
+            {error}
+          </div>
+        )}
+
+        {loading && tagUsage.length === 0 ? (
+          <p className="text-sm text-surface-500">Loading tags...</p>
+        ) : tagUsage.length === 0 ? (
+          <p className="text-sm text-surface-500">No tags yet. Add tags to a task to see them here.</p>
+        ) : (
+          <ul className="card p-0 divide-y divide-gray-100">
+            {tagUsage.map(usage => (
+              <TagRow key={usage.name.toLowerCase()} usage={usage} editable={editable} />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Tags;
@@ -0,0 +1,116 @@
+import { useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { AlertCircle } from 'lucide-react';
+import { useUsers } from '../context/UserContext';
+import { FieldNames } from '../utils/apperClient';
+import { TaskFilterParams, DueFilters, StatusFilters, buildTaskListUrl } from '../utils/taskFilters';
+
+/**
+ * Count cell that opens the matching task list when clicked
+ * @param {Object} props - Component props
+ * @returns {JSX.Element} The WorkloadCount component
+ */
+function WorkloadCount({ value, tone, onClick }) {
+  return (
+    <td className="px-3 py-2 text-right">
+      <button
+        onClick={onClick}
+        disabled={!onClick || value === 0}
+        className={`ml-auto px-2 py-0.5 font-semibold ${value > 0 ? tone : 'text-surface-400'} hover:bg-surface-100 disabled:hover:bg-transparent`}
+      >
+        {value}
+      </button>
+    </td>
+  );
+}
+
+/**
+ * Team workload page showing open, overdue and due-this-week tasks per user
+ * @returns {JSX.Element} The Team component
+ */
+function Team() {
+  const { workload, loading, error, fetchWorkload } = useUsers();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetchWorkload();
+  }, [fetchWorkload]);
+
+  // Busiest people first; unassigned work stays at the bottom
+  const rows = [...workload].sort((a, b) => {
+    if (!a.user || !b.user) return a.user ? -1 : 1;
+    return b.open - a.open;
+  });
+
+  const openTaskList = (entry, due) => {
+    // The task list cannot filter for "unassigned", so those counts are not links
+    if (!entry.user) return null;
+    // Every count covers open tasks only, so the list does too
+    return () => navigate(buildTaskListUrl({
+      [TaskFilterParams.ASSIGNEE]: entry.user.Id,
+      [TaskFilterParams.STATUS]: StatusFilters.OPEN,
+      [TaskFilterParams.DUE]: due
+    }));
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-3xl mx-auto">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8"
+        >
+          <h1 className="text-3xl font-bold mb-2">Team workload</h1>
+          <p className="text-surface-600">Open tasks per person. Click a count to see the tasks.</p>
+        </motion.div>
+
+        {error && (
+          <div className="mb-6 p-3 rounded-md bg-red-50 text-sm text-red-600 flex items-center gap-2">
+            <AlertCircle size={16} />
+            {error}
+          </div>
+        )}
+
+        {loading && rows.length === 0 ? (
+          <p className="text-sm text-surface-500">Loading workload...</p>
+        ) : (
+          <div className="card p-0 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-surface-500">
+                <tr>
+                  <th className="px-3 py-2 text-left font-medium">Person</th>
+                  <th className="px-3 py-2 text-right font-medium">Open</th>
+                  <th className="px-3 py-2 text-right font-medium">Overdue</th>
+                  <th className="px-3 py-2 text-right font-medium">Due this week</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {rows.map(entry => (
+                  <tr key={entry.user?.Id ?? 'unassigned'}>
+                    <td className="px-3 py-2">
+                      {entry.user ? (
+                        <>
+                          <div className="font-medium">{entry.user[FieldNames.USER.NAME]}</div>
+                          <div className="text-xs text-surface-500">{entry.user[FieldNames.USER.ROLE]}</div>
+                        </>
+                      ) : (
+                        <span className="italic text-surface-500">Unassigned</span>
+                      )}
+                    </td>
+                    <WorkloadCount value={entry.open} tone="text-surface-900" onClick={openTaskList(entry)} />
+                    <WorkloadCount value={entry.overdue} tone="text-red-600" onClick={openTaskList(entry, DueFilters.OVERDUE)} />
+                    <WorkloadCount value={entry.dueThisWeek} tone="text-amber-600" onClick={openTaskList(entry, DueFilters.THIS_WEEK)} />
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Team;
@@ -0,0 +1,212 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { AlertCircle, Crosshair } from 'lucide-react';
+import { format } from 'date-fns';
+import TimelineBar from '../components/timeline/TimelineBar';
+import { useProject } from '../context/ProjectContext';
+import { useAuth } from '../context/AuthContext';
+import { Permissions } from '../utils/permissions';
+import { FieldNames } from '../utils/apperClient';
+import { getDueDate, isOverdue, isTaskCompleted } from '../utils/taskFilters';
+import { getPreference, setPreference, PreferenceKeys } from '../utils/preferences';
+import {
+  TimelineScales,
+  getDateOffset,
+  getDayWidth,
+  getProjectRange,
+  getTimelineRange,
+  getTimelineTicks
+} from '../utils/timeline';
+
+// Width of the project name column, in pixels
+const LABEL_WIDTH = 192;
+
+// Most projects shown at once; the timeline does not page
+const PROJECT_LIMIT = 100;
+
+// Zoom buttons in display order
+const scaleOptions = [
+  { value: TimelineScales.DAY, label: 'Day' },
+  { value: TimelineScales.WEEK, label: 'Week' },
+  { value: TimelineScales.MONTH, label: 'Month' }
+];
+
+/**
+ * Timeline of projects' date ranges with markers for their tasks' due dates
+ * Project bars can be dragged to reschedule the project.
+ * @returns {JSX.Element} The Timeline component
+ */
+function Timeline() {
+  const { projects, projectPaging, loading, error, fetchProjects, fetchTasksForProjects, updateProject } = useProject();
+  const { hasPermission } = useAuth();
+  const canReschedule = hasPermission(Permissions.EDIT_PROJECT);
+  const [tasksByProject, setTasksByProject] = useState({});
+  const [scale, setScale] = useState(() => getPreference(PreferenceKeys.TIMELINE_SCALE, TimelineScales.WEEK));
+  const scrollRef = useRef(null);
+
+  useEffect(() => {
+    fetchProjects({
+      limit: PROJECT_LIMIT,
+      orderBy: [{ field: FieldNames.PROJECT.START_DATE, direction: 'asc' }]
+    });
+  }, [fetchProjects]);
+
+  // Reload tasks only when the set of projects changes, not when one is rescheduled
+  const projectIdsKey = projects.map(project => project.Id).join(',');
+  useEffect(() => {
+    const projectIds = projectIdsKey ? projectIdsKey.split(',').map(Number) : [];
+    fetchTasksForProjects(projectIds).then(setTasksByProject);
+  }, [projectIdsKey, fetchTasksForProjects]);
+
+  const today = new Date();
+  const allTasks = Object.values(tasksByProject).flat();
+  const range = getTimelineRange(projects, allTasks, today);
+  const ticks = getTimelineTicks(range, scale);
+  const chartWidth = getDateOffset(range.end, range.start, scale) + getDayWidth(scale);
+  const todayOffset = getDateOffset(today, range.start, scale) + getDayWidth(scale) / 2;
+
+  // Latest offset for the scroll effect, which should not rerun every time the range moves
+  const todayOffsetRef = useRef(todayOffset);
+  todayOffsetRef.current = todayOffset;
+
+  const scrollToToday = useCallback(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollLeft = Math.max(0, todayOffsetRef.current - scrollRef.current.clientWidth / 3);
+    }
+  }, []);
+
+  // Bring today into view when the page opens and whenever the zoom changes
+  useEffect(() => {
+    scrollToToday();
+  }, [scale, projectIdsKey, scrollToToday]);
+
+  const handleScaleChange = (nextScale) => {
+    setScale(nextScale);
+    setPreference(PreferenceKeys.TIMELINE_SCALE, nextScale);
+  };
+
+  const todayLine = (
+    <div
+      className="absolute top-0 bottom-0 w-px bg-red-500 pointer-events-none z-10"
+      style={{ left: todayOffset }}
+    />
+  );
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="mb-6 flex flex-wrap items-end justify-between gap-4"
+      >
+        <div>
+          <h1 className="text-3xl font-bold mb-2">Timeline</h1>
+          <p className="text-surface-600">Drag a project bar to move it, or drag its ends to change its dates</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button onClick={scrollToToday} className="btn-secondary text-sm gap-1.5">
+            <Crosshair size={16} />
+            Today
+          </button>
+          <div className="flex rounded-md border border-surface-200 overflow-hidden">
+            {scaleOptions.map(option => (
+              <button
+                key={option.value}
+                onClick={() => handleScaleChange(option.value)}
+                className={`rounded-none px-3 py-1.5 text-sm ${
+                  scale === option.value ? 'bg-primary text-white' : 'bg-white text-surface-600 hover:bg-surface-100'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </motion.div>
+
+      {error && (
+        <div className="mb-6 p-3 rounded-md bg-red-50 text-sm text-red-600 flex items-center gap-2">
+          <AlertCircle size={16} />
+          {error}
+        </div>
+      )}
+
+      {loading && projects.length === 0 ? (
+        <p className="text-sm text-surface-500">Loading projects...</p>
+      ) : projects.length === 0 ? (
+        <p className="text-sm text-surface-500">No projects to show yet.</p>
+      ) : (
+        <div ref={scrollRef} className="card p-0 overflow-x-auto">
+          <div style={{ width: LABEL_WIDTH + chartWidth }}>
+            <div className="flex border-b border-surface-200 text-xs text-surface-500">
+              <div className="sticky left-0 z-20 shrink-0 bg-white px-3 py-2 font-medium" style={{ width: LABEL_WIDTH }}>
+                Project
+              </div>
+              <div className="relative h-8" style={{ width: chartWidth }}>
+                {ticks.map(tick => (
+                  <div
+                    key={tick.date.getTime()}
+                    className="absolute top-0 h-full border-l border-surface-200 pl-1 pt-2 whitespace-nowrap"
+                    style={{ left: getDateOffset(tick.date, range.start, scale) }}
+                  >
+                    {tick.label}
+                  </div>
+                ))}
+                {todayLine}
+              </div>
+            </div>
+
+            {projects.map(project => {
+              const projectRange = getProjectRange(project);
+              const tasks = tasksByProject[project.Id] || [];
+
+              return (
+                <div key={project.Id} className="flex border-b border-surface-100 last:border-b-0">
+                  <div className="sticky left-0 z-20 shrink-0 bg-white px-3 py-2 text-sm" style={{ width: LABEL_WIDTH }}>
+                    <Link to={`/projects/${project.Id}`} className="block truncate font-medium hover:text-primary">
+                      {project[FieldNames.PROJECT.NAME]}
+                    </Link>
+                  </div>
+                  <div className="relative h-10" style={{ width: chartWidth }}>
+                    {projectRange ? (
+                      <TimelineBar
+                        project={project}
+                        range={projectRange}
+                        timelineStart={range.start}
+                        scale={scale}
+                        onChangeDates={canReschedule ? (dates) => updateProject(project.Id, dates) : null}
+                      />
+                    ) : (
+                      <span className="sticky inline-block px-3 py-3 text-xs italic text-surface-400" style={{ left: LABEL_WIDTH }}>
+                        No dates set
+                      </span>
+                    )}
+
+                    {tasks.filter(getDueDate).map(task => (
+                      <div
+                        key={task.Id}
+                        title={`${task[FieldNames.TASK.TITLE]} – due ${format(getDueDate(task), 'MMM d, yyyy')}`}
+                        className={`absolute bottom-1.5 w-2.5 h-2.5 rotate-45 border border-white z-10 ${
+                          isTaskCompleted(task) ? 'bg-green-500' : isOverdue(task) ? 'bg-red-500' : 'bg-amber-500'
+                        }`}
+                        style={{ left: getDateOffset(getDueDate(task), range.start, scale) + getDayWidth(scale) / 2 - 5 }}
+                      />
+                    ))}
+                    {todayLine}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {projectPaging.hasMore && (
+        <p className="mt-3 text-xs text-surface-500">Showing the first {PROJECT_LIMIT} projects.</p>
+      )}
+    </div>
+  );
+}
+
+export default Timeline;
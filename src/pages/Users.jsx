@@ -0,0 +1,75 @@
+import { useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { AlertCircle } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { useUsers } from '../context/UserContext';
+import { FieldNames, PicklistValues } from '../utils/apperClient';
+
+/**
+ * Admin page for assigning roles to users
+ * @returns {JSX.Element} The Users component
+ */
+function Users() {
+  const { userRecord } = useAuth();
+  const { users, loading, error, fetchUsers, updateUserRole } = useUsers();
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-3xl mx-auto">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8"
+        >
+          <h1 className="text-3xl font-bold mb-2">Users</h1>
+          <p className="text-surface-600">
+            Admins manage roles; managers can create and delete projects; members edit their own tasks.
+          </p>
+        </motion.div>
+
+        {error && (
+          <div className="mb-6 p-3 rounded-md bg-red-50 text-sm text-red-600 flex items-center gap-2">
+            <AlertCircle size={16} />
+            {error}
+          </div>
+        )}
+
+        {loading && users.length === 0 ? (
+          <p className="text-sm text-surface-500">Loading users...</p>
+        ) : users.length === 0 ? (
+          <p className="text-sm text-surface-500">No users yet.</p>
+        ) : (
+          <ul className="card p-0 divide-y divide-gray-100">
+            {users.map(member => (
+              <li key={member.Id} className="p-4 flex items-center gap-3">
+                <div className="flex-1 min-w-0">
+                  <div className="font-medium truncate">
+                    {member[FieldNames.USER.NAME]}
+                    {member.Id === userRecord?.Id && <span className="ml-1 text-surface-500 font-normal">(you)</span>}
+                  </div>
+                  <div className="text-xs text-surface-500 truncate">{member[FieldNames.USER.EMAIL]}</div>
+                </div>
+                <select
+                  value={member[FieldNames.USER.ROLE] || ''}
+                  onChange={(e) => updateUserRole(member.Id, e.target.value)}
+                  aria-label={`Role of ${member[FieldNames.USER.NAME]}`}
+                >
+                  {!member[FieldNames.USER.ROLE] && <option value="">No role</option>}
+                  {PicklistValues.USER_ROLE.map(role => (
+                    <option key={role} value={role}>{role}</option>
+                  ))}
+                </select>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Users;
@@ -1,4 +1,31 @@
 import { getApperClient, getApperUI } from "../utils/apperClient";
+import { getPreference, PreferenceKeys } from "../utils/preferences";
+
+// localStorage keys for the signed-in user and their session timestamps
+export const USER_KEY = "apperUser";
+const SESSION_KEY = "apperSession";
+
+/**
+ * Session timing defaults
+ */
+export const SessionSettings = {
+  // Sessions end this long after sign-in regardless of activity
+  MAX_AGE_MS: 12 * 60 * 60 * 1000,
+  // Idle minutes before sign-out when the user has not chosen a value; 0 disables it
+  DEFAULT_IDLE_MINUTES: 30,
+  // How long before an idle sign-out the warning is shown
+  WARNING_MS: 60 * 1000,
+  // Activity is recorded at most this often
+  ACTIVITY_THROTTLE_MS: 15 * 1000
+};
+
+/**
+ * Reasons a session ended without the user logging out
+ */
+export const SessionEndReasons = {
+  EXPIRED: "expired",
+  IDLE: "idle"
+};
 
 /**
  * Sets up the authentication UI in the specified container
@@ -67,21 +94,109 @@ export const showSignup = (containerId) => {
 };
 
 /**
- * Stores user data in localStorage
+ * Signs in a local demo user when running without the Apper SDK
+ * @param {Object} profile - The local user's profile
+ * @param {string} profile.firstName - The user's first name
+ * @param {string} profile.lastName - The user's last name
+ * @param {string} profile.emailAddress - The user's email address
+ * @returns {Object} The stored user data
+ */
+export const signInLocally = ({ firstName, lastName = '', emailAddress }) => {
+  const userData = {
+    userId: `local-${emailAddress}`,
+    firstName,
+    lastName,
+    emailAddress,
+    isLocal: true
+  };
+  
+  storeUserData(userData);
+  return userData;
+};
+
+/**
+ * Stores user data in localStorage and starts a new session
  * @param {Object} userData - The user data to store
  */
 export const storeUserData = (userData) => {
   if (userData) {
-    localStorage.setItem('apperUser', JSON.stringify(userData));
+    const now = Date.now();
+    localStorage.setItem(SESSION_KEY, JSON.stringify({ startedAt: now, lastActivityAt: now }));
+    localStorage.setItem(USER_KEY, JSON.stringify(userData));
+  }
+};
+
+/**
+ * Returns the configured idle timeout
+ * @returns {number} Idle minutes before sign-out, 0 when disabled
+ */
+export const getIdleTimeoutMinutes = () => {
+  return getPreference(PreferenceKeys.SESSION_IDLE_MINUTES, SessionSettings.DEFAULT_IDLE_MINUTES);
+};
+
+/**
+ * Reads the current session timestamps
+ * @returns {Object|null} The session ({ startedAt, lastActivityAt }) or null if there is none
+ */
+export const getSession = () => {
+  const session = localStorage.getItem(SESSION_KEY);
+  
+  if (session) {
+    try {
+      return JSON.parse(session);
+    } catch (error) {
+      console.error("Error parsing session:", error);
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Records user activity so the idle timeout starts over
+ * Shared through localStorage, so activity in any tab keeps every tab signed in.
+ * @param {boolean} force - Record it even if activity was recorded moments ago
+ */
+export const touchSession = (force = false) => {
+  const session = getSession();
+  
+  if (session && (force || Date.now() - session.lastActivityAt >= SessionSettings.ACTIVITY_THROTTLE_MS)) {
+    localStorage.setItem(SESSION_KEY, JSON.stringify({ ...session, lastActivityAt: Date.now() }));
   }
 };
 
+/**
+ * Works out when the current session ends
+ * @param {number} now - The current time in milliseconds
+ * @returns {Object|null} { endsAt, reason, remainingMs } or null when there is no session
+ */
+export const getSessionEnd = (now = Date.now()) => {
+  const session = getSession();
+  if (!session) return null;
+  
+  const expiresAt = session.startedAt + SessionSettings.MAX_AGE_MS;
+  const idleMinutes = getIdleTimeoutMinutes();
+  const idleAt = idleMinutes > 0 ? session.lastActivityAt + idleMinutes * 60 * 1000 : Infinity;
+  
+  return idleAt < expiresAt
+    ? { endsAt: idleAt, reason: SessionEndReasons.IDLE, remainingMs: idleAt - now }
+    : { endsAt: expiresAt, reason: SessionEndReasons.EXPIRED, remainingMs: expiresAt - now };
+};
+
 /**
  * Retrieves user data from localStorage
+ * Sessions that have ended, or user data stored without a session, count as signed out.
  * @returns {Object|null} The user data or null if not found
  */
 export const getUserData = () => {
-  const userData = localStorage.getItem('apperUser');
+  const sessionEnd = getSessionEnd();
+  
+  if (!sessionEnd || sessionEnd.remainingMs <= 0) {
+    logout();
+    return null;
+  }
+  
+  const userData = localStorage.getItem(USER_KEY);
   
   if (userData) {
     try {
@@ -95,6 +210,27 @@ export const getUserData = () => {
   return null;
 };
 
+/**
+ * Identifies the user whose data is stored, without checking the session
+ * Used to keep data saved in this browser apart per user.
+ * @returns {string|null} The user's ID, or null if nobody is signed in
+ */
+export const getStoredUserId = () => {
+  const userData = localStorage.getItem(USER_KEY);
+  
+  if (userData) {
+    try {
+      const parsed = JSON.parse(userData);
+      return parsed?.userId ? String(parsed.userId) : parsed?.emailAddress || null;
+    } catch (error) {
+      console.error("Error parsing user data:", error);
+      return null;
+    }
+  }
+  
+  return null;
+};
+
 /**
  * Checks if the user is authenticated
  * @returns {boolean} True if the user is authenticated, false otherwise
@@ -104,18 +240,25 @@ export const isAuthenticated = () => {
 };
 
 /**
- * Logs out the user by removing their data from localStorage
+ * Logs out the user by removing their data and session from localStorage
  */
 export const logout = () => {
-  localStorage.removeItem('apperUser');
+  localStorage.removeItem(USER_KEY);
+  localStorage.removeItem(SESSION_KEY);
 };
 
 export default {
   setupAuthUI,
   showLogin,
   showSignup,
+  signInLocally,
   storeUserData,
+  getIdleTimeoutMinutes,
+  getSession,
+  touchSession,
+  getSessionEnd,
   getUserData,
+  getStoredUserId,
   isAuthenticated,
   logout
 };
\ No newline at end of file
@@ -0,0 +1,187 @@
+import { getApperClient, TableNames, FieldNames } from "../utils/apperClient";
+import { createQuery } from "../utils/queryBuilder";
+
+// Upper bound for category lookups, which are not paginated in the UI, and page size for task lookups
+const CATEGORY_LIMIT = 1000;
+
+/**
+ * Categories offered to teams that have not set up their own yet
+ */
+export const DEFAULT_CATEGORIES = [
+  { name: "Work", color: "#6366f1" },
+  { name: "Personal", color: "#ec4899" },
+  { name: "Health", color: "#10b981" },
+  { name: "Education", color: "#f59e0b" },
+  { name: "Finance", color: "#06b6d4" }
+];
+
+/**
+ * Fetches all categories sorted by name
+ * @returns {Promise<Array>} The categories
+ */
+export const fetchCategories = async () => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  const params = createQuery("CATEGORY")
+    .orderBy(FieldNames.CATEGORY.NAME)
+    .paginate(CATEGORY_LIMIT)
+    .build();
+  
+  try {
+    const response = await apperClient.fetchRecords(TableNames.CATEGORY, params);
+    return response.data || [];
+  } catch (error) {
+    console.error("Error fetching categories:", error);
+    throw error;
+  }
+};
+
+/**
+ * Creates a new category
+ * @param {Object} categoryData - The category data to create
+ * @returns {Promise<Object>} The created category data
+ */
+export const createCategory = async (categoryData) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  const params = {
+    record: categoryData
+  };
+  
+  try {
+    const response = await apperClient.createRecord(TableNames.CATEGORY, params);
+    return response.data;
+  } catch (error) {
+    console.error("Error creating category:", error);
+    throw error;
+  }
+};
+
+/**
+ * Updates an existing category, e.g. to rename or recolor it
+ * @param {number} categoryId - The ID of the category to update
+ * @param {Object} categoryData - The updated category data
+ * @returns {Promise<Object>} The updated category data
+ */
+export const updateCategory = async (categoryId, categoryData) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  const params = {
+    record: categoryData
+  };
+  
+  try {
+    const response = await apperClient.updateRecord(TableNames.CATEGORY, categoryId, params);
+    return response.data;
+  } catch (error) {
+    console.error(`Error updating category with ID ${categoryId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Points every task in one category at another category
+ * Moved tasks drop out of the query, so the first page is fetched again until none are left.
+ * @param {Object} apperClient - The ApperClient instance
+ * @param {number} categoryId - The category the tasks are in now
+ * @param {number|null} nextCategoryId - The category to move them to, or null to clear it
+ * @returns {Promise<Array<number>>} The IDs of the tasks that changed
+ */
+const reassignTasks = async (apperClient, categoryId, nextCategoryId) => {
+  const params = createQuery("TASK")
+    .select([FieldNames.TASK.ID])
+    .where(FieldNames.TASK.CATEGORY, categoryId)
+    .orderBy(FieldNames.TASK.ID)
+    .paginate(CATEGORY_LIMIT)
+    .build();
+  const movedIds = new Set();
+  
+  for (;;) {
+    const response = await apperClient.fetchRecords(TableNames.TASK, params);
+    const pageIds = (response.data || []).map(task => task.Id);
+    if (pageIds.length === 0) return [...movedIds];
+    
+    // A task that is still listed did not move, and fetching again would never finish
+    if (pageIds.some(taskId => movedIds.has(taskId))) {
+      throw new Error(`Could not move every task out of category ${categoryId}`);
+    }
+    
+    for (const taskId of pageIds) {
+      await apperClient.updateRecord(TableNames.TASK, taskId, {
+        record: { [FieldNames.TASK.CATEGORY]: nextCategoryId }
+      });
+      movedIds.add(taskId);
+    }
+  }
+};
+
+/**
+ * Deletes a category and removes it from its tasks
+ * @param {number} categoryId - The ID of the category to delete
+ * @returns {Promise<Array<number>>} The IDs of the tasks that lost the category
+ */
+export const deleteCategory = async (categoryId) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  try {
+    const taskIds = await reassignTasks(apperClient, categoryId, null);
+    await apperClient.deleteRecord(TableNames.CATEGORY, categoryId);
+    return taskIds;
+  } catch (error) {
+    console.error(`Error deleting category with ID ${categoryId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Merges one category into another
+ * The source's tasks move to the target and the source is deleted.
+ * @param {number} sourceId - The ID of the category to merge away
+ * @param {number} targetId - The ID of the category to keep
+ * @returns {Promise<Array<number>>} The IDs of the tasks that moved
+ */
+export const mergeCategories = async (sourceId, targetId) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  if (sourceId === targetId) {
+    throw new Error("Cannot merge a category into itself");
+  }
+  
+  try {
+    const taskIds = await reassignTasks(apperClient, sourceId, targetId);
+    await apperClient.deleteRecord(TableNames.CATEGORY, sourceId);
+    return taskIds;
+  } catch (error) {
+    console.error(`Error merging category ${sourceId} into ${targetId}:`, error);
+    throw error;
+  }
+};
+
+export default {
+  DEFAULT_CATEGORIES,
+  fetchCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  mergeCategories
+};
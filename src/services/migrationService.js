@@ -0,0 +1,214 @@
+import { FieldNames, PicklistValues } from "../utils/apperClient";
+import { createTask } from "./taskService";
+import { fetchCategories, createCategory } from "./categoryService";
+import { getStoredUserId } from "./authService";
+
+// localStorage key used by the Home page before tasks moved to the backend
+const LEGACY_TASKS_KEY = "tasks";
+
+// localStorage key holding the ID of the user the legacy tasks belong to
+const LEGACY_OWNER_KEY = "tasksOwner";
+
+// Color of imported categories when the legacy task has none, as in the legacy form
+const DEFAULT_CATEGORY_COLOR = "#6366f1";
+
+/**
+ * How the signed-in user relates to the legacy tasks in this browser
+ */
+export const LegacyOwnership = {
+  // The tasks were recorded as theirs, so they are imported without asking
+  OWNER: "owner",
+  // Nobody was signed in when the tasks were first seen; importing needs a click
+  UNKNOWN: "unknown",
+  // The tasks belong to someone else and are not offered
+  OTHER: "other"
+};
+
+/**
+ * Reads tasks saved by the legacy localStorage-only Home page
+ * @returns {Array} The legacy tasks, or an empty array if none exist
+ */
+export const getLegacyTasks = () => {
+  const savedTasks = localStorage.getItem(LEGACY_TASKS_KEY);
+
+  if (!savedTasks) {
+    return [];
+  }
+
+  try {
+    const tasks = JSON.parse(savedTasks);
+    return Array.isArray(tasks) ? tasks : [];
+  } catch (error) {
+    console.error("Error parsing legacy tasks:", error);
+    return [];
+  }
+};
+
+/**
+ * Records the signed-in user as the owner of the legacy tasks, unless an owner is known
+ * Only called for a session restored at startup, which is the user of the legacy page;
+ * someone signing in afterwards may be a different person on a shared browser.
+ */
+export const recordLegacyOwner = () => {
+  const userId = getStoredUserId();
+  if (userId && !localStorage.getItem(LEGACY_OWNER_KEY) && getLegacyTasks().length > 0) {
+    localStorage.setItem(LEGACY_OWNER_KEY, userId);
+  }
+};
+
+/**
+ * Checks whether the legacy tasks belong to the signed-in user
+ * @returns {string} One of LegacyOwnership
+ */
+export const getLegacyOwnership = () => {
+  const owner = localStorage.getItem(LEGACY_OWNER_KEY);
+  if (!owner) return LegacyOwnership.UNKNOWN;
+
+  return owner === getStoredUserId() ? LegacyOwnership.OWNER : LegacyOwnership.OTHER;
+};
+
+/**
+ * Maps a legacy camelCase task onto the task1 table fields
+ * @param {Object} legacyTask - The legacy task
+ * @param {number|null} categoryId - The category1 record matching the legacy category name
+ * @param {number|null} assigneeId - The user1 record of the user importing the task
+ * @returns {Object} The task record to create
+ */
+export const mapLegacyTask = (legacyTask, categoryId = null, assigneeId = null) => {
+  const priority = PicklistValues.TASK_PRIORITY.includes(legacyTask.priority)
+    ? legacyTask.priority
+    : "Medium";
+
+  return {
+    [FieldNames.TASK.NAME]: legacyTask.title,
+    [FieldNames.TASK.TITLE]: legacyTask.title,
+    [FieldNames.TASK.DESCRIPTION]: legacyTask.description || "",
+    [FieldNames.TASK.DUE_DATE]: legacyTask.dueDate || null,
+    [FieldNames.TASK.PRIORITY]: priority,
+    [FieldNames.TASK.STATUS]: legacyTask.isCompleted ? "Completed" : "Todo",
+    ...(categoryId ? { [FieldNames.TASK.CATEGORY]: categoryId } : {}),
+    ...(assigneeId ? { [FieldNames.TASK.ASSIGNED_TO]: assigneeId } : {})
+  };
+};
+
+/**
+ * Finds the category1 record with a legacy category's name, ignoring case, or creates it
+ * @param {Map} categoriesByName - Known categories keyed by lowercased name, updated with created ones
+ * @param {string} name - The legacy category name
+ * @param {string} color - The legacy category color
+ * @param {boolean} canCreate - Whether the importing user may create categories
+ * @returns {Promise<number|null>} The category's ID, or null when it does not exist and cannot be created
+ */
+const resolveCategoryId = async (categoriesByName, name, color, canCreate) => {
+  const key = name.trim().toLowerCase();
+
+  if (!categoriesByName.has(key)) {
+    if (!canCreate) return null;
+
+    categoriesByName.set(key, await createCategory({
+      [FieldNames.CATEGORY.NAME]: name.trim(),
+      [FieldNames.CATEGORY.COLOR]: color || DEFAULT_CATEGORY_COLOR
+    }));
+  }
+
+  return categoriesByName.get(key).Id;
+};
+
+// The import in progress, so a second call waits for it instead of importing the tasks again
+let migrationRequest = null;
+
+/**
+ * Writes the legacy tasks that still have to be imported back to localStorage
+ * @param {Array} tasks - The tasks left
+ */
+const saveLegacyTasks = (tasks) => {
+  if (tasks.length > 0) {
+    localStorage.setItem(LEGACY_TASKS_KEY, JSON.stringify(tasks));
+  } else {
+    localStorage.removeItem(LEGACY_TASKS_KEY);
+    localStorage.removeItem(LEGACY_OWNER_KEY);
+  }
+};
+
+/**
+ * Runs one import of the legacy tasks
+ * @param {Object} options - The options passed to migrateLegacyTasks
+ * @returns {Promise<Object>} The result ({ imported, failed })
+ */
+const importLegacyTasks = async ({ assigneeId = null, canCreateCategories = false }) => {
+  if (getLegacyOwnership() === LegacyOwnership.OTHER) {
+    throw new Error("The tasks saved in this browser belong to another user");
+  }
+
+  const legacyTasks = getLegacyTasks();
+  let remaining = legacyTasks;
+  const imported = [];
+  const failed = [];
+  let categoriesByName = null;
+
+  const userId = getStoredUserId();
+  if (userId) {
+    localStorage.setItem(LEGACY_OWNER_KEY, userId);
+  }
+
+  // Create tasks one at a time so each failure can be reported individually
+  for (const legacyTask of legacyTasks) {
+    try {
+      let categoryId = null;
+      if (legacyTask.category && String(legacyTask.category).trim()) {
+        if (!categoriesByName) {
+          const categories = await fetchCategories();
+          categoriesByName = new Map(categories.map(category => [
+            String(category[FieldNames.CATEGORY.NAME] || "").trim().toLowerCase(),
+            category
+          ]));
+        }
+        categoryId = await resolveCategoryId(
+          categoriesByName,
+          String(legacyTask.category),
+          legacyTask.categoryColor,
+          canCreateCategories
+        );
+      }
+
+      const createdTask = await createTask(mapLegacyTask(legacyTask, categoryId, assigneeId));
+      imported.push(createdTask);
+      remaining = remaining.filter(task => task !== legacyTask);
+      saveLegacyTasks(remaining);
+    } catch (error) {
+      failed.push({ task: legacyTask, error: error.message || "Failed to import task" });
+    }
+  }
+
+  saveLegacyTasks(remaining);
+  return { imported, failed };
+};
+
+/**
+ * Imports legacy localStorage tasks into the backend
+ * Each task is removed from localStorage as soon as it is created, so an
+ * interrupted import never creates it twice; failed ones are kept so the
+ * import can be retried. Whoever imports tasks without a known owner becomes
+ * their owner, so retries stay with them.
+ * @param {Object} options - Import options
+ * @param {number|null} options.assigneeId - The user1 record of the importing user, who is assigned the tasks
+ * @param {boolean} options.canCreateCategories - Whether missing categories may be created; otherwise tasks in them are imported without one
+ * @returns {Promise<Object>} The result ({ imported, failed })
+ */
+export const migrateLegacyTasks = (options = {}) => {
+  if (!migrationRequest) {
+    migrationRequest = importLegacyTasks(options).finally(() => {
+      migrationRequest = null;
+    });
+  }
+  return migrationRequest;
+};
+
+export default {
+  LegacyOwnership,
+  getLegacyTasks,
+  recordLegacyOwner,
+  getLegacyOwnership,
+  mapLegacyTask,
+  migrateLegacyTasks
+};
@@ -1,13 +1,17 @@
-import { getApperClient, TableNames, FieldNames } from "../utils/apperClient";
+import { getApperClient, TableNames, FieldNames, getLookupId } from "../utils/apperClient";
+import { createQuery } from "../utils/queryBuilder";
+import { toPagedResult, fetchAllPages } from "../utils/pagination";
+import { deleteTask } from "./taskService";
 
 /**
  * Fetches projects with optional filtering, pagination, and sorting
  * @param {Object} options - Options for fetching projects
+ * @param {Object} options.query - A query built with createQuery("PROJECT")
  * @param {Object} options.filters - Filters to apply to the query
  * @param {number} options.limit - Maximum number of projects to fetch
  * @param {number} options.offset - Offset for pagination
  * @param {Array} options.orderBy - Sorting options
- * @returns {Promise<Object>} The project data response
+ * @returns {Promise<Object>} The paginated result ({ data, total, limit, offset, hasMore })
  */
 export const fetchProjects = async (options = {}) => {
   const apperClient = getApperClient();
@@ -17,25 +21,21 @@ export const fetchProjects = async (options = {}) => {
   }
   
   const {
+    query = createQuery("PROJECT"),
     filters = {},
     limit = 50,
     offset = 0,
     orderBy = [{ field: FieldNames.PROJECT.START_DATE, direction: "desc" }]
   } = options;
   
-  // Construct project fields array from FieldNames.PROJECT
-  const projectFields = Object.values(FieldNames.PROJECT);
-  
-  const params = {
-    fields: projectFields,
-    pagingInfo: { limit, offset },
-    orderBy,
-    filters
-  };
+  const params = query
+    .filters(filters)
+    .withDefaults({ orderBy, limit, offset })
+    .build();
   
   try {
     const response = await apperClient.fetchRecords(TableNames.PROJECT, params);
-    return response.data;
+    return toPagedResult(response, params.pagingInfo);
   } catch (error) {
     console.error("Error fetching projects:", error);
     throw error;
@@ -54,15 +54,9 @@ export const fetchProjectById = async (projectId) => {
     throw new Error("ApperClient not initialized");
   }
   
-  // Construct project fields array from FieldNames.PROJECT
-  const projectFields = Object.values(FieldNames.PROJECT);
-  
-  const params = {
-    fields: projectFields,
-    filters: {
-      [FieldNames.PROJECT.ID]: projectId
-    }
-  };
+  const params = createQuery("PROJECT")
+    .where(FieldNames.PROJECT.ID, projectId)
+    .build();
   
   try {
     const response = await apperClient.fetchRecords(TableNames.PROJECT, params);
@@ -125,11 +119,61 @@ export const updateProject = async (projectId, projectData) => {
 };
 
 /**
- * Deletes a project
+ * What happens to a project's tasks when the project is deleted
+ */
+export const DeletionStrategies = {
+  // Remove the task_project links and keep the tasks
+  UNLINK: "unlink",
+  // Link the tasks to another project instead
+  MOVE: "move",
+  // Delete tasks that belong to no other project; unlink the rest
+  DELETE_TASKS: "delete-tasks"
+};
+
+// Page size for association lookups and ID batches
+const ASSOCIATION_LIMIT = 1000;
+
+/**
+ * Fetches every task_project association row matching a query
+ * @param {Object} apperClient - The ApperClient instance
+ * @param {Object} query - A TASK_PROJECT query built with createQuery
+ * @returns {Promise<Array>} The association rows
+ */
+const fetchAssociations = async (apperClient, query) => {
+  return fetchAllPages(apperClient, TableNames.TASK_PROJECT, query, ASSOCIATION_LIMIT);
+};
+
+/**
+ * Fetches records by ID in chunks no larger than a page, so none are cut off
+ * @param {Object} apperClient - The ApperClient instance
+ * @param {string} entity - The FieldNames key, "TASK" or "PROJECT"
+ * @param {Array<number>} ids - The IDs of the records
+ * @param {Array<string>} fields - The fields to return, or undefined for all of them
+ * @returns {Promise<Array>} The records that exist
+ */
+const fetchRecordsByIds = async (apperClient, entity, ids, fields) => {
+  const records = [];
+  
+  for (let start = 0; start < ids.length; start += ASSOCIATION_LIMIT) {
+    let query = createQuery(entity)
+      .whereIn(FieldNames[entity].ID, ids.slice(start, start + ASSOCIATION_LIMIT))
+      .paginate(ASSOCIATION_LIMIT);
+    if (fields) {
+      query = query.select(fields);
+    }
+    const response = await apperClient.fetchRecords(TableNames[entity], query.build());
+    records.push(...(response.data || []));
+  }
+  
+  return records;
+};
+
+/**
+ * Previews what deleting a project would affect
  * @param {number} projectId - The ID of the project to delete
- * @returns {Promise<Object>} The deletion response
+ * @returns {Promise<Object>} The preview ({ associations, exclusiveTasks, sharedTasks })
  */
-export const deleteProject = async (projectId) => {
+export const previewProjectDeletion = async (projectId) => {
   const apperClient = getApperClient();
   
   if (!apperClient) {
@@ -137,14 +181,159 @@ export const deleteProject = async (projectId) => {
   }
   
   try {
-    const response = await apperClient.deleteRecord(TableNames.PROJECT, projectId);
-    return response.data;
+    const associations = await fetchAssociations(
+      apperClient,
+      createQuery("TASK_PROJECT").where(FieldNames.TASK_PROJECT.PROJECT_ID, projectId)
+    );
+    const taskIds = [...new Set(
+      associations.map(association => getLookupId(association[FieldNames.TASK_PROJECT.TASK_ID]))
+    )];
+    
+    if (taskIds.length === 0) {
+      return { associations, exclusiveTasks: [], sharedTasks: [] };
+    }
+    
+    // Tasks linked to any other project survive a "delete tasks" cascade
+    const otherAssociations = await fetchAssociations(
+      apperClient,
+      createQuery("TASK_PROJECT")
+        .whereIn(FieldNames.TASK_PROJECT.TASK_ID, taskIds)
+        .whereNot(FieldNames.TASK_PROJECT.PROJECT_ID, projectId)
+    );
+    const sharedTaskIds = new Set(
+      otherAssociations.map(association => getLookupId(association[FieldNames.TASK_PROJECT.TASK_ID]))
+    );
+    
+    const tasks = await fetchRecordsByIds(apperClient, "TASK", taskIds);
+    
+    return {
+      associations,
+      exclusiveTasks: tasks.filter(task => !sharedTaskIds.has(task.Id)),
+      sharedTasks: tasks.filter(task => sharedTaskIds.has(task.Id))
+    };
+  } catch (error) {
+    console.error(`Error previewing deletion of project ${projectId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Deletes a project together with its task_project associations
+ * The project record is deleted last so a failure leaves it in place.
+ * @param {number} projectId - The ID of the project to delete
+ * @param {Object} options - Deletion options
+ * @param {string} options.strategy - One of DeletionStrategies (defaults to UNLINK)
+ * @param {number} options.targetProjectId - Project receiving the tasks when moving them
+ * @returns {Promise<Object>} Summary ({ removedAssociations, movedTaskIds, deletedTaskIds, unlinkedTaskIds })
+ */
+export const deleteProject = async (projectId, options = {}) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  const { strategy = DeletionStrategies.UNLINK, targetProjectId = null } = options;
+  
+  if (strategy === DeletionStrategies.MOVE && !targetProjectId) {
+    throw new Error("A target project is required to move tasks");
+  }
+  
+  try {
+    const { associations, exclusiveTasks, sharedTasks } = await previewProjectDeletion(projectId);
+    const taskIds = [...exclusiveTasks, ...sharedTasks].map(task => task.Id);
+    const summary = {
+      removedAssociations: 0,
+      movedTaskIds: [],
+      deletedTaskIds: [],
+      unlinkedTaskIds: []
+    };
+    
+    if (strategy === DeletionStrategies.MOVE) {
+      const existing = await fetchAssociations(
+        apperClient,
+        createQuery("TASK_PROJECT").where(FieldNames.TASK_PROJECT.PROJECT_ID, targetProjectId)
+      );
+      const alreadyLinked = new Set(
+        existing.map(association => getLookupId(association[FieldNames.TASK_PROJECT.TASK_ID]))
+      );
+      
+      for (const taskId of taskIds) {
+        if (!alreadyLinked.has(taskId)) {
+          await apperClient.createRecord(TableNames.TASK_PROJECT, {
+            record: {
+              [FieldNames.TASK_PROJECT.TASK_ID]: taskId,
+              [FieldNames.TASK_PROJECT.PROJECT_ID]: targetProjectId
+            }
+          });
+        }
+        summary.movedTaskIds.push(taskId);
+      }
+    }
+    
+    for (const association of associations) {
+      await apperClient.deleteRecord(TableNames.TASK_PROJECT, association[FieldNames.TASK_PROJECT.ID]);
+      summary.removedAssociations += 1;
+    }
+    
+    if (strategy === DeletionStrategies.DELETE_TASKS) {
+      // The task service also detaches their subtasks and dependent tasks
+      for (const task of exclusiveTasks) {
+        await deleteTask(task.Id);
+        summary.deletedTaskIds.push(task.Id);
+      }
+      summary.unlinkedTaskIds = sharedTasks.map(task => task.Id);
+    } else if (strategy === DeletionStrategies.UNLINK) {
+      summary.unlinkedTaskIds = taskIds;
+    }
+    
+    await apperClient.deleteRecord(TableNames.PROJECT, projectId);
+    return summary;
   } catch (error) {
     console.error(`Error deleting project with ID ${projectId}:`, error);
     throw error;
   }
 };
 
+/**
+ * Removes task_project rows whose project or task no longer exists
+ * @returns {Promise<number>} The number of association rows removed
+ */
+export const cleanupOrphanedAssociations = async () => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  try {
+    const associations = await fetchAssociations(apperClient, createQuery("TASK_PROJECT"));
+    if (associations.length === 0) return 0;
+    
+    const projectIds = [...new Set(associations.map(a => getLookupId(a[FieldNames.TASK_PROJECT.PROJECT_ID])))];
+    const taskIds = [...new Set(associations.map(a => getLookupId(a[FieldNames.TASK_PROJECT.TASK_ID])))];
+    
+    const projects = await fetchRecordsByIds(apperClient, "PROJECT", projectIds, [FieldNames.PROJECT.ID]);
+    const tasks = await fetchRecordsByIds(apperClient, "TASK", taskIds, [FieldNames.TASK.ID]);
+    const existingProjects = new Set(projects.map(project => project.Id));
+    const existingTasks = new Set(tasks.map(task => task.Id));
+    
+    const orphans = associations.filter(association =>
+      !existingProjects.has(getLookupId(association[FieldNames.TASK_PROJECT.PROJECT_ID])) ||
+      !existingTasks.has(getLookupId(association[FieldNames.TASK_PROJECT.TASK_ID]))
+    );
+    
+    for (const orphan of orphans) {
+      await apperClient.deleteRecord(TableNames.TASK_PROJECT, orphan[FieldNames.TASK_PROJECT.ID]);
+    }
+    
+    return orphans.length;
+  } catch (error) {
+    console.error("Error cleaning up orphaned task associations:", error);
+    throw error;
+  }
+};
+
 /**
  * Fetches tasks associated with a project
  * @param {number} projectId - The ID of the project
@@ -157,41 +346,111 @@ export const fetchTasksByProject = async (projectId) => {
     throw new Error("ApperClient not initialized");
   }
   
-  // First fetch task-project associations
-  const associationParams = {
-    fields: [FieldNames.TASK_PROJECT.ID, FieldNames.TASK_PROJECT.TASK_ID],
-    filters: {
-      [FieldNames.TASK_PROJECT.PROJECT_ID]: projectId
-    }
-  };
-  
   try {
-    // Get task-project associations
-    const associationsResponse = await apperClient.fetchRecords(TableNames.TASK_PROJECT, associationParams);
-    const associations = associationsResponse.data || [];
+    const associations = await fetchAssociations(
+      apperClient,
+      createQuery("TASK_PROJECT")
+        .select([FieldNames.TASK_PROJECT.ID, FieldNames.TASK_PROJECT.TASK_ID])
+        .where(FieldNames.TASK_PROJECT.PROJECT_ID, projectId)
+    );
     
     if (associations.length === 0) {
       return [];
     }
     
-    // Extract task IDs
-    const taskIds = associations.map(assoc => assoc[FieldNames.TASK_PROJECT.TASK_ID]);
+    const taskIds = [...new Set(
+      associations.map(association => getLookupId(association[FieldNames.TASK_PROJECT.TASK_ID]))
+    )];
+    return await fetchRecordsByIds(apperClient, "TASK", taskIds);
+  } catch (error) {
+    console.error(`Error fetching tasks for project ${projectId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the tasks of several projects at once
+ * @param {Array<number>} projectIds - The IDs of the projects
+ * @returns {Promise<Object>} Task arrays keyed by project ID
+ */
+export const fetchTasksForProjects = async (projectIds) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  const tasksByProject = Object.fromEntries(projectIds.map(projectId => [projectId, []]));
+  if (projectIds.length === 0) return tasksByProject;
+  
+  try {
+    const associations = await fetchAssociations(
+      apperClient,
+      createQuery("TASK_PROJECT").whereIn(FieldNames.TASK_PROJECT.PROJECT_ID, projectIds)
+    );
+    if (associations.length === 0) return tasksByProject;
     
-    // Fetch the actual tasks using the task IDs
-    const taskFields = Object.values(FieldNames.TASK);
+    const taskIds = [...new Set(associations.map(a => getLookupId(a[FieldNames.TASK_PROJECT.TASK_ID])))];
+    const tasks = await fetchRecordsByIds(apperClient, "TASK", taskIds);
+    const tasksById = new Map(tasks.map(task => [task.Id, task]));
     
-    const taskParams = {
-      fields: taskFields,
-      filters: {
-        [FieldNames.TASK.ID]: { $in: taskIds }
+    associations.forEach(association => {
+      const projectId = getLookupId(association[FieldNames.TASK_PROJECT.PROJECT_ID]);
+      const task = tasksById.get(getLookupId(association[FieldNames.TASK_PROJECT.TASK_ID]));
+      if (task && tasksByProject[projectId]) {
+        tasksByProject[projectId].push(task);
       }
-    };
+    });
     
-    const tasksResponse = await apperClient.fetchRecords(TableNames.TASK, taskParams);
-    return tasksResponse.data || [];
+    return tasksByProject;
+  } catch (error) {
+    console.error("Error fetching tasks for projects:", error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the projects each of several tasks belongs to
+ * @param {Array<number>} taskIds - The IDs of the tasks
+ * @returns {Promise<Object>} Arrays of { Id, Name } projects keyed by task ID
+ */
+export const fetchProjectsForTasks = async (taskIds) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  const projectsByTask = Object.fromEntries(taskIds.map(taskId => [taskId, []]));
+  if (taskIds.length === 0) return projectsByTask;
+  
+  try {
+    const associations = await fetchAssociations(
+      apperClient,
+      createQuery("TASK_PROJECT").whereIn(FieldNames.TASK_PROJECT.TASK_ID, taskIds)
+    );
+    if (associations.length === 0) return projectsByTask;
+    
+    const projectIds = [...new Set(associations.map(a => getLookupId(a[FieldNames.TASK_PROJECT.PROJECT_ID])))];
+    const projects = await fetchRecordsByIds(
+      apperClient,
+      "PROJECT",
+      projectIds,
+      [FieldNames.PROJECT.ID, FieldNames.PROJECT.NAME]
+    );
+    const projectsById = new Map(projects.map(project => [project.Id, project]));
     
+    associations.forEach(association => {
+      const taskId = getLookupId(association[FieldNames.TASK_PROJECT.TASK_ID]);
+      const project = projectsById.get(getLookupId(association[FieldNames.TASK_PROJECT.PROJECT_ID]));
+      if (project && projectsByTask[taskId] && !projectsByTask[taskId].includes(project)) {
+        projectsByTask[taskId].push(project);
+      }
+    });
+    
+    return projectsByTask;
   } catch (error) {
-    console.error(`Error fetching tasks for project ${projectId}:`, error);
+    console.error("Error fetching projects for tasks:", error);
     throw error;
   }
 };
@@ -202,5 +461,10 @@ export default {
   createProject,
   updateProject,
   deleteProject,
-  fetchTasksByProject
+  previewProjectDeletion,
+  cleanupOrphanedAssociations,
+  DeletionStrategies,
+  fetchTasksByProject,
+  fetchTasksForProjects,
+  fetchProjectsForTasks
 };
\ No newline at end of file
@@ -0,0 +1,111 @@
+import { getApperClient, TableNames, FieldNames } from "../utils/apperClient";
+import { createQuery } from "../utils/queryBuilder";
+
+// Upper bound for one user's saved views, which are not paginated in the UI
+const SAVED_VIEW_LIMIT = 200;
+
+/**
+ * Fetches the saved task list views of a user, sorted by name
+ * @param {number} ownerId - The ID of the user's User1 record
+ * @returns {Promise<Array>} The saved views
+ */
+export const fetchSavedViews = async (ownerId) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  const params = createQuery("SAVED_VIEW")
+    .where(FieldNames.SAVED_VIEW.OWNER, ownerId)
+    .orderBy(FieldNames.SAVED_VIEW.NAME)
+    .paginate(SAVED_VIEW_LIMIT)
+    .build();
+  
+  try {
+    const response = await apperClient.fetchRecords(TableNames.SAVED_VIEW, params);
+    return response.data || [];
+  } catch (error) {
+    console.error(`Error fetching saved views of user ${ownerId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Creates a new saved view
+ * @param {Object} viewData - The view's name, query and owner fields
+ * @returns {Promise<Object>} The created view
+ */
+export const createSavedView = async (viewData) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  const params = {
+    record: viewData
+  };
+  
+  try {
+    const response = await apperClient.createRecord(TableNames.SAVED_VIEW, params);
+    return response.data;
+  } catch (error) {
+    console.error("Error creating saved view:", error);
+    throw error;
+  }
+};
+
+/**
+ * Updates a saved view, e.g. to rename it or store the current filters in it
+ * @param {number} viewId - The ID of the view to update
+ * @param {Object} viewData - The updated view data
+ * @returns {Promise<Object>} The updated view
+ */
+export const updateSavedView = async (viewId, viewData) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  const params = {
+    record: viewData
+  };
+  
+  try {
+    const response = await apperClient.updateRecord(TableNames.SAVED_VIEW, viewId, params);
+    return response.data;
+  } catch (error) {
+    console.error(`Error updating saved view with ID ${viewId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Deletes a saved view
+ * @param {number} viewId - The ID of the view to delete
+ * @returns {Promise<boolean>} True if successful
+ */
+export const deleteSavedView = async (viewId) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  try {
+    await apperClient.deleteRecord(TableNames.SAVED_VIEW, viewId);
+    return true;
+  } catch (error) {
+    console.error(`Error deleting saved view with ID ${viewId}:`, error);
+    throw error;
+  }
+};
+
+export default {
+  fetchSavedViews,
+  createSavedView,
+  updateSavedView,
+  deleteSavedView
+};
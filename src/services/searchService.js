@@ -0,0 +1,49 @@
+import { getApperClient, TableNames, FieldNames } from "../utils/apperClient";
+import { createQuery } from "../utils/queryBuilder";
+import { fetchAllPages } from "../utils/pagination";
+
+// Page size when loading the records the command palette searches
+const SEARCH_PAGE_SIZE = 1000;
+
+/**
+ * Fetches the fields the command palette searches, for tasks, projects and users
+ * Matching happens in the browser so typos and abbreviations still find results.
+ * @returns {Promise<Object>} { tasks, projects, users }
+ */
+export const fetchSearchIndex = async () => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  const taskQuery = createQuery("TASK")
+    .select([FieldNames.TASK.ID, FieldNames.TASK.TITLE, FieldNames.TASK.DESCRIPTION, FieldNames.TASK.STATUS])
+    .orderBy(FieldNames.TASK.ID, "desc");
+  // Ids break ties between equal names, so no record falls between two pages
+  const projectQuery = createQuery("PROJECT")
+    .select([FieldNames.PROJECT.ID, FieldNames.PROJECT.NAME, FieldNames.PROJECT.STATUS])
+    .orderBy(FieldNames.PROJECT.NAME)
+    .orderBy(FieldNames.PROJECT.ID);
+  const userQuery = createQuery("USER")
+    .select([FieldNames.USER.ID, FieldNames.USER.NAME, FieldNames.USER.EMAIL])
+    .orderBy(FieldNames.USER.NAME)
+    .orderBy(FieldNames.USER.ID);
+  
+  try {
+    const [tasks, projects, users] = await Promise.all([
+      fetchAllPages(apperClient, TableNames.TASK, taskQuery, SEARCH_PAGE_SIZE),
+      fetchAllPages(apperClient, TableNames.PROJECT, projectQuery, SEARCH_PAGE_SIZE),
+      fetchAllPages(apperClient, TableNames.USER, userQuery, SEARCH_PAGE_SIZE)
+    ]);
+    
+    return { tasks, projects, users };
+  } catch (error) {
+    console.error("Error fetching search index:", error);
+    throw error;
+  }
+};
+
+export default {
+  fetchSearchIndex
+};
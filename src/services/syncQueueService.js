@@ -0,0 +1,274 @@
+import { FieldNames, getLookupId } from "../utils/apperClient";
+import { createTask, updateTask, deleteTask, fetchTaskById, associateTaskWithProject } from "./taskService";
+import { getStoredUserId } from "./authService";
+
+// localStorage key prefix of the outbound mutation queues, one per user
+const QUEUE_KEY = "apperSyncQueue";
+
+// Messages of the errors fetch and the SDK throw when the backend cannot be reached
+const OFFLINE_ERROR_PATTERN = /failed to fetch|networkerror|network request failed|load failed|network error|timeout/i;
+
+/**
+ * Mutation types that can be queued
+ */
+export const MutationTypes = {
+  CREATE: "create",
+  UPDATE: "update",
+  DELETE: "delete",
+  // Adds the task to the project in data.projectId
+  ASSOCIATE: "associate"
+};
+
+/**
+ * Checks whether an error means the backend could not be reached
+ * @param {Error} error - The error thrown by a service call
+ * @returns {boolean} True if the mutation should be queued for later
+ */
+export const isOfflineError = (error) => {
+  if (typeof navigator !== "undefined" && navigator.onLine === false) {
+    return true;
+  }
+
+  // Other TypeErrors are bugs, which queueing would only hide
+  const message = error?.message || "";
+  return message === "ApperClient not initialized" || OFFLINE_ERROR_PATTERN.test(message);
+};
+
+/**
+ * Returns the localStorage key of the signed-in user's queue
+ * Changes made offline are only ever replayed for the user who made them.
+ * @returns {string|null} The key, or null when nobody is signed in
+ */
+const getQueueKey = () => {
+  const userId = getStoredUserId();
+  return userId ? `${QUEUE_KEY}:${userId}` : null;
+};
+
+/**
+ * Reads the signed-in user's queued mutations
+ * @returns {Array} The queued mutations, oldest first
+ */
+export const getQueue = () => {
+  const queueKey = getQueueKey();
+  const stored = queueKey ? localStorage.getItem(queueKey) : null;
+
+  if (stored) {
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      console.error("Error parsing sync queue:", error);
+    }
+  }
+
+  return [];
+};
+
+/**
+ * Persists the queued mutations
+ * @param {Array} queue - The mutations to store
+ */
+const saveQueue = (queue) => {
+  const queueKey = getQueueKey();
+  if (!queueKey) return;
+
+  if (queue.length > 0) {
+    localStorage.setItem(queueKey, JSON.stringify(queue));
+  } else {
+    localStorage.removeItem(queueKey);
+  }
+};
+
+// Last temporary ID handed out, so two IDs created in the same millisecond differ
+let lastTempId = 0;
+
+/**
+ * Creates a temporary negative ID for a task that has not been saved yet
+ * @returns {number} The temporary ID
+ */
+export const createTempId = () => {
+  lastTempId = Math.max(Date.now(), lastTempId + 1);
+  return -lastTempId;
+};
+
+/**
+ * Adds a mutation to the end of the queue
+ * @param {Object} mutation - The mutation to queue
+ * @param {string} mutation.type - One of MutationTypes
+ * @param {number} mutation.taskId - The task ID (temporary for offline creates)
+ * @param {Object} mutation.data - The record data sent to the service
+ * @param {Object} mutation.baseline - The task as last seen from the server, used for conflict detection
+ * @returns {Object} The queued mutation
+ */
+export const enqueueMutation = ({ type, taskId, data = null, baseline = null }) => {
+  const mutation = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    taskId,
+    data,
+    baseline,
+    queuedAt: new Date().toISOString()
+  };
+
+  saveQueue([...getQueue(), mutation]);
+  return mutation;
+};
+
+/**
+ * Returns the IDs of tasks that have queued mutations
+ * @returns {Set<number>} The pending task IDs
+ */
+export const getPendingTaskIds = () => {
+  return new Set(getQueue().map(mutation => mutation.taskId));
+};
+
+/**
+ * Applies queued mutations on top of a list of tasks fetched from the server
+ * @param {Array} tasks - The fetched tasks
+ * @param {Object} options - Options
+ * @param {boolean} options.includeCreates - Add tasks created offline (off when appending a later page)
+ * @returns {Array} The tasks as the user last saw them locally
+ */
+export const applyPendingMutations = (tasks, { includeCreates = true } = {}) => {
+  return getQueue().reduce((result, mutation) => {
+    switch (mutation.type) {
+      case MutationTypes.CREATE:
+        return includeCreates ? [...result, { ...mutation.data, Id: mutation.taskId }] : result;
+      case MutationTypes.UPDATE:
+        return result.map(task => task.Id === mutation.taskId ? { ...task, ...mutation.data } : task);
+      case MutationTypes.DELETE:
+        return result.filter(task => task.Id !== mutation.taskId);
+      default:
+        return result;
+    }
+  }, tasks);
+};
+
+/**
+ * Normalizes a field value so lookups ({ Id, Name }) compare by ID
+ * @param {*} value - The field value
+ * @returns {*} The comparable value
+ */
+const comparableValue = (value) => {
+  if (value === undefined || value === "") return null;
+  return value !== null && typeof value === "object" ? getLookupId(value) : value;
+};
+
+/**
+ * Lists the task fields that differ between two versions of a task
+ * @param {Object} baseline - The version the local change was based on
+ * @param {Object} serverRecord - The current server version
+ * @returns {Array<string>} The names of the changed fields
+ */
+export const getChangedFields = (baseline, serverRecord) => {
+  return Object.values(FieldNames.TASK)
+    .filter(field => field !== FieldNames.TASK.ID && field !== FieldNames.TASK.MODIFIED_ON)
+    .filter(field => comparableValue(baseline[field]) !== comparableValue(serverRecord[field]));
+};
+
+/**
+ * Sends a single queued mutation to the backend
+ * @param {Object} mutation - The mutation to send
+ * @param {boolean} force - Skip conflict detection (the user chose to keep their change)
+ * @returns {Promise<Object>} The outcome ({ record } or { conflict })
+ */
+const sendMutation = async (mutation, force) => {
+  if (mutation.type === MutationTypes.CREATE) {
+    return { record: await createTask(mutation.data) };
+  }
+
+  if (mutation.type === MutationTypes.ASSOCIATE) {
+    await associateTaskWithProject(mutation.taskId, mutation.data.projectId);
+    return { record: null };
+  }
+
+  if (!force && mutation.baseline) {
+    const serverRecord = await fetchTaskById(mutation.taskId);
+
+    // The task was deleted on the server; there is nothing left to change
+    if (!serverRecord) {
+      return { record: null };
+    }
+
+    const changedFields = getChangedFields(mutation.baseline, serverRecord);
+    if (changedFields.length > 0) {
+      return { conflict: { mutation, serverRecord, changedFields } };
+    }
+  }
+
+  if (mutation.type === MutationTypes.UPDATE) {
+    return { record: await updateTask(mutation.taskId, mutation.data) };
+  }
+
+  await deleteTask(mutation.taskId);
+  return { record: null };
+};
+
+/**
+ * Replays queued mutations in order until the queue is empty, a conflict is
+ * found, or the backend becomes unreachable again
+ * @param {Object} options - Replay options
+ * @param {string} options.forceMutationId - ID of a conflicting mutation the user chose to keep
+ * @returns {Promise<Object>} The result ({ synced, idMap, conflict })
+ */
+export const replayQueue = async ({ forceMutationId = null } = {}) => {
+  const synced = [];
+  const idMap = {};
+  let conflict = null;
+
+  // Re-read the queue each round so mutations queued during replay are kept
+  for (let queue = getQueue(); queue.length > 0; queue = getQueue()) {
+    const mutation = queue[0];
+    let realId = null;
+
+    try {
+      const outcome = await sendMutation(mutation, mutation.id === forceMutationId);
+
+      if (outcome.conflict) {
+        conflict = outcome.conflict;
+        break;
+      }
+
+      synced.push({ mutation, record: outcome.record });
+
+      if (mutation.type === MutationTypes.CREATE && outcome.record) {
+        realId = outcome.record.Id;
+        idMap[mutation.taskId] = realId;
+      }
+    } catch (error) {
+      if (isOfflineError(error)) break;
+
+      // A permanent failure would block the queue forever, so report and drop it
+      console.error(`Error replaying ${mutation.type} of task ${mutation.taskId}:`, error);
+      synced.push({ mutation, record: null, error: error.message || "Failed to sync change" });
+    }
+
+    // Point later mutations of an offline-created task at its real ID
+    saveQueue(getQueue()
+      .filter(queued => queued.id !== mutation.id)
+      .map(queued => realId && queued.taskId === mutation.taskId ? { ...queued, taskId: realId } : queued)
+    );
+  }
+
+  return { synced, idMap, conflict };
+};
+
+/**
+ * Drops a queued mutation, e.g. when the user keeps the server version in a conflict
+ * @param {string} mutationId - The ID of the mutation to drop
+ */
+export const discardMutation = (mutationId) => {
+  saveQueue(getQueue().filter(mutation => mutation.id !== mutationId));
+};
+
+export default {
+  MutationTypes,
+  isOfflineError,
+  getQueue,
+  createTempId,
+  enqueueMutation,
+  getPendingTaskIds,
+  applyPendingMutations,
+  getChangedFields,
+  replayQueue,
+  discardMutation
+};
@@ -1,13 +1,26 @@
-import { getApperClient, TableNames, FieldNames } from "../utils/apperClient";
+import { getApperClient, TableNames, FieldNames, getLookupId } from "../utils/apperClient";
+import { createQuery } from "../utils/queryBuilder";
+import { toPagedResult, fetchAllPages } from "../utils/pagination";
+import { getNextDueDate } from "../utils/recurrence";
+import { getBlockerIds, serializeBlockerIds, findDependencyCycle } from "../utils/dependencies";
+import { isTaskCompleted } from "../utils/taskFilters";
+import { getTaskTags, serializeTags, tagKey, normalizeTag, countTagUsage } from "../utils/tags";
+
+// Page size when scanning tasks to count or change tags
+const TAG_SCAN_LIMIT = 1000;
+
+// Page size when loading subtasks or dependent tasks
+const REFERENCE_LIMIT = 1000;
 
 /**
  * Fetches tasks with optional filtering, pagination, and sorting
  * @param {Object} options - Options for fetching tasks
+ * @param {Object} options.query - A query built with createQuery("TASK")
  * @param {Object} options.filters - Filters to apply to the query
  * @param {number} options.limit - Maximum number of tasks to fetch
  * @param {number} options.offset - Offset for pagination
  * @param {Array} options.orderBy - Sorting options
- * @returns {Promise<Object>} The task data response
+ * @returns {Promise<Object>} The paginated result ({ data, total, limit, offset, hasMore })
  */
 export const fetchTasks = async (options = {}) => {
   const apperClient = getApperClient();
@@ -17,31 +30,53 @@ export const fetchTasks = async (options = {}) => {
   }
   
   const {
+    query = createQuery("TASK"),
     filters = {},
     limit = 50,
     offset = 0,
     orderBy = [{ field: FieldNames.TASK.DUE_DATE, direction: "asc" }]
   } = options;
   
-  // Construct task fields array from FieldNames.TASK
-  const taskFields = Object.values(FieldNames.TASK);
-  
-  const params = {
-    fields: taskFields,
-    pagingInfo: { limit, offset },
-    orderBy,
-    filters
-  };
+  const params = query
+    .filters(filters)
+    .withDefaults({ orderBy, limit, offset })
+    .build();
   
   try {
     const response = await apperClient.fetchRecords(TableNames.TASK, params);
-    return response.data;
+    return toPagedResult(response, params.pagingInfo);
   } catch (error) {
     console.error("Error fetching tasks:", error);
     throw error;
   }
 };
 
+/**
+ * Counts the tasks matching a query without loading them
+ * @param {Object} query - A task query builder; its fields and paging are replaced
+ * @returns {Promise<number|null>} The number of matching tasks, or null if the backend reports no total
+ */
+export const countTasks = async (query = createQuery("TASK")) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  const params = query
+    .select([FieldNames.TASK.ID])
+    .paginate(1)
+    .build();
+  
+  try {
+    const response = await apperClient.fetchRecords(TableNames.TASK, params);
+    return toPagedResult(response, params.pagingInfo).total;
+  } catch (error) {
+    console.error("Error counting tasks:", error);
+    throw error;
+  }
+};
+
 /**
  * Fetches a single task by ID
  * @param {number} taskId - The ID of the task to fetch
@@ -54,15 +89,9 @@ export const fetchTaskById = async (taskId) => {
     throw new Error("ApperClient not initialized");
   }
   
-  // Construct task fields array from FieldNames.TASK
-  const taskFields = Object.values(FieldNames.TASK);
-  
-  const params = {
-    fields: taskFields,
-    filters: {
-      [FieldNames.TASK.ID]: taskId
-    }
-  };
+  const params = createQuery("TASK")
+    .where(FieldNames.TASK.ID, taskId)
+    .build();
   
   try {
     const response = await apperClient.fetchRecords(TableNames.TASK, params);
@@ -125,7 +154,68 @@ export const updateTask = async (taskId, taskData) => {
 };
 
 /**
- * Deletes a task
+ * Removes references to a deleted task from other tasks
+ * Its subtasks become top-level tasks and tasks it blocked stop waiting for it.
+ * @param {Object} apperClient - The ApperClient instance
+ * @param {number} taskId - The ID of the deleted task
+ * @returns {Promise<Array<number>>} The IDs of the tasks that changed
+ */
+const clearTaskReferences = async (apperClient, taskId) => {
+  const subtaskQuery = createQuery("TASK")
+    .select([FieldNames.TASK.ID])
+    .where(FieldNames.TASK.PARENT_TASK, taskId);
+  // $contains also matches longer IDs, so check each task's own blockers
+  const dependentQuery = createQuery("TASK")
+    .select([FieldNames.TASK.ID, FieldNames.TASK.BLOCKED_BY])
+    .contains(FieldNames.TASK.BLOCKED_BY, String(taskId));
+  
+  // Each list is loaded in full before it is changed, since changed tasks drop out of the query
+  const changedIds = [];
+  const subtasks = await fetchAllPages(apperClient, TableNames.TASK, subtaskQuery, REFERENCE_LIMIT);
+  for (const subtask of subtasks) {
+    await apperClient.updateRecord(TableNames.TASK, subtask.Id, {
+      record: { [FieldNames.TASK.PARENT_TASK]: null }
+    });
+    changedIds.push(subtask.Id);
+  }
+  
+  const dependents = await fetchAllPages(apperClient, TableNames.TASK, dependentQuery, REFERENCE_LIMIT);
+  for (const dependent of dependents) {
+    const blockerIds = getBlockerIds(dependent);
+    if (!blockerIds.includes(taskId)) continue;
+    
+    await apperClient.updateRecord(TableNames.TASK, dependent.Id, {
+      record: { [FieldNames.TASK.BLOCKED_BY]: serializeBlockerIds(blockerIds.filter(id => id !== taskId)) }
+    });
+    changedIds.push(dependent.Id);
+  }
+  
+  return changedIds;
+};
+
+/**
+ * Deletes the task_project rows linking a deleted task to its projects
+ * @param {Object} apperClient - The ApperClient instance
+ * @param {number} taskId - The ID of the deleted task
+ * @returns {Promise<void>}
+ */
+const removeTaskAssociations = async (apperClient, taskId) => {
+  const associations = await fetchAllPages(
+    apperClient,
+    TableNames.TASK_PROJECT,
+    createQuery("TASK_PROJECT")
+      .select([FieldNames.TASK_PROJECT.ID])
+      .where(FieldNames.TASK_PROJECT.TASK_ID, taskId),
+    REFERENCE_LIMIT
+  );
+  
+  for (const association of associations) {
+    await apperClient.deleteRecord(TableNames.TASK_PROJECT, association[FieldNames.TASK_PROJECT.ID]);
+  }
+};
+
+/**
+ * Deletes a task, its project links, and the parent and blocker references other tasks hold to it
  * @param {number} taskId - The ID of the task to delete
  * @returns {Promise<Object>} The deletion response
  */
@@ -138,6 +228,8 @@ export const deleteTask = async (taskId) => {
   
   try {
     const response = await apperClient.deleteRecord(TableNames.TASK, taskId);
+    await removeTaskAssociations(apperClient, taskId);
+    await clearTaskReferences(apperClient, taskId);
     return response.data;
   } catch (error) {
     console.error(`Error deleting task with ID ${taskId}:`, error);
@@ -174,11 +266,373 @@ export const associateTaskWithProject = async (taskId, projectId) => {
   }
 };
 
+/**
+ * Removes the association between a task and a project
+ * @param {number} taskId - The ID of the task
+ * @param {number} projectId - The ID of the project
+ * @returns {Promise<number>} The number of association records removed
+ */
+export const dissociateTaskFromProject = async (taskId, projectId) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  const params = createQuery("TASK_PROJECT")
+    .select([FieldNames.TASK_PROJECT.ID])
+    .where(FieldNames.TASK_PROJECT.TASK_ID, taskId)
+    .where(FieldNames.TASK_PROJECT.PROJECT_ID, projectId)
+    .build();
+  
+  try {
+    const response = await apperClient.fetchRecords(TableNames.TASK_PROJECT, params);
+    const associations = response.data || [];
+    
+    // Remove every matching row so duplicate associations do not linger
+    for (const association of associations) {
+      await apperClient.deleteRecord(TableNames.TASK_PROJECT, association[FieldNames.TASK_PROJECT.ID]);
+    }
+    
+    return associations.length;
+  } catch (error) {
+    console.error(`Error dissociating task ${taskId} from project ${projectId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the subtasks of a task
+ * @param {number} parentId - The ID of the parent task
+ * @returns {Promise<Array>} The subtasks
+ */
+export const fetchSubtasks = async (parentId) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  const query = createQuery("TASK").where(FieldNames.TASK.PARENT_TASK, parentId);
+  
+  try {
+    return await fetchAllPages(apperClient, TableNames.TASK, query, REFERENCE_LIMIT);
+  } catch (error) {
+    console.error(`Error fetching subtasks of task ${parentId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the subtasks of several tasks at once
+ * @param {Array<number>} parentIds - The IDs of the parent tasks
+ * @returns {Promise<Array>} The subtasks of all of them
+ */
+export const fetchSubtasksForTasks = async (parentIds) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  try {
+    const subtasks = [];
+    for (let start = 0; start < parentIds.length; start += REFERENCE_LIMIT) {
+      const query = createQuery("TASK")
+        .whereIn(FieldNames.TASK.PARENT_TASK, parentIds.slice(start, start + REFERENCE_LIMIT));
+      subtasks.push(...await fetchAllPages(apperClient, TableNames.TASK, query, REFERENCE_LIMIT));
+    }
+    return subtasks;
+  } catch (error) {
+    console.error("Error fetching subtasks:", error);
+    throw error;
+  }
+};
+
+/**
+ * Creates the next instance of a completed recurring task
+ * The new task gets the shifted due date and the same projects. The rule moves
+ * to the new task, so re-completing the old one does not create a second copy.
+ * @param {Object} task - The completed task
+ * @returns {Promise<Object|null>} { completedTask, nextTask }, or null if the task does not repeat
+ */
+export const createNextOccurrence = async (task) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  const dueDate = getNextDueDate(task);
+  if (!dueDate) return null;
+  
+  const associationParams = createQuery("TASK_PROJECT")
+    .select([FieldNames.TASK_PROJECT.PROJECT_ID])
+    .where(FieldNames.TASK_PROJECT.TASK_ID, task.Id)
+    .build();
+  
+  try {
+    const nextTask = await createTask({
+      [FieldNames.TASK.NAME]: task[FieldNames.TASK.NAME],
+      [FieldNames.TASK.TITLE]: task[FieldNames.TASK.TITLE],
+      [FieldNames.TASK.DESCRIPTION]: task[FieldNames.TASK.DESCRIPTION],
+      [FieldNames.TASK.PRIORITY]: task[FieldNames.TASK.PRIORITY],
+      [FieldNames.TASK.ASSIGNED_TO]: getLookupId(task[FieldNames.TASK.ASSIGNED_TO]),
+      [FieldNames.TASK.RECURRENCE]: task[FieldNames.TASK.RECURRENCE],
+      [FieldNames.TASK.PARENT_TASK]: getLookupId(task[FieldNames.TASK.PARENT_TASK]),
+      [FieldNames.TASK.CATEGORY]: getLookupId(task[FieldNames.TASK.CATEGORY]),
+      [FieldNames.TASK.TAGS]: task[FieldNames.TASK.TAGS],
+      [FieldNames.TASK.DUE_DATE]: dueDate,
+      [FieldNames.TASK.STATUS]: "Todo"
+    });
+    
+    const response = await apperClient.fetchRecords(TableNames.TASK_PROJECT, associationParams);
+    for (const association of response.data || []) {
+      await associateTaskWithProject(nextTask.Id, getLookupId(association[FieldNames.TASK_PROJECT.PROJECT_ID]));
+    }
+    
+    const completedTask = await updateTask(task.Id, { [FieldNames.TASK.RECURRENCE]: null });
+    return { completedTask, nextTask };
+  } catch (error) {
+    console.error(`Error creating next occurrence of task ${task.Id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches several tasks by ID
+ * @param {Array<number>} taskIds - The IDs of the tasks to fetch
+ * @returns {Promise<Array>} The tasks that exist
+ */
+export const fetchTasksByIds = async (taskIds) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  if (taskIds.length === 0) return [];
+  
+  const params = createQuery("TASK")
+    .whereIn(FieldNames.TASK.ID, taskIds)
+    .paginate(taskIds.length)
+    .build();
+  
+  try {
+    const response = await apperClient.fetchRecords(TableNames.TASK, params);
+    return response.data || [];
+  } catch (error) {
+    console.error("Error fetching tasks by ID:", error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the blockers of a task that are not completed yet
+ * @param {Object} task - The task record
+ * @returns {Promise<Array>} The open blockers
+ */
+export const fetchOpenBlockers = async (task) => {
+  const blockers = await fetchTasksByIds(getBlockerIds(task));
+  return blockers.filter(blocker => !isTaskCompleted(blocker));
+};
+
+/**
+ * Makes a task wait for another one
+ * The blocker's own dependencies are followed first so a dependency that
+ * would close a loop is rejected before anything is saved.
+ * @param {number} taskId - The ID of the task to block
+ * @param {number} blockerId - The ID of the task it waits for
+ * @returns {Promise<Object>} The updated task
+ */
+export const addTaskDependency = async (taskId, blockerId) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  try {
+    const task = await fetchTaskById(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+    
+    // Load the blocker and everything it transitively waits for
+    const tasksById = new Map([[task.Id, task]]);
+    let frontier = [blockerId];
+    while (frontier.length > 0) {
+      const fetched = await fetchTasksByIds(frontier.filter(id => !tasksById.has(id)));
+      fetched.forEach(fetchedTask => tasksById.set(fetchedTask.Id, fetchedTask));
+      frontier = [...new Set(fetched.flatMap(getBlockerIds))].filter(id => !tasksById.has(id));
+    }
+    
+    if (!tasksById.has(blockerId)) {
+      throw new Error(`Task ${blockerId} not found`);
+    }
+    
+    const cycle = findDependencyCycle(taskId, blockerId, id => getBlockerIds(tasksById.get(id)));
+    if (cycle) {
+      const titles = cycle.map(id => `"${tasksById.get(id)?.[FieldNames.TASK.TITLE] || `task ${id}`}"`);
+      throw new Error(`This dependency would create a cycle: ${titles.join(" → ")}`);
+    }
+    
+    return await updateTask(taskId, {
+      [FieldNames.TASK.BLOCKED_BY]: serializeBlockerIds([...getBlockerIds(task), blockerId])
+    });
+  } catch (error) {
+    console.error(`Error adding dependency of task ${taskId} on task ${blockerId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Stops a task from waiting for another one
+ * @param {number} taskId - The ID of the blocked task
+ * @param {number} blockerId - The ID of the task to remove from its blockers
+ * @returns {Promise<Object>} The updated task
+ */
+export const removeTaskDependency = async (taskId, blockerId) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  try {
+    const task = await fetchTaskById(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+    
+    return await updateTask(taskId, {
+      [FieldNames.TASK.BLOCKED_BY]: serializeBlockerIds(getBlockerIds(task).filter(id => id !== blockerId))
+    });
+  } catch (error) {
+    console.error(`Error removing dependency of task ${taskId} on task ${blockerId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Counts how many tasks use each tag, across the whole team
+ * @returns {Promise<Array<Object>>} { name, count } for each tag, most used first
+ */
+export const fetchTagUsage = async () => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  const query = createQuery("TASK").select([FieldNames.TASK.ID, FieldNames.TASK.TAGS]);
+  
+  try {
+    const tasks = await fetchAllPages(apperClient, TableNames.TASK, query, TAG_SCAN_LIMIT);
+    return countTagUsage(tasks);
+  } catch (error) {
+    console.error("Error fetching tag usage:", error);
+    throw error;
+  }
+};
+
+/**
+ * Replaces a tag on every task that has it
+ * @param {Object} apperClient - The ApperClient instance
+ * @param {string} tag - The tag to replace
+ * @param {string|null} replacement - The tag to use instead, or null to remove it
+ * @returns {Promise<Array<number>>} The IDs of the tasks that changed
+ */
+const replaceTag = async (apperClient, tag, replacement) => {
+  // $contains also matches longer tags, so check each task's own list
+  const query = createQuery("TASK")
+    .select([FieldNames.TASK.ID, FieldNames.TASK.TAGS])
+    .contains(FieldNames.TASK.TAGS, tag);
+  // Load every match before changing any, so updated tasks do not shift the pages
+  const tasks = await fetchAllPages(apperClient, TableNames.TASK, query, TAG_SCAN_LIMIT);
+  
+  const taskIds = [];
+  for (const task of tasks) {
+    const tags = getTaskTags(task);
+    if (!tags.some(existing => tagKey(existing) === tagKey(tag))) continue;
+    
+    const nextTags = tags.flatMap(existing => {
+      if (tagKey(existing) !== tagKey(tag)) return [existing];
+      return replacement ? [replacement] : [];
+    });
+    await apperClient.updateRecord(TableNames.TASK, task.Id, {
+      record: { [FieldNames.TASK.TAGS]: serializeTags(nextTags) }
+    });
+    taskIds.push(task.Id);
+  }
+  
+  return taskIds;
+};
+
+/**
+ * Renames a tag on every task that has it
+ * Renaming to a tag a task already has merges the two.
+ * @param {string} tag - The current tag
+ * @param {string} newTag - The new tag
+ * @returns {Promise<Array<number>>} The IDs of the tasks that changed
+ */
+export const renameTag = async (tag, newTag) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  const replacement = normalizeTag(newTag);
+  if (!replacement) {
+    throw new Error("Tag name is required");
+  }
+  
+  try {
+    return await replaceTag(apperClient, tag, replacement);
+  } catch (error) {
+    console.error(`Error renaming tag "${tag}" to "${replacement}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Removes a tag from every task that has it
+ * @param {string} tag - The tag to remove
+ * @returns {Promise<Array<number>>} The IDs of the tasks that changed
+ */
+export const deleteTag = async (tag) => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  try {
+    return await replaceTag(apperClient, tag, null);
+  } catch (error) {
+    console.error(`Error deleting tag "${tag}":`, error);
+    throw error;
+  }
+};
+
 export default {
   fetchTasks,
+  countTasks,
   fetchTaskById,
   createTask,
   updateTask,
   deleteTask,
-  associateTaskWithProject
+  associateTaskWithProject,
+  dissociateTaskFromProject,
+  fetchSubtasks,
+  fetchSubtasksForTasks,
+  createNextOccurrence,
+  fetchTasksByIds,
+  fetchOpenBlockers,
+  addTaskDependency,
+  removeTaskDependency,
+  fetchTagUsage,
+  renameTag,
+  deleteTag
 };
\ No newline at end of file
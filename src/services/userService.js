@@ -1,8 +1,15 @@
-import { getApperClient, TableNames, FieldNames } from "../utils/apperClient";
+import { getApperClient, TableNames, FieldNames, PicklistValues } from "../utils/apperClient";
+import { createQuery } from "../utils/queryBuilder";
+import { fetchAllPages } from "../utils/pagination";
+import { getAssigneeId, isOverdue, isDueThisWeek } from "../utils/taskFilters";
+
+// Page size when loading users and open tasks for the workload summary
+const WORKLOAD_PAGE_SIZE = 1000;
 
 /**
  * Fetches users with optional filtering, pagination, and sorting
  * @param {Object} options - Options for fetching users
+ * @param {Object} options.query - A query built with createQuery("USER")
  * @param {Object} options.filters - Filters to apply to the query
  * @param {number} options.limit - Maximum number of users to fetch
  * @param {number} options.offset - Offset for pagination
@@ -17,21 +24,17 @@ export const fetchUsers = async (options = {}) => {
   }
   
   const {
+    query = createQuery("USER"),
     filters = {},
     limit = 50,
     offset = 0,
     orderBy = [{ field: FieldNames.USER.NAME, direction: "asc" }]
   } = options;
   
-  // Construct user fields array from FieldNames.USER
-  const userFields = Object.values(FieldNames.USER);
-  
-  const params = {
-    fields: userFields,
-    pagingInfo: { limit, offset },
-    orderBy,
-    filters
-  };
+  const params = query
+    .filters(filters)
+    .withDefaults({ orderBy, limit, offset })
+    .build();
   
   try {
     const response = await apperClient.fetchRecords(TableNames.USER, params);
@@ -54,15 +57,9 @@ export const fetchUserById = async (userId) => {
     throw new Error("ApperClient not initialized");
   }
   
-  // Construct user fields array from FieldNames.USER
-  const userFields = Object.values(FieldNames.USER);
-  
-  const params = {
-    fields: userFields,
-    filters: {
-      [FieldNames.USER.ID]: userId
-    }
-  };
+  const params = createQuery("USER")
+    .where(FieldNames.USER.ID, userId)
+    .build();
   
   try {
     const response = await apperClient.fetchRecords(TableNames.USER, params);
@@ -73,6 +70,27 @@ export const fetchUserById = async (userId) => {
   }
 };
 
+// Most users whose email contains the one looked up, checked for an exact match
+const EMAIL_MATCH_LIMIT = 50;
+
+/**
+ * Fetches a single user by email address, ignoring case
+ * Equality filters are case-sensitive, so this narrows with the case-insensitive
+ * $contains and compares the candidates itself. The oldest match wins.
+ * @param {string} email - The email address to look up
+ * @returns {Promise<Object|null>} The user data, or null if no user has that email
+ */
+export const fetchUserByEmail = async (email) => {
+  const wanted = email.trim().toLowerCase();
+  const users = await fetchUsers({
+    query: createQuery("USER").contains(FieldNames.USER.EMAIL, wanted),
+    limit: EMAIL_MATCH_LIMIT,
+    orderBy: [{ field: FieldNames.USER.ID, direction: "asc" }]
+  });
+  
+  return (users || []).find(user => String(user[FieldNames.USER.EMAIL] || "").trim().toLowerCase() === wanted) || null;
+};
+
 /**
  * Creates a new user entry in the User1 table
  * @param {Object} userData - The user data to create
@@ -124,6 +142,85 @@ export const updateUser = async (userId, userData) => {
   }
 };
 
+// Role given to users the first time they sign in
+const DEFAULT_ROLE = PicklistValues.USER_ROLE[2];
+
+// Role of the first user of a team
+const ADMIN_ROLE = PicklistValues.USER_ROLE[0];
+
+/**
+ * Fetches the earliest User1 record
+ * @returns {Promise<Object|null>} The user with the lowest ID, or null if there are no users
+ */
+const fetchFirstUser = async () => {
+  const users = await fetchUsers({
+    query: createQuery("USER").select([FieldNames.USER.ID]),
+    limit: 1,
+    orderBy: [{ field: FieldNames.USER.ID, direction: "asc" }]
+  });
+  return users?.length > 0 ? users[0] : null;
+};
+
+/**
+ * Changes a user's role, refusing to demote the team's last admin
+ * @param {number} userId - The ID of the User1 record
+ * @param {string} role - One of PicklistValues.USER_ROLE
+ * @returns {Promise<Object>} The updated user
+ */
+export const updateUserRole = async (userId, role) => {
+  if (role !== ADMIN_ROLE) {
+    const admins = await fetchUsers({
+      query: createQuery("USER").select([FieldNames.USER.ID]).where(FieldNames.USER.ROLE, ADMIN_ROLE),
+      limit: 2
+    });
+    if (admins?.length === 1 && admins[0].Id === userId) {
+      throw new Error("The team needs at least one admin; make someone else an admin first");
+    }
+  }
+  
+  return updateUser(userId, { [FieldNames.USER.ROLE]: role });
+};
+
+/**
+ * Creates or updates the User1 record for a signed-in user, matched by email
+ * An existing record keeps its role and name, which may have been set on purpose;
+ * the profile name only fills in a missing one. The first record of an empty
+ * team, e.g. on a fresh install or in local mode, is created as an admin so that
+ * someone can create projects and assign roles; nobody is promoted later.
+ * @param {Object} profile - The authenticated user's profile
+ * @param {string} profile.firstName - The user's first name
+ * @param {string} profile.lastName - The user's last name
+ * @param {string} profile.emailAddress - The user's email address
+ * @returns {Promise<Object>} The User1 record
+ */
+export const syncUserRecord = async ({ firstName = "", lastName = "", emailAddress }) => {
+  if (!emailAddress) {
+    throw new Error("Cannot sync a user without an email address");
+  }
+  
+  const email = emailAddress.trim().toLowerCase();
+  const name = `${firstName} ${lastName}`.trim() || email;
+  const existing = await fetchUserByEmail(email);
+  
+  if (existing) {
+    return existing[FieldNames.USER.NAME] ? existing : updateUser(existing.Id, { [FieldNames.USER.NAME]: name });
+  }
+  
+  const firstUser = !(await fetchFirstUser());
+  const created = await createUser({
+    [FieldNames.USER.NAME]: name,
+    [FieldNames.USER.EMAIL]: email,
+    [FieldNames.USER.ROLE]: firstUser ? ADMIN_ROLE : DEFAULT_ROLE
+  });
+  if (!firstUser) return created;
+  
+  // Two first sign-ins at once both find the team empty; only the earliest record stays admin
+  const earliest = await fetchFirstUser();
+  return earliest && earliest.Id !== created.Id
+    ? updateUser(created.Id, { [FieldNames.USER.ROLE]: DEFAULT_ROLE })
+    : created;
+};
+
 /**
  * Fetches tasks assigned to a user
  * @param {number} userId - The ID of the user
@@ -136,14 +233,9 @@ export const fetchTasksByUser = async (userId) => {
     throw new Error("ApperClient not initialized");
   }
   
-  const taskFields = Object.values(FieldNames.TASK);
-  
-  const params = {
-    fields: taskFields,
-    filters: {
-      [FieldNames.TASK.ASSIGNED_TO]: userId
-    }
-  };
+  const params = createQuery("TASK")
+    .where(FieldNames.TASK.ASSIGNED_TO, userId)
+    .build();
   
   try {
     const response = await apperClient.fetchRecords(TableNames.TASK, params);
@@ -154,10 +246,57 @@ export const fetchTasksByUser = async (userId) => {
   }
 };
 
+/**
+ * Summarizes open task counts per user
+ * Tasks nobody is assigned to are reported under a null user.
+ * @returns {Promise<Array>} Entries of { user, open, overdue, dueThisWeek }
+ */
+export const fetchTeamWorkload = async () => {
+  const apperClient = getApperClient();
+  
+  if (!apperClient) {
+    throw new Error("ApperClient not initialized");
+  }
+  
+  const userQuery = createQuery("USER").orderBy([
+    { field: FieldNames.USER.NAME, direction: "asc" },
+    { field: FieldNames.USER.ID, direction: "asc" }
+  ]);
+  const taskQuery = createQuery("TASK")
+    .select([FieldNames.TASK.ID, FieldNames.TASK.STATUS, FieldNames.TASK.DUE_DATE, FieldNames.TASK.ASSIGNED_TO])
+    .whereNot(FieldNames.TASK.STATUS, "Completed");
+  
+  try {
+    const users = await fetchAllPages(apperClient, TableNames.USER, userQuery, WORKLOAD_PAGE_SIZE);
+    const tasks = await fetchAllPages(apperClient, TableNames.TASK, taskQuery, WORKLOAD_PAGE_SIZE);
+    const now = new Date();
+    
+    const emptyCounts = (user) => ({ user, open: 0, overdue: 0, dueThisWeek: 0 });
+    const workload = new Map(users.map(user => [user.Id, emptyCounts(user)]));
+    const unassigned = emptyCounts(null);
+    
+    tasks.forEach(task => {
+      const entry = workload.get(getAssigneeId(task)) || unassigned;
+      entry.open += 1;
+      if (isOverdue(task, now)) entry.overdue += 1;
+      if (isDueThisWeek(task, now)) entry.dueThisWeek += 1;
+    });
+    
+    return [...workload.values(), unassigned];
+  } catch (error) {
+    console.error("Error fetching team workload:", error);
+    throw error;
+  }
+};
+
 export default {
   fetchUsers,
   fetchUserById,
+  fetchUserByEmail,
   createUser,
   updateUser,
-  fetchTasksByUser
+  updateUserRole,
+  syncUserRecord,
+  fetchTasksByUser,
+  fetchTeamWorkload
 };
\ No newline at end of file
@@ -1,8 +1,11 @@
 /**
  * Singleton ApperClient instance for application-wide use
  * Initializes the ApperClient with the application's Canvas ID
+ * Falls back to a local in-browser client when the SDK script is unavailable
  */
 
+import { createLocalApperClient } from "./localApperClient";
+
 // Canvas ID for the application
 const CANVAS_ID = "8ac1bf2d6b3b4f9d9d32321e648b406a";
 
@@ -11,16 +14,30 @@ let apperClient = null;
 
 /**
  * Initialize and return the ApperClient instance
+ * Uses the local client when the Apper SDK failed to load
  * @returns {Object} The ApperClient instance
  */
 export const getApperClient = () => {
-  if (!apperClient && window.ApperSDK) {
-    const { ApperClient } = window.ApperSDK;
-    apperClient = new ApperClient(CANVAS_ID);
+  if (!apperClient) {
+    if (window.ApperSDK) {
+      const { ApperClient } = window.ApperSDK;
+      apperClient = new ApperClient(CANVAS_ID);
+    } else {
+      console.warn("Apper SDK not available, using local data store");
+      apperClient = createLocalApperClient();
+    }
   }
   return apperClient;
 };
 
+/**
+ * Checks whether the app is running against the local data store
+ * @returns {boolean} True if the local client is in use
+ */
+export const isLocalMode = () => {
+  return !!getApperClient()?.isLocal;
+};
+
 /**
  * Get the ApperUI object from the SDK
  * @returns {Object} The ApperUI object
@@ -39,7 +56,9 @@ export const TableNames = {
   TASK: "task1",
   PROJECT: "project1",
   USER: "User1",
-  TASK_PROJECT: "task_project"
+  TASK_PROJECT: "task_project",
+  CATEGORY: "category1",
+  SAVED_VIEW: "saved_view1"
 };
 
 /**
@@ -54,7 +73,19 @@ export const FieldNames = {
     DUE_DATE: "due_date",
     STATUS: "status",
     PRIORITY: "priority",
-    ASSIGNED_TO: "assigned_to"
+    ASSIGNED_TO: "assigned_to",
+    // JSON recurrence rule, see utils/recurrence.js
+    RECURRENCE: "recurrence",
+    // Lookup to the parent task1 record for subtasks
+    PARENT_TASK: "parent_task",
+    // Comma-separated Ids of the tasks that must be completed first
+    BLOCKED_BY: "blocked_by",
+    // Lookup to a category1 record
+    CATEGORY: "category",
+    // Comma-separated free-form tags, see utils/tags.js
+    TAGS: "Tags",
+    // System field set by the backend on every update, never written by the app
+    MODIFIED_ON: "ModifiedOn"
   },
   PROJECT: {
     ID: "Id",
@@ -75,9 +106,34 @@ export const FieldNames = {
     NAME: "Name",
     TASK_ID: "task_id",
     PROJECT_ID: "project_id"
+  },
+  CATEGORY: {
+    ID: "Id",
+    NAME: "Name",
+    // Hex color such as "#6366f1"
+    COLOR: "color"
+  },
+  SAVED_VIEW: {
+    ID: "Id",
+    NAME: "Name",
+    // Task list query string, e.g. "status=open&priority=High"
+    QUERY: "query",
+    // Lookup to the User1 record the view belongs to
+    OWNER: "owner"
   }
 };
 
+/**
+ * Returns the record ID held by a lookup field
+ * Lookup fields may come back either as a plain ID or as { Id, Name }.
+ * @param {*} value - The lookup field value
+ * @returns {number|null} The referenced ID, or null if empty
+ */
+export const getLookupId = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  return typeof value === "object" ? value.Id : Number(value);
+};
+
 /**
  * Picklist values for dropdown fields
  */
@@ -91,8 +147,10 @@ export const PicklistValues = {
 export default {
   getApperClient,
   getApperUI,
+  isLocalMode,
   TableNames,
   FieldNames,
   PicklistValues,
+  getLookupId,
   CANVAS_ID
 };
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * Date helpers for the task calendar
+ * Weeks start on Monday, matching the timeline.
+ */
+
+import {
+  addMonths,
+  addWeeks,
+  eachDayOfInterval,
+  endOfMonth,
+  endOfWeek,
+  format,
+  startOfMonth,
+  startOfWeek
+} from "date-fns";
+import { getDueDate } from "./taskFilters";
+
+/**
+ * Calendar layouts
+ */
+export const CalendarViews = {
+  MONTH: "month",
+  WEEK: "week"
+};
+
+// date-fns options shared by every week calculation
+const weekOptions = { weekStartsOn: 1 };
+
+/**
+ * Formats a date as the key used to group tasks by day
+ * @param {Date} date - The date
+ * @returns {string} The day as yyyy-MM-dd, the format of due_date
+ */
+export const toDayKey = (date) => format(date, "yyyy-MM-dd");
+
+/**
+ * Lists the days shown for a view
+ * Month views are padded to whole weeks.
+ * @param {string} view - One of CalendarViews
+ * @param {Date} anchorDate - Any day inside the period to show
+ * @returns {Array<Date>} The days in display order
+ */
+export const getCalendarDays = (view, anchorDate) => {
+  if (view === CalendarViews.WEEK) {
+    return eachDayOfInterval({
+      start: startOfWeek(anchorDate, weekOptions),
+      end: endOfWeek(anchorDate, weekOptions)
+    });
+  }
+
+  return eachDayOfInterval({
+    start: startOfWeek(startOfMonth(anchorDate), weekOptions),
+    end: endOfWeek(endOfMonth(anchorDate), weekOptions)
+  });
+};
+
+/**
+ * Moves the calendar one period back or forward
+ * @param {string} view - One of CalendarViews
+ * @param {Date} anchorDate - The day currently anchoring the view
+ * @param {number} direction - -1 for the previous period, 1 for the next
+ * @returns {Date} The new anchor date
+ */
+export const shiftCalendar = (view, anchorDate, direction) => {
+  return view === CalendarViews.WEEK
+    ? addWeeks(anchorDate, direction)
+    : addMonths(anchorDate, direction);
+};
+
+/**
+ * Describes the period a view shows
+ * @param {string} view - One of CalendarViews
+ * @param {Date} anchorDate - The day anchoring the view
+ * @returns {string} A heading such as "May 2024" or "May 6 – May 12, 2024"
+ */
+export const getCalendarTitle = (view, anchorDate) => {
+  if (view === CalendarViews.WEEK) {
+    const start = startOfWeek(anchorDate, weekOptions);
+    const end = endOfWeek(anchorDate, weekOptions);
+    return `${format(start, "MMM d")} – ${format(end, "MMM d, yyyy")}`;
+  }
+
+  return format(anchorDate, "MMMM yyyy");
+};
+
+/**
+ * Groups tasks by the day they are due
+ * @param {Array} tasks - The tasks to group
+ * @returns {Map} Task arrays keyed by yyyy-MM-dd; tasks without a due date are left out
+ */
+export const groupTasksByDay = (tasks) => {
+  const tasksByDay = new Map();
+  tasks.forEach(task => {
+    const dueDate = getDueDate(task);
+    if (!dueDate) return;
+
+    const key = toDayKey(dueDate);
+    tasksByDay.set(key, [...(tasksByDay.get(key) || []), task]);
+  });
+  return tasksByDay;
+};
+
+export default {
+  CalendarViews,
+  toDayKey,
+  getCalendarDays,
+  shiftCalendar,
+  getCalendarTitle,
+  groupTasksByDay
+};
@@ -0,0 +1,128 @@
+/**
+ * Task dependencies
+ * A task's blocked_by field lists the Ids of tasks that must be completed
+ * before it can start, stored as a comma-separated string such as "12,15".
+ */
+
+import { FieldNames } from "./apperClient";
+import { isTaskCompleted } from "./taskFilters";
+
+// Statuses a task cannot move to while it has open blockers
+export const BLOCKED_STATUSES = ["In Progress", "Completed"];
+
+/**
+ * Reads the Ids of a task's blockers
+ * @param {Object} task - The task record
+ * @returns {Array<number>} The blocker Ids
+ */
+export const getBlockerIds = (task) => {
+  const value = task?.[FieldNames.TASK.BLOCKED_BY];
+  if (!value) return [];
+
+  const ids = Array.isArray(value) ? value : String(value).split(",");
+  return ids
+    .map(id => Number(typeof id === "object" ? id.Id : id))
+    .filter(id => Number.isInteger(id) && id > 0);
+};
+
+/**
+ * Converts blocker Ids to the value stored on the task
+ * @param {Array<number>} ids - The blocker Ids
+ * @returns {string|null} The stored value, or null when there are no blockers
+ */
+export const serializeBlockerIds = (ids) => {
+  const unique = [...new Set(ids)];
+  return unique.length > 0 ? unique.join(",") : null;
+};
+
+/**
+ * Finds the cycle that making one task depend on another would create
+ * @param {number} taskId - The task that would be blocked
+ * @param {number} blockerId - The task it would wait for
+ * @param {Function} getBlockers - Returns the blocker Ids of a task Id
+ * @returns {Array<number>|null} The cycle as a list of Ids starting and ending with taskId, or null if there is none
+ */
+export const findDependencyCycle = (taskId, blockerId, getBlockers) => {
+  if (taskId === blockerId) return [taskId, taskId];
+
+  // Depth-first search for a path from the new blocker back to the task
+  const visited = new Set();
+  const search = (currentId, path) => {
+    if (currentId === taskId) return path;
+    if (visited.has(currentId)) return null;
+    visited.add(currentId);
+
+    for (const nextId of getBlockers(currentId)) {
+      const found = search(nextId, [...path, nextId]);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  const path = search(blockerId, [blockerId]);
+  return path ? [taskId, ...path] : null;
+};
+
+/**
+ * Lists the blockers of a task that are not completed yet
+ * Blockers missing from the list are assumed to be open.
+ * @param {Object} task - The task record
+ * @param {Map} tasksById - Known tasks keyed by Id
+ * @returns {Array<Object>} Open blockers; unknown ones appear as { Id }
+ */
+export const getOpenBlockers = (task, tasksById) => {
+  return getBlockerIds(task)
+    .map(id => tasksById.get(id) || { Id: id })
+    .filter(blocker => !isTaskCompleted(blocker));
+};
+
+/**
+ * Lays tasks out in dependency order
+ * Each task's level is one more than its deepest blocker within the list, so
+ * every edge points from a lower level to a higher one.
+ * @param {Array} tasks - The tasks to lay out
+ * @returns {Object} { levels: Array of task arrays, edges: Array of { from, to } }
+ */
+export const buildDependencyGraph = (tasks) => {
+  const tasksById = new Map(tasks.map(task => [task.Id, task]));
+  const levelById = new Map();
+  const edges = [];
+
+  const levelOf = (task, visiting = new Set()) => {
+    if (levelById.has(task.Id)) return levelById.get(task.Id);
+    // Cycles are rejected when dependencies are added; guard anyway
+    if (visiting.has(task.Id)) return 0;
+    visiting.add(task.Id);
+
+    const blockerLevels = getBlockerIds(task)
+      .filter(id => tasksById.has(id))
+      .map(id => levelOf(tasksById.get(id), visiting) + 1);
+    const level = Math.max(0, ...blockerLevels);
+    levelById.set(task.Id, level);
+    return level;
+  };
+
+  tasks.forEach(task => {
+    levelOf(task);
+    getBlockerIds(task)
+      .filter(id => tasksById.has(id))
+      .forEach(id => edges.push({ from: id, to: task.Id }));
+  });
+
+  const levels = [];
+  tasks.forEach(task => {
+    const level = levelById.get(task.Id);
+    levels[level] = [...(levels[level] || []), task];
+  });
+
+  return { levels: levels.filter(Boolean), edges };
+};
+
+export default {
+  BLOCKED_STATUSES,
+  getBlockerIds,
+  serializeBlockerIds,
+  findDependencyCycle,
+  getOpenBlockers,
+  buildDependencyGraph
+};
@@ -0,0 +1,159 @@
+/**
+ * Fuzzy text matching for search
+ * A query matches a text when its characters appear in the text in order,
+ * ignoring case and spaces. Matches score higher when the characters are
+ * next to each other, start words, or start early in the text.
+ */
+
+// Score for each matched character and the bonuses on top of it
+const CHARACTER_SCORE = 1;
+const CONSECUTIVE_BONUS = 4;
+const WORD_START_BONUS = 6;
+const TEXT_START_BONUS = 8;
+// Bonus when the whole query appears unbroken in the text
+const SUBSTRING_BONUS = 10;
+// Penalty per skipped character between matches, capped per gap
+const GAP_PENALTY = 0.5;
+const MAX_GAP_PENALTY = 4;
+
+/**
+ * Checks whether the character at an index starts a word
+ * @param {string} text - The text
+ * @param {number} index - The character index
+ * @returns {boolean} True at the start of the text or after a non-alphanumeric character
+ */
+const isWordStart = (text, index) => index === 0 || !/[a-z0-9]/i.test(text[index - 1]);
+
+/**
+ * Scores a set of matched character positions
+ * @param {string} text - The text
+ * @param {Array<number>} indices - Matched positions in ascending order
+ * @returns {number} The score
+ */
+const scoreIndices = (text, indices) => {
+  return indices.reduce((score, index, i) => {
+    let next = score + CHARACTER_SCORE;
+    if (i > 0 && index === indices[i - 1] + 1) next += CONSECUTIVE_BONUS;
+    if (i > 0 && index > indices[i - 1] + 1) next -= Math.min((index - indices[i - 1] - 1) * GAP_PENALTY, MAX_GAP_PENALTY);
+    if (isWordStart(text, index)) next += WORD_START_BONUS;
+    if (index === 0) next += TEXT_START_BONUS;
+    return next;
+  }, 0);
+};
+
+/**
+ * Checks whether a string's characters appear in another string in order
+ * @param {string} needle - The characters to look for
+ * @param {string} haystack - The string to search
+ * @returns {boolean} True if every character is found in order
+ */
+const isSubsequence = (needle, haystack) => {
+  let position = 0;
+  for (const char of needle) {
+    position = haystack.indexOf(char, position);
+    if (position === -1) return false;
+    position += 1;
+  }
+  return true;
+};
+
+/**
+ * Matches a query against a text
+ * @param {string} query - The typed query
+ * @param {string} text - The text to search
+ * @returns {Object|null} { score, indices } with the matched character positions, or null if it does not match
+ */
+export const fuzzyMatch = (query, text) => {
+  const needle = String(query || "").toLowerCase().replace(/\s+/g, "");
+  const haystack = String(text || "");
+  const lower = haystack.toLowerCase();
+  if (!needle || !lower) return null;
+
+  const candidates = [];
+
+  // The query typed as-is, preferring an occurrence at a word start
+  const words = String(query).toLowerCase().trim().replace(/\s+/g, " ");
+  let substringAt = -1;
+  for (let at = lower.indexOf(words); at !== -1; at = lower.indexOf(words, at + 1)) {
+    if (substringAt === -1 || isWordStart(lower, at)) substringAt = at;
+    if (isWordStart(lower, at)) break;
+  }
+  if (substringAt !== -1) {
+    const indices = [...words].map((char, i) => (char === " " ? null : substringAt + i)).filter(index => index !== null);
+    candidates.push({ score: scoreIndices(lower, indices) + SUBSTRING_BONUS, indices });
+  }
+
+  // Characters in order, jumping to word starts where the next character begins a word
+  const indices = [];
+  let position = 0;
+  for (const char of needle) {
+    let found = lower.indexOf(char, position);
+    if (found === -1) break;
+
+    for (let at = found; at !== -1; at = lower.indexOf(char, at + 1)) {
+      if (isWordStart(lower, at)) {
+        // Only jump ahead when nothing in between is needed for the rest of the query
+        const rest = needle.slice(indices.length + 1);
+        if (isSubsequence(rest, lower.slice(at + 1))) found = at;
+        break;
+      }
+    }
+    indices.push(found);
+    position = found + 1;
+  }
+  if (indices.length === needle.length) {
+    candidates.push({ score: scoreIndices(lower, indices), indices });
+  }
+
+  if (candidates.length === 0) return null;
+  return candidates.reduce((best, candidate) => (candidate.score > best.score ? candidate : best));
+};
+
+/**
+ * Splits a text into highlighted and plain parts
+ * @param {string} text - The text
+ * @param {Array<number>} indices - The positions to highlight
+ * @returns {Array<Object>} { text, highlighted } parts in order
+ */
+export const splitHighlights = (text, indices = []) => {
+  const marked = new Set(indices);
+  const parts = [];
+  [...String(text || "")].forEach((char, index) => {
+    const highlighted = marked.has(index);
+    const last = parts[parts.length - 1];
+    if (last && last.highlighted === highlighted) {
+      last.text += char;
+    } else {
+      parts.push({ text: char, highlighted });
+    }
+  });
+  return parts;
+};
+
+/**
+ * Cuts a window out of a long text around its first highlighted position
+ * @param {string} text - The text
+ * @param {Array<number>} indices - The matched positions
+ * @param {number} length - The most characters to keep
+ * @returns {Object} { text, indices } shifted to the window, with ellipses where the text was cut
+ */
+export const getSnippet = (text, indices = [], length = 80) => {
+  const value = String(text || "");
+  if (value.length <= length) return { text: value, indices };
+
+  const start = Math.max(0, Math.min((indices[0] ?? 0) - 20, value.length - length));
+  const prefix = start > 0 ? "…" : "";
+  const suffix = start + length < value.length ? "…" : "";
+  return {
+    text: `${prefix}${value.slice(start, start + length)}${suffix}`,
+    indices: indices
+      .filter(index => index >= start && index < start + length)
+      .map(index => index - start + prefix.length)
+  };
+};
+
+export default {
+  fuzzyMatch,
+  splitHighlights,
+  getSnippet
+};
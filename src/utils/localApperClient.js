@@ -0,0 +1,280 @@
+/**
+ * Local in-browser stand-in for the ApperClient
+ * Implements the fetchRecords / createRecord / updateRecord / deleteRecord
+ * surface used by the services, persisting every table in localStorage.
+ * Used automatically when the Apper SDK script is not available.
+ */
+
+// localStorage key holding all local tables
+const STORAGE_KEY = "apperLocalDb";
+
+/**
+ * Reads the whole local database from localStorage
+ * @returns {Object} Map of table name to { lastId, records }
+ */
+const readDatabase = () => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+
+  if (stored) {
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      console.error("Error parsing local database:", error);
+    }
+  }
+
+  return {};
+};
+
+/**
+ * Writes the whole local database to localStorage
+ * @param {Object} database - The database to persist
+ */
+const writeDatabase = (database) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(database));
+};
+
+/**
+ * Returns the table entry for a table name, creating it when missing
+ * @param {Object} database - The local database
+ * @param {string} tableName - The table name
+ * @returns {Object} The table entry
+ */
+const getTable = (database, tableName) => {
+  if (!database[tableName]) {
+    database[tableName] = { lastId: 0, records: [] };
+  }
+  return database[tableName];
+};
+
+/**
+ * Normalizes a value for comparison so that "5" and 5 match like they do on the server
+ * @param {*} value - The value to normalize
+ * @returns {*} The normalized value
+ */
+const normalize = (value) => {
+  if (typeof value === "string" && value.trim() !== "" && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+};
+
+/**
+ * Checks whether a field holds a value
+ * @param {*} value - The field value
+ * @returns {boolean} True unless the value is null, undefined or empty
+ */
+const isPresent = (value) => value !== null && value !== undefined && value !== "";
+
+/**
+ * Checks a single field value against a filter condition
+ * @param {*} value - The record's field value
+ * @param {*} condition - A plain value or an operator object such as { $in: [...] } or { $gte: "2024-01-01" }
+ * @returns {boolean} True if the value satisfies the condition
+ */
+const matchesCondition = (value, condition) => {
+  if (condition !== null && typeof condition === "object" && !Array.isArray(condition)) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case "$eq":
+          return normalize(value) === normalize(operand);
+        case "$ne":
+          return normalize(value) !== normalize(operand);
+        case "$in":
+          return (operand || []).map(normalize).includes(normalize(value));
+        case "$gt":
+          return isPresent(value) && normalize(value) > normalize(operand);
+        case "$gte":
+          return isPresent(value) && normalize(value) >= normalize(operand);
+        case "$lt":
+          return isPresent(value) && normalize(value) < normalize(operand);
+        case "$lte":
+          return isPresent(value) && normalize(value) <= normalize(operand);
+        case "$contains":
+          return String(value ?? "").toLowerCase().includes(String(operand ?? "").toLowerCase());
+        default:
+          throw new Error(`Unsupported filter operator: ${operator}`);
+      }
+    });
+  }
+
+  return normalize(value) === normalize(condition);
+};
+
+/**
+ * Checks a record against a filters object
+ * @param {Object} record - The record to check
+ * @param {Object} filters - Map of field name to condition, plus optional $and / $or groups
+ * @returns {boolean} True if the record matches every filter
+ */
+const matchesFilters = (record, filters = {}) => {
+  return Object.entries(filters).every(([field, condition]) => {
+    if (field === "$and") {
+      return condition.every(nested => matchesFilters(record, nested));
+    }
+    if (field === "$or") {
+      return condition.some(nested => matchesFilters(record, nested));
+    }
+    return matchesCondition(record[field], condition);
+  });
+};
+
+/**
+ * Compares two records using an orderBy list
+ * @param {Array} orderBy - List of { field, direction }
+ * @returns {Function} Comparator for Array.prototype.sort
+ */
+const compareBy = (orderBy = []) => (a, b) => {
+  for (const { field, direction = "asc" } of orderBy) {
+    const valueA = a[field];
+    const valueB = b[field];
+
+    if (valueA === valueB) continue;
+
+    // Empty values always sort last, like the server does
+    if (valueA === null || valueA === undefined || valueA === "") return 1;
+    if (valueB === null || valueB === undefined || valueB === "") return -1;
+
+    const result = valueA < valueB ? -1 : 1;
+    return direction === "desc" ? -result : result;
+  }
+  return 0;
+};
+
+/**
+ * Projects a record down to the requested fields
+ * @param {Object} record - The stored record
+ * @param {Array} fields - The requested field names
+ * @returns {Object} A copy containing only the requested fields
+ */
+const pickFields = (record, fields) => {
+  if (!fields || fields.length === 0) {
+    return { ...record };
+  }
+
+  return fields.reduce((picked, field) => {
+    if (field in record) {
+      picked[field] = record[field];
+    }
+    return picked;
+  }, {});
+};
+
+/**
+ * Creates a local client exposing the same record API as the ApperClient
+ * @returns {Object} The local client
+ */
+export const createLocalApperClient = () => ({
+  canvasId: null,
+  isLocal: true,
+
+  /**
+   * Fetches records from a local table
+   * @param {string} tableName - The table name
+   * @param {Object} params - Query params ({ fields, filters, pagingInfo, orderBy })
+   * @returns {Promise<Object>} The response ({ success, data, total })
+   */
+  async fetchRecords(tableName, params = {}) {
+    const { fields, filters, pagingInfo, orderBy } = params;
+    const { records } = getTable(readDatabase(), tableName);
+
+    const matched = records
+      .filter(record => matchesFilters(record, filters))
+      .sort(compareBy(orderBy));
+
+    const offset = pagingInfo?.offset || 0;
+    const limit = pagingInfo?.limit ?? matched.length;
+    const page = matched.slice(offset, offset + limit);
+
+    return {
+      success: true,
+      data: page.map(record => pickFields(record, fields)),
+      total: matched.length
+    };
+  },
+
+  /**
+   * Creates a record in a local table
+   * @param {string} tableName - The table name
+   * @param {Object} params - Params holding the record to create
+   * @returns {Promise<Object>} The response with the created record
+   */
+  async createRecord(tableName, params = {}) {
+    const database = readDatabase();
+    const table = getTable(database, tableName);
+    const now = new Date().toISOString();
+
+    table.lastId += 1;
+    const record = {
+      ...params.record,
+      Id: table.lastId,
+      CreatedOn: now,
+      ModifiedOn: now
+    };
+    table.records.push(record);
+    writeDatabase(database);
+
+    return { success: true, data: { ...record } };
+  },
+
+  /**
+   * Updates a record in a local table
+   * @param {string} tableName - The table name
+   * @param {number} recordId - The ID of the record to update
+   * @param {Object} params - Params holding the changed fields
+   * @returns {Promise<Object>} The response with the updated record
+   */
+  async updateRecord(tableName, recordId, params = {}) {
+    const database = readDatabase();
+    const table = getTable(database, tableName);
+    const index = table.records.findIndex(record => record.Id === normalize(recordId));
+
+    if (index === -1) {
+      throw new Error(`Record ${recordId} not found in ${tableName}`);
+    }
+
+    const record = {
+      ...table.records[index],
+      ...params.record,
+      Id: table.records[index].Id,
+      ModifiedOn: new Date().toISOString()
+    };
+    table.records[index] = record;
+    writeDatabase(database);
+
+    return { success: true, data: { ...record } };
+  },
+
+  /**
+   * Deletes a record from a local table
+   * @param {string} tableName - The table name
+   * @param {number} recordId - The ID of the record to delete
+   * @returns {Promise<Object>} The deletion response
+   */
+  async deleteRecord(tableName, recordId) {
+    const database = readDatabase();
+    const table = getTable(database, tableName);
+    const index = table.records.findIndex(record => record.Id === normalize(recordId));
+
+    if (index === -1) {
+      throw new Error(`Record ${recordId} not found in ${tableName}`);
+    }
+
+    table.records.splice(index, 1);
+    writeDatabase(database);
+
+    return { success: true, data: { Id: normalize(recordId) } };
+  }
+});
+
+/**
+ * Removes every locally stored table
+ */
+export const resetLocalDatabase = () => {
+  localStorage.removeItem(STORAGE_KEY);
+};
+
+export default {
+  createLocalApperClient,
+  resetLocalDatabase
+};
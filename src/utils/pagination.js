@@ -0,0 +1,70 @@
+/**
+ * Helpers for paginated fetchRecords results
+ */
+
+import { FieldNames } from "./apperClient";
+
+/**
+ * Builds a paginated result from a fetchRecords response
+ * @param {Object} response - The fetchRecords response
+ * @param {Object} paging - The paging window that was requested
+ * @param {number} paging.limit - The requested limit
+ * @param {number} paging.offset - The requested offset
+ * @returns {Object} The result ({ data, total, limit, offset, hasMore })
+ */
+export const toPagedResult = (response, { limit, offset }) => {
+  const data = response?.data || [];
+  const total = typeof response?.total === "number" ? response.total : null;
+
+  return {
+    data,
+    total,
+    limit,
+    offset,
+    // Without a total, a full page is the only hint that more records exist
+    hasMore: total !== null ? offset + data.length < total : data.length === limit
+  };
+};
+
+/**
+ * Appends a page of records to a list, skipping records already present
+ * @param {Array} records - The records loaded so far
+ * @param {Array} page - The newly fetched page
+ * @returns {Array} The combined records
+ */
+export const appendPage = (records, page) => {
+  const loadedIds = new Set(records.map(record => record.Id));
+  return [...records, ...page.filter(record => !loadedIds.has(record.Id))];
+};
+
+/**
+ * Fetches every record matching a query, one page at a time
+ * Sorts by Id when the query has no sort order so pages do not overlap.
+ * @param {Object} apperClient - The ApperClient instance
+ * @param {string} tableName - The table to read
+ * @param {Object} query - A query builder; its paging window is replaced
+ * @param {number} pageSize - The number of records per request
+ * @returns {Promise<Array>} All matching records
+ */
+export const fetchAllPages = async (apperClient, tableName, query, pageSize) => {
+  const orderedQuery = query.withDefaults({
+    orderBy: [{ field: FieldNames[query.entity].ID, direction: "asc" }]
+  });
+  const records = [];
+
+  for (let offset = 0; ; offset += pageSize) {
+    const params = orderedQuery.paginate(pageSize, offset).build();
+    const response = await apperClient.fetchRecords(tableName, params);
+    const page = toPagedResult(response, params.pagingInfo);
+    records.push(...page.data);
+    if (!page.hasMore || page.data.length === 0) {
+      return records;
+    }
+  }
+};
+
+export default {
+  toPagedResult,
+  appendPage,
+  fetchAllPages
+};
@@ -0,0 +1,71 @@
+/**
+ * Role-based permissions
+ * Roles come from the role field of the signed-in user's User1 record.
+ */
+
+import { PicklistValues } from "./apperClient";
+import { getAssigneeId } from "./taskFilters";
+
+/**
+ * Actions that depend on the user's role
+ */
+export const Permissions = {
+  CREATE_PROJECT: "createProject",
+  // Rename and reschedule projects
+  EDIT_PROJECT: "editProject",
+  // Also covers bulk cleanup of task_project links
+  DELETE_PROJECT: "deleteProject",
+  // Edit and delete tasks assigned to anyone; without it only your own tasks
+  EDIT_ANY_TASK: "editAnyTask",
+  // Create, rename, recolor, merge and delete categories
+  MANAGE_CATEGORIES: "manageCategories",
+  MANAGE_ROLES: "manageRoles"
+};
+
+const [ADMIN, MANAGER, MEMBER] = PicklistValues.USER_ROLE;
+
+// Role assumed when the user has no User1 record or no role set
+export const DEFAULT_ROLE = MEMBER;
+
+// Permissions granted to each role
+const rolePermissions = {
+  [ADMIN]: Object.values(Permissions),
+  [MANAGER]: [
+    Permissions.CREATE_PROJECT,
+    Permissions.EDIT_PROJECT,
+    Permissions.DELETE_PROJECT,
+    Permissions.EDIT_ANY_TASK,
+    Permissions.MANAGE_CATEGORIES
+  ],
+  [MEMBER]: []
+};
+
+/**
+ * Checks whether a role grants a permission
+ * @param {string} role - One of PicklistValues.USER_ROLE
+ * @param {string} permission - One of Permissions
+ * @returns {boolean} True if the role grants the permission
+ */
+export const hasPermission = (role, permission) => {
+  return (rolePermissions[role] || rolePermissions[DEFAULT_ROLE]).includes(permission);
+};
+
+/**
+ * Checks whether a user may edit or delete a task
+ * @param {string} role - The user's role
+ * @param {number} userRecordId - The ID of the user's User1 record
+ * @param {Object} task - The task record
+ * @returns {boolean} True if the task may be changed
+ */
+export const canEditTask = (role, userRecordId, task) => {
+  if (hasPermission(role, Permissions.EDIT_ANY_TASK)) return true;
+  return !!task && userRecordId !== null && userRecordId !== undefined &&
+    getAssigneeId(task) === userRecordId;
+};
+
+export default {
+  Permissions,
+  DEFAULT_ROLE,
+  hasPermission,
+  canEditTask
+};
@@ -0,0 +1,61 @@
+/**
+ * Browser-local user preferences stored in localStorage
+ */
+
+// localStorage key holding all preferences
+const STORAGE_KEY = "taskflowPreferences";
+
+/**
+ * Reads all stored preferences
+ * @returns {Object} The stored preferences
+ */
+const readPreferences = () => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+
+  if (stored) {
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      console.error("Error parsing preferences:", error);
+    }
+  }
+
+  return {};
+};
+
+/**
+ * Gets a single preference
+ * @param {string} key - The preference key
+ * @param {*} defaultValue - Value returned when the preference is not set
+ * @returns {*} The preference value
+ */
+export const getPreference = (key, defaultValue = null) => {
+  const preferences = readPreferences();
+  return key in preferences ? preferences[key] : defaultValue;
+};
+
+/**
+ * Stores a single preference
+ * @param {string} key - The preference key
+ * @param {*} value - The value to store
+ */
+export const setPreference = (key, value) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...readPreferences(), [key]: value }));
+};
+
+/**
+ * Preference keys used across the app
+ */
+export const PreferenceKeys = {
+  BOARD_WIP_LIMITS: "boardWipLimits",
+  SESSION_IDLE_MINUTES: "sessionIdleMinutes",
+  AUTO_COMPLETE_PARENTS: "autoCompleteParents",
+  TIMELINE_SCALE: "timelineScale",
+  CALENDAR_VIEW: "calendarView"
+};
+
+export default {
+  getPreference,
+  setPreference,
+  PreferenceKeys
+};
@@ -0,0 +1,303 @@
+/**
+ * Composable query builder for apperClient.fetchRecords
+ * Validates field names against FieldNames and compiles to the SDK params format:
+ *   { fields, filters, orderBy, pagingInfo }
+ * Filters compile to an object keyed by field name, where a value is either a
+ * plain value (equality) or an operator object ({ $in, $gt, $gte, $lt, $lte,
+ * $ne, $contains }), plus optional $and / $or arrays of nested filter objects.
+ *
+ * Builders are immutable; every method returns a new builder.
+ */
+
+import { FieldNames } from "./apperClient";
+
+/**
+ * Comparison operators supported in filters
+ */
+export const Operators = {
+  EQ: "$eq",
+  NE: "$ne",
+  IN: "$in",
+  GT: "$gt",
+  GTE: "$gte",
+  LT: "$lt",
+  LTE: "$lte",
+  CONTAINS: "$contains"
+};
+
+// Group keys that hold arrays of nested filter objects
+const GROUP_KEYS = ["$and", "$or"];
+
+/**
+ * Throws if a field is not defined for the entity
+ * @param {string} entity - The FieldNames key, e.g. "TASK"
+ * @param {string} field - The field name to check
+ */
+const assertField = (entity, field) => {
+  if (!Object.values(FieldNames[entity]).includes(field)) {
+    throw new Error(`Unknown field "${field}" for ${entity}`);
+  }
+};
+
+/**
+ * Compiles a list of conditions and groups into a filters object
+ * @param {Array} conditions - Entries of { field, operator, value } or { group, builders }
+ * @returns {Object} The compiled filters
+ */
+const compileConditions = (conditions) => {
+  return conditions.reduce((filters, condition) => {
+    if (condition.group) {
+      const compiled = condition.builders.map(builder => builder.build().filters);
+      return { ...filters, [condition.group]: [...(filters[condition.group] || []), ...compiled] };
+    }
+
+    const { field, operator, value } = condition;
+    const existing = filters[field];
+
+    // Plain equality when it is the only condition on the field
+    if (operator === Operators.EQ && existing === undefined) {
+      return { ...filters, [field]: value };
+    }
+
+    const operators = existing === undefined
+      ? {}
+      : existing !== null && typeof existing === "object" && !Array.isArray(existing)
+        ? existing
+        : { [Operators.EQ]: existing };
+
+    return { ...filters, [field]: { ...operators, [operator]: value } };
+  }, {});
+};
+
+/**
+ * Creates a builder around a given state
+ * @param {string} entity - The FieldNames key
+ * @param {Object} state - The builder state
+ * @returns {Object} The query builder
+ */
+const makeQuery = (entity, state) => {
+  const withState = (changes) => makeQuery(entity, { ...state, ...changes });
+
+  const addCondition = (field, operator, value) => {
+    assertField(entity, field);
+    return withState({ conditions: [...state.conditions, { field, operator, value }] });
+  };
+
+  const addGroup = (group, callbacks) => {
+    const builders = callbacks.map(callback => callback(createQuery(entity)));
+    return withState({ conditions: [...state.conditions, { group, builders }] });
+  };
+
+  return {
+    entity,
+
+    /**
+     * Limits the returned fields
+     * @param {Array<string>} fields - The field names to return
+     * @returns {Object} A new builder
+     */
+    select(fields) {
+      fields.forEach(field => assertField(entity, field));
+      return withState({ fields });
+    },
+
+    /**
+     * Adds an equality condition
+     * @param {string} field - The field name
+     * @param {*} value - The value to match
+     * @returns {Object} A new builder
+     */
+    where(field, value) {
+      return addCondition(field, Operators.EQ, value);
+    },
+
+    /**
+     * Adds an inequality condition
+     * @param {string} field - The field name
+     * @param {*} value - The value to exclude
+     * @returns {Object} A new builder
+     */
+    whereNot(field, value) {
+      return addCondition(field, Operators.NE, value);
+    },
+
+    /**
+     * Adds a condition matching any of the given values
+     * @param {string} field - The field name
+     * @param {Array} values - The accepted values
+     * @returns {Object} A new builder
+     */
+    whereIn(field, values) {
+      return addCondition(field, Operators.IN, values);
+    },
+
+    /**
+     * Adds a comparison condition
+     * @param {string} field - The field name
+     * @param {string} operator - One of $gt, $gte, $lt, $lte
+     * @param {*} value - The value to compare with
+     * @returns {Object} A new builder
+     */
+    compare(field, operator, value) {
+      if (![Operators.GT, Operators.GTE, Operators.LT, Operators.LTE].includes(operator)) {
+        throw new Error(`Unsupported comparison operator: ${operator}`);
+      }
+      return addCondition(field, operator, value);
+    },
+
+    /**
+     * Adds an inclusive range condition; either bound may be omitted
+     * @param {string} field - The field name, typically a date
+     * @param {*} from - The lower bound
+     * @param {*} to - The upper bound
+     * @returns {Object} A new builder
+     */
+    between(field, from, to) {
+      let query = withState({});
+      if (from !== undefined && from !== null && from !== "") {
+        query = query.compare(field, Operators.GTE, from);
+      }
+      if (to !== undefined && to !== null && to !== "") {
+        query = query.compare(field, Operators.LTE, to);
+      }
+      return query;
+    },
+
+    /**
+     * Adds a case-insensitive text contains condition
+     * @param {string} field - The field name
+     * @param {string} text - The text to look for
+     * @returns {Object} A new builder
+     */
+    contains(field, text) {
+      return addCondition(field, Operators.CONTAINS, text);
+    },
+
+    /**
+     * Adds a group where every sub-query must match
+     * @param {...Function} callbacks - Each receives an empty builder and returns a configured one
+     * @returns {Object} A new builder
+     */
+    and(...callbacks) {
+      return addGroup("$and", callbacks);
+    },
+
+    /**
+     * Adds a group where at least one sub-query must match
+     * @param {...Function} callbacks - Each receives an empty builder and returns a configured one
+     * @returns {Object} A new builder
+     */
+    or(...callbacks) {
+      return addGroup("$or", callbacks);
+    },
+
+    /**
+     * Adds conditions from a plain filters object, validating its field names
+     * @param {Object} filters - Filters in the compiled format
+     * @returns {Object} A new builder
+     */
+    filters(filters = {}) {
+      return Object.entries(filters).reduce((query, [key, value]) => {
+        if (GROUP_KEYS.includes(key)) {
+          const callbacks = value.map(nested => (builder) => builder.filters(nested));
+          return key === "$and" ? query.and(...callbacks) : query.or(...callbacks);
+        }
+        if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+          return Object.entries(value).reduce(
+            (inner, [operator, operand]) => inner.whereOperator(key, operator, operand),
+            query
+          );
+        }
+        return query.where(key, value);
+      }, withState({}));
+    },
+
+    /**
+     * Adds a condition with an explicit operator
+     * @param {string} field - The field name
+     * @param {string} operator - One of Operators
+     * @param {*} value - The operand
+     * @returns {Object} A new builder
+     */
+    whereOperator(field, operator, value) {
+      if (!Object.values(Operators).includes(operator)) {
+        throw new Error(`Unsupported filter operator: ${operator}`);
+      }
+      return addCondition(field, operator, value);
+    },
+
+    /**
+     * Sets the sort order; call with a list of { field, direction } or a single field
+     * @param {Array|string} fieldOrList - The sort list, or a field name
+     * @param {string} direction - "asc" or "desc" when a field name is given
+     * @returns {Object} A new builder
+     */
+    orderBy(fieldOrList, direction = "asc") {
+      const additions = Array.isArray(fieldOrList)
+        ? fieldOrList
+        : [{ field: fieldOrList, direction }];
+      additions.forEach(({ field }) => assertField(entity, field));
+      return withState({ orderBy: [...(state.orderBy || []), ...additions] });
+    },
+
+    /**
+     * Sets the paging window
+     * @param {number} limit - Maximum number of records
+     * @param {number} offset - Number of records to skip
+     * @returns {Object} A new builder
+     */
+    paginate(limit, offset = 0) {
+      return withState({ pagingInfo: { limit, offset } });
+    },
+
+    /**
+     * Fills in sort order and paging only where the query does not set them
+     * @param {Object} defaults - Default values
+     * @param {Array} defaults.orderBy - The default sort list
+     * @param {number} defaults.limit - The default limit
+     * @param {number} defaults.offset - The default offset
+     * @returns {Object} A new builder
+     */
+    withDefaults({ orderBy, limit, offset = 0 } = {}) {
+      let query = withState({});
+      if (!state.orderBy && orderBy) {
+        query = query.orderBy(orderBy);
+      }
+      if (!state.pagingInfo && limit !== undefined) {
+        query = query.paginate(limit, offset);
+      }
+      return query;
+    },
+
+    /**
+     * Compiles the query to fetchRecords params
+     * @returns {Object} The params ({ fields, filters, orderBy?, pagingInfo? })
+     */
+    build() {
+      const params = {
+        fields: state.fields || Object.values(FieldNames[entity]),
+        filters: compileConditions(state.conditions)
+      };
+      if (state.orderBy) params.orderBy = state.orderBy;
+      if (state.pagingInfo) params.pagingInfo = state.pagingInfo;
+      return params;
+    }
+  };
+};
+
+/**
+ * Starts a new query for an entity
+ * @param {string} entity - The FieldNames key, e.g. "TASK" or "PROJECT"
+ * @returns {Object} An empty query builder
+ */
+export const createQuery = (entity) => {
+  if (!FieldNames[entity]) {
+    throw new Error(`Unknown entity "${entity}"`);
+  }
+  return makeQuery(entity, { conditions: [] });
+};
+
+export default {
+  Operators,
+  createQuery
+};
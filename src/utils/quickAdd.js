@@ -0,0 +1,258 @@
+/**
+ * Parser for single-line quick-add text such as
+ *   "Pay rent next Friday !high #Finance @alex +Website"
+ *
+ * Markers pick a field by name, case-insensitively, matching on a prefix
+ * when the name is not typed in full:
+ *   !priority   #category   @assignee   +project
+ * Names with spaces can be quoted (+"Website redesign") or typed without
+ * the spaces (+WebsiteRedesign). Markers that match nothing stay in the title.
+ *
+ * One due date is read from phrases like "today", "tomorrow", "friday",
+ * "next fri", "next week", "in 3 days", "Nov 3", "3 November 2026",
+ * "11/3" (month/day) or "2026-11-03", optionally preceded by "due" or "on".
+ * A bare weekday is its next occurrence including today; "next" skips today.
+ * Bare weekdays must be spelled out so words like "sun" stay in the title.
+ */
+
+import {
+  addDays,
+  addMonths,
+  addWeeks,
+  format,
+  getDay,
+  isValid,
+  nextDay,
+  startOfDay,
+  startOfMonth,
+  startOfWeek
+} from "date-fns";
+import { FieldNames } from "./apperClient";
+
+// Marker characters and the field each one sets
+const MARKERS = {
+  "!": "priority",
+  "#": "category",
+  "@": "assignee",
+  "+": "project"
+};
+
+// Words for each day of the week, indexed by date-fns day number
+const WEEKDAYS = [
+  ["sunday", "sun"],
+  ["monday", "mon"],
+  ["tuesday", "tue", "tues"],
+  ["wednesday", "wed"],
+  ["thursday", "thu", "thur", "thurs"],
+  ["friday", "fri"],
+  ["saturday", "sat"]
+];
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+const WEEKDAY_PATTERN = WEEKDAYS.flat().sort((a, b) => b.length - a.length).join("|");
+const FULL_WEEKDAY_PATTERN = WEEKDAYS.map(names => names[0]).join("|");
+const MONTH_PATTERN = "jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?";
+const DAY_PATTERN = "(\\d{1,2})(?:st|nd|rd|th)?";
+
+/**
+ * Lowercases a name and drops everything but letters and digits
+ * @param {string} value - The name
+ * @returns {string} The comparable form
+ */
+const normalize = (value) => String(value || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Finds the option whose name matches a typed marker value
+ * Exact matches win over prefix matches.
+ * @param {string} typed - The text after the marker
+ * @param {Array} options - The options to search
+ * @param {Function} getNames - Returns the names an option can be matched by
+ * @returns {*} The matching option, or null
+ */
+const findOption = (typed, options, getNames) => {
+  const wanted = normalize(typed);
+  if (!wanted) return null;
+
+  const names = options.map(option => ({ option, names: getNames(option).map(normalize).filter(Boolean) }));
+  const exact = names.find(entry => entry.names.includes(wanted));
+  if (exact) return exact.option;
+
+  const prefix = names.find(entry => entry.names.some(name => name.startsWith(wanted)));
+  return prefix ? prefix.option : null;
+};
+
+/**
+ * Builds a date from its parts, rejecting days the month does not have
+ * @param {number} year - The full year
+ * @param {number} month - The month, 0 for January
+ * @param {number} day - The day of the month
+ * @returns {Date|null} The date, or null if it does not exist
+ */
+const makeDate = (year, month, day) => {
+  const date = new Date(year, month, day);
+  return isValid(date) && date.getMonth() === month && date.getDate() === day ? date : null;
+};
+
+/**
+ * Builds a date without a year, rolling over to next year once it has passed
+ * @param {Date} today - The current day
+ * @param {number} month - The month, 0 for January
+ * @param {number} day - The day of the month
+ * @param {string} year - The typed year, if any
+ * @returns {Date|null} The date, or null if it does not exist
+ */
+const makeUpcomingDate = (today, month, day, year) => {
+  if (year) return makeDate(Number(year), month, day);
+
+  const thisYear = makeDate(today.getFullYear(), month, day);
+  return thisYear && thisYear >= today ? thisYear : makeDate(today.getFullYear() + 1, month, day);
+};
+
+/**
+ * Finds the day of the week a word names
+ * @param {string} word - The typed word
+ * @returns {number} The date-fns day number
+ */
+const weekdayOf = (word) => WEEKDAYS.findIndex(names => names.includes(word.toLowerCase()));
+
+/**
+ * Due date phrases, tried in order; each turns its match into a date
+ */
+const datePatterns = [
+  {
+    pattern: new RegExp("(\\d{4})-(\\d{2})-(\\d{2})", "i"),
+    toDate: (match) => makeDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+  },
+  {
+    pattern: new RegExp(`(${MONTH_PATTERN})\\.?\\s+${DAY_PATTERN}(?:,?\\s+(\\d{4}))?`, "i"),
+    toDate: (match, today) => makeUpcomingDate(today, MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()), Number(match[2]), match[3])
+  },
+  {
+    pattern: new RegExp(`${DAY_PATTERN}\\s+(${MONTH_PATTERN})\\.?(?:,?\\s+(\\d{4}))?`, "i"),
+    toDate: (match, today) => makeUpcomingDate(today, MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()), Number(match[1]), match[3])
+  },
+  {
+    pattern: /(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?/,
+    toDate: (match, today) => makeUpcomingDate(today, Number(match[1]) - 1, Number(match[2]), match[3])
+  },
+  {
+    pattern: /in\s+(\d+)\s+(day|week|month)s?/i,
+    toDate: (match, today) => {
+      const amount = Number(match[1]);
+      const unit = match[2].toLowerCase();
+      return unit === "day" ? addDays(today, amount) : unit === "week" ? addWeeks(today, amount) : addMonths(today, amount);
+    }
+  },
+  {
+    pattern: /today/i,
+    toDate: (match, today) => today
+  },
+  {
+    pattern: /(?:tomorrow|tmrw?)/i,
+    toDate: (match, today) => addDays(today, 1)
+  },
+  {
+    pattern: /next\s+week/i,
+    toDate: (match, today) => startOfWeek(addWeeks(today, 1), { weekStartsOn: 1 })
+  },
+  {
+    pattern: /next\s+month/i,
+    toDate: (match, today) => startOfMonth(addMonths(today, 1))
+  },
+  {
+    pattern: /(?:this\s+)?weekend/i,
+    toDate: (match, today) => (getDay(today) === 6 ? today : nextDay(today, 6))
+  },
+  {
+    pattern: new RegExp(`next\\s+(${WEEKDAY_PATTERN})`, "i"),
+    toDate: (match, today) => nextDay(today, weekdayOf(match[1]))
+  },
+  {
+    pattern: new RegExp(`(?:this\\s+)?(${FULL_WEEKDAY_PATTERN})`, "i"),
+    toDate: (match, today) => {
+      const day = weekdayOf(match[1]);
+      return getDay(today) === day ? today : nextDay(today, day);
+    }
+  }
+];
+
+/**
+ * Finds the first due date phrase in a text
+ * @param {string} text - The text to search
+ * @param {Date} today - The current day
+ * @returns {Object|null} { date, text } where text is the phrase that was matched, or null
+ */
+const findDueDate = (text, today) => {
+  for (const { pattern, toDate } of datePatterns) {
+    // Phrases must be whole words, optionally introduced by "due" or "on"
+    const wordPattern = new RegExp(`(?:^|\\s)((?:due\\s+|on\\s+)?(?:${pattern.source}))(?=$|[\\s,.;!?])`, pattern.flags);
+    const match = text.match(wordPattern);
+    if (!match) continue;
+
+    const inner = match[1].replace(/^(?:due|on)\s+/i, "").match(pattern);
+    const date = inner && toDate(inner, today);
+    if (date) return { date, text: match[1] };
+  }
+  return null;
+};
+
+/**
+ * Parses quick-add text into task fields
+ * @param {string} text - The typed text
+ * @param {Object} options - What markers can refer to
+ * @param {Array<string>} options.priorities - Priority names
+ * @param {Array<Object>} options.categories - category1 records
+ * @param {Array<Object>} options.users - User1 records
+ * @param {Array<Object>} options.projects - project1 records
+ * @param {Date} options.today - The current date
+ * @returns {Object} { title, dueDate (yyyy-MM-dd or null), priority, category, assignee, project, unmatched }
+ */
+export const parseQuickAdd = (text, { priorities = [], categories = [], users = [], projects = [], today = new Date() } = {}) => {
+  const result = {
+    title: "",
+    dueDate: null,
+    priority: null,
+    category: null,
+    assignee: null,
+    project: null,
+    unmatched: []
+  };
+
+  const resolvers = {
+    priority: (typed) => findOption(typed, priorities, priority => [priority]),
+    category: (typed) => findOption(typed, categories, category => [category[FieldNames.CATEGORY.NAME]]),
+    assignee: (typed) => findOption(typed, users, user => {
+      const name = user[FieldNames.USER.NAME] || "";
+      const email = user[FieldNames.USER.EMAIL] || "";
+      return [name, name.split(/\s+/)[0], email.split("@")[0]];
+    }),
+    project: (typed) => findOption(typed, projects, project => [project[FieldNames.PROJECT.NAME]])
+  };
+
+  // Take out the markers; the last one of each kind wins
+  let remaining = text.replace(/(^|\s)([!#@+])(?:"([^"]+)"|(\S+))/g, (token, space, marker, quoted, word) => {
+    const field = MARKERS[marker];
+    const typed = quoted ?? word;
+    const value = resolvers[field](typed);
+    if (!value) {
+      result.unmatched.push(token.trim());
+      return token;
+    }
+    result[field] = value;
+    return space;
+  });
+
+  const dueDate = findDueDate(remaining, startOfDay(today));
+  if (dueDate) {
+    result.dueDate = format(dueDate.date, "yyyy-MM-dd");
+    remaining = remaining.replace(dueDate.text, " ");
+  }
+
+  result.title = remaining.replace(/\s+/g, " ").trim();
+  return result;
+};
+
+export default {
+  parseQuickAdd
+};
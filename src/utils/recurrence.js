@@ -0,0 +1,188 @@
+/**
+ * Recurrence rules for repeating tasks
+ * A rule is stored on the task's recurrence field as JSON, e.g.
+ *   { "frequency": "weekly", "days": [1, 4] }
+ * Days of the week use date-fns numbering: 0 is Sunday, 6 is Saturday.
+ */
+
+import { addDays, addMonths, format, getDay, getDaysInMonth, setDate, startOfDay } from "date-fns";
+import { FieldNames } from "./apperClient";
+import { getDueDate } from "./taskFilters";
+
+/**
+ * Supported recurrence frequencies
+ */
+export const RecurrenceFrequencies = {
+  DAILY: "daily",
+  WEEKDAYS: "weekdays",
+  // On the rule's days of the week
+  WEEKLY: "weekly",
+  // On the rule's day of the month, clamped to short months
+  MONTHLY: "monthly",
+  // Every rule.interval days
+  INTERVAL: "interval"
+};
+
+// Short weekday names indexed by date-fns day number
+export const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Checks a rule for the settings its frequency needs
+ * @param {Object} rule - The recurrence rule
+ * @returns {string|null} An error message, or null if the rule is valid
+ */
+export const validateRecurrence = (rule) => {
+  if (!rule) return null;
+
+  switch (rule.frequency) {
+    case RecurrenceFrequencies.DAILY:
+    case RecurrenceFrequencies.WEEKDAYS:
+      return null;
+    case RecurrenceFrequencies.WEEKLY:
+      return Array.isArray(rule.days) && rule.days.length > 0 && rule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)
+        ? null
+        : "Choose at least one day of the week";
+    case RecurrenceFrequencies.MONTHLY:
+      return Number.isInteger(rule.dayOfMonth) && rule.dayOfMonth >= 1 && rule.dayOfMonth <= 31
+        ? null
+        : "Day of the month must be between 1 and 31";
+    case RecurrenceFrequencies.INTERVAL:
+      return Number.isInteger(rule.interval) && rule.interval >= 1
+        ? null
+        : "Repeat interval must be at least 1 day";
+    default:
+      return `Unknown recurrence frequency "${rule.frequency}"`;
+  }
+};
+
+/**
+ * Reads a task's recurrence rule
+ * @param {string|Object|null} value - The stored recurrence value
+ * @returns {Object|null} The rule, or null if the task does not repeat or the rule is invalid
+ */
+export const parseRecurrence = (value) => {
+  if (!value) return null;
+
+  let rule = value;
+  if (typeof value === "string") {
+    try {
+      rule = JSON.parse(value);
+    } catch (error) {
+      console.error("Error parsing recurrence rule:", error);
+      return null;
+    }
+  }
+
+  return validateRecurrence(rule) === null ? rule : null;
+};
+
+/**
+ * Converts a rule to the value stored on the task
+ * @param {Object|null} rule - The recurrence rule
+ * @returns {string|null} The JSON string, or null to stop repeating
+ */
+export const serializeRecurrence = (rule) => {
+  return rule ? JSON.stringify(rule) : null;
+};
+
+/**
+ * Reads the recurrence rule of a task
+ * @param {Object} task - The task record
+ * @returns {Object|null} The rule, or null if the task does not repeat
+ */
+export const getTaskRecurrence = (task) => {
+  return parseRecurrence(task?.[FieldNames.TASK.RECURRENCE]);
+};
+
+/**
+ * Finds the first day after a date whose weekday is in a set
+ * Every weekday comes up within a week, so a set that matches none of them is rejected.
+ * @param {Date} date - The date to start after
+ * @param {Array<number>} days - Accepted days of the week
+ * @returns {Date} The next matching date
+ */
+const nextMatchingDay = (date, days) => {
+  for (let offset = 1; offset <= 7; offset++) {
+    const next = addDays(date, offset);
+    if (days.includes(getDay(next))) return next;
+  }
+  throw new Error("Choose at least one day of the week");
+};
+
+/**
+ * Computes the due date of the next occurrence
+ * @param {Object} rule - The recurrence rule
+ * @param {Date} fromDate - The current occurrence's due date
+ * @returns {Date} The next due date, always after fromDate
+ */
+export const getNextOccurrence = (rule, fromDate) => {
+  const date = startOfDay(fromDate);
+
+  switch (rule.frequency) {
+    case RecurrenceFrequencies.DAILY:
+      return addDays(date, 1);
+    case RecurrenceFrequencies.WEEKDAYS:
+      return nextMatchingDay(date, [1, 2, 3, 4, 5]);
+    case RecurrenceFrequencies.WEEKLY:
+      return nextMatchingDay(date, rule.days);
+    case RecurrenceFrequencies.MONTHLY: {
+      const inMonth = (month) => setDate(month, Math.min(rule.dayOfMonth, getDaysInMonth(month)));
+      const thisMonth = inMonth(date);
+      return thisMonth > date ? thisMonth : inMonth(addMonths(setDate(date, 1), 1));
+    }
+    case RecurrenceFrequencies.INTERVAL:
+      return addDays(date, rule.interval);
+    default:
+      throw new Error(`Unknown recurrence frequency "${rule.frequency}"`);
+  }
+};
+
+/**
+ * Computes the due date for the task that follows a completed recurring task
+ * Tasks without a due date repeat from the day they are completed.
+ * @param {Object} task - The completed task
+ * @param {Date} now - The current date
+ * @returns {string|null} The next due date as yyyy-MM-dd, or null if the task does not repeat
+ */
+export const getNextDueDate = (task, now = new Date()) => {
+  const rule = getTaskRecurrence(task);
+  if (!rule) return null;
+
+  return format(getNextOccurrence(rule, getDueDate(task) || now), "yyyy-MM-dd");
+};
+
+/**
+ * Describes a rule in words
+ * @param {Object|null} rule - The recurrence rule
+ * @returns {string} A short description, e.g. "Weekly on Mon, Thu"
+ */
+export const describeRecurrence = (rule) => {
+  if (!rule) return "Does not repeat";
+
+  switch (rule.frequency) {
+    case RecurrenceFrequencies.DAILY:
+      return "Daily";
+    case RecurrenceFrequencies.WEEKDAYS:
+      return "Every weekday";
+    case RecurrenceFrequencies.WEEKLY:
+      return `Weekly on ${[...rule.days].sort().map(day => WEEKDAY_NAMES[day]).join(", ")}`;
+    case RecurrenceFrequencies.MONTHLY:
+      return `Monthly on day ${rule.dayOfMonth}`;
+    case RecurrenceFrequencies.INTERVAL:
+      return rule.interval === 1 ? "Daily" : `Every ${rule.interval} days`;
+    default:
+      return "Repeats";
+  }
+};
+
+export default {
+  RecurrenceFrequencies,
+  WEEKDAY_NAMES,
+  validateRecurrence,
+  parseRecurrence,
+  serializeRecurrence,
+  getTaskRecurrence,
+  getNextOccurrence,
+  getNextDueDate,
+  describeRecurrence
+};
@@ -0,0 +1,57 @@
+/**
+ * Helpers for tasks nested under a parent task through the parent_task lookup
+ */
+
+import { FieldNames, getLookupId } from "./apperClient";
+import { isTaskCompleted } from "./taskFilters";
+
+/**
+ * Returns the Id of a task's parent
+ * @param {Object} task - The task record
+ * @returns {number|null} The parent's Id, or null for a top-level task
+ */
+export const getParentId = (task) => {
+  return getLookupId(task[FieldNames.TASK.PARENT_TASK]);
+};
+
+/**
+ * Groups tasks under their parents
+ * A subtask whose parent is not in the list is treated as top-level, so
+ * filtering out a parent never hides its children.
+ * @param {Array} tasks - The tasks to group, already in display order
+ * @returns {Object} { topLevel, childrenByParent } where childrenByParent maps parent Id to subtasks
+ */
+export const groupSubtasks = (tasks) => {
+  const ids = new Set(tasks.map(task => task.Id));
+  const childrenByParent = new Map();
+  const topLevel = [];
+
+  tasks.forEach(task => {
+    const parentId = getParentId(task);
+    if (parentId !== null && parentId !== task.Id && ids.has(parentId)) {
+      childrenByParent.set(parentId, [...(childrenByParent.get(parentId) || []), task]);
+    } else {
+      topLevel.push(task);
+    }
+  });
+
+  return { topLevel, childrenByParent };
+};
+
+/**
+ * Counts completed subtasks
+ * @param {Array} subtasks - A parent's subtasks
+ * @returns {Object} { done, total }
+ */
+export const getRollup = (subtasks = []) => {
+  return {
+    done: subtasks.filter(isTaskCompleted).length,
+    total: subtasks.length
+  };
+};
+
+export default {
+  getParentId,
+  groupSubtasks,
+  getRollup
+};
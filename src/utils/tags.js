@@ -0,0 +1,126 @@
+/**
+ * Free-form task tags
+ * A task's Tags field holds its tags as a comma-separated string such as
+ * "urgent,client review". Tags are compared case-insensitively.
+ */
+
+import { FieldNames } from "./apperClient";
+
+/**
+ * How a tag filter combines several tags
+ */
+export const TagMatchModes = {
+  // The task has at least one of the tags
+  ANY: "any",
+  // The task has every tag
+  ALL: "all"
+};
+
+/**
+ * Cleans up a typed tag
+ * Commas separate tags in storage, so they cannot be part of one.
+ * @param {string} value - The typed tag
+ * @returns {string} The tag, or an empty string if nothing is left
+ */
+export const normalizeTag = (value) => {
+  return String(value || "").replace(/,/g, " ").replace(/\s+/g, " ").trim();
+};
+
+/**
+ * Key used to compare tags regardless of case
+ * @param {string} tag - The tag
+ * @returns {string} The comparable form
+ */
+export const tagKey = (tag) => normalizeTag(tag).toLowerCase();
+
+/**
+ * Drops empty and repeated tags, keeping the first spelling of each
+ * @param {Array<string>} tags - The tags
+ * @returns {Array<string>} The unique tags
+ */
+export const uniqueTags = (tags) => {
+  const seen = new Set();
+  return tags.map(normalizeTag).filter(tag => {
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Reads a task's tags
+ * @param {Object} task - The task record
+ * @returns {Array<string>} The tags
+ */
+export const getTaskTags = (task) => {
+  const value = task?.[FieldNames.TASK.TAGS];
+  if (!value) return [];
+
+  return uniqueTags(Array.isArray(value) ? value : String(value).split(","));
+};
+
+/**
+ * Converts tags to the value stored on the task
+ * @param {Array<string>} tags - The tags
+ * @returns {string|null} The stored value, or null when there are no tags
+ */
+export const serializeTags = (tags) => {
+  const unique = uniqueTags(tags);
+  return unique.length > 0 ? unique.join(",") : null;
+};
+
+/**
+ * Checks a task against a tag filter
+ * @param {Object} task - The task record
+ * @param {Array<string>} tags - The tags to look for
+ * @param {string} mode - One of TagMatchModes
+ * @returns {boolean} True if the task matches, or if no tags are given
+ */
+export const matchesTags = (task, tags, mode = TagMatchModes.ANY) => {
+  const wanted = uniqueTags(tags).map(tagKey);
+  if (wanted.length === 0) return true;
+
+  const taskTags = new Set(getTaskTags(task).map(tagKey));
+  return mode === TagMatchModes.ALL
+    ? wanted.every(tag => taskTags.has(tag))
+    : wanted.some(tag => taskTags.has(tag));
+};
+
+/**
+ * Counts how many tasks use each tag
+ * @param {Array} tasks - The task records
+ * @returns {Array<Object>} { name, count } for each tag, most used first
+ */
+export const countTagUsage = (tasks) => {
+  const usage = new Map();
+  tasks.forEach(task => {
+    getTaskTags(task).forEach(tag => {
+      const key = tagKey(tag);
+      const entry = usage.get(key) || { name: tag, count: 0 };
+      entry.count += 1;
+      usage.set(key, entry);
+    });
+  });
+
+  return [...usage.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+/**
+ * Reads the tags of a tag filter from its URL value
+ * @param {string} value - The tags parameter, e.g. "urgent,client review"
+ * @returns {Array<string>} The tags
+ */
+export const parseTagFilter = (value) => uniqueTags(String(value || "").split(","));
+
+export default {
+  TagMatchModes,
+  normalizeTag,
+  tagKey,
+  uniqueTags,
+  getTaskTags,
+  serializeTags,
+  matchesTags,
+  countTagUsage,
+  parseTagFilter
+};
@@ -0,0 +1,324 @@
+import { parseISO, isValid, startOfDay, endOfWeek, isBefore, isAfter, addDays, format } from "date-fns";
+import { FieldNames, getLookupId } from "./apperClient";
+import { createQuery, Operators } from "./queryBuilder";
+import { TagMatchModes, matchesTags, parseTagFilter } from "./tags";
+
+/**
+ * Query string parameters understood by the task list
+ */
+export const TaskFilterParams = {
+  STATUS: "status",
+  PRIORITY: "priority",
+  ASSIGNEE: "assignee",
+  PROJECT: "project",
+  CATEGORY: "category",
+  // Comma-separated tags, combined as set by TAG_MODE
+  TAGS: "tags",
+  TAG_MODE: "tagMode",
+  DUE: "due",
+  // Inclusive due date range as yyyy-MM-dd
+  DUE_FROM: "dueFrom",
+  DUE_TO: "dueTo",
+  // Text searched in titles and descriptions
+  TEXT: "q"
+};
+
+/**
+ * Status filter values beyond the task statuses themselves
+ */
+export const StatusFilters = {
+  // Any status except Completed
+  OPEN: "open"
+};
+
+/**
+ * Assignee filter values beyond user Ids
+ */
+export const AssigneeFilters = {
+  // Whoever is viewing the list, so shared links and saved views follow the viewer
+  ME: "me"
+};
+
+/**
+ * Query string parameter holding the task list's sort keys, see utils/taskSort.js
+ */
+export const SORT_PARAM = "sort";
+
+/**
+ * Query string parameter holding the field the task list is grouped by
+ */
+export const GROUP_PARAM = "group";
+
+/**
+ * Due date buckets usable in the "due" filter
+ */
+export const DueFilters = {
+  OVERDUE: "overdue",
+  THIS_WEEK: "week"
+};
+
+/**
+ * Parses a task's due date into a local Date
+ * @param {Object} task - The task record
+ * @returns {Date|null} The due date, or null if not set
+ */
+export const getDueDate = (task) => {
+  const value = task[FieldNames.TASK.DUE_DATE];
+  if (!value) return null;
+
+  const date = parseISO(value);
+  return isValid(date) ? date : null;
+};
+
+/**
+ * Returns the User1 Id a task is assigned to
+ * @param {Object} task - The task record
+ * @returns {number|null} The assignee's Id, or null if unassigned
+ */
+export const getAssigneeId = (task) => {
+  return getLookupId(task[FieldNames.TASK.ASSIGNED_TO]);
+};
+
+/**
+ * Checks if a task is completed
+ * @param {Object} task - The task record
+ * @returns {boolean} True if the task's status is Completed
+ */
+export const isTaskCompleted = (task) => {
+  return task[FieldNames.TASK.STATUS] === "Completed";
+};
+
+/**
+ * Checks if an open task is past its due date
+ * @param {Object} task - The task record
+ * @param {Date} now - The reference date
+ * @returns {boolean} True if the task is overdue
+ */
+export const isOverdue = (task, now = new Date()) => {
+  const dueDate = getDueDate(task);
+  return !!dueDate && !isTaskCompleted(task) && isBefore(dueDate, startOfDay(now));
+};
+
+/**
+ * Checks if an open task is due between today and the end of the current week
+ * @param {Object} task - The task record
+ * @param {Date} now - The reference date
+ * @returns {boolean} True if the task is due this week
+ */
+export const isDueThisWeek = (task, now = new Date()) => {
+  const dueDate = getDueDate(task);
+  return !!dueDate &&
+    !isTaskCompleted(task) &&
+    !isBefore(dueDate, startOfDay(now)) &&
+    !isAfter(dueDate, endOfWeek(now));
+};
+
+/**
+ * Reads task filters from URL search params
+ * @param {URLSearchParams} searchParams - The current search params
+ * @returns {Object} The active filters, keyed by TaskFilterParams values
+ */
+export const readTaskFilters = (searchParams) => {
+  return Object.values(TaskFilterParams).reduce((filters, param) => {
+    const value = searchParams.get(param);
+    if (value) {
+      filters[param] = value;
+    }
+    return filters;
+  }, {});
+};
+
+/**
+ * Serializes the filters, sort order and grouping of the task list in a stable order
+ * Other parameters are dropped, so equal views always give equal strings.
+ * @param {URLSearchParams} searchParams - The current search params
+ * @returns {string} The query string without a leading "?"
+ */
+export const serializeTaskListQuery = (searchParams) => {
+  const known = [...Object.values(TaskFilterParams), SORT_PARAM, GROUP_PARAM];
+  const entries = known
+    .filter(param => searchParams.get(param))
+    .sort()
+    .map(param => [param, searchParams.get(param)]);
+  return new URLSearchParams(entries).toString();
+};
+
+/**
+ * Builds a task list URL for the given filters
+ * @param {Object} filters - Filters keyed by TaskFilterParams values
+ * @returns {string} The URL of the filtered task list
+ */
+export const buildTaskListUrl = (filters = {}) => {
+  const searchParams = new URLSearchParams();
+
+  Object.entries(filters).forEach(([param, value]) => {
+    if (value !== undefined && value !== null && value !== "") {
+      searchParams.set(param, value);
+    }
+  });
+
+  const query = searchParams.toString();
+  return query ? `/tasks?${query}` : "/tasks";
+};
+
+/**
+ * Checks a task's title and description for a text, ignoring case
+ * @param {Object} task - The task record
+ * @param {string} text - The text to look for
+ * @returns {boolean} True if either field contains the text
+ */
+export const matchesText = (task, text) => {
+  const wanted = String(text || "").trim().toLowerCase();
+  if (!wanted) return true;
+
+  return [FieldNames.TASK.TITLE, FieldNames.TASK.DESCRIPTION].some(field =>
+    String(task[field] || "").toLowerCase().includes(wanted)
+  );
+};
+
+/**
+ * Checks if a task is due within an inclusive date range
+ * @param {Object} task - The task record
+ * @param {string} from - The first day as yyyy-MM-dd, or empty for no lower bound
+ * @param {string} to - The last day as yyyy-MM-dd, or empty for no upper bound
+ * @returns {boolean} True if the task has a due date inside the range
+ */
+export const isDueBetween = (task, from, to) => {
+  const value = task[FieldNames.TASK.DUE_DATE];
+  if (!value) return false;
+
+  const day = String(value).slice(0, 10);
+  return (!from || day >= from) && (!to || day <= to);
+};
+
+/**
+ * Formats a date as the yyyy-MM-dd key due dates are compared with
+ * @param {Date} date - The date
+ * @returns {string} The day key
+ */
+const toDayKey = (date) => format(date, "yyyy-MM-dd");
+
+/**
+ * Builds the task query for a set of filters, so the backend filters every task and not just a loaded page
+ * Due date bounds are exclusive of the next day, which also matches due dates with a time part.
+ * Tags are matched by text, so the results are a superset that applyTaskFilters narrows to whole tags.
+ * @param {Object} filters - Filters keyed by TaskFilterParams values
+ * @param {Object} options - Query options
+ * @param {number} options.currentUserId - The viewer's User1 Id, for the "me" assignee filter
+ * @param {Set<number>|Array<number>} options.projectTaskIds - The tasks of the filtered project, once resolved
+ * @returns {Object} A task query builder
+ */
+export const buildTaskQuery = (filters = {}, { currentUserId = null, projectTaskIds = null } = {}) => {
+  const today = startOfDay(new Date());
+  const dueBefore = (date) => (builder) => builder.compare(FieldNames.TASK.DUE_DATE, Operators.LT, toDayKey(date));
+  const dueFrom = (date) => (builder) => builder.compare(FieldNames.TASK.DUE_DATE, Operators.GTE, toDayKey(date));
+  let query = createQuery("TASK");
+
+  if (filters.status === StatusFilters.OPEN) {
+    query = query.whereNot(FieldNames.TASK.STATUS, "Completed");
+  } else if (filters.status) {
+    query = query.where(FieldNames.TASK.STATUS, filters.status);
+  }
+  if (filters.priority) {
+    query = query.where(FieldNames.TASK.PRIORITY, filters.priority);
+  }
+  if (filters.assignee) {
+    const assignee = filters.assignee === AssigneeFilters.ME ? currentUserId : filters.assignee;
+    // "Me" before the viewer's user record is known matches nothing
+    query = assignee
+      ? query.where(FieldNames.TASK.ASSIGNED_TO, Number(assignee))
+      : query.whereIn(FieldNames.TASK.ID, []);
+  }
+  if (filters.category) {
+    query = query.where(FieldNames.TASK.CATEGORY, Number(filters.category));
+  }
+
+  // Each due date bound and $or group is nested in $and, so they do not replace or widen each other
+  const tags = parseTagFilter(filters.tags);
+  if (tags.length > 0) {
+    const tagConditions = tags.map(tag => (builder) => builder.contains(FieldNames.TASK.TAGS, tag));
+    query = filters.tagMode === TagMatchModes.ALL
+      ? query.and(...tagConditions)
+      : query.and((builder) => builder.or(...tagConditions));
+  }
+
+  if (filters.due === DueFilters.OVERDUE) {
+    query = query.whereNot(FieldNames.TASK.STATUS, "Completed").and(dueBefore(today));
+  } else if (filters.due === DueFilters.THIS_WEEK) {
+    query = query
+      .whereNot(FieldNames.TASK.STATUS, "Completed")
+      .and(dueFrom(today), dueBefore(addDays(endOfWeek(today), 1)));
+  }
+  if (filters.dueFrom && isValid(parseISO(filters.dueFrom))) {
+    query = query.and(dueFrom(parseISO(filters.dueFrom)));
+  }
+  if (filters.dueTo && isValid(parseISO(filters.dueTo))) {
+    query = query.and(dueBefore(addDays(parseISO(filters.dueTo), 1)));
+  }
+
+  const text = String(filters.q || "").trim();
+  if (text) {
+    query = query.and((builder) => builder.or(
+      (inner) => inner.contains(FieldNames.TASK.TITLE, text),
+      (inner) => inner.contains(FieldNames.TASK.DESCRIPTION, text)
+    ));
+  }
+
+  if (filters.project && projectTaskIds) {
+    query = query.whereIn(FieldNames.TASK.ID, [...projectTaskIds]);
+  }
+
+  return query;
+};
+
+/**
+ * Applies filters to a list of tasks
+ * The project filter is not handled here because it needs the task_project table.
+ * @param {Array} tasks - The tasks to filter
+ * @param {Object} filters - Filters keyed by TaskFilterParams values
+ * @param {Object} options - Filter options
+ * @param {number} options.currentUserId - The viewer's User1 Id, for the "me" assignee filter
+ * @returns {Array} The matching tasks
+ */
+export const applyTaskFilters = (tasks, filters = {}, { currentUserId = null } = {}) => {
+  const now = new Date();
+  const assignee = filters.assignee === AssigneeFilters.ME ? currentUserId : filters.assignee;
+
+  return tasks.filter(task => {
+    if (filters.status === StatusFilters.OPEN) {
+      if (isTaskCompleted(task)) return false;
+    } else if (filters.status && task[FieldNames.TASK.STATUS] !== filters.status) {
+      return false;
+    }
+    if (filters.priority && task[FieldNames.TASK.PRIORITY] !== filters.priority) return false;
+    if (filters.assignee && String(getAssigneeId(task)) !== String(assignee)) return false;
+    if (filters.category && String(getLookupId(task[FieldNames.TASK.CATEGORY])) !== String(filters.category)) return false;
+    if (filters.tags && !matchesTags(task, parseTagFilter(filters.tags), filters.tagMode || TagMatchModes.ANY)) return false;
+    if (filters.due === DueFilters.OVERDUE && !isOverdue(task, now)) return false;
+    if (filters.due === DueFilters.THIS_WEEK && !isDueThisWeek(task, now)) return false;
+    if ((filters.dueFrom || filters.dueTo) && !isDueBetween(task, filters.dueFrom, filters.dueTo)) return false;
+    if (filters.q && !matchesText(task, filters.q)) return false;
+    return true;
+  });
+};
+
+export default {
+  TaskFilterParams,
+  StatusFilters,
+  AssigneeFilters,
+  SORT_PARAM,
+  GROUP_PARAM,
+  DueFilters,
+  getDueDate,
+  getAssigneeId,
+  isTaskCompleted,
+  isOverdue,
+  isDueThisWeek,
+  readTaskFilters,
+  serializeTaskListQuery,
+  buildTaskListUrl,
+  matchesText,
+  isDueBetween,
+  buildTaskQuery,
+  applyTaskFilters
+};
@@ -0,0 +1,378 @@
+import { parseISO, isValid, startOfDay, endOfDay, endOfWeek, isBefore, isAfter } from "date-fns";
+import { FieldNames, PicklistValues } from "./apperClient";
+import { getDueDate, getAssigneeId, isTaskCompleted } from "./taskFilters";
+
+/**
+ * Fields the task list can be sorted by
+ */
+export const SortKeys = {
+  // Record Ids are assigned in creation order
+  CREATED: "created",
+  PRIORITY: "priority",
+  DUE_DATE: "due",
+  TITLE: "title",
+  STATUS: "status",
+  ASSIGNEE: "assignee",
+  MODIFIED: "modified"
+};
+
+/**
+ * Directions of a sort key
+ */
+export const SortDirections = {
+  ASC: "asc",
+  DESC: "desc"
+};
+
+/**
+ * Labels of the sort keys, in the order they are offered
+ */
+export const SortKeyLabels = {
+  [SortKeys.CREATED]: "Created",
+  [SortKeys.PRIORITY]: "Priority",
+  [SortKeys.DUE_DATE]: "Due date",
+  [SortKeys.TITLE]: "Title",
+  [SortKeys.STATUS]: "Status",
+  [SortKeys.ASSIGNEE]: "Assignee",
+  [SortKeys.MODIFIED]: "Last updated"
+};
+
+/**
+ * Direction a sort key starts with when added, e.g. high priority and recent changes first
+ */
+export const DefaultSortDirections = {
+  [SortKeys.CREATED]: SortDirections.DESC,
+  [SortKeys.PRIORITY]: SortDirections.DESC,
+  [SortKeys.DUE_DATE]: SortDirections.ASC,
+  [SortKeys.TITLE]: SortDirections.ASC,
+  [SortKeys.STATUS]: SortDirections.ASC,
+  [SortKeys.ASSIGNEE]: SortDirections.ASC,
+  [SortKeys.MODIFIED]: SortDirections.DESC
+};
+
+/**
+ * Order of the task list when the URL has no sort param: newest first
+ */
+export const DEFAULT_SORT = [{ key: SortKeys.CREATED, direction: SortDirections.DESC }];
+
+// Sort values written by earlier versions of the task list, kept working for saved views and links
+const LEGACY_SORTS = {
+  newest: DEFAULT_SORT,
+  oldest: [{ key: SortKeys.CREATED, direction: SortDirections.ASC }]
+};
+
+/**
+ * Parses a sort param such as "priority:desc,due:asc"
+ * Unknown keys are dropped and a key given twice only counts the first time.
+ * @param {string} value - The sort param
+ * @returns {Array<Object>} { key, direction } entries, most significant first
+ */
+export const parseTaskSort = (value) => {
+  if (!value) return DEFAULT_SORT;
+  if (LEGACY_SORTS[value]) return LEGACY_SORTS[value];
+
+  const keys = Object.values(SortKeys);
+  const sort = String(value).split(",").reduce((entries, part) => {
+    const [key, direction] = part.trim().split(":");
+    if (keys.includes(key) && !entries.some(entry => entry.key === key)) {
+      entries.push({
+        key,
+        direction: direction === SortDirections.ASC || direction === SortDirections.DESC
+          ? direction
+          : DefaultSortDirections[key]
+      });
+    }
+    return entries;
+  }, []);
+
+  return sort.length > 0 ? sort : DEFAULT_SORT;
+};
+
+/**
+ * Serializes sort entries into a sort param
+ * @param {Array<Object>} sort - { key, direction } entries
+ * @returns {string} The sort param, or an empty string for the default order
+ */
+export const serializeTaskSort = (sort) => {
+  const format = (entries) => entries.map(({ key, direction }) => `${key}:${direction}`).join(",");
+  const value = format(sort);
+  return value === format(DEFAULT_SORT) ? "" : value;
+};
+
+// Backend fields of the keys it can sort by. Priority and status sort in picklist
+// order and assignees by name, which only the browser can do.
+const ORDER_BY_FIELDS = {
+  [SortKeys.CREATED]: FieldNames.TASK.ID,
+  [SortKeys.DUE_DATE]: FieldNames.TASK.DUE_DATE,
+  [SortKeys.TITLE]: FieldNames.TASK.TITLE,
+  [SortKeys.MODIFIED]: FieldNames.TASK.MODIFIED_ON
+};
+
+/**
+ * Converts sort entries to a fetchRecords orderBy list, so pages arrive in the order they are shown
+ * Ties fall back to newest first, as in sortTasks.
+ * @param {Array<Object>} sort - { key, direction } entries
+ * @returns {Array<Object>|null} { field, direction } entries, or null if a key can only be sorted in the browser
+ */
+export const toTaskOrderBy = (sort) => {
+  if (!sort.every(entry => ORDER_BY_FIELDS[entry.key])) return null;
+
+  const orderBy = sort.map(({ key, direction }) => ({ field: ORDER_BY_FIELDS[key], direction }));
+  return sort.some(entry => entry.key === SortKeys.CREATED)
+    ? orderBy
+    : [...orderBy, { field: FieldNames.TASK.ID, direction: SortDirections.DESC }];
+};
+
+/**
+ * Position of a picklist value, so priorities and statuses sort in their logical order
+ * @param {Array<string>} picklist - The picklist values in logical order
+ * @param {string} value - The value
+ * @returns {number|null} The position, or null if the value is empty or unknown
+ */
+const picklistRank = (picklist, value) => {
+  const index = picklist.indexOf(value);
+  return index === -1 ? null : index;
+};
+
+/**
+ * Reads the value a task is sorted by for one key
+ * @param {Object} task - The task record
+ * @param {string} key - A SortKeys value
+ * @param {Function} getAssigneeName - Resolves a task's assignee name
+ * @returns {number|string|null} The value, or null if the task has none
+ */
+const getSortValue = (task, key, getAssigneeName) => {
+  switch (key) {
+    case SortKeys.PRIORITY:
+      return picklistRank(PicklistValues.TASK_PRIORITY, task[FieldNames.TASK.PRIORITY]);
+    case SortKeys.STATUS:
+      return picklistRank(PicklistValues.TASK_STATUS, task[FieldNames.TASK.STATUS]);
+    case SortKeys.DUE_DATE:
+      return getDueDate(task)?.getTime() ?? null;
+    case SortKeys.TITLE:
+      return String(task[FieldNames.TASK.TITLE] || "").trim().toLowerCase() || null;
+    case SortKeys.ASSIGNEE:
+      return String(getAssigneeName(task) || "").trim().toLowerCase() || null;
+    case SortKeys.MODIFIED: {
+      const modifiedOn = task[FieldNames.TASK.MODIFIED_ON] ? parseISO(task[FieldNames.TASK.MODIFIED_ON]) : null;
+      return modifiedOn && isValid(modifiedOn) ? modifiedOn.getTime() : null;
+    }
+    default:
+      return task.Id;
+  }
+};
+
+/**
+ * Sorts tasks by several keys
+ * Tasks without a value for a key come after the others in either direction,
+ * and ties on every key fall back to the newest task first.
+ * @param {Array} tasks - The tasks to sort
+ * @param {Array<Object>} sort - { key, direction } entries, most significant first
+ * @param {Object} options - Sort options
+ * @param {Function} options.getAssigneeName - Resolves a task's assignee name for the assignee key
+ * @returns {Array} A sorted copy of the tasks
+ */
+export const sortTasks = (tasks, sort = DEFAULT_SORT, { getAssigneeName = () => null } = {}) => {
+  const rows = tasks.map(task => ({
+    task,
+    values: sort.map(({ key }) => getSortValue(task, key, getAssigneeName))
+  }));
+
+  rows.sort((a, b) => {
+    for (let i = 0; i < sort.length; i++) {
+      const left = a.values[i];
+      const right = b.values[i];
+      if (left === right) continue;
+      if (left === null) return 1;
+      if (right === null) return -1;
+
+      const order = typeof left === "string" ? left.localeCompare(right) : left - right;
+      if (order !== 0) {
+        return sort[i].direction === SortDirections.DESC ? -order : order;
+      }
+    }
+    return b.task.Id - a.task.Id;
+  });
+
+  return rows.map(row => row.task);
+};
+
+/**
+ * Fields the task list can be grouped by
+ */
+export const GroupKeys = {
+  STATUS: "status",
+  PRIORITY: "priority",
+  PROJECT: "project",
+  DUE: "due",
+  ASSIGNEE: "assignee"
+};
+
+/**
+ * Labels of the group keys, in the order they are offered
+ */
+export const GroupKeyLabels = {
+  [GroupKeys.STATUS]: "Status",
+  [GroupKeys.PRIORITY]: "Priority",
+  [GroupKeys.PROJECT]: "Project",
+  [GroupKeys.DUE]: "Due date",
+  [GroupKeys.ASSIGNEE]: "Assignee"
+};
+
+/**
+ * Reads a group param, ignoring unknown values
+ * @param {string} value - The group param
+ * @returns {string} The GroupKeys value, or an empty string for no grouping
+ */
+export const parseTaskGroup = (value) => {
+  return Object.values(GroupKeys).includes(value) ? value : "";
+};
+
+/**
+ * Due date groups, in display order
+ */
+export const DueBuckets = {
+  OVERDUE: "overdue",
+  TODAY: "today",
+  THIS_WEEK: "week",
+  LATER: "later",
+  // Completed tasks whose due date has passed, which are not overdue
+  PAST: "past",
+  NONE: "none"
+};
+
+const DueBucketLabels = {
+  [DueBuckets.OVERDUE]: "Overdue",
+  [DueBuckets.TODAY]: "Today",
+  [DueBuckets.THIS_WEEK]: "This week",
+  [DueBuckets.LATER]: "Later",
+  [DueBuckets.PAST]: "Earlier",
+  [DueBuckets.NONE]: "No due date"
+};
+
+/**
+ * Puts a task in a due date bucket
+ * @param {Object} task - The task record
+ * @param {Date} now - The reference date
+ * @returns {string} A DueBuckets value
+ */
+export const getDueBucket = (task, now = new Date()) => {
+  const dueDate = getDueDate(task);
+  if (!dueDate) return DueBuckets.NONE;
+  if (isBefore(dueDate, startOfDay(now))) {
+    return isTaskCompleted(task) ? DueBuckets.PAST : DueBuckets.OVERDUE;
+  }
+  if (!isAfter(dueDate, endOfDay(now))) return DueBuckets.TODAY;
+  if (!isAfter(dueDate, endOfWeek(now))) return DueBuckets.THIS_WEEK;
+  return DueBuckets.LATER;
+};
+
+// Group key of tasks without a value, always listed last
+const EMPTY_GROUP = "";
+
+/**
+ * Lists the groups one task belongs to
+ * @param {Object} task - The task record
+ * @param {string} groupBy - A GroupKeys value
+ * @param {Object} context - Lookups and the reference date, see groupTasks
+ * @returns {Array<Object>} { key, label } of each group
+ */
+const getTaskGroups = (task, groupBy, { now, getAssigneeName, projectsByTask }) => {
+  switch (groupBy) {
+    case GroupKeys.STATUS:
+    case GroupKeys.PRIORITY: {
+      const field = groupBy === GroupKeys.STATUS ? FieldNames.TASK.STATUS : FieldNames.TASK.PRIORITY;
+      const value = task[field] || EMPTY_GROUP;
+      return [{ key: value, label: value || (groupBy === GroupKeys.STATUS ? "No status" : "No priority") }];
+    }
+    case GroupKeys.DUE: {
+      const bucket = getDueBucket(task, now);
+      return [{ key: bucket, label: DueBucketLabels[bucket] }];
+    }
+    case GroupKeys.ASSIGNEE: {
+      const assigneeId = getAssigneeId(task);
+      return assigneeId === null
+        ? [{ key: EMPTY_GROUP, label: "Unassigned" }]
+        : [{ key: String(assigneeId), label: getAssigneeName(task) || `User ${assigneeId}` }];
+    }
+    case GroupKeys.PROJECT: {
+      // A task in several projects is listed under each of them
+      const projects = projectsByTask?.[task.Id] || [];
+      return projects.length === 0
+        ? [{ key: EMPTY_GROUP, label: "No project" }]
+        : projects.map(project => ({
+          key: String(project.Id),
+          label: project[FieldNames.PROJECT.NAME] || `Project ${project.Id}`
+        }));
+    }
+    default:
+      return [];
+  }
+};
+
+/**
+ * Orders groups: picklists and due buckets in their logical order, the rest by name
+ * @param {string} groupBy - A GroupKeys value
+ * @param {Object} a - A group
+ * @param {Object} b - Another group
+ * @returns {number} The comparison result
+ */
+const compareGroups = (groupBy, a, b) => {
+  if (a.key === EMPTY_GROUP) return 1;
+  if (b.key === EMPTY_GROUP) return -1;
+
+  const order = {
+    [GroupKeys.STATUS]: PicklistValues.TASK_STATUS,
+    // Most urgent first
+    [GroupKeys.PRIORITY]: [...PicklistValues.TASK_PRIORITY].reverse(),
+    [GroupKeys.DUE]: Object.values(DueBuckets)
+  }[groupBy];
+  if (order) {
+    const rank = (key) => (order.includes(key) ? order.indexOf(key) : order.length);
+    return rank(a.key) - rank(b.key) || a.label.localeCompare(b.label);
+  }
+  return a.label.localeCompare(b.label);
+};
+
+/**
+ * Splits tasks into groups, keeping their order inside each group
+ * @param {Array} tasks - The tasks to group, already sorted
+ * @param {string} groupBy - A GroupKeys value
+ * @param {Object} options - Grouping options
+ * @param {Function} options.getAssigneeName - Resolves a task's assignee name
+ * @param {Object} options.projectsByTask - Project arrays keyed by task Id, for project grouping
+ * @param {Date} options.now - The reference date for due buckets
+ * @returns {Array<Object>} { key, label, tasks } for each non-empty group, in display order
+ */
+export const groupTasks = (tasks, groupBy, { getAssigneeName = () => null, projectsByTask = null, now = new Date() } = {}) => {
+  const groups = new Map();
+
+  tasks.forEach(task => {
+    getTaskGroups(task, groupBy, { now, getAssigneeName, projectsByTask }).forEach(({ key, label }) => {
+      if (!groups.has(key)) {
+        groups.set(key, { key, label, tasks: [] });
+      }
+      groups.get(key).tasks.push(task);
+    });
+  });
+
+  return [...groups.values()].sort((a, b) => compareGroups(groupBy, a, b));
+};
+
+export default {
+  SortKeys,
+  SortDirections,
+  SortKeyLabels,
+  DefaultSortDirections,
+  DEFAULT_SORT,
+  parseTaskSort,
+  serializeTaskSort,
+  toTaskOrderBy,
+  sortTasks,
+  GroupKeys,
+  GroupKeyLabels,
+  parseTaskGroup,
+  DueBuckets,
+  getDueBucket,
+  groupTasks
+};
@@ -0,0 +1,157 @@
+/**
+ * Layout helpers for the project timeline
+ * Dates are placed on a horizontal axis at a fixed width per day, which
+ * depends on the chosen zoom scale.
+ */
+
+import {
+  addDays,
+  differenceInCalendarDays,
+  eachDayOfInterval,
+  eachMonthOfInterval,
+  eachWeekOfInterval,
+  endOfMonth,
+  format,
+  isValid,
+  parseISO,
+  startOfMonth
+} from "date-fns";
+import { FieldNames } from "./apperClient";
+import { getDueDate } from "./taskFilters";
+
+/**
+ * Zoom levels of the timeline
+ */
+export const TimelineScales = {
+  DAY: "day",
+  WEEK: "week",
+  MONTH: "month"
+};
+
+// Width of one day in pixels and the tick label format for each scale
+const scaleSettings = {
+  [TimelineScales.DAY]: { dayWidth: 36, labelFormat: "EEE d" },
+  [TimelineScales.WEEK]: { dayWidth: 12, labelFormat: "MMM d" },
+  [TimelineScales.MONTH]: { dayWidth: 4, labelFormat: "MMM yyyy" }
+};
+
+/**
+ * Returns the width of one day at a scale
+ * @param {string} scale - One of TimelineScales
+ * @returns {number} The width in pixels
+ */
+export const getDayWidth = (scale) => scaleSettings[scale].dayWidth;
+
+/**
+ * Parses a yyyy-MM-dd date field
+ * @param {string} value - The stored date
+ * @returns {Date|null} The date, or null if empty or invalid
+ */
+const parseDateField = (value) => {
+  if (!value) return null;
+  const date = parseISO(value);
+  return isValid(date) ? date : null;
+};
+
+/**
+ * Reads a project's date range
+ * A project with only one of its dates set spans that single day.
+ * @param {Object} project - The project record
+ * @returns {Object|null} { start, end }, or null if the project has no dates
+ */
+export const getProjectRange = (project) => {
+  const start = parseDateField(project[FieldNames.PROJECT.START_DATE]);
+  const end = parseDateField(project[FieldNames.PROJECT.END_DATE]);
+  if (!start && !end) return null;
+
+  const first = start || end;
+  const last = end || start;
+  return last < first ? { start: last, end: first } : { start: first, end: last };
+};
+
+/**
+ * Computes the visible date range covering projects, task due dates and today
+ * The range starts on the first of a month and ends on the last of one.
+ * @param {Array} projects - The projects shown
+ * @param {Array} tasks - The tasks whose due dates are shown
+ * @param {Date} today - The current date
+ * @returns {Object} { start, end }
+ */
+export const getTimelineRange = (projects, tasks, today = new Date()) => {
+  const dates = [today];
+  projects.forEach(project => {
+    const range = getProjectRange(project);
+    if (range) dates.push(range.start, range.end);
+  });
+  tasks.forEach(task => {
+    const dueDate = getDueDate(task);
+    if (dueDate) dates.push(dueDate);
+  });
+
+  const times = dates.map(date => date.getTime());
+  return {
+    start: startOfMonth(new Date(Math.min(...times))),
+    end: endOfMonth(new Date(Math.max(...times)))
+  };
+};
+
+/**
+ * Returns the horizontal position of a date
+ * @param {Date} date - The date to place
+ * @param {Date} rangeStart - The first day of the timeline
+ * @param {string} scale - One of TimelineScales
+ * @returns {number} The offset in pixels
+ */
+export const getDateOffset = (date, rangeStart, scale) => {
+  return differenceInCalendarDays(date, rangeStart) * getDayWidth(scale);
+};
+
+/**
+ * Lists the labelled ticks along the axis
+ * @param {Object} range - The timeline range ({ start, end })
+ * @param {string} scale - One of TimelineScales
+ * @returns {Array<Object>} Ticks as { date, label }
+ */
+export const getTimelineTicks = (range, scale) => {
+  const { labelFormat } = scaleSettings[scale];
+  const dates = scale === TimelineScales.DAY
+    ? eachDayOfInterval(range)
+    : scale === TimelineScales.WEEK
+      ? eachWeekOfInterval(range, { weekStartsOn: 1 })
+      : eachMonthOfInterval(range);
+
+  return dates
+    .filter(date => date >= range.start)
+    .map(date => ({ date, label: format(date, labelFormat) }));
+};
+
+/**
+ * Computes a project's new dates after its bar was dragged
+ * @param {Object} range - The project's current range ({ start, end })
+ * @param {string} mode - "move" shifts both dates, "start" or "end" changes one
+ * @param {number} days - Number of days dragged, negative for earlier
+ * @returns {Object} The START_DATE and END_DATE fields as yyyy-MM-dd
+ */
+export const shiftProjectRange = (range, mode, days) => {
+  let start = mode === "end" ? range.start : addDays(range.start, days);
+  let end = mode === "start" ? range.end : addDays(range.end, days);
+
+  // Resizing past the other edge collapses the project to a single day
+  if (mode === "start" && start > end) start = end;
+  if (mode === "end" && end < start) end = start;
+
+  return {
+    [FieldNames.PROJECT.START_DATE]: format(start, "yyyy-MM-dd"),
+    [FieldNames.PROJECT.END_DATE]: format(end, "yyyy-MM-dd")
+  };
+};
+
+export default {
+  TimelineScales,
+  getDayWidth,
+  getProjectRange,
+  getTimelineRange,
+  getDateOffset,
+  getTimelineTicks,
+  shiftProjectRange
+};